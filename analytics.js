@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+// Reports on the history the other scripts keep (HISTORY_FILE): how soon
+// after the release each time sells out, how often booked courts free up
+// again, and how each account's booking runs went. Times are grouped under
+// the preferences rule that lists them, with their place in its list, to
+// show which times are worth moving up or down. Opens no browser.
+//
+//   node analytics.js [--json] [--file <history>] [--facility <slug>] [--release HH:MM]
+//
+// --file defaults to HISTORY_FILE or history.jsonl and --facility to every
+// facility in the history. --release is when slots open, club time, and
+// defaults to RELEASE_AT when that is a time of day, or 00:00. Rules come
+// from PREFERENCES_FILE as in index.js.
+import { config } from "dotenv";
+import { analyseHistory, formatAnalytics } from "./lib/analytics.js";
+import { readHistory } from "./lib/history.js";
+import { loadPreferences } from "./lib/preferences.js";
+
+config();
+
+const USAGE = "Usage: node analytics.js [--json] [--file <history>] [--facility <slug>] [--release HH:MM]";
+const TIME_PATTERN = /^\d{2}:\d{2}$/;
+
+const args = process.argv.slice(2);
+const option = (name) => {
+	const index = args.indexOf(name);
+	return index === -1 ? undefined : args.splice(index, 2)[1];
+};
+const json = args.includes('--json');
+const file = option('--file') || process.env.HISTORY_FILE || "history.jsonl";
+const facility = option('--facility') || null;
+const releaseTime = option('--release') || (TIME_PATTERN.test(process.env.RELEASE_AT || '') ? process.env.RELEASE_AT : '00:00');
+
+function main(argv) {
+	if (argv.some(arg => arg !== '--json') || !TIME_PATTERN.test(releaseTime)) {
+		return { success: false, error: USAGE };
+	}
+	try {
+		const records = readHistory(file);
+		if (records.length === 0) {
+			return { success: false, error: `Nothing in ${file} yet: set HISTORY_FILE and let the booking scripts, npm run watch or npm run availability fill it` };
+		}
+		const preferences = loadPreferences({ file: process.env.PREFERENCES_FILE });
+		const report = analyseHistory(records, { preferences, facility, releaseTime });
+		console.log(json ? JSON.stringify(report, null, 2) : formatAnalytics(report));
+		return { success: true, report };
+	} catch (error) {
+		return { success: false, error: error.message };
+	}
+}
+
+const result = main(args);
+if (!result.success) {
+	console.error(result.error);
+}
+process.exit(result.success ? 0 : 1);
@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+// Shows what is free, booked and closed on every court from today to the
+// booking horizon, to see what is worth putting in the preferences. Nothing
+// is booked.
+//
+//   node availability.js [days] [--format table|csv|json] [--facility <slug>] [--out <file>]
+//
+// days is how far ahead to look (default 14). --format picks a terminal
+// table (the default), CSV or JSON, and --out writes it to a file instead of
+// printing it. --facility defaults to FACILITY; CLUB, PROFILE_ID and
+// BROWSER_PROVIDER work as in index.js. With HISTORY_FILE set the grids read
+// are added to the history for npm run analytics.
+import { writeFileSync } from "node:fs";
+import { config } from "dotenv";
+import {
+	formatAvailabilityCsv,
+	formatAvailabilityJson,
+	formatAvailabilityTable,
+	readAvailability,
+} from "./lib/availability.js";
+import { createBrowserProvider } from "./lib/browser-provider.js";
+import { getClub, getCredentials } from "./lib/clubs.js";
+import { datesAhead } from "./lib/dates.js";
+import { getFacility } from "./lib/facilities.js";
+import { createHistory } from "./lib/history.js";
+import { createLogger } from "./lib/logger.js";
+import { loginIfNeeded } from "./lib/login.js";
+
+config();
+
+const USAGE = "Usage: node availability.js [days] [--format table|csv|json] [--facility <slug>] [--out <file>]";
+
+const FORMATTERS = {
+	table: formatAvailabilityTable,
+	csv: formatAvailabilityCsv,
+	json: formatAvailabilityJson,
+};
+
+const args = process.argv.slice(2);
+const option = (name) => {
+	const index = args.indexOf(name);
+	return index === -1 ? undefined : args.splice(index, 2)[1];
+};
+const format = option('--format') || 'table';
+const outFile = option('--out') || null;
+const facilitySlug = option('--facility');
+
+// Keep stdout for the report when it is printed
+const log = createLogger({ script: "availability", write: outFile ? console.log : console.error });
+
+const club = getClub(process.env.CLUB);
+const profileId = process.env.PROFILE_ID || null;
+
+async function main([days = '14', ...rest]) {
+	if (!/^\d+$/.test(days) || rest.length > 0 || !FORMATTERS[format]) {
+		return { success: false, error: USAGE, logs: log.lines };
+	}
+	const facility = getFacility(facilitySlug, club);
+	const history = createHistory({ source: "availability", club: club.id, facility, log });
+
+	const browserProvider = createBrowserProvider({
+		type: process.env.BROWSER_PROVIDER || "hyperbrowser",
+		apiKey: process.env.HYPERBROWSER_API_KEY,
+		log,
+	});
+
+	let session;
+	try {
+		session = await browserProvider.openSession({ profileId });
+		const { page } = session;
+		await loginIfNeeded(page, { baseUrl: club.baseUrl, club, credentials: getCredentials(club), useProfile: !!profileId, log });
+
+		const cells = await readAvailability(page, { baseUrl: club.baseUrl, facility, dates: datesAhead(Number(days) + 1), onGrid: (grid, date) => history.recordGrid(grid, date), log });
+		const free = cells.filter(cell => cell.status === 'free').length;
+		log(`${free} of ${cells.length} ${facility.slug} slot(s) free over the next ${days} days`);
+
+		const report = cells.length > 0 || format !== 'table' ? FORMATTERS[format](cells, { facility }) : 'No slots found';
+		if (outFile) {
+			writeFileSync(outFile, `${report}\n`);
+			log(`Wrote the ${format} report to ${outFile}`);
+		} else {
+			console.log(report);
+		}
+		return { success: true, cells, logs: log.lines };
+	} catch (error) {
+		log.error(`Encountered an error: ${error}`);
+		return { success: false, error: error.message, logs: log.lines };
+	} finally {
+		await session?.close();
+	}
+}
+
+main(args)
+	.then((result) => {
+		if (!result.success) {
+			console.error(result.error);
+		}
+		process.exit(result.success ? 0 : 1);
+	})
+	.catch((error) => {
+		console.error("Final error:", error);
+		process.exit(1);
+	});
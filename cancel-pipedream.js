@@ -0,0 +1,148 @@
+import { createBrowserProvider } from "./lib/browser-provider.js";
+import { cancelOwnBooking } from "./lib/cancellation.js";
+import { getClub, getCredentials } from "./lib/clubs.js";
+import { getFacility } from "./lib/facilities.js";
+import { createLogger } from "./lib/logger.js";
+import { loginIfNeeded } from "./lib/login.js";
+
+const main = async (props) => {
+	const log = createLogger({ script: "cancel", account: (props.user_suffix || "").replace(/^_/, '') || null });
+	log("Starting cancellation");
+	let session;
+
+	const suffix = props.user_suffix || "";
+	const club = getClub(props.club);
+	const baseUrl = club.baseUrl;
+	const facility = getFacility(props.facility, club);
+
+	// Configuration object using passed props
+	const appConfig = {
+		debug_mode: props.debug_mode ?? false,
+		date: props.date || "",
+		time: props.time || "",
+		court: props.court || null,
+		profile_id: props.profile_id || null,
+		browser_provider: props.browser_provider || process.env.BROWSER_PROVIDER || "hyperbrowser",
+	};
+
+	log(`Club: ${club.name} (${baseUrl})`);
+	log(`Facility: ${facility.slug}`);
+
+	try {
+		if (!/^\d{4}-\d{2}-\d{2}$/.test(appConfig.date) || !/^\d{2}:\d{2}$/.test(appConfig.time)) {
+			throw new Error(`Cancelling needs a YYYY-MM-DD date and an HH:MM time, got "${appConfig.date}" and "${appConfig.time}"`);
+		}
+		log(`Cancelling ${appConfig.date} ${appConfig.time}${appConfig.court ? ` on ${facility.areaLabel} ${appConfig.court}` : ''}${appConfig.debug_mode ? ' (debug mode: the booking is kept)' : ''}`);
+
+		const browserProvider = createBrowserProvider({
+			type: appConfig.browser_provider,
+			apiKey: process.env[`HYPERBROWSER_API_KEY${suffix}`],
+			log,
+		});
+		session = await browserProvider.openSession({ profileId: appConfig.profile_id });
+		if (session.liveUrl) {
+			log(`Live URL: ${session.liveUrl}`);
+		}
+		const { page } = session;
+		await loginIfNeeded(page, {
+			baseUrl,
+			club,
+			credentials: getCredentials(club, suffix),
+			useProfile: !!appConfig.profile_id,
+			log,
+		});
+
+		const result = await cancelOwnBooking(page, {
+			baseUrl,
+			facility,
+			date: appConfig.date,
+			time: appConfig.time,
+			court: appConfig.court,
+			dryRun: appConfig.debug_mode,
+			log,
+		});
+		return { ...result, debug: appConfig.debug_mode, club: club.id, facility: facility.slug, logs: log.lines };
+
+	} catch (error) {
+		log.error(`Encountered an error: ${error}`);
+		return {
+			success: false,
+			error: error.message,
+			logs: log.lines
+		};
+	} finally {
+		await session?.close();
+	}
+};
+
+// Export the main function for Pipedream
+export default {
+	name: "Cancel Court Booking",
+	description: "Cancels one of your existing bookings and reports any cancellation fee or refund",
+	version: "0.1.0",
+	props: {
+		debug_mode: {
+			type: "boolean",
+			label: "Debug Mode",
+			description: "If enabled, opens the cancellation dialog and reports its terms but keeps the booking",
+			default: false,
+		},
+		date: {
+			type: "string",
+			label: "Date",
+			description: "Date of the booking to cancel (YYYY-MM-DD)",
+		},
+		time: {
+			type: "string",
+			label: "Time",
+			description: "Start time of the booking to cancel (HH:MM)",
+		},
+		court: {
+			type: "string",
+			label: "Court",
+			description: "Court of the booking, as a number or the full area name. Only needed if you have more than one booking at that time.",
+			optional: true,
+			default: "",
+		},
+		club: {
+			type: "string",
+			label: "Club",
+			description: "Club to book at, from the CLUBS_CONFIG environment variable. Leave empty for the default club.",
+			optional: true,
+			default: "",
+		},
+		facility: {
+			type: "string",
+			label: "Facility",
+			description: "HelloClub booking area the booking is in, as it appears in the bookings URL (e.g. padel)",
+			default: "padel",
+		},
+		profile_id: {
+			type: "string",
+			label: "Browser Profile ID",
+			description: "Browser profile ID for session persistence. Leave empty to start fresh session.",
+			optional: true,
+			default: "",
+		},
+		user_suffix: {
+			type: "string",
+			label: "User Suffix",
+			description: "Suffix for user credentials (e.g., _JOANNA or leave blank for default)",
+			optional: true,
+			default: "",
+		},
+	},
+	async run({ steps, $ }) {
+		// Pass the props to main function
+		return await main({
+			debug_mode: this.debug_mode,
+			date: this.date,
+			time: this.time,
+			court: this.court,
+			club: this.club,
+			facility: this.facility,
+			profile_id: this.profile_id,
+			user_suffix: this.user_suffix,
+		});
+	},
+};
@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+// Cancels one of the booker's existing reservations.
+//
+//   node cancel.js <date> <time> [court] [--dry-run]
+//
+// --dry-run opens the cancellation dialog and reports its fee and refund
+// terms, then backs out; DEBUG_MODE=true does the same. Uses the same CLUB,
+// FACILITY, PROFILE_ID, BROWSER_PROVIDER and DEBUG_MODE settings as index.js.
+import { config } from "dotenv";
+import { createBrowserProvider } from "./lib/browser-provider.js";
+import { cancelOwnBooking } from "./lib/cancellation.js";
+import { getClub, getCredentials } from "./lib/clubs.js";
+import { getFacility } from "./lib/facilities.js";
+import { createLogger } from "./lib/logger.js";
+import { loginIfNeeded } from "./lib/login.js";
+
+config();
+
+const log = createLogger({ script: "cancel" });
+
+const USAGE = "Usage: node cancel.js <date> <time> [court] [--dry-run]";
+
+const club = getClub(process.env.CLUB);
+const facility = getFacility(process.env.FACILITY, club);
+const profileId = process.env.PROFILE_ID || null;
+
+async function main(argv) {
+	const dryRun = argv.includes('--dry-run') || process.env.DEBUG_MODE === 'true';
+	const [date, time, court] = argv.filter(arg => arg !== '--dry-run');
+	if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '') || !/^\d{2}:\d{2}$/.test(time || '')) {
+		return { success: false, error: `${USAGE}\nNeeds a YYYY-MM-DD date and an HH:MM time`, logs: log.lines };
+	}
+	log(`Cancelling ${date} ${time}${dryRun ? ' (dry run: the booking is kept)' : ''}`);
+
+	const browserProvider = createBrowserProvider({
+		type: process.env.BROWSER_PROVIDER || "hyperbrowser",
+		apiKey: process.env.HYPERBROWSER_API_KEY,
+		log,
+	});
+
+	let session;
+	try {
+		session = await browserProvider.openSession({ profileId });
+		const { page } = session;
+		await loginIfNeeded(page, { baseUrl: club.baseUrl, club, credentials: getCredentials(club), useProfile: !!profileId, log });
+
+		const result = await cancelOwnBooking(page, { baseUrl: club.baseUrl, facility, date, time, court, dryRun, log });
+		return { ...result, logs: log.lines };
+	} catch (error) {
+		log.error(`Encountered an error: ${error}`);
+		return { success: false, error: error.message, logs: log.lines };
+	} finally {
+		await session?.close();
+	}
+}
+
+main(process.argv.slice(2))
+	.then((result) => {
+		if (!result.success) {
+			console.error(result.error);
+		}
+		process.exit(result.success ? 0 : 1);
+	})
+	.catch((error) => {
+		console.error("Final error:", error);
+		process.exit(1);
+	});
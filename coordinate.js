@@ -0,0 +1,405 @@
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { createArtifacts } from "./lib/artifacts.js";
+import { createBrowserProvider, sessionRecording } from "./lib/browser-provider.js";
+import { getClub, getCredentials } from "./lib/clubs.js";
+import { bookingDateFor } from "./lib/dates.js";
+import { bookingsUrl, getFacility } from "./lib/facilities.js";
+import { loginIfNeeded } from "./lib/login.js";
+import { createHistory } from "./lib/history.js";
+import { createLogger } from "./lib/logger.js";
+import { notify } from "./lib/notifications.js";
+import { BUTTON_SELECTOR, completeBookingModal } from "./lib/booking-flow.js";
+import { clickSlot, readBookingGrid } from "./lib/grid.js";
+import { STRATEGIES, assignSlots, createClaims, pickForAccount } from "./lib/coordinator.js";
+import { loadPreferences, planForDate } from "./lib/preferences.js";
+import { parseReleaseAt, runAtRelease } from "./lib/release-scheduler.js";
+import { verifyBookings } from "./lib/verification.js";
+
+
+const MAX_BOOKING_ATTEMPTS = 3;  // Per account
+
+// Clicks the account's slot and works through the modal. After an "already
+// booked" modal the account re-reads its grid and claims another slot. A
+// booking only counts once the account sees itself on the reloaded grid.
+// With dryRun the modal is walked up to Confirm booking and left there.
+const bookForAccount = async (member, firstPick, { strategy, anchor, claims, facility, baseUrl, dryRun, artifacts }) => {
+	const { label, index, page, log, plan: accountPlan } = member;
+	let pick = firstPick;
+
+	for (let attempt = 1; attempt <= MAX_BOOKING_ATTEMPTS; attempt++) {
+		if (!pick?.slot) {
+			return { success: false, error: pick?.reason || 'No slot assigned' };
+		}
+
+		log(`Attempt ${attempt} of ${MAX_BOOKING_ATTEMPTS}: ${pick.slot.time} on ${pick.slot.area} (${pick.reason})`);
+		const click = await clickSlot(page, pick.slot, { modalSelector: BUTTON_SELECTOR });
+		if (!click.success) {
+			await artifacts.capture(page, `${label} click failed`);
+			return { success: false, error: click.error };
+		}
+
+		await page.waitForSelector(BUTTON_SELECTOR, { visible: true, timeout: 5000 });
+		await artifacts.step(page, `${label} booking modal`);
+		// The account's own rule decides the booking type and who plays
+		const { isSlotAlreadyBooked, modalText } = await completeBookingModal(page, { log, skipConfirm: dryRun, mode: accountPlan.mode, partners: accountPlan.partners });
+
+		if (!isSlotAlreadyBooked && dryRun) {
+			await artifacts.step(page, `${label} confirm step`);
+			log(`Would book ${pick.slot.time} on ${pick.slot.area}`);
+			return { success: true, debug: true, timeBooked: pick.slot.time, courtBooked: pick.slot.area, reason: pick.reason, modalText };
+		}
+		if (!isSlotAlreadyBooked) {
+			const verification = await verifyBookings(page, { baseUrl, facility, date: accountPlan.date, slots: [pick.slot], log });
+			await (verification.verified ? artifacts.step(page, `${label} booked`) : artifacts.capture(page, `${label} unverified`));
+			if (!verification.verified) {
+				return { success: false, unverified: true, error: verification.error, evidence: verification.evidence };
+			}
+			log(`Booked ${pick.slot.time} on ${pick.slot.area}`);
+			return { success: true, timeBooked: pick.slot.time, courtBooked: pick.slot.area, reason: pick.reason };
+		}
+
+		log(`${pick.slot.time} on ${pick.slot.area} was already booked, picking again...`);
+		const grid = await readBookingGrid(page);
+		pick = pickForAccount(grid, accountPlan, { account: label, index, strategy, anchor, claims, facility });
+	}
+
+	return { success: false, error: `Failed to book after ${MAX_BOOKING_ATTEMPTS} attempts` };
+};
+
+// run carries the run's logger and artifacts, and gets each account's
+// browser session once it is open
+const coordinate = async (props, run) => {
+	const { log, artifacts } = run;
+	log("Starting coordinated booking");
+	const members = [];
+	let formattedDate;
+
+	const club = getClub(props.club);
+	const baseUrl = club.baseUrl;
+	const facility = getFacility(props.facility, club);
+
+	// Configuration object using passed props
+	const appConfig = {
+		debug_mode: props.debug_mode ?? false,
+		strategy: props.strategy || "per-court",
+		accounts: props.accounts?.length ? props.accounts : [""],  // User suffixes, e.g. ["", "_JOANNA"]
+		profile_ids: props.profile_ids || [],  // Same order as accounts
+		preferred_court: props.preferred_court ?? "1",
+		preferences: props.preferences || "",
+		release_at: props.release_at || null,
+		browser_provider: props.browser_provider || process.env.BROWSER_PROVIDER || "hyperbrowser"
+	};
+
+	log(`Club: ${club.name} (${baseUrl})`);
+	log(`Facility: ${facility.slug}`);
+	log(`Strategy: ${appConfig.strategy}`);
+	log(`Accounts: ${appConfig.accounts.map(suffix => suffix || '(default)').join(', ')}`);
+
+	try {
+		if (!STRATEGIES.includes(appConfig.strategy)) {
+			throw new Error(`Unknown strategy "${appConfig.strategy}". Expected one of: ${STRATEGIES.join(', ')}`);
+		}
+
+		// Book 14 days ahead of the release, or of now when booking straight
+		// away, counting in club days
+		const releaseAt = appConfig.release_at ? parseReleaseAt(appConfig.release_at) : null;
+		formattedDate = bookingDateFor(releaseAt || new Date());
+
+		const preferences = loadPreferences({ json: appConfig.preferences, file: process.env.PREFERENCES_FILE });
+		const planOptions = { facility: facility.slug, preferredCourt: appConfig.preferred_court };
+
+		// Each account books from its own plan (accounts.<LABEL> in the preferences)
+		const skipReasons = [];
+		appConfig.accounts.forEach((suffix, index) => {
+			const label = suffix.replace(/^_/, '') || 'DEFAULT';
+			const accountLog = log.child({ account: label });
+			const accountPlan = planForDate(preferences, formattedDate, { ...planOptions, account: label });
+			if (accountPlan.skipped) {
+				accountLog.info(`Sitting this one out: ${accountPlan.skipReason}`);
+				skipReasons.push(accountPlan.skipReason);
+				return;
+			}
+			accountLog.info(`Booking for ${formattedDate} (${accountPlan.dayName}) using the ${accountPlan.ruleName} rule: ${accountPlan.candidates.map(candidate => candidate.time).join(', ')}`);
+			members.push({
+				label,
+				suffix,
+				plan: accountPlan,
+				index: members.length,
+				profileId: appConfig.profile_ids[index] || null,
+				log: accountLog,
+			});
+		});
+
+		if (members.length === 0) {
+			const reason = [...new Set(skipReasons)].join('; ');
+			log(`Skipping ${formattedDate}: ${reason}`);
+			return { success: false, skipped: true, error: reason, date: formattedDate, accounts: [], bookings: [], logs: log.lines };
+		}
+
+		// One session per account, each logged in and on the grid for the date
+		const openGrid = async (member) => {
+			const provider = createBrowserProvider({
+				type: appConfig.browser_provider,
+				apiKey: process.env[`HYPERBROWSER_API_KEY${member.suffix}`],
+				log: member.log,
+			});
+			member.session = await provider.openSession({ profileId: member.profileId });
+			run.sessions.push({ account: member.label, session: member.session });
+			if (member.session.liveUrl) {
+				member.log(`Live URL: ${member.session.liveUrl}`);
+			}
+			member.page = member.session.page;
+			await loginIfNeeded(member.page, {
+				baseUrl,
+				club,
+				credentials: getCredentials(club, member.suffix),
+				useProfile: !!member.profileId,
+				log: member.log,
+			});
+			await member.page.goto(bookingsUrl(baseUrl, facility, formattedDate));
+		};
+		const openAll = () => Promise.all(members.map(openGrid));
+		const reloadAll = () => Promise.all(members.map(member => member.page.reload({ waitUntil: 'domcontentloaded' })));
+
+		if (releaseAt) {
+			await runAtRelease({ releaseAt, clockUrl: baseUrl, log, prepare: openAll, fire: reloadAll });
+		} else {
+			await openAll();
+		}
+
+		await Promise.all(members.map(member => member.page.waitForSelector('.BookingGrid-cell.Slot', { visible: true, timeout: 30000 })));
+		await new Promise(resolve => setTimeout(resolve, releaseAt ? 500 : 3000));
+
+		// Every account sees the same grid, so split the slots once up front
+		const claims = createClaims();
+		const grid = await readBookingGrid(members[0].page);
+		run.history.recordGrid(grid, formattedDate);
+		const labels = members.map(member => member.label);
+		const plans = Object.fromEntries(members.map(member => [member.label, member.plan]));
+		const assignments = assignSlots(grid, members[0].plan, labels, { strategy: appConfig.strategy, claims, facility, plans });
+		assignments.forEach(({ account, slot, reason }) => {
+			log.child({ account }).info(`Assigned ${slot ? `${slot.time} on ${slot.area}` : 'nothing'}: ${reason}`);
+		});
+
+		const anchor = assignments[0].slot
+			? { account: labels[0], time: assignments[0].slot.time, area: assignments[0].slot.area }
+			: null;
+		const context = { strategy: appConfig.strategy, anchor, claims, facility, baseUrl, dryRun: appConfig.debug_mode, artifacts };
+		const book = (member, pick) => bookForAccount(member, pick, context).catch(async (error) => {
+			await artifacts.capture(member.page, `${member.label} error`);
+			return { success: false, error: error.message };
+		});
+
+		const results = [];
+		if (appConfig.strategy === 'one') {
+			// Fallbacks only step in when the account before them failed
+			for (const member of members) {
+				const pick = results.length === 0
+					? assignments[0]
+					: pickForAccount(await readBookingGrid(member.page), member.plan, { account: member.label, index: member.index, strategy: 'one', claims, facility });
+				const result = await book(member, pick);
+				results.push(result);
+				if (result.success) break;
+			}
+		} else {
+			results.push(...await Promise.all(members.map((member, index) => book(member, assignments[index]))));
+		}
+
+		const accounts = members.map((member, index) => ({
+			account: member.label,
+			...(results[index] || { success: false, skipped: true, error: 'Not needed' }),
+		}));
+		const bookings = accounts.filter(result => result.success)
+			.map(({ account, timeBooked, courtBooked }) => ({ account, date: formattedDate, time: timeBooked, area: courtBooked }));
+
+		log(`Combined report for ${formattedDate}${appConfig.debug_mode ? ' (debug mode, nothing confirmed)' : ''}:`);
+		accounts.forEach(result => {
+			log(`- ${result.account}: ${result.success ? `${result.debug ? 'would book ' : ''}${result.timeBooked} on ${result.courtBooked}` : `not booked (${result.error})`}`);
+		});
+
+		return {
+			success: bookings.length > 0,
+			debug: appConfig.debug_mode,
+			strategy: appConfig.strategy,
+			club: club.id,
+			facility: facility.slug,
+			date: formattedDate,
+			accounts,
+			bookings,
+			logs: log.lines
+		};
+
+	} catch (error) {
+		log.error(`Encountered an error: ${error}`);
+		for (const member of members) {
+			await artifacts.capture(member.page, `${member.label} error`);
+		}
+		return {
+			success: false,
+			error: error.message,
+			date: formattedDate,
+			accounts: members.map(({ label }) => ({ account: label, success: false })),
+			bookings: [],
+			logs: log.lines
+		};
+	} finally {
+		await Promise.all(members.map(member => member.session?.close()));
+	}
+};
+
+// Books, then sends each account its own message. A run that stopped before
+// any account tried gets one message for everyone. Every run logs under its
+// own run ID, with each account's lines labelled, and keeps its artifacts in
+// a folder named after it.
+const main = async (props) => {
+	const log = createLogger({ script: "coordinate" });
+	const artifacts = createArtifacts({
+		dir: props.artifacts_dir || process.env.ARTIFACTS_DIR || join(tmpdir(), "run-artifacts"),
+		runId: log.runId,
+		everyStep: props.artifacts_every_step ?? process.env.ARTIFACTS_EVERY_STEP === "true",
+		log,
+	});
+	const club = getClub(props.club);
+	const facility = getFacility(props.facility, club);
+	const history = createHistory({
+		file: props.history_file || process.env.HISTORY_FILE || null,
+		source: "coordinate",
+		club: club.id,
+		facility,
+		log,
+	});
+	const run = { log, artifacts, history, sessions: [] };
+	const result = await coordinate(props, run);
+	result.artifacts = artifacts.saved;
+	result.recordings = await Promise.all(run.sessions.map(async ({ account, session }) => ({
+		account,
+		recording: await sessionRecording(session, log.child({ account })),
+	})));
+	const runs = result.accounts?.length > 0
+		? result.accounts.map(({ account, ...accountResult }) => ({ account, result: { error: result.error, ...accountResult, date: result.date } }))
+		: [{ account: null, result }];
+	runs.forEach(run => history.recordRun(run.result, { account: run.account }));
+	const sent = await Promise.all(runs.map(run => notify(run.result, {
+		config: props.notifications,
+		account: run.account,
+		club: club.name,
+		facility: facility.name,
+		log: log.child({ account: run.account }),
+	})));
+	result.notifications = sent.flat();
+	return result;
+};
+
+// Export the main function for Pipedream
+export default {
+	name: "Coordinated Household Booking",
+	description: "Books for several accounts in one run, splitting the slots so no two accounts go for the same one",
+	version: "0.1.0",
+	props: {
+		debug_mode: {
+			type: "boolean",
+			label: "Debug Mode",
+			description: "If enabled, logs in and goes through the booking up to Confirm booking without confirming, and reports the slot and modal text that would have been booked",
+			default: false,
+		},
+		accounts: {
+			type: "string[]",
+			label: "Accounts",
+			description: "User suffixes of the accounts to book with, in priority order (empty for the default account, e.g. _JOANNA)",
+			default: ["", "_JOANNA"],
+		},
+		profile_ids: {
+			type: "string[]",
+			label: "Browser Profile IDs",
+			description: "Browser profile ID per account, in the same order. Leave empty to log in afresh.",
+			optional: true,
+			default: [],
+		},
+		strategy: {
+			type: "string",
+			label: "Strategy",
+			description: "How to split the slots: per-court (same time, different courts), back-to-back (consecutive slots on one court), spread (best slot each) or one (a single booking, other accounts as fallbacks)",
+			default: "per-court",
+			options: STRATEGIES,
+		},
+		club: {
+			type: "string",
+			label: "Club",
+			description: "Club to book at, from the CLUBS_CONFIG environment variable. Leave empty for the default club.",
+			optional: true,
+			default: "",
+		},
+		facility: {
+			type: "string",
+			label: "Facility",
+			description: "HelloClub booking area to book, as it appears in the bookings URL (e.g. padel or cricket-nets)",
+			default: "padel",
+		},
+		preferred_court: {
+			type: "string",
+			label: "Preferred Court",
+			description: "Preferred court or net number (e.g. 1 or 2), or the full area name. Will try this one first if available.",
+			default: "2",
+		},
+		preferences: {
+			type: "string",
+			label: "Booking Preferences (JSON)",
+			description: "Times, court rankings and skip dates per day of the week; see preferences.example.json. Leave empty for the built-in weekday/weekend times.",
+			optional: true,
+			default: "",
+		},
+		release_at: {
+			type: "string",
+			label: "Release Time",
+			description: "When the slots 14 days ahead open, as UK time (e.g. 00:00) or an ISO date-time. Leave empty to book straight away.",
+			optional: true,
+			default: "",
+		},
+		history_file: {
+			type: "string",
+			label: "History File",
+			description: "Path of a JSON lines file the grid and each account's result are added to, for npm run analytics (e.g. /tmp/history.jsonl). Leave empty to use HISTORY_FILE, or to keep no history.",
+			optional: true,
+			default: "",
+		},
+		artifacts_dir: {
+			type: "string",
+			label: "Artifacts Directory",
+			description: "Where failed bookings save a screenshot, the page HTML and the modal text, in a folder per run. Leave empty to use ARTIFACTS_DIR, or /tmp/run-artifacts.",
+			optional: true,
+			default: "",
+		},
+		artifacts_every_step: {
+			type: "boolean",
+			label: "Capture Every Step",
+			description: "If enabled, also saves each account's booking modal and result on runs that go fine. Leave unset to use ARTIFACTS_EVERY_STEP",
+			optional: true,
+		},
+		notifications: {
+			type: "string",
+			label: "Notifications (JSON)",
+			description: "Where to send each account's message after the run (webhook, email or log) and for which accounts and events; see notifications.example.json. Leave empty to use NOTIFICATIONS_CONFIG, or for no notifications.",
+			optional: true,
+			default: "",
+		},
+	},
+	async run({ steps, $ }) {
+		// Pass the props to main function
+		return await main({
+			debug_mode: this.debug_mode,
+			accounts: this.accounts,
+			profile_ids: this.profile_ids,
+			strategy: this.strategy,
+			club: this.club,
+			facility: this.facility,
+			preferred_court: this.preferred_court,
+			preferences: this.preferences,
+			release_at: this.release_at,
+			history_file: this.history_file,
+			notifications: this.notifications,
+			artifacts_dir: this.artifacts_dir,
+			artifacts_every_step: this.artifacts_every_step,
+		});
+	},
+};
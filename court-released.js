@@ -1,453 +1,379 @@
-import { Hyperbrowser } from "@hyperbrowser/sdk";
-import { connect } from "puppeteer-core";
-
-// Initialize logs array for better tracking
-let logs = [];
-const log = (message) => {
-	const timestamp = new Date().toISOString();
-	const formattedMessage = `${timestamp}: ${message}`;
-	console.log(formattedMessage);
-	logs.push(formattedMessage);
-};
-
-const parseEmailSubject = (subject, $) => {
-	log(`Attempting to parse email subject: "${subject}"`);
-
-	// First check if this is even a court release email
-	if (!subject.toLowerCase().includes('padel court available')) {
-		log("Not a Padel court release email - skipping");
-		$.flow.exit("Not a Padel court release email - skipping");
-		return null; // This line won't execute due to $.flow.exit, but good practice
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { createArtifacts } from "./lib/artifacts.js";
+import { createBrowserProvider, sessionRecording } from "./lib/browser-provider.js";
+import { recordBookings } from "./lib/calendar.js";
+import { verifyBookings } from "./lib/verification.js";
+import { getClub, getCredentials } from "./lib/clubs.js";
+import { bookingsUrl, clubFacilities, getFacility } from "./lib/facilities.js";
+import { createHistory } from "./lib/history.js";
+import { createLogger } from "./lib/logger.js";
+import { loginIfNeeded } from "./lib/login.js";
+import { notify } from "./lib/notifications.js";
+import { describeRelease, parseReleaseEmail, releasedSlotTimes } from "./lib/release-email.js";
+import {
+	completeBookingModal,
+	isBookingLimit,
+	readModalText,
+	selectSlotByTime,
+	waitForModalUpdate,
+} from "./lib/booking-flow.js";
+
+
+// The slots to book: every slot the email releases for the workflow's
+// facility (any of the club's when it is left empty), and each slot of a
+// release that runs for longer than one
+const releasedSlots = (props, club, $, log) => {
+	log(`Attempting to parse release email: "${props.subject}"`);
+
+	const facilities = clubFacilities(club).map(slug => getFacility(slug, club));
+	const wanted = props.facility ? getFacility(props.facility, club) : null;
+	if (wanted && !facilities.some(facility => facility.slug === wanted.slug)) {
+		facilities.push(wanted);
 	}
 
-	// Expected format: "Padel court available for Saturday 26 April at 19:00"
-	// But be more flexible with the pattern
-	const regex = /court available for (\w+) (\d+)\w* (\w+) at (\d{1,2}:\d{2})/i;
-	const match = subject.match(regex);
-
-	if (!match) {
-		log("Failed to parse subject with regex. Subject format not recognized.");
-		log("Expected format example: 'Padel court available for Saturday 26 April at 19:00'");
-		$.flow.exit("Could not parse email subject format");
-		return null;
+	const events = parseReleaseEmail({ subject: props.subject, body: props.body }, {
+		facilities,
+		defaultFacility: wanted || facilities[0],
+		log,
+	});
+	const matching = events.filter(event => !wanted || event.facility === wanted.slug);
+	events.filter(event => !matching.includes(event)).forEach(event => log(`Ignoring ${describeRelease(event)}: not ${wanted.name}`));
+
+	if (matching.length === 0) {
+		const reason = events.length === 0
+			? 'No released slots found in the email - skipping'
+			: `Not a ${wanted.name} ${wanted.areaLabel} email - skipping`;
+		log(reason);
+		$.flow.exit(reason);
+		return [];
 	}
 
-	const [_, day, dateNum, month, time] = match;
-	log(`Parsed components: day=${day}, date=${dateNum}, month=${month}, time=${time}`);
+	return matching.flatMap(event => {
+		log(`Parsed ${describeRelease(event)}`);
+		const facility = facilities.find(other => other.slug === event.facility);
+		return releasedSlotTimes(event, facility).map(time => ({ ...event, time, facility }));
+	});
+};
 
-	// Convert to proper date object
-	const year = new Date().getFullYear();
-	const dateStr = `${dateNum} ${month} ${year}`;
-	const targetDate = new Date(dateStr);
+// Books one released slot: the grid for its date, its exact court, and the
+// modal through to Confirm booking. Anything that stops the booking throws.
+const bookReleasedSlot = async (page, slot, { appConfig, artifacts, history, log }) => {
+	const { facility } = slot;
 
-	// Validate the date is valid
-	if (isNaN(targetDate.getTime())) {
-		log(`Invalid date created from: ${dateStr}`);
-		$.flow.exit("Invalid date in email subject");
-		return null;
-	}
+	log(`Navigating to ${facility.name} bookings for the specific date ${slot.date}`);
+	await page.goto(bookingsUrl(appConfig.base_url, facility, slot.date));
 
-	// Format date for URL
-	const formattedDate = targetDate.toISOString().split('T')[0];
+	// Wait for slots to appear
+	log("Waiting for slots to appear...");
+	await page.waitForSelector('.BookingGrid-cell.Slot', { visible: true, timeout: 15000 });
+	await new Promise(resolve => setTimeout(resolve, 3000));
+	await artifacts.step(page, 'grid');
+	await history.recordPage(page, slot.date, { facility: facility.slug });
 
-	const result = {
-		day,
-		date: formattedDate,
-		time,
-		originalDate: `${dateNum} ${month}`,
-	};
-
-	log(`Successfully parsed booking details: ${JSON.stringify(result)}`);
-	return result;
-};
+	// The court the email released, not whichever is free at that time
+	const clickResult = await selectSlotByTime(page, slot.time, { court: slot.court });
 
-const waitForElement = async (page, selector, options = {}) => {
-	const defaultOptions = {
-		visible: true,
-		timeout: 5000,
-		polling: 100
-	};
-	const mergedOptions = { ...defaultOptions, ...options };
+	if (!clickResult.success) {
+		throw new Error(clickResult.error || 'Failed to find or click the target slot');
+	}
 
-	try {
-		await page.waitForSelector(selector, mergedOptions);
-		return true;
-	} catch (error) {
-		log(`Timeout waiting for element: ${selector}`);
-		return false;
+	log(`Found and clicked slot for ${clickResult.timeBooked} on ${clickResult.courtBooked}`);
+	if (clickResult.requiredSecondClick) {
+		log('Required second click due to no modal visible after first click');
 	}
-};
 
-const waitForModalUpdate = async (page, expectedState = {}) => {
-	const maxAttempts = 20; // Increased from 10
-	const interval = 500; // Increased from 200
-
-	for (let i = 0; i < maxAttempts; i++) {
-		const modalState = await page.evaluate(() => {
-			const modal = document.querySelector('.Modal-content') || document.querySelector('.Modal');
-			const nextButton = document.querySelector('button.Button.Button--success.ng-animate-disabled');
-			let modalText = '';
-			if (modal) {
-				modalText = modal.innerText || modal.textContent || '';
-			}
-			// Also extract alert messages
-			const alertMessage = document.querySelector('.Modal-alerts .Alert-message');
-			if (alertMessage && alertMessage.innerText) {
-				modalText += ' ' + alertMessage.innerText;
-			}
-			return {
-				hasModal: !!modal || !!nextButton,
-				modalText: modalText.trim(),
-				isAlreadyBooked: modalText.includes('already has a booking or event at this time'),
-				hasNextButton: !!nextButton
-			};
-		});
+	// Wait for booking modal to appear
+	log("Waiting for booking modal...");
+	const modalState = await waitForModalUpdate(page, { hasModal: true });
+	await artifacts.step(page, 'booking modal');
 
-		// If we're looking for a modal and found one, or looking for no modal and found none
-		if (expectedState.hasModal !== undefined && modalState.hasModal === expectedState.hasModal) {
-			return modalState;
-		}
+	if (modalState.isAlreadyBooked) {
+		throw new Error(`${facility.name} ${facility.areaLabel} is already booked for this time slot`);
+	}
 
-		// If we're checking for already booked status
-		if (expectedState.isAlreadyBooked !== undefined && modalState.isAlreadyBooked === expectedState.isAlreadyBooked) {
-			return modalState;
-		}
+	// Check for booking limit message
+	if (isBookingLimit(modalState.modalText)) {
+		log('Booking limit reached: ' + modalState.modalText);
+		throw new Error('Booking limit reached: ' + modalState.modalText);
+	}
 
-		// If we found a next button when we're looking for a modal
-		if (expectedState.hasModal === true && modalState.hasNextButton) {
-			return modalState;
-		}
+	// Next, Next and Confirm booking, with the already-booked and limit checks
+	const booking = await completeBookingModal(page, { log, skipConfirm: appConfig.debug_mode });
+	if (booking.isSlotAlreadyBooked) {
+		throw new Error(`${facility.name} ${facility.areaLabel} is already booked for this time slot`);
+	}
 
-		await new Promise(resolve => setTimeout(resolve, interval));
+	const booked = { date: slot.date, time: clickResult.timeBooked, area: clickResult.courtBooked, facility };
+	if (appConfig.debug_mode) {
+		await artifacts.step(page, 'confirm step');
+		log(`Debug mode: stopped before confirming ${booked.time} on ${booked.area}`);
+		return { ...booked, modalText: booking.modalText };
 	}
 
-	// Instead of throwing, return the current state
-	const finalState = await page.evaluate(() => {
-		const modalContent = document.querySelector('.Modal-content');
-		const nextButton = document.querySelector('button.Button.Button--success.ng-animate-disabled');
-		return {
-			hasModal: !!modalContent || !!nextButton,
-			modalText: modalContent?.textContent || '',
-			isAlreadyBooked: modalContent?.textContent?.includes('This court already has a booking or event at this time') || false,
-			hasNextButton: !!nextButton
-		};
+	// Only a booking that shows up on the reloaded grid counts
+	const verification = await verifyBookings(page, {
+		baseUrl: appConfig.base_url,
+		facility,
+		date: slot.date,
+		slots: [{ time: booked.time, area: booked.area }],
+		log,
 	});
 
-	return finalState;
+	await (verification.verified ? artifacts.step(page, 'booked') : artifacts.capture(page, 'unverified'));
+	return { ...booked, verification };
 };
 
-async function handleLoginIfNeeded(page, useProfile) {
-	if (useProfile) {
-		log("Using profile, skipping login");
-		return;
-	}
-
-	// Navigate to the website
-	log("Navigating to Harborough CSC...");
-	await page.goto("https://harboroughcsc.helloclub.com");
-
-	log("Wait for the first form and email input to be present...");
-	// Wait for the first form and email input to be present
-	await page.waitForSelector('form');
-	const emailInput = await page.evaluate(() => {
-		const form = document.querySelector('form');
-		const emailInput = form.querySelector('input[type="email"]');
-		return emailInput ? true : false;
-	});
-	
-	if (emailInput) {
-		log("Email input found, typing email...");
-		await page.type('form input[type="email"]', process.env.HELLO_CLUB_EMAIL, { delay: 15 });
-		log("Email typed, typing password...");
-		await page.type('form input[type="password"]', process.env.HELLO_CLUB_PASSWORD, { delay: 15 });
-		log("Password typed, clicking first action button...");
-		await page.waitForSelector('button.firstActionButton');
-		await page.click('button.firstActionButton');
-
-		// Wait a few seconds for backend login to complete
-		await new Promise(resolve => setTimeout(resolve, 6000));
-
-		// Refresh the page to complete login
-		log('Refreshing page after login spinner...');
-		await page.reload({ waitUntil: 'networkidle0' });
-	} else {
-		throw new Error("Could not find email input field in the form");
-	}
-}
+const describeSlot = ({ date, time, area }) => ({ date, time, area });
 
-const main = async (props, $) => {
+// run carries the run's logger and artifacts, and gets the browser session
+// once one is open
+const book = async (props, $, run) => {
+	const { log, artifacts, history } = run;
 	log("Starting session");
 	let session;
-	let browser;
-	let clickResult;
 
-	// Parse the email subject
-	const bookingDetails = parseEmailSubject(props.subject, $);
-	log(`Parsed booking details: ${JSON.stringify(bookingDetails)}`);
+	const club = getClub(props.club);
+
+	// Read the released slots from the email
+	const slots = releasedSlots(props, club, $, log);
+	if (slots.length === 0) {
+		return { success: false, skipped: true, error: 'No released slots to book', logs: log.lines };
+	}
 
 	// Configuration object using passed props
 	const appConfig = {
 		debug_mode: props.debug_mode ?? false,
 		profile_id: props.profile_id || process.env.PROFILE_ID || null,
-		targetDate: bookingDetails.date,
-		targetTime: bookingDetails.time
+		browser_provider: props.browser_provider || process.env.BROWSER_PROVIDER || "hyperbrowser",
+		base_url: club.baseUrl,
+		calendar_file: props.calendar_file || process.env.CALENDAR_FILE || null
 	};
 
 	log(`Debug Mode: ${appConfig.debug_mode}`);
+	log(`Club: ${club.name} (${appConfig.base_url})`);
 	if (appConfig.profile_id) {
 		log(`Using profile: ${appConfig.profile_id}`);
 	}
-	log(`Target booking: ${bookingDetails.day} ${bookingDetails.originalDate} at ${bookingDetails.time}`);
+	slots.forEach(slot => log(`Target booking: ${slot.facility.name} ${slot.date} at ${slot.time}${slot.area ? ` on ${slot.area}` : ''}`));
 
 	if (appConfig.debug_mode) {
-		log("🔍 Running in DEBUG MODE - No actual bookings will be made");
+		log("🔍 Running in DEBUG MODE - the booking is walked through up to Confirm booking but not confirmed");
 	}
 
-	const client = new Hyperbrowser({
+	const browserProvider = createBrowserProvider({
+		type: appConfig.browser_provider,
 		apiKey: process.env.HYPERBROWSER_API_KEY,
+		log,
 	});
 
+	const released = slots.map(({ facility, ...slot }) => ({ ...slot, facility: facility.slug }));
+	const booked = [];
+	const missed = [];
+
 	try {
-		// Skip actual booking in debug mode
-		if (appConfig.debug_mode) {
-			log("Debug mode: Simulating successful booking");
-			return {
-				success: true,
-				debug: true,
-				message: "Debug mode - booking simulated",
-				logs: logs
-			};
+		// Open a browser session, reusing the profile if available
+		session = await browserProvider.openSession({ profileId: appConfig.profile_id });
+		run.session = session;
+		if (session.liveUrl) {
+			log(`Live URL: ${session.liveUrl}`);
 		}
 
-		// Create session with profile if available
-		const sessionConfig = appConfig.profile_id ? {
-			profile: {
-				id: appConfig.profile_id,
-				persistChanges: true
-			}
-		} : {};
-
-		session = await client.sessions.create(sessionConfig);
-		log(`Session created: ${session.id}`);
-		log(`Live URL: ${session.liveUrl}`);
-
-		browser = await connect({ browserWSEndpoint: session.wsEndpoint });
-		const [page] = await browser.pages();
-
-		await handleLoginIfNeeded(page, !!appConfig.profile_id);
-
-		// Navigate to Padel bookings for the specific date
-		log(`Navigating to Padel bookings for the specific date ${appConfig.targetDate}`);
-		await page.goto(`https://harboroughcsc.helloclub.com/bookings/padel/${appConfig.targetDate}`);
-
-		// Wait for slots to appear
-		log("Waiting for slots to appear...");
-		await page.waitForSelector('.BookingGrid-cell.Slot', { visible: true, timeout: 15000 });
-		await new Promise(resolve => setTimeout(resolve, 3000));
+		const { page } = session;
 
-		// Find and click the specific slot we want
-		clickResult = await page.evaluate(async (targetTime) => {
-			const slots = Array.from(document.querySelectorAll('.BookingGrid-cell.Slot.available'));
-			const targetSlot = slots.find(slot => {
-				const timeText = slot.querySelector('.Slot-text')?.textContent?.trim();
-				return timeText?.includes(targetTime);
-			});
-
-			if (!targetSlot) {
-				return {
-					success: false,
-					error: `No available slot found for ${targetTime}`
-				};
-			}
-
-			// Click the slot
-			targetSlot.click();
-			await new Promise(resolve => setTimeout(resolve, 2500));
-
-			const modalVisible = !!document.querySelector('button.Button.Button--success.ng-animate-disabled');
+		await loginIfNeeded(page, {
+			baseUrl: appConfig.base_url,
+			club,
+			credentials: getCredentials(club),
+			useProfile: !!appConfig.profile_id,
+			log,
+		});
 
-			if (!modalVisible) {
-				targetSlot.click();
+		// One slot going to someone else does not stop the others
+		for (const slot of slots) {
+			try {
+				const result = await bookReleasedSlot(page, slot, { appConfig, artifacts, history, log });
+				if (result.verification && !result.verification.verified) {
+					missed.push({ ...describeSlot(result), error: result.verification.error, unverified: true, evidence: result.verification.evidence });
+				} else {
+					booked.push(result);
+				}
+			} catch (error) {
+				log.warn(`Could not book ${slot.time} on ${slot.date}: ${error.message}`);
+				await artifacts.capture(page, 'error');
+				missed.push({ ...describeSlot(slot), error: error.message, modalText: await readModalText(page) });
+				// No point trying the rest once the club says we have enough
+				if (isBookingLimit(error.message)) break;
 			}
-
-			return {
-				success: true,
-				timeBooked: targetTime,
-				requiredSecondClick: !modalVisible
-			};
-		}, appConfig.targetTime);
-
-		if (!clickResult.success) {
-			throw new Error(clickResult.error || 'Failed to find or click the target slot');
-		}
-
-		log(`Found and clicked slot for ${clickResult.timeBooked}`);
-		if (clickResult.requiredSecondClick) {
-			log('Required second click due to no modal visible after first click');
 		}
 
-		// Wait for booking modal to appear
-		log("Waiting for booking modal...");
-		const modalState = await waitForModalUpdate(page, { hasModal: true });
+		// Cleanup
+		await session.close();
+		session = null;
+
+		const [first] = booked;
+		const summary = {
+			timeBooked: first?.time ?? null,
+			courtBooked: first?.area ?? null,
+			slots: booked.map(describeSlot),
+			missed,
+			released,
+			club: club.id,
+			facility: (first || slots[0]).facility.slug,
+			date: (first || slots[0]).date,
+		};
+		const failure = missed.length > 0 && {
+			error: missed.length === 1 ? missed[0].error : missed.map(slot => `${slot.time} on ${slot.date}: ${slot.error}`).join('; '),
+			unverified: missed.every(slot => slot.unverified),
+			evidence: missed.find(slot => slot.evidence)?.evidence,
+			modalText: missed.find(slot => slot.modalText)?.modalText ?? null,
+		};
 
-		if (modalState.isAlreadyBooked) {
-			throw new Error("Court is already booked for this time slot");
+		if (appConfig.debug_mode) {
+			log("Debug mode: stopped before confirming, nothing was booked");
+			return booked.length > 0
+				? { success: true, debug: true, message: "Debug mode - booking not confirmed", modalText: first.modalText, ...summary, logs: log.lines }
+				: { success: false, ...summary, ...failure, logs: log.lines };
 		}
 
-		// Check for booking limit message
-		if (modalState.modalText && modalState.modalText.includes('You are on the limit')) {
-			log('Booking limit reached: ' + modalState.modalText);
-			throw new Error('Booking limit reached: ' + modalState.modalText);
+		for (const slot of booked) {
+			recordBookings([{ date: slot.date, time: slot.time, area: slot.area }], {
+				facility: slot.facility,
+				file: appConfig.calendar_file,
+				clubName: club.name,
+				log,
+			});
 		}
 
-		// Use the more robust button handling approach for all three steps
-		const buttonSequence = ['Next', 'Next', 'Confirm booking'];
-		for (let i = 0; i < buttonSequence.length; i++) {
-			const buttonText = buttonSequence[i];
-			const buttonSelector = 'button.Button.Button--success.ng-animate-disabled';
-
-			// Wait for button to be available
-			log(`Waiting for ${buttonText} button...`);
-			const buttonAvailable = await waitForElement(page, buttonSelector);
-			if (!buttonAvailable) {
-				throw new Error(`${buttonText} button not found after waiting`);
-			}
-
-			// Click the button and verify the click
-			const buttonClick = await page.evaluate((text, selector) => {
-				const button = document.querySelector(selector);
-				if (button && button.textContent.trim().includes(text)) {
-					console.log(`Found ${text} button:`, button.className);
-					// Add visual feedback
-					button.style.border = '3px solid green';
-					button.click();
-					return {
-						success: true,
-						className: button.className
-					};
-				}
-				return {
-					success: false,
-					error: `${text} button not found or not clickable`,
-					buttonFound: !!button
-				};
-			}, buttonText, buttonSelector);
-
-			if (buttonClick.success) {
-				log(`Clicked ${buttonText} button: ${buttonClick.className}`);
-			} else {
-				log(`Failed to click ${buttonText} button: ${buttonClick.error}`);
-				throw new Error(`Failed to click ${buttonText} button: ${buttonClick.error}`);
-			}
-
-			// Wait for modal update and check for booking limit after each click
-			if (buttonText === 'Next' || buttonText === 'Confirm booking') {
-				const modalState = await waitForModalUpdate(page, { hasModal: true });
-				log(`Modal state after ${buttonText}: ${JSON.stringify(modalState)}`);
-
-				if (modalState.isAlreadyBooked) {
-					throw new Error("Court is already booked for this time slot");
-				}
-
-				// Check for booking limit message (case-insensitive, partial match)
-				if (modalState.modalText && /on the limit|limit of|booking limit/i.test(modalState.modalText)) {
-					log('Booking limit reached: ' + modalState.modalText);
-					throw new Error('Booking limit reached: ' + modalState.modalText);
-				}
-
-				// Special: After the second 'Next' click, wait for alert message to appear
-				if (buttonText === 'Next' && i === 1) {
-					// Wait up to 3 seconds for the alert message to appear
-					const alertText = await page.evaluate(async () => {
-						function waitForAlert() {
-							return new Promise(resolve => {
-								let attempts = 0;
-								function check() {
-									const alert = document.querySelector('.Modal-alerts .Alert-message');
-									if (alert && alert.innerText.trim().length > 0) {
-										resolve(alert.innerText.trim());
-									} else if (attempts++ < 30) {
-										setTimeout(check, 100);
-									} else {
-										resolve('');
-									}
-								}
-								check();
-							});
-						}
-						return await waitForAlert();
-					});
-					if (alertText && /on the limit|limit of|booking limit/i.test(alertText)) {
-						log('Booking limit detected after second Next: ' + alertText);
-						throw new Error('Booking limit reached: ' + alertText);
-					}
-				}
-
-				// Add a small delay to ensure UI updates are complete
-				await new Promise(resolve => setTimeout(resolve, 2000));
-			}
+		if (booked.length === 0) {
+			return { success: false, ...summary, ...failure, logs: log.lines };
 		}
-
-		// Add extra verification that we're on a success page
-		const bookingSuccess = await page.evaluate(() => {
-			return {
-				url: window.location.href,
-				hasSuccessMessage: document.body.textContent.includes('Booking confirmed') ||
-					document.body.textContent.includes('Booking successful')
-			};
-		});
-
-		log(`Final state - URL: ${bookingSuccess.url}, Success message: ${bookingSuccess.hasSuccessMessage}`);
-
-		// Cleanup
-		await browser.close();
-		await client.sessions.stop(session.id);
-
-		return {
-			success: true,
-			timeBooked: clickResult.timeBooked,
-			date: appConfig.targetDate,
-			logs: logs
-		};
+		return { success: true, ...summary, logs: log.lines };
 
 	} catch (error) {
-		log(`Encountered an error: ${error}`);
+		log.error(`Encountered an error: ${error}`);
 
-		if (browser) {
-			await browser.close();
-		}
+		// Whatever the modal said last is often the real reason
+		let modalText = null;
 		if (session) {
-			await client.sessions.stop(session.id);
+			await artifacts.capture(session.page, 'error');
+			modalText = await readModalText(session.page);
+			await session.close();
 		}
 
 		return {
 			success: false,
 			error: error.message,
-			timeBooked: clickResult?.timeBooked || null,
-			date: appConfig.targetDate,
-			logs: logs
+			timeBooked: null,
+			modalText,
+			released,
+			facility: slots[0].facility.slug,
+			date: slots[0].date,
+			logs: log.lines
 		};
 	}
 };
 
+// Books, then tells whoever the notifications config says. Every run logs
+// under its own run ID and keeps its artifacts in a folder named after it.
+const main = async (props, $) => {
+	const log = createLogger({ script: "court-released" });
+	const artifacts = createArtifacts({
+		dir: props.artifacts_dir || process.env.ARTIFACTS_DIR || join(tmpdir(), "run-artifacts"),
+		runId: log.runId,
+		everyStep: props.artifacts_every_step ?? process.env.ARTIFACTS_EVERY_STEP === "true",
+		log,
+	});
+	const club = getClub(props.club);
+	const history = createHistory({
+		file: props.history_file || process.env.HISTORY_FILE || null,
+		source: "court-released",
+		club: club.id,
+		log,
+	});
+	const run = { log, artifacts, history, session: null };
+	const result = await book(props, $, run);
+	result.artifacts = artifacts.saved;
+	result.recording = await sessionRecording(run.session, log);
+	history.recordRun(result);
+	result.notifications = await notify(result, {
+		config: props.notifications,
+		club: club.name,
+		facility: getFacility(result.facility || props.facility, club).name,
+		log,
+	});
+	return result;
+};
+
+// The email trigger gives the body as text, HTML or both
+const emailBody = (event) => event.body?.text || event.text || event.body?.html || event.html || (typeof event.body === 'string' ? event.body : '');
+
 // Export the main function for Pipedream
 export default {
 	name: "Court Released Booking",
-	description: "Books a specific padel court slot when notified of availability by email",
+	description: "Books the exact courts or nets a release or waiting list email offers",
 	version: "0.1.0",
 	props: {
 		debug_mode: {
 			type: "boolean",
 			label: "Debug Mode",
-			description: "If enabled, will simulate the booking process without making actual bookings",
+			description: "If enabled, logs in and goes through the booking up to Confirm booking without confirming, and reports the slot and modal text that would have been booked",
 			default: false,
 		},
+		club: {
+			type: "string",
+			label: "Club",
+			description: "Club the release emails come from, from the CLUBS_CONFIG environment variable. Leave empty for the default club.",
+			optional: true,
+			default: "",
+		},
+		facility: {
+			type: "string",
+			label: "Facility",
+			description: "HelloClub booking area the release emails are for, as it appears in the bookings URL (e.g. padel or cricket-nets). Emails about other facilities are skipped. Leave empty to book whichever of the club's facilities the email releases.",
+			optional: true,
+			default: "padel",
+		},
 		profile_id: {
 			type: "string",
 			label: "Browser Profile ID",
 			description: "Browser profile ID for session persistence. Leave empty to start fresh session.",
 			optional: true,
 			default: "",
+		},
+		calendar_file: {
+			type: "string",
+			label: "Calendar File",
+			description: "Path of an .ics file to add confirmed bookings to (e.g. /tmp/bookings.ics, to upload or serve for calendar subscriptions). Leave empty to use CALENDAR_FILE, or for no calendar.",
+			optional: true,
+			default: "",
+		},
+		history_file: {
+			type: "string",
+			label: "History File",
+			description: "Path of a JSON lines file the grids read and the result of each run are added to, for npm run analytics (e.g. /tmp/history.jsonl). Leave empty to use HISTORY_FILE, or to keep no history.",
+			optional: true,
+			default: "",
+		},
+		artifacts_dir: {
+			type: "string",
+			label: "Artifacts Directory",
+			description: "Where failed runs save a screenshot, the page HTML and the modal text, in a folder per run. Leave empty to use ARTIFACTS_DIR, or /tmp/run-artifacts.",
+			optional: true,
+			default: "",
+		},
+		artifacts_every_step: {
+			type: "boolean",
+			label: "Capture Every Step",
+			description: "If enabled, also saves the grid, the booking modal and the result of runs that go fine. Leave unset to use ARTIFACTS_EVERY_STEP",
+			optional: true,
+		},
+		notifications: {
+			type: "string",
+			label: "Notifications (JSON)",
+			description: "Where to send a message after each run (webhook, email or log) and for which events; see notifications.example.json. Leave empty to use NOTIFICATIONS_CONFIG, or for no notifications.",
+			optional: true,
+			default: "",
 		}
 	},
 	async run({ steps, $ }) {
@@ -459,8 +385,16 @@ export default {
 
 		// Pass the props to main function
 		return await main({
+			body: emailBody(steps.trigger.event),
 			debug_mode: this.debug_mode,
+			club: this.club,
+			facility: this.facility,
 			profile_id: this.profile_id,
+			calendar_file: this.calendar_file,
+			history_file: this.history_file,
+			notifications: this.notifications,
+			artifacts_dir: this.artifacts_dir,
+			artifacts_every_step: this.artifacts_every_step,
 			subject
 		}, $);
 	},
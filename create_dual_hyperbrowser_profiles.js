@@ -1,43 +1,34 @@
 #!/usr/bin/env node
 
-import { Hyperbrowser } from "@hyperbrowser/sdk";
-import { connect } from "puppeteer-core";
 import { config } from "dotenv";
+import { createBrowserProvider } from "./lib/browser-provider.js";
+import { getClub, getCredentials } from "./lib/clubs.js";
+import { createLogger } from "./lib/logger.js";
 
 config();
 
-async function createProfileAndLogin({ email, password, label, apiKey }) {
-  let logs = [];
-  const log = (msg) => {
-    const timestamp = new Date().toISOString();
-    const formatted = `${timestamp}: [${label}] ${msg}`;
-    console.log(formatted);
-    logs.push(formatted);
-  };
+async function createProfileAndLogin({ club, email, password, label, apiKey }) {
+  const log = createLogger({ script: "create-profiles", account: label });
 
-  const client = new Hyperbrowser({
-    apiKey: apiKey,
-  });
+  // BROWSER_PROVIDER=local creates a local user-data-dir profile instead
+  const browserProvider = createBrowserProvider({ apiKey, log });
 
   let session;
-  let browser;
-  let profile;
+  let profileId;
   try {
-    profile = await client.profiles.create();
-    log(`Profile created: ${profile.id}`);
+    profileId = await browserProvider.createProfile();
+    log(`Profile created: ${profileId}`);
 
-    session = await client.sessions.create({
-      profile: { id: profile.id, persistChanges: true },
-    });
-    log(`Session created: ${session.id}`);
-    log(`Live URL: ${session.liveUrl}`);
+    session = await browserProvider.openSession({ profileId, persistChanges: true });
+    if (session.liveUrl) {
+      log(`Live URL: ${session.liveUrl}`);
+    }
 
-    browser = await connect({ browserWSEndpoint: session.wsEndpoint });
-    const [page] = await browser.pages();
+    const { page } = session;
 
     // Login logic
-    log("Navigating to Harborough CSC...");
-    await page.goto("https://harboroughcsc.helloclub.com");
+    log(`Navigating to ${club.name}...`);
+    await page.goto(club.baseUrl);
     await page.waitForSelector('form');
     const emailInput = await page.evaluate(() => {
       const form = document.querySelector('form');
@@ -54,49 +45,51 @@ async function createProfileAndLogin({ email, password, label, apiKey }) {
     }
     await page.waitForNavigation();
     log("Login successful");
-    await browser.close();
-    await client.sessions.stop(session.id);
+    await session.close();
     return {
       success: true,
-      profile_id: profile.id,
+      profile_id: profileId,
       session_id: session.id,
       liveUrl: session.liveUrl,
-      logs,
+      logs: log.lines,
     };
   } catch (error) {
-    log(`Encountered an error: ${error}`);
-    if (browser) await browser.close();
-    if (session) await client.sessions.stop(session.id);
+    log.error(`Encountered an error: ${error}`);
+    if (session) await session.close();
     return {
       success: false,
       error: error.message,
-      logs,
+      logs: log.lines,
     };
   }
 }
 
+// Usage: node create_dual_hyperbrowser_profiles.js [club]
+// Profiles are logged in to one club; run once per club you book at.
 (async () => {
+  const club = getClub(process.argv[2]);
+  console.log(`Creating profiles for ${club.name} (${club.baseUrl})`);
+
   const users = [
     {
       label: "STEFAN",
-      email: process.env.HELLO_CLUB_EMAIL,
-      password: process.env.HELLO_CLUB_PASSWORD,
+      ...getCredentials(club),
       apiKey: process.env.HYPERBROWSER_API_KEY,
     },
     {
       label: "JOANNA",
-      email: process.env.HELLO_CLUB_EMAIL_JOANNA,
-      password: process.env.HELLO_CLUB_PASSWORD_JOANNA,
+      ...getCredentials(club, "_JOANNA"),
       apiKey: process.env.HYPERBROWSER_API_KEY_JOANNA,
     },
   ];
 
   for (const user of users) {
-    if (!user.email || !user.password || !user.apiKey) {
+    const needsApiKey = (process.env.BROWSER_PROVIDER || "hyperbrowser") === "hyperbrowser";
+    if (!user.email || !user.password || (needsApiKey && !user.apiKey)) {
       console.error(`Missing credentials for ${user.label}`);
       continue;
     }
-    const result = await createProfileAndLogin(user);
+    const result = await createProfileAndLogin({ club, ...user });
     if (result.success) {
       console.log(`\n✅ [${user.label}] Session/profile created and logged in!`);
       console.log(`[${user.label}] Profile ID:`, result.profile_id);
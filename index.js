@@ -1,268 +1,264 @@
-import { Hyperbrowser } from "@hyperbrowser/sdk";
-import { connect } from "puppeteer-core";
 import { config } from "dotenv";
+import { createArtifacts } from "./lib/artifacts.js";
+import { createBrowserProvider, sessionRecording } from "./lib/browser-provider.js";
+import { getClub, getCredentials } from "./lib/clubs.js";
+import { bookingDateFor } from "./lib/dates.js";
+import { bookingsUrl, getFacility } from "./lib/facilities.js";
+import { loginIfNeeded } from "./lib/login.js";
+import {
+	BUTTON_SELECTOR,
+	completeBookingModal,
+	getAvailableSlots,
+	readModalText,
+	selectSlotByPlan,
+} from "./lib/booking-flow.js";
+import { bookBlock } from "./lib/blocks.js";
+import { recordBookings } from "./lib/calendar.js";
+import { createHistory } from "./lib/history.js";
+import { createLogger } from "./lib/logger.js";
+import { notify } from "./lib/notifications.js";
+import { joinBestWaitingLists } from "./lib/waiting-list.js";
+import { verifyBookings } from "./lib/verification.js";
+import { loadPreferences, planForDate } from "./lib/preferences.js";
+import { parseReleaseAt, runAtRelease } from "./lib/release-scheduler.js";
 
 config();
 
-// Initialize logs array for better tracking
-let logs = [];
-const log = (message) => {
-	const timestamp = new Date().toISOString();
-	const formattedMessage = `${timestamp}: ${message}`;
-	console.log(formattedMessage);
-	logs.push(formattedMessage);
-};
+const log = createLogger({ script: "index" });
+
+const club = getClub(process.env.CLUB); // See clubs.example.json
 
 // Configuration object
 const appConfig = {
 	debug_mode: process.env.DEBUG_MODE === 'true' || false,
+	club: club.id,
+	facility: getFacility(process.env.FACILITY, club), // "padel", "cricket-nets" or any other booking slug
 	preferred_court: process.env.PREFERRED_COURT || "1",  // Default to Court 1 if not specified
-	profile_id: process.env.PROFILE_ID || null // Profile ID for browser state persistence
+	profile_id: process.env.PROFILE_ID || null, // Profile ID for browser state persistence
+	browser_provider: process.env.BROWSER_PROVIDER || "hyperbrowser", // "hyperbrowser" or "local"
+	preferences_file: process.env.PREFERENCES_FILE || null, // See preferences.example.json
+	release_at: process.env.RELEASE_AT || null, // e.g. "00:00" UK time; null books straight away
+	block_size: Number(process.env.BLOCK_SIZE) || null, // Consecutive slots to book; null uses the preferences
+	waiting_list: Number(process.env.WAITING_LIST) || 0, // Waiting lists to join when nothing preferred is free
+	calendar_file: process.env.CALENDAR_FILE || null, // .ics file confirmed bookings are added to
+	history_file: process.env.HISTORY_FILE || null, // JSON lines file the grid and the result are added to
+	notifications: process.env.NOTIFICATIONS_CONFIG || null, // JSON; NOTIFICATIONS_FILE is read when unset
+	artifacts_dir: process.env.ARTIFACTS_DIR || "run-artifacts", // Screenshots, HTML and modal text of failed runs
+	artifacts_every_step: process.env.ARTIFACTS_EVERY_STEP === 'true', // Capture runs that go fine too
+	base_url: club.baseUrl
 };
 
 log(`Environment DEBUG_MODE: ${process.env.DEBUG_MODE}`);
 log(`Final debug_mode value: ${appConfig.debug_mode}`);
-log(`Preferred court: ${appConfig.preferred_court}`);
+log(`Club: ${club.name} (${appConfig.base_url})`);
+log(`Facility: ${appConfig.facility.slug}`);
+log(`Preferred ${appConfig.facility.areaLabel}: ${appConfig.preferred_court}`);
 log(`Profile ID: ${appConfig.profile_id}`);
+log(`Browser provider: ${appConfig.browser_provider}`);
+log(`Release time: ${appConfig.release_at || 'none, booking straight away'}`);
 
 if (appConfig.debug_mode) {
 	log("🔍 Running in DEBUG MODE - No actual bookings will be made");
 }
 
-const client = new Hyperbrowser({
-	apiKey: process.env.HYPERBROWSER_API_KEY,
+const artifacts = createArtifacts({
+	dir: appConfig.artifacts_dir,
+	runId: log.runId,
+	everyStep: appConfig.artifacts_every_step,
+	log,
 });
 
-// Add these helper functions after the log function
-const waitForElement = async (page, selector, options = {}) => {
-	const defaultOptions = {
-		visible: true,
-		timeout: 5000,
-		polling: 100
-	};
-	const mergedOptions = { ...defaultOptions, ...options };
-	
-	try {
-		await page.waitForSelector(selector, mergedOptions);
-		return true;
-	} catch (error) {
-		log(`Timeout waiting for element: ${selector}`);
-		return false;
-	}
-};
-
-const waitForModalUpdate = async (page, expectedState = {}) => {
-	const maxAttempts = 20;
-	const interval = 500;
-	
-	for (let i = 0; i < maxAttempts; i++) {
-		const modalState = await page.evaluate(() => {
-			const modalContent = document.querySelector('.Modal-content');
-			const nextButton = document.querySelector('button.Button.Button--success.ng-animate-disabled');
-			return {
-				hasModal: !!modalContent || !!nextButton,
-				modalText: modalContent?.textContent || '',
-				isAlreadyBooked: modalContent?.textContent?.includes('This court already has a booking or event at this time') || false,
-				hasNextButton: !!nextButton
-			};
-		});
-		
-		if (expectedState.hasModal !== undefined && modalState.hasModal === expectedState.hasModal) {
-			return modalState;
-		}
-		
-		if (expectedState.isAlreadyBooked !== undefined && modalState.isAlreadyBooked === expectedState.isAlreadyBooked) {
-			return modalState;
-		}
-		
-		if (expectedState.hasModal === true && modalState.hasNextButton) {
-			return modalState;
-		}
-		
-		await new Promise(resolve => setTimeout(resolve, interval));
-	}
-	
-	const finalState = await page.evaluate(() => {
-		const modalContent = document.querySelector('.Modal-content');
-		const nextButton = document.querySelector('button.Button.Button--success.ng-animate-disabled');
-		return {
-			hasModal: !!modalContent || !!nextButton,
-			modalText: modalContent?.textContent || '',
-			isAlreadyBooked: modalContent?.textContent?.includes('This court already has a booking or event at this time') || false,
-			hasNextButton: !!nextButton
-		};
-	});
-	
-	return finalState;
-};
+const history = createHistory({
+	file: appConfig.history_file,
+	source: "index",
+	club: appConfig.club,
+	facility: appConfig.facility,
+	log,
+});
 
-async function handleLoginIfNeeded(page) {
-	if (!appConfig.profile_id) {
-		// Navigate to the website
-		log("Navigating to Harborough CSC...");
-		await page.goto("https://harboroughcsc.helloclub.com");
-	
-		// Wait for the first form and email input to be present
-		await page.waitForSelector('form');
-		const emailInput = await page.evaluate(() => {
-			const form = document.querySelector('form');
-			const emailInput = form.querySelector('input[type="email"]');
-			return emailInput ? true : false;
-		});
+// The run's browser session, kept after it closes to look up its recording
+let openedSession = null;
 
-		if (emailInput) {
-			await page.type('form input[type="email"]', process.env.HELLO_CLUB_EMAIL, {delay: 15});
-			await page.type('form input[type="password"]', process.env.HELLO_CLUB_PASSWORD, {delay: 15});
-			
-			await page.waitForSelector('button.firstActionButton');
-			await page.click('button.firstActionButton');
-		} else {
-			throw new Error("Could not find email input field in the form");
-		}
-		// Wait for login to complete
-		await page.waitForNavigation();
-	}
-}
+const browserProvider = createBrowserProvider({
+	type: appConfig.browser_provider,
+	apiKey: process.env.HYPERBROWSER_API_KEY,
+	log,
+});
 
 const main = async () => {
 	log("Starting session");
 	let session;
-	let browser;
 	let clickResult;
 	let formattedDate;
+	let passedOver = [];  // Preferred times not booked, with why
 	
 	try {
-		// Create session with profile if available
-		const sessionConfig = appConfig.profile_id ? {
-			profile: {
-				id: appConfig.profile_id,
-				persistChanges: true // Set to true to update the profile with any changes
-			}
-		} : {};
+		// Book 14 days ahead of the release, or of now when booking straight
+		// away, counting in club days
+		const releaseAt = appConfig.release_at ? parseReleaseAt(appConfig.release_at) : null;
+		formattedDate = bookingDateFor(releaseAt || new Date());
+
+		const preferences = loadPreferences({ file: appConfig.preferences_file });
+		const plan = planForDate(preferences, formattedDate, {
+			facility: appConfig.facility.slug,
+			preferredCourt: appConfig.preferred_court,
+		});
 
-		session = await client.sessions.create(sessionConfig);
-		log(`Session created: ${session.id}`);
-		log(`Live URL: ${session.liveUrl}`);
-		if (appConfig.profile_id) {
-			log(`Using profile: ${appConfig.profile_id}`);
+		if (plan.skipped) {
+			log(`Skipping ${formattedDate}: ${plan.skipReason}`);
+			return { success: false, skipped: true, error: plan.skipReason, date: formattedDate, logs: log.lines };
 		}
 
-		browser = await connect({ browserWSEndpoint: session.wsEndpoint });
-		const [page] = await browser.pages();
+		log(`Booking for ${formattedDate} (${plan.dayName}) using the ${plan.ruleName} rule: ${plan.candidates.map(candidate => candidate.time).join(', ')}`);
+		plan.excluded.forEach(({ time, reason }) => log(`Not trying ${time}: ${reason}`));
+		passedOver = [...plan.excluded];
 
-		// Calculate date 14 days from now
-		const today = new Date();
-		const futureDate = new Date(today);
-		futureDate.setDate(today.getDate() + 14);
-		formattedDate = futureDate.toISOString().split('T')[0];
+		const blockSize = appConfig.block_size || plan.blockSize;
+		if (blockSize > 1) {
+			log(`Booking a block of ${blockSize} consecutive slots on one ${appConfig.facility.areaLabel}`);
+		}
 
-		// Determine if the date is a weekend (0 = Sunday, 6 = Saturday)
-		const isWeekend = futureDate.getDay() === 0 || futureDate.getDay() === 6;
+		// Open a browser session, log in and load the grid for the booking date
+		const openGrid = async () => {
+			// Reuse the profile if available
+			session = await browserProvider.openSession({ profileId: appConfig.profile_id });
+			openedSession = session;
+			if (session.liveUrl) {
+				log(`Live URL: ${session.liveUrl}`);
+			}
+			if (appConfig.profile_id) {
+				log(`Using profile: ${appConfig.profile_id}`);
+			}
 
-		// Define time preferences based on day type
-		const weekdayTimes = ['12:00', '13:00', '14:00', '11:00', '15:00', '16:00', '19:00', '17:00', '20:00'];
-		const weekendTimes = ['16:00', '17:00', '15:00', '14:00', '18:00', '19:00', '20:00'];
-		const priorityTimes = isWeekend ? weekendTimes : weekdayTimes;
+			const { page } = session;
 
-		log(`Booking for ${formattedDate} (${isWeekend ? 'weekend' : 'weekday'})`);
+			await loginIfNeeded(page, {
+				baseUrl: appConfig.base_url,
+				club,
+				credentials: getCredentials(club),
+				useProfile: !!appConfig.profile_id,
+				log,
+			});
 
-		await handleLoginIfNeeded(page);
+			// Navigate to the facility's bookings
+			await page.goto(bookingsUrl(appConfig.base_url, appConfig.facility, formattedDate));
+			return page;
+		};
 
-		// Navigate to Padel bookings
-		//await page.goto(`https://harboroughcsc.helloclub.com/bookings/padel/${formattedDate}`);
-		await page.goto(`https://harboroughcsc.helloclub.com/bookings/cricket-nets/${formattedDate}`);
+		let page;
+		if (releaseAt) {
+			// Get everything ready, then reload the grid the moment the slots open
+			page = await runAtRelease({
+				releaseAt,
+				clockUrl: appConfig.base_url,
+				log,
+				prepare: openGrid,
+				fire: async (page) => {
+					await page.reload({ waitUntil: 'domcontentloaded' });
+					return page;
+				},
+			});
+		} else {
+			page = await openGrid();
+		}
 
-		
 		// Wait for slots to appear
 		log("Waiting for slots to appear...");
 		await page.waitForSelector('.BookingGrid-cell.Slot', { visible: true, timeout: 30000 });
-		await new Promise(resolve => setTimeout(resolve, 3000));
+		await new Promise(resolve => setTimeout(resolve, releaseAt ? 500 : 3000));
+		await artifacts.step(page, 'grid');
+		await history.recordPage(page, formattedDate);
+
+		// With nothing preferred free, join the waiting lists of the best taken slots
+		const joinWaitingListsInstead = async (reason) => {
+			log(`${reason}; joining up to ${appConfig.waiting_list} waiting list(s) instead`);
+			const waitingLists = await joinBestWaitingLists(page, plan, { count: appConfig.waiting_list, dryRun: appConfig.debug_mode, log });
+			await session.close();
+			session = null;
+			return {
+				success: false,
+				error: reason,
+				waitingLists,
+				passedOver,
+				club: appConfig.club,
+				facility: appConfig.facility.slug,
+				date: formattedDate,
+				logs: log.lines
+			};
+		};
 
 		// Log detailed information about available slots
-		const availableSlotsInfo = await page.evaluate(() => {
-			const availableSlots = document.querySelectorAll('.BookingGrid-cell.Slot.available');
-			return Array.from(availableSlots).map(slot => ({
-				time: slot.querySelector('.Slot-text')?.textContent?.trim(),
-				className: slot.className,
-				isAvailable: slot.classList.contains('available')
-			}));
-		});
+		const availableSlotsInfo = await getAvailableSlots(page);
 		log(`Available slots (${availableSlotsInfo.length}):`);
 		availableSlotsInfo.forEach(slot => {
-			log(`- Time: ${slot.time}, Available: ${slot.isAvailable}, Classes: ${slot.className}`);
+			log.debug(`- Time: ${slot.time}, Area: ${slot.area}${slot.isPeak ? ' (peak)' : ''}`);
 		});
 
 		// Early exit if no available slots
 		if (availableSlotsInfo.length === 0) {
 			log("No available slots found for this day");
+			if (appConfig.waiting_list > 0) {
+				return await joinWaitingListsInstead("No available slots found for this day");
+			}
 			throw new Error("No available slots found for this day");
 		}
 
-		// Try to find and click slot based on priority
-		clickResult = await page.evaluate(async (config) => {
-			const { priorityTimes, preferred_court } = config;
-			// Helper function to get court number and name
-			const getCourtInfo = (slot) => {
-				const columnIndex = Array.from(slot.parentElement.children).indexOf(slot);
-				const courtHeader = document.querySelectorAll('.BookingGridArea-name')[columnIndex];
-				const courtName = courtHeader ? courtHeader.textContent.trim() : 'Unknown';
-				const courtNumber = courtName.includes('Court 1') ? "1" : "2";
-				return {
-					name: courtName,
-					number: courtNumber,
-					isPreferred: courtNumber === preferred_court
-				};
-			};
+		if (blockSize > 1) {
+			const block = await bookBlock(page, plan, {
+				size: blockSize,
+				facility: appConfig.facility,
+				log,
+				skipConfirm: appConfig.debug_mode
+			});
+			if (!block.success) {
+				await artifacts.capture(page, 'block failed');
+				await session.close();
+				session = null;
+				log(`Block booking failed: ${block.error}`);
+				return { success: false, error: block.error, stranded: block.stranded || [], date: formattedDate, logs: log.lines };
+			}
+
+			if (appConfig.debug_mode) {
+				await artifacts.step(page, 'confirm step');
+				await session.close();
+				session = null;
+				log("Debug mode: stopped before confirming the block, nothing was booked");
+				return { success: true, debug: true, slots: block.slots.map(({ time, area, modalText }) => ({ time, area, modalText })), reason: block.reason, date: formattedDate, logs: log.lines };
+			}
 
-			for (const targetTime of priorityTimes) {
-				// Get all available slots for this time
-				const availableSlots = Array.from(document.querySelectorAll('.BookingGrid-cell.Slot'))
-					.filter(slot => {
-						const timeText = slot.querySelector('.Slot-text')?.textContent?.trim();
-						const isAvailable = slot.classList.contains('available');
-						return timeText?.includes(targetTime) && isAvailable;
-					});
-
-				// If we have multiple slots for the same time, prefer configured court
-				if (availableSlots.length > 0) {
-					// Sort slots by court preference
-					const sortedSlots = availableSlots.sort((a, b) => {
-						const courtA = getCourtInfo(a);
-						const courtB = getCourtInfo(b);
-						return courtB.isPreferred - courtA.isPreferred; // Preferred court first
-					});
-
-					const slot = sortedSlots[0];  // Take the preferred court
-					const courtInfo = getCourtInfo(slot);
-					console.log(`Found ${targetTime} slot on ${courtInfo.name} (${courtInfo.isPreferred ? 'preferred' : 'alternative'} court):`, slot.className);
-					
-					slot.click();
-					console.log('First click done, checking for modal...');
-					
-					// Wait to see if modal appears
-					await new Promise(resolve => setTimeout(resolve, 2500));
-					
-					// Check if modal appeared
-					const modalVisible = !!document.querySelector('button.Button.Button--success.ng-animate-disabled');
-					
-					if (!modalVisible) {
-						console.log('Modal not visible after first click, clicking again');
-						slot.click();
-					}
-					
-					return {
-						success: true,
-						timeBooked: targetTime,
-						courtBooked: courtInfo.name,
-						wasPreferredCourt: courtInfo.isPreferred,
-						requiredSecondClick: !modalVisible,
-						className: slot.className
-					};
-				}
+			const verification = await verifyBookings(page, { baseUrl: appConfig.base_url, facility: appConfig.facility, date: formattedDate, slots: block.slots, log });
+			await (verification.verified ? artifacts.step(page, 'booked') : artifacts.capture(page, 'unverified'));
+			await session.close();
+			session = null;
+
+			if (!verification.verified) {
+				return { success: false, unverified: true, error: verification.error, evidence: verification.evidence, slots: block.slots.map(({ time, area }) => ({ time, area })), date: formattedDate, logs: log.lines };
 			}
-			
-			return { success: false, timeBooked: null, courtBooked: null, wasPreferredCourt: false };
-		}, { priorityTimes, preferred_court: appConfig.preferred_court });
+
+			log("Block booking completed successfully");
+			recordBookings(block.slots.map(({ time, area }) => ({ date: formattedDate, time, area, members: plan.partners, mode: plan.mode })), {
+				facility: appConfig.facility,
+				file: appConfig.calendar_file,
+				clubName: club.name,
+				log,
+			});
+			return {
+				success: true,
+				timeBooked: block.slots[0].time,
+				courtBooked: block.slots[0].area,
+				slots: block.slots.map(({ time, area }) => ({ time, area })),
+				reason: block.reason,
+				club: appConfig.club,
+				facility: appConfig.facility.slug,
+				date: formattedDate,
+				logs: log.lines
+			};
+		}
+
+		// Try to find and click slot based on priority
+		clickResult = await selectSlotByPlan(page, plan);
+		clickResult.passed?.forEach(({ time, reason }) => log(`Passed over ${time}: ${reason}`));
+		passedOver.push(...(clickResult.passed || []));
 
 		// Log outside of page.evaluate
 		if (clickResult.success) {
@@ -270,8 +266,12 @@ const main = async () => {
 			if (clickResult.requiredSecondClick) {
 				log('Required second click due to no modal visible after first click');
 			}
+			log(`Why this slot: ${clickResult.reason}`);
 		} else {
 			log('No available slots found at preferred times');
+			if (appConfig.waiting_list > 0) {
+				return await joinWaitingListsInstead('No available slots found at preferred times');
+			}
 			throw new Error('No available slots found at preferred times');
 		}
 
@@ -280,178 +280,146 @@ const main = async () => {
 
 		// Wait for the modal with more logging
 		log("Waiting for Next button in modal...");
-		await page.waitForSelector('button.Button.Button--success.ng-animate-disabled', { 
+		await page.waitForSelector(BUTTON_SELECTOR, { 
 			visible: true, 
 			timeout: 10000 
 		});
+		await artifacts.step(page, 'booking modal');
 
-		// Replace the button clicking loop
-		let isSlotAlreadyBooked = false;
 		let bookingAttempts = 0;
 		const MAX_BOOKING_ATTEMPTS = 3;
+		let booking;
 
 		while (bookingAttempts < MAX_BOOKING_ATTEMPTS) {
 			bookingAttempts++;
 			log(`Booking attempt ${bookingAttempts} of ${MAX_BOOKING_ATTEMPTS}`);
 
-			// ... existing slot finding and clicking code ...
-
-			// Replace the button clicking loop
-			for (const buttonText of ['Next', 'Next', 'Confirm booking']) {
-				const buttonSelector = 'button.Button.Button--success.ng-animate-disabled';
-				
-				const buttonAvailable = await waitForElement(page, buttonSelector);
-				if (!buttonAvailable) {
-					throw new Error(`${buttonText} button not found after waiting`);
-				}
-
-				const buttonClick = await page.evaluate((text, selector) => {
-					const button = document.querySelector(selector);
-					if (button && button.textContent.trim().includes(text)) {
-						console.log(`Found ${text} button:`, button.className);
-						button.click();
-						return {
-							success: true,
-							className: button.className
-						};
-					}
-					return {
-						success: false,
-						error: `${text} button not found or not clickable`,
-						buttonFound: !!button
-					};
-				}, buttonText, buttonSelector);
-
-				if (buttonClick.success) {
-					log(`Clicked ${buttonText} button: ${buttonClick.className}`);
-				} else {
-					log(`Failed to click ${buttonText} button: ${buttonClick.error}`);
-					throw new Error(`Failed to click ${buttonText} button: ${buttonClick.error}`);
-				}
-
-				if (buttonText === 'Next') {
-					try {
-						// Wait for modal update with smart polling
-						const modalState = await waitForModalUpdate(page, { hasModal: true });
-						log(`Modal state after ${buttonText}: ${JSON.stringify(modalState)}`);
-
-						if (modalState.isAlreadyBooked) {
-							log('Detected slot is already booked, will try to cancel and retry with another slot');
-							isSlotAlreadyBooked = true;
-							
-							// Click the Cancel button with verification
-							const cancelClicked = await page.evaluate(() => {
-								const cancelButton = Array.from(document.querySelectorAll('button')).find(
-									button => button.textContent.trim().toLowerCase() === 'cancel'
-								);
-								if (cancelButton) {
-									cancelButton.click();
-									return true;
-								}
-								return false;
-							});
-							
-							if (cancelClicked) {
-								// Wait for modal to disappear
-								await waitForModalUpdate(page, { hasModal: false });
-							}
-							break;
-						}
-
-						// If we have a next button, consider this step successful regardless of modal state
-						if (modalState.hasNextButton) {
-							log('Next button found, continuing with booking flow');
-							continue;
-						}
-					} catch (modalError) {
-						// If we encounter a modal error but can still see the next button, continue
-						const nextButtonVisible = await page.evaluate(() => {
-							return !!document.querySelector('button.Button.Button--success.ng-animate-disabled');
-						});
-						
-						if (nextButtonVisible) {
-							log('Modal state uncertain but Next button visible, continuing with booking flow');
-							continue;
-						}
-						throw modalError;
-					}
-				}
-
-				if (buttonText === 'Confirm booking') {
-					if (appConfig.debug_mode) {
-						log("🔍 DEBUG MODE: Skipping final confirmation click - booking would have been confirmed");
-						break;
-					}
-					try {
-						await waitForModalUpdate(page, { hasModal: true });
-					} catch (modalError) {
-						// Check if the booking appears successful despite modal state error
-						const bookingSuccessful = await page.evaluate(() => {
-							const modalContent = document.querySelector('.Modal-content');
-							return modalContent?.textContent?.includes('successful') || 
-								   modalContent?.textContent?.includes('confirmed') ||
-								   modalContent?.textContent?.includes('booked');
-						});
-						
-						if (bookingSuccessful) {
-							log('Booking appears successful despite modal state uncertainty');
-						} else {
-							throw modalError;
-						}
-					}
-					break;
-				}
-			}
+			booking = await completeBookingModal(page, {
+				log,
+				skipConfirm: appConfig.debug_mode,
+				mode: plan.mode,
+				partners: plan.partners
+			});
 
 			// If the slot was already booked, continue to the next attempt
-			if (isSlotAlreadyBooked) {
+			if (booking.isSlotAlreadyBooked) {
 				log(`Booking attempt ${bookingAttempts} failed due to slot being already booked, trying next available slot...`);
 				continue;
 			}
 
-			// If we reach here, booking was successful
+			// If we reach here, the modal went through
 			break;
 		}
 
-		// Immediate cleanup after confirmation
-		log("Booking confirmed, cleaning up...");
-		await browser.close();
-		browser = null;
-		await client.sessions.stop(session.id);
+		if (booking.isSlotAlreadyBooked) {
+			throw new Error(`Failed to book after ${MAX_BOOKING_ATTEMPTS} attempts - the slot was already booked`);
+		}
+
+		if (appConfig.debug_mode) {
+			await artifacts.step(page, 'confirm step');
+			await session.close();
+			session = null;
+			log("Debug mode: stopped before confirming, nothing was booked");
+			return {
+				success: true,
+				debug: true,
+				message: "Debug mode - booking not confirmed",
+				timeBooked: clickResult.timeBooked,
+				courtBooked: clickResult.courtBooked,
+				reason: clickResult.reason,
+				modalText: booking.modalText,
+				mode: booking.mode,
+				partners: booking.partners,
+				passedOver,
+				date: formattedDate,
+				logs: log.lines
+			};
+		}
+
+		// Only a booking that shows up on the reloaded grid counts
+		log("Booking confirmed, checking the grid...");
+		const verification = await verifyBookings(page, {
+			baseUrl: appConfig.base_url,
+			facility: appConfig.facility,
+			date: formattedDate,
+			slots: [{ time: clickResult.timeBooked, area: clickResult.courtBooked }],
+			log,
+		});
+		await (verification.verified ? artifacts.step(page, 'booked') : artifacts.capture(page, 'unverified'));
+		await session.close();
 		session = null;
 
+		if (!verification.verified) {
+			return {
+				success: false,
+				unverified: true,
+				error: verification.error,
+				evidence: verification.evidence,
+				timeBooked: clickResult.timeBooked,
+				courtBooked: clickResult.courtBooked,
+				passedOver,
+				date: formattedDate,
+				logs: log.lines
+			};
+		}
+
 		log("Booking completed successfully");
+		recordBookings([{ date: formattedDate, time: clickResult.timeBooked, area: clickResult.courtBooked, members: booking.partners, mode: booking.mode }], {
+			facility: appConfig.facility,
+			file: appConfig.calendar_file,
+			clubName: club.name,
+			log,
+		});
 		return {
 			success: true,
 			timeBooked: clickResult.timeBooked,
+			courtBooked: clickResult.courtBooked,
+			reason: clickResult.reason,
+			mode: booking.mode,
+			partners: booking.partners,
+			missingPartners: booking.missingPartners,
+			passedOver,
+			club: appConfig.club,
+			facility: appConfig.facility.slug,
 			date: formattedDate,
-			logs: logs
+			logs: log.lines
 		};
 
 	} catch (error) {
-		log(`Encountered an error: ${error}`);
+		log.error(`Encountered an error: ${error}`);
 		
-		// Explicit cleanup on error
-		if (browser) {
-			await browser.close();
-		}
+		// Explicit cleanup on error, keeping what the modal said last
+		let modalText = null;
 		if (session) {
-			await client.sessions.stop(session.id);
+			await artifacts.capture(session.page, 'error');
+			modalText = await readModalText(session.page);
+			await session.close();
 		}
 
 		return {
 			success: false,
 			error: error.message,
 			timeBooked: clickResult?.timeBooked || null,
+			modalText,
+			passedOver,
 			date: formattedDate,
-			logs: logs
+			logs: log.lines
 		};
 	}
 };
 
 // Run the main function
 main()
-	.then((result) => {
+	.then(async (result) => {
+		result.artifacts = artifacts.saved;
+		result.recording = await sessionRecording(openedSession, log);
+		history.recordRun(result);
+		result.notifications = await notify(result, {
+			config: appConfig.notifications,
+			club: club.name,
+			facility: appConfig.facility.name,
+			log,
+		});
 		console.log("Final result:", result);
 		process.exit(0);
 	})
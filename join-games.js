@@ -0,0 +1,236 @@
+import { createBrowserProvider } from "./lib/browser-provider.js";
+import { getClub, getCredentials } from "./lib/clubs.js";
+import { datesAhead } from "./lib/dates.js";
+import { bookingsUrl, getFacility } from "./lib/facilities.js";
+import { createLogger } from "./lib/logger.js";
+import { loginIfNeeded } from "./lib/login.js";
+import { readBookingGrid } from "./lib/grid.js";
+import { findOpenGames, joinGame, rankOpenGames } from "./lib/open-games.js";
+import { loadPreferences, planForDate } from "./lib/preferences.js";
+import { accountNameOn } from "./lib/verification.js";
+
+// Strips the grid slot from a game for the report
+const describeGame = ({ slot, ...game }) => game;
+
+const main = async (props) => {
+	const log = createLogger({ script: "join-games", account: (props.user_suffix || "").replace(/^_/, '') || null });
+	log("Starting open game search");
+	let session;
+
+	const suffix = props.user_suffix || "";
+	const club = getClub(props.club);
+	const baseUrl = club.baseUrl;
+	const facility = getFacility(props.facility, club);
+
+	// Configuration object using passed props
+	const appConfig = {
+		debug_mode: props.debug_mode ?? false,
+		days: Number(props.days) || 14,  // How far ahead to look
+		max_games: Number(props.max_games) || 1,  // Games to join in one run, at most one a day
+		friends: props.friends?.length ? props.friends : null,  // null uses the preferences
+		preferred_court: props.preferred_court ?? "1",
+		preferences: props.preferences || "",
+		profile_id: props.profile_id || null,
+		browser_provider: props.browser_provider || process.env.BROWSER_PROVIDER || "hyperbrowser",
+		account: suffix.replace(/^_/, '') || null
+	};
+
+	log(`Club: ${club.name} (${baseUrl})`);
+	log(`Facility: ${facility.slug}`);
+
+	try {
+		if (!facility.maxPlayers) {
+			throw new Error(`${facility.name} games cannot be joined: set maxPlayers for ${facility.slug} in the club configuration`);
+		}
+
+		const preferences = loadPreferences({ json: appConfig.preferences, file: process.env.PREFERENCES_FILE });
+		const planOptions = { facility: facility.slug, account: appConfig.account, preferredCourt: appConfig.preferred_court };
+		const dates = datesAhead(appConfig.days, { start: 1 });
+
+		const friends = appConfig.friends || planForDate(preferences, dates[0], planOptions).friends;
+		if (friends.length === 0) {
+			throw new Error('No friends to look for: set the friends prop or "friends" in the preferences');
+		}
+		log(`Looking for open games with ${friends.join(', ')} over the next ${appConfig.days} days`);
+
+		const browserProvider = createBrowserProvider({
+			type: appConfig.browser_provider,
+			apiKey: process.env[`HYPERBROWSER_API_KEY${suffix}`],
+			log,
+		});
+		session = await browserProvider.openSession({ profileId: appConfig.profile_id });
+		if (session.liveUrl) {
+			log(`Live URL: ${session.liveUrl}`);
+		}
+		const { page } = session;
+		await loginIfNeeded(page, {
+			baseUrl,
+			club,
+			credentials: getCredentials(club, suffix),
+			useProfile: !!appConfig.profile_id,
+			log,
+		});
+
+		// Scan every date first so the best games win, not the soonest
+		const games = [];
+		let accountName = null;
+		for (const date of dates) {
+			const plan = planForDate(preferences, date, planOptions);
+			if (plan.skipped) {
+				log(`Skipping ${date}: ${plan.skipReason}`);
+				continue;
+			}
+			await page.goto(bookingsUrl(baseUrl, facility, date));
+			await page.waitForSelector('.BookingGrid-cell.Slot', { visible: true, timeout: 30000 });
+			accountName = accountName || await accountNameOn(page);
+			const found = findOpenGames(await readBookingGrid(page), plan, { friends, maxPlayers: facility.maxPlayers, accountName });
+			log(`${date}: ${found.length} open game(s) with friends`);
+			games.push(...found);
+		}
+
+		const ranked = rankOpenGames(games);
+		ranked.forEach(game => log(`- ${game.date} ${game.time} on ${game.area}: ${game.reason}`));
+
+		if (appConfig.debug_mode) {
+			log("Debug mode: not joining any games");
+			return { success: true, debug: true, games: ranked.map(describeGame), joined: [], logs: log.lines };
+		}
+
+		const joined = [];
+		for (const game of ranked) {
+			if (joined.length >= appConfig.max_games) break;
+			if (joined.some(other => other.date === game.date)) continue;
+
+			await page.goto(bookingsUrl(baseUrl, facility, game.date));
+			await page.waitForSelector('.BookingGrid-cell.Slot', { visible: true, timeout: 30000 });
+
+			// The grid may have changed since the scan, so find the game again
+			const plan = planForDate(preferences, game.date, planOptions);
+			const current = findOpenGames(await readBookingGrid(page), plan, { friends, maxPlayers: facility.maxPlayers, accountName })
+				.find(other => other.time === game.time && other.area === game.area);
+			if (!current) {
+				log(`${game.date} ${game.time} on ${game.area} is no longer open`);
+				continue;
+			}
+
+			const result = await joinGame(page, current, { baseUrl, facility, accountName, log });
+			if (result.success) {
+				log(`Joined ${current.friends.join(', ')} on ${game.date} at ${game.time} on ${game.area}`);
+				joined.push(describeGame(current));
+			} else {
+				log(`Could not join ${game.date} ${game.time} on ${game.area}: ${result.error}`);
+			}
+		}
+
+		return {
+			success: joined.length > 0,
+			error: joined.length > 0 ? undefined : (ranked.length > 0 ? 'Could not join any of the open games' : 'No open games with friends found'),
+			club: club.id,
+			facility: facility.slug,
+			games: ranked.map(describeGame),
+			joined,
+			logs: log.lines
+		};
+
+	} catch (error) {
+		log.error(`Encountered an error: ${error}`);
+		return {
+			success: false,
+			error: error.message,
+			games: [],
+			joined: [],
+			logs: log.lines
+		};
+	} finally {
+		await session?.close();
+	}
+};
+
+// Export the main function for Pipedream
+export default {
+	name: "Join Friends' Open Games",
+	description: "Looks for friends' open games with places left over the coming days and joins the best ones",
+	version: "0.1.0",
+	props: {
+		debug_mode: {
+			type: "boolean",
+			label: "Debug Mode",
+			description: "If enabled, lists the open games found without joining any",
+			default: false,
+		},
+		friends: {
+			type: "string[]",
+			label: "Friends",
+			description: "Names of the members whose games to join, as shown on the booking grid. Leave empty to use \"friends\" from the preferences.",
+			optional: true,
+			default: [],
+		},
+		days: {
+			type: "integer",
+			label: "Days Ahead",
+			description: "How many days ahead to look for open games",
+			default: 14,
+		},
+		max_games: {
+			type: "integer",
+			label: "Games to Join",
+			description: "The most games to join in one run, at most one a day",
+			default: 1,
+		},
+		club: {
+			type: "string",
+			label: "Club",
+			description: "Club to book at, from the CLUBS_CONFIG environment variable. Leave empty for the default club.",
+			optional: true,
+			default: "",
+		},
+		facility: {
+			type: "string",
+			label: "Facility",
+			description: "HelloClub booking area to look in, as it appears in the bookings URL (e.g. padel)",
+			default: "padel",
+		},
+		preferred_court: {
+			type: "string",
+			label: "Preferred Court",
+			description: "Court to favour when two games are otherwise equal, as a number or the full area name",
+			default: "2",
+		},
+		preferences: {
+			type: "string",
+			label: "Booking Preferences (JSON)",
+			description: "Times, court rankings, skip dates and friends; see preferences.example.json. Games are only joined at the times the preferences list.",
+			optional: true,
+			default: "",
+		},
+		profile_id: {
+			type: "string",
+			label: "Browser Profile ID",
+			description: "Browser profile ID for session persistence. Leave empty to start fresh session.",
+			optional: true,
+			default: "",
+		},
+		user_suffix: {
+			type: "string",
+			label: "User Suffix",
+			description: "Suffix for user credentials (e.g., _JOANNA or leave blank for default)",
+			optional: true,
+			default: "",
+		},
+	},
+	async run({ steps, $ }) {
+		// Pass the props to main function
+		return await main({
+			debug_mode: this.debug_mode,
+			friends: this.friends,
+			days: this.days,
+			max_games: this.max_games,
+			club: this.club,
+			facility: this.facility,
+			preferred_court: this.preferred_court,
+			preferences: this.preferences,
+			profile_id: this.profile_id,
+			user_suffix: this.user_suffix,
+		});
+	},
+};
@@ -0,0 +1,203 @@
+// Demand analytics over the history file (see history.js), to show which
+// times in the preferences are worth fighting for and which can wait.
+//
+// A date's slots are released daysAhead days before it at releaseTime club
+// time. A time has sold out once a grid read after the release shows no court
+// free at it; how long that took is measured from the release to the first
+// such grid, so it is only as exact as the grids were frequent. A time first
+// seen long after its release (more than firstLookMinutes) and already full
+// says nothing about how fast it went and is left out. A cancellation is a
+// court seen booked and then free on a later grid.
+//
+// Times are grouped by facility and by the preferences rule that covers the
+// date (weekday, weekend, a day name...), so each group lines up with one
+// list of times to tune.
+import { CLUB_TIME_ZONE, addDays, isWeekend, zonedTimeToInstant } from "./dates.js";
+import { planForDate } from "./preferences.js";
+
+const groupBy = (items, keyOf) => {
+	const groups = new Map();
+	for (const item of items) {
+		const key = keyOf(item);
+		if (!groups.has(key)) groups.set(key, []);
+		groups.get(key).push(item);
+	}
+	return groups;
+};
+
+export const median = (values) => {
+	if (values.length === 0) return null;
+	const sorted = [...values].sort((a, b) => a - b);
+	const middle = Math.floor(sorted.length / 2);
+	return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// The instant a date's slots open
+export const releaseInstant = (date, { releaseTime = '00:00', daysAhead = 14, timeZone = CLUB_TIME_ZONE } = {}) =>
+	zonedTimeToInstant(addDays(date, -daysAhead), releaseTime, timeZone);
+
+// The preferences rule that lists the times for date, and those times in order
+const ruleFor = (preferences, date, facility) => {
+	const plan = planForDate(preferences, date, { facility });
+	return {
+		rule: plan.ruleName || (isWeekend(date) ? 'weekend' : 'weekday'),
+		times: plan.candidates.map(candidate => candidate.time),
+	};
+};
+
+// One entry per facility, date and time: the grids that showed it, oldest
+// first, as { at, free, booked, courts: { <area>: status } }
+const observations = (records, facility) => {
+	const grids = records
+		.filter(record => record.type === 'grid' && record.date && Array.isArray(record.slots))
+		.filter(record => !facility || record.facility === facility)
+		.sort((a, b) => a.at.localeCompare(b.at));
+	const seen = new Map();
+	for (const grid of grids) {
+		for (const [time, slots] of groupBy(grid.slots, slot => slot.time)) {
+			const key = `${grid.facility}|${grid.date}|${time}`;
+			if (!seen.has(key)) seen.set(key, { facility: grid.facility, date: grid.date, time, grids: [] });
+			seen.get(key).grids.push({
+				at: new Date(grid.at),
+				free: slots.filter(slot => slot.status === 'free').length,
+				booked: slots.filter(slot => slot.status === 'booked').length,
+				courts: Object.fromEntries(slots.map(slot => [slot.area, slot.status])),
+			});
+		}
+	}
+	return [...seen.values()];
+};
+
+// Minutes from the release until nothing was free, or null when it never
+// sold out or was not seen early enough to tell
+export const sellOutMinutes = (grids, release, { firstLookMinutes = 60 } = {}) => {
+	const after = grids.filter(grid => grid.at >= release);
+	const soldOut = after.findIndex(grid => grid.free === 0 && grid.booked > 0);
+	if (soldOut === -1) return null;
+	const minutes = (after[soldOut].at - release) / 60000;
+	if (soldOut === 0 && minutes > firstLookMinutes) return null;
+	return minutes;
+};
+
+// Courts seen booked and then free on the next grid that showed them
+export const countCancellations = (grids) => {
+	let count = 0;
+	const last = {};
+	for (const grid of grids) {
+		for (const [area, status] of Object.entries(grid.courts)) {
+			if (last[area] === 'booked' && status === 'free') count++;
+			last[area] = status;
+		}
+	}
+	return count;
+};
+
+// Per facility and rule, a row per time seen:
+//   { time, rank, dates, soldOut, medianMinutes, cancellations }
+// rank is the time's place in the rule's list (null when not in it). Rows are
+// in demand order: fastest to sell out first, then the rest by cancellations
+// and time.
+export const timeDemand = (records, { preferences, facility = null, releaseTime, daysAhead, timeZone, firstLookMinutes } = {}) => {
+	const groups = new Map();
+	for (const entry of observations(records, facility)) {
+		const { rule, times } = ruleFor(preferences, entry.date, entry.facility);
+		const key = `${entry.facility}|${rule}`;
+		if (!groups.has(key)) groups.set(key, { facility: entry.facility, rule, times, rows: new Map() });
+		const group = groups.get(key);
+		if (!group.rows.has(entry.time)) {
+			group.rows.set(entry.time, { time: entry.time, dates: 0, soldOut: 0, minutes: [], cancellations: 0 });
+		}
+		const row = group.rows.get(entry.time);
+		const release = releaseInstant(entry.date, { releaseTime, daysAhead, timeZone });
+		const minutes = sellOutMinutes(entry.grids, release, { firstLookMinutes });
+		row.dates++;
+		row.cancellations += countCancellations(entry.grids);
+		if (minutes !== null) {
+			row.soldOut++;
+			row.minutes.push(minutes);
+		}
+	}
+
+	return [...groups.values()]
+		.sort((a, b) => a.facility.localeCompare(b.facility) || a.rule.localeCompare(b.rule))
+		.map(({ facility, rule, times, rows }) => ({
+			facility,
+			rule,
+			times,
+			rows: [...rows.values()]
+				.map(({ minutes, ...row }) => ({
+					...row,
+					rank: times.includes(row.time) ? times.indexOf(row.time) + 1 : null,
+					medianMinutes: median(minutes),
+				}))
+				.sort((a, b) => (a.medianMinutes ?? Infinity) - (b.medianMinutes ?? Infinity)
+					|| b.cancellations - a.cancellations
+					|| a.time.localeCompare(b.time)),
+		}));
+};
+
+// Per account (DEFAULT for the one without a suffix), how its runs ended.
+// Skipped and dry runs booked nothing on purpose and are left out.
+export const accountSuccess = (records, { facility = null } = {}) => {
+	const runs = records
+		.filter(record => record.type === 'run' && !['skipped', 'dry-run'].includes(record.event))
+		.filter(record => !facility || record.facility === facility);
+	return [...groupBy(runs, run => run.account || 'DEFAULT')]
+		.map(([account, accountRuns]) => {
+			const booked = accountRuns.filter(run => run.event === 'booked').length;
+			return {
+				account,
+				runs: accountRuns.length,
+				booked,
+				waitingList: accountRuns.filter(run => run.event === 'waiting-list').length,
+				failed: accountRuns.filter(run => run.event === 'failed').length,
+				successRate: booked / accountRuns.length,
+			};
+		})
+		.sort((a, b) => a.account.localeCompare(b.account));
+};
+
+// The whole report, for one facility or all of them
+export const analyseHistory = (records, options = {}) => {
+	const relevant = options.facility ? records.filter(record => record.facility === options.facility) : records;
+	return {
+		grids: relevant.filter(record => record.type === 'grid').length,
+		runs: relevant.filter(record => record.type === 'run').length,
+		demand: timeDemand(relevant, options),
+		accounts: accountSuccess(relevant, options),
+	};
+};
+
+// 7 -> "7m", 95 -> "1h 35m", 3000 -> "2d 2h"
+export const formatMinutes = (minutes) => {
+	if (minutes === null) return '-';
+	const rounded = Math.round(minutes);
+	if (rounded < 60) return `${rounded}m`;
+	if (rounded < 24 * 60) return `${Math.floor(rounded / 60)}h ${rounded % 60}m`;
+	return `${Math.floor(rounded / (24 * 60))}d ${Math.floor(rounded / 60) % 24}h`;
+};
+
+const formatTable = (rows) => {
+	const widths = rows[0].map((_, index) => Math.max(...rows.map(row => String(row[index]).length)));
+	return rows.map(row => row.map((cell, column) => String(cell).padEnd(widths[column])).join('  ').trimEnd());
+};
+
+// The report for the terminal
+export const formatAnalytics = (report) => {
+	const lines = [`${report.grids} grid(s) and ${report.runs} run(s) in the history`];
+	for (const group of report.demand) {
+		lines.push('', `${group.facility}, ${group.rule} rule (tries ${group.times.join(', ') || 'nothing'})`);
+		lines.push(...formatTable([
+			['Time', 'Rank', 'Dates', 'Sold out', 'Median to sell out', 'Cancellations'],
+			...group.rows.map(row => [row.time, row.rank ?? '-', row.dates, row.soldOut, formatMinutes(row.medianMinutes), row.cancellations]),
+		]));
+	}
+	if (report.accounts.length > 0) {
+		lines.push('', 'Booking runs per account');
+		lines.push(...formatTable([
+			['Account', 'Runs', 'Booked', 'Waiting list', 'Failed', 'Success'],
+			...report.accounts.map(row => [row.account, row.runs, row.booked, row.waitingList, row.failed, `${Math.round(row.successRate * 100)}%`]),
+		]));
+	}
+	return lines.join('\n');
+};
@@ -0,0 +1,65 @@
+// Run artifacts: what the page looked like when a run went wrong. Each
+// capture saves a full-page screenshot, the page HTML and the modal text
+// under <dir>/<run ID>/, numbered in the order they were taken, and is listed
+// in the run's result as { label, screenshot, html, modalText } paths.
+//
+// The .html files are the rendered DOM, the same kind of snapshot as the
+// saved pages in test/fixtures, so a capture of a page the flows got wrong
+// can be copied there and served by test/helpers/browser.js as a new fixture.
+//
+// Failures are always captured. With everyStep the scripts also capture the
+// grid, the open modal and the end of the booking on runs that go fine.
+import { mkdirSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { readModalText } from "./booking-flow.js";
+
+const slug = (label) => label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'capture';
+
+export const createArtifacts = ({ dir, runId, everyStep = false, log = console.log }) => {
+	const runDir = join(dir, runId);
+	const saved = [];
+
+	// Saves whatever it can of the page; a closed page saves nothing
+	const capture = async (page, label) => {
+		if (!page) return null;
+		const base = join(runDir, `${String(saved.length + 1).padStart(2, '0')}-${slug(label)}`);
+		const entry = { label, screenshot: null, html: null, modalText: null };
+		try {
+			mkdirSync(runDir, { recursive: true });
+		} catch (error) {
+			log(`Could not create the artifacts directory ${runDir}: ${error.message}`);
+			return null;
+		}
+
+		try {
+			await page.screenshot({ path: `${base}.png`, fullPage: true });
+			entry.screenshot = `${base}.png`;
+		} catch (error) {
+			log(`Could not save a screenshot: ${error.message}`);
+		}
+		try {
+			writeFileSync(`${base}.html`, await page.content());
+			entry.html = `${base}.html`;
+		} catch (error) {
+			log(`Could not save the page HTML: ${error.message}`);
+		}
+		const modalText = await readModalText(page);
+		if (modalText) {
+			writeFileSync(`${base}.txt`, `${modalText}\n`);
+			entry.modalText = `${base}.txt`;
+		}
+
+		if (!entry.screenshot && !entry.html && !entry.modalText) return null;
+		saved.push(entry);
+		log(`Saved ${label} artifacts to ${base}.*`);
+		return entry;
+	};
+
+	return {
+		dir: runDir,
+		saved,
+		capture,
+		// Only captures when every step was asked for
+		step: (page, label) => everyStep ? capture(page, label) : null,
+	};
+};
@@ -0,0 +1,111 @@
+// What is free across the booking window, read from the same grids the
+// booking scripts use without clicking anything. Each cell is
+//
+//   { date, time, area, status, people }
+//
+// with status 'free', 'booked' or 'disabled' (closed, past or otherwise not
+// bookable) and people the number playing in a booked slot. The formatters
+// lay the cells out as a dates × times × courts matrix: a row per date and
+// time and a column per court.
+import { bookingsUrl } from "./facilities.js";
+import { readBookingGrid } from "./grid.js";
+
+export const STATUSES = { available: 'free', booked: 'booked', disabled: 'disabled' };
+
+// The cells of one loaded grid
+export const availabilityCells = (grid, date) => grid.slots
+	.filter(slot => slot.time)
+	.map(slot => ({
+		date,
+		time: slot.time,
+		area: slot.area,
+		status: STATUSES[slot.status],
+		people: slot.status === 'booked' ? slot.peopleCount : 0,
+	}));
+
+// Loads the facility's grid for each date and collects its cells, in date,
+// time and court order. Dates whose grid does not load are logged and left
+// out. onGrid(grid, date) sees each grid read.
+export const readAvailability = async (page, { baseUrl, facility, dates, onGrid = () => {}, log = console.log }) => {
+	const cells = [];
+	for (const date of dates) {
+		try {
+			await page.goto(bookingsUrl(baseUrl, facility, date));
+			await page.waitForSelector('.BookingGrid-cell.Slot', { visible: true, timeout: 30000 });
+		} catch (error) {
+			log(`Could not load the ${facility.slug} grid for ${date}, skipping it: ${error.message}`);
+			continue;
+		}
+		const grid = await readBookingGrid(page);
+		await onGrid(grid, date);
+		const found = availabilityCells(grid, date).sort((a, b) => a.time.localeCompare(b.time));
+		log(`${facility.slug} ${date}: ${found.filter(cell => cell.status === 'free').length} of ${found.length} slot(s) free`);
+		cells.push(...found);
+	}
+	return cells;
+};
+
+// "free", "booked (3)" or "disabled"
+export const cellLabel = (cell) => cell.status === 'booked' && cell.people > 0 ? `booked (${cell.people})` : cell.status;
+
+// The courts in the order the grids list them, and a row per date and time
+// with a label per court ('' where a court has no slot at that time)
+export const availabilityMatrix = (cells) => {
+	const areas = [...new Set(cells.map(cell => cell.area))];
+	const rows = new Map();
+	for (const cell of cells) {
+		const key = `${cell.date} ${cell.time}`;
+		if (!rows.has(key)) {
+			rows.set(key, { date: cell.date, time: cell.time, courts: Object.fromEntries(areas.map(area => [area, ''])) });
+		}
+		rows.get(key).courts[cell.area] = cellLabel(cell);
+	}
+	return {
+		areas,
+		rows: [...rows.values()].sort((a, b) => a.date.localeCompare(b.date) || a.time.localeCompare(b.time)),
+	};
+};
+
+// A plain text table for the terminal, a blank line between dates
+export const formatAvailabilityTable = (cells) => {
+	const { areas, rows } = availabilityMatrix(cells);
+	const table = [['Date', 'Time', ...areas], ...rows.map(row => [row.date, row.time, ...areas.map(area => row.courts[area])])];
+	const widths = table[0].map((_, index) => Math.max(...table.map(row => row[index].length)));
+	const lines = [];
+	table.forEach((row, index) => {
+		if (index > 1 && row[0] !== table[index - 1][0]) lines.push('');
+		lines.push(row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd());
+	});
+	return lines.join('\n');
+};
+
+const csvField = (value) => /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+
+// The same matrix as CSV, for a spreadsheet
+export const formatAvailabilityCsv = (cells) => {
+	const { areas, rows } = availabilityMatrix(cells);
+	return [['date', 'time', ...areas], ...rows.map(row => [row.date, row.time, ...areas.map(area => row.courts[area])])]
+		.map(row => row.map(csvField).join(','))
+		.join('\n');
+};
+
+// The matrix as JSON: { facility, areas, dates: [{ date, times: [{ time,
+// courts: { <area>: { status, people } } }] }] }
+export const formatAvailabilityJson = (cells, { facility } = {}) => {
+	const areas = [...new Set(cells.map(cell => cell.area))];
+	const dates = [];
+	for (const cell of cells) {
+		let day = dates.find(entry => entry.date === cell.date);
+		if (!day) {
+			day = { date: cell.date, times: [] };
+			dates.push(day);
+		}
+		let slot = day.times.find(entry => entry.time === cell.time);
+		if (!slot) {
+			slot = { time: cell.time, courts: {} };
+			day.times.push(slot);
+		}
+		slot.courts[cell.area] = { status: cell.status, people: cell.people };
+	}
+	return JSON.stringify({ facility: facility?.slug ?? null, areas, dates }, null, 2);
+};
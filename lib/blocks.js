@@ -0,0 +1,127 @@
+// Block bookings: N consecutive slots on one area, e.g. 16:00 and 17:00 on
+// Padel Court 2. Every candidate time in the plan is tried as the start of a
+// block, courts in ranking order, and a block is booked whole or not at all:
+// if a later slot fails, the slots already booked are cancelled again.
+import { BUTTON_SELECTOR, cancelBooking, clickCancelButton, completeBookingModal, waitForModalUpdate } from "./booking-flow.js";
+import { slotEndTime } from "./facilities.js";
+import { clickSlot, isArea, readBookingGrid } from "./grid.js";
+
+const isFree = (slot) => slot && slot.status === 'available' && !slot.attempted;
+
+// The areas in the candidate's court ranking order, unranked ones last
+const rankedAreas = (grid, courts) => {
+	const rank = (area) => {
+		const index = courts.findIndex(court => isArea(grid, { areaIndex: area.index }, court));
+		return index === -1 ? courts.length : index;
+	};
+	return [...grid.areas].sort((a, b) => rank(a) - rank(b));
+};
+
+// Finds the first block of size free consecutive slots in plan order.
+// Returns { slots, reason, passed } with slots null when there is none.
+export const pickBlock = (grid, plan, { size = 2, facility = { slotMinutes: 60 } } = {}) => {
+	const passed = [];
+	for (const candidate of plan.candidates) {
+		for (const area of rankedAreas(grid, candidate.courts)) {
+			const slots = [];
+			let time = candidate.time;
+			while (slots.length < size) {
+				const slot = grid.slots.find(slot => slot.areaIndex === area.index && slot.time === time);
+				if (!isFree(slot)) break;
+				slots.push(slot);
+				time = slotEndTime(facility, time);
+			}
+			if (slots.length === size) {
+				const courtRank = candidate.courts.findIndex(court => isArea(grid, slots[0], court));
+				const courtReason = courtRank === -1 ? 'first area with a free block' : `court choice #${courtRank + 1} (${candidate.courtsRule})`;
+				return {
+					slots,
+					reason: `${plan.ruleName} rule: block of ${size} from ${candidate.time} (time choice #${candidate.rank}) to ${time}; ${area.name} is ${courtReason}`,
+					passed,
+				};
+			}
+		}
+		passed.push({ time: candidate.time, reason: `no ${size} consecutive free slots from ${candidate.time}` });
+	}
+	return { slots: null, reason: null, passed };
+};
+
+// Books one slot of a block. Resolves to { error }, with error null on
+// success, plus with skipConfirm the modalText that would have been confirmed.
+const bookBlockSlot = async (page, slot, { plan, log, skipConfirm, clickDelay }) => {
+	const click = await clickSlot(page, slot, { clickDelay, modalSelector: BUTTON_SELECTOR });
+	if (!click.success) return { error: click.error };
+
+	await page.waitForSelector(BUTTON_SELECTOR, { visible: true, timeout: 5000 });
+	const { isSlotAlreadyBooked, modalText } = await completeBookingModal(page, { log, skipConfirm, mode: plan.mode, partners: plan.partners });
+	if (isSlotAlreadyBooked) return { error: `${slot.time} on ${slot.area} was already booked` };
+
+	if (skipConfirm) {
+		// Nothing was booked; close the modal ourselves
+		await clickCancelButton(page);
+	}
+	// The next slot can only be clicked once this modal has gone
+	await waitForModalUpdate(page, { hasModal: false });
+	return { error: null, modalText };
+};
+
+// Books the best block in the plan, falling back to the next block when one
+// cannot be completed. Returns { success, slots, reason } (with skipConfirm
+// each slot carries the modalText that would have been confirmed) or, on failure,
+// { success: false, error, stranded } where stranded lists bookings that
+// could not be rolled back and need cancelling by hand.
+export const bookBlock = async (page, plan, { size = 2, facility, log = console.log, skipConfirm = false, clickDelay = 2500, maxBlocks = 3 } = {}) => {
+	let lastError = `No block of ${size} consecutive slots is free at the preferred times`;
+
+	for (let attempt = 1; attempt <= maxBlocks; attempt++) {
+		const pick = pickBlock(await readBookingGrid(page), plan, { size, facility });
+		pick.passed.forEach(({ time, reason }) => log(`Passed over ${time}: ${reason}`));
+		if (!pick.slots) {
+			return { success: false, error: lastError };
+		}
+
+		log(`Block attempt ${attempt} of ${maxBlocks}: ${pick.slots.map(slot => slot.time).join(', ')} on ${pick.slots[0].area}`);
+		log(`Why this block: ${pick.reason}`);
+
+		const booked = [];
+		let failure = null;
+		for (const slot of pick.slots) {
+			let modalText;
+			try {
+				({ error: failure, modalText } = await bookBlockSlot(page, slot, { plan, log, skipConfirm, clickDelay }));
+			} catch (error) {
+				failure = error.message;
+			}
+			if (failure) break;
+			booked.push(skipConfirm ? { ...slot, modalText } : slot);
+			log(`Block slot ${booked.length} of ${size} ${skipConfirm ? 'would be booked' : 'booked'}: ${slot.time} on ${slot.area}`);
+		}
+
+		if (!failure) {
+			return { success: true, slots: booked, reason: pick.reason };
+		}
+
+		lastError = `Block from ${pick.slots[0].time} on ${pick.slots[0].area} failed: ${failure}`;
+		log(lastError);
+		if (skipConfirm || booked.length === 0) continue;
+
+		// Roll back, latest first, so we never keep half a block
+		log(`Rolling back ${booked.length} booked slot(s)...`);
+		const stranded = [];
+		for (const slot of [...booked].reverse()) {
+			const cancelled = await cancelBooking(page, slot, { log }).catch(error => ({ success: false, error: error.message }));
+			if (cancelled.success) {
+				log(`Rolled back ${slot.time} on ${slot.area}`);
+			} else {
+				log(`Could not roll back ${slot.time} on ${slot.area}: ${cancelled.error}`);
+				stranded.push({ time: slot.time, area: slot.area });
+			}
+		}
+		if (stranded.length > 0) {
+			// Trying another block now could leave us holding two part-blocks
+			return { success: false, error: `${lastError}; rollback incomplete`, stranded };
+		}
+	}
+
+	return { success: false, error: lastError };
+};
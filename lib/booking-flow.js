@@ -0,0 +1,511 @@
+// Booking steps shared by the entry points. Everything that touches the
+// HelloClub DOM lives here (or in grid.js) so it can be exercised against the
+// saved snapshots in test/fixtures as well as the live site.
+import { clickSlot, findSlots, isArea, readBookingGrid } from "./grid.js";
+import { pickSlot } from "./preferences.js";
+
+export const BUTTON_SELECTOR = 'button.Button.Button--success.ng-animate-disabled';
+export const BUTTON_SEQUENCE = ['Next', 'Next', 'Confirm booking'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export const waitForElement = async (page, selector, options = {}) => {
+	const { log = console.log, ...waitOptions } = options;
+	const defaultOptions = {
+		visible: true,
+		timeout: 5000,
+		polling: 100
+	};
+	const mergedOptions = { ...defaultOptions, ...waitOptions };
+
+	try {
+		await page.waitForSelector(selector, mergedOptions);
+		return true;
+	} catch (error) {
+		log(`Timeout waiting for element: ${selector}`);
+		return false;
+	}
+};
+
+// Reads the booking modal, including any alert message shown beneath it
+const readModalState = (page) => page.evaluate((buttonSelector) => {
+	const modal = document.querySelector('.Modal-content') || document.querySelector('.Modal');
+	const nextButton = document.querySelector(buttonSelector);
+	let modalText = '';
+	if (modal) {
+		modalText = modal.innerText || modal.textContent || '';
+	}
+	const alertMessage = document.querySelector('.Modal-alerts .Alert-message');
+	if (alertMessage && alertMessage.innerText && !modalText.includes(alertMessage.innerText)) {
+		modalText += ' ' + alertMessage.innerText;
+	}
+	return {
+		hasModal: !!modal || !!nextButton,
+		modalText: modalText.trim(),
+		isAlreadyBooked: modalText.includes('already has a booking or event at this time'),
+		hasNextButton: !!nextButton
+	};
+}, BUTTON_SELECTOR);
+
+export const waitForModalUpdate = async (page, expectedState = {}, options = {}) => {
+	const { maxAttempts = 20, interval = 500 } = options;
+
+	for (let i = 0; i < maxAttempts; i++) {
+		const modalState = await readModalState(page);
+
+		// If we're looking for a modal and found one, or looking for no modal and found none
+		if (expectedState.hasModal !== undefined && modalState.hasModal === expectedState.hasModal) {
+			return modalState;
+		}
+
+		// If we're checking for already booked status
+		if (expectedState.isAlreadyBooked !== undefined && modalState.isAlreadyBooked === expectedState.isAlreadyBooked) {
+			return modalState;
+		}
+
+		// If we found a next button when we're looking for a modal
+		if (expectedState.hasModal === true && modalState.hasNextButton) {
+			return modalState;
+		}
+
+		await sleep(interval);
+	}
+
+	// Instead of throwing, return the current state
+	return readModalState(page);
+};
+
+// The text of whatever modal is open, for error reports. Null when there is
+// none or the page cannot be read any more.
+export const readModalText = (page) => readModalState(page)
+	.then(state => state.modalText || null)
+	.catch(() => null);
+
+// Lists every available slot on the loaded grid
+export const getAvailableSlots = async (page) => {
+	const grid = await readBookingGrid(page);
+	return findSlots(grid, { status: 'available' });
+};
+
+// A plan (see lib/preferences.js) trying priorityTimes in order on any court,
+// preferring preferred_court.
+const priorityPlan = (priorityTimes, preferred_court) => ({
+	ruleName: 'priority',
+	candidates: priorityTimes.map((time, index) => ({
+		time,
+		rank: index + 1,
+		courts: preferred_court ? [String(preferred_court)] : [],
+		courtsRule: 'preferred court',
+	})),
+});
+
+// Picks the first available, not yet attempted slot in priorityTimes order,
+// preferring the configured court when several areas are free at that time.
+export const pickSlotByPriority = (grid, { priorityTimes, preferred_court }) => {
+	const pick = pickSlot(grid, priorityPlan(priorityTimes, preferred_court));
+	return pick.slot ? pick : null;
+};
+
+// Clicks the slot the plan picks. Slots are marked as attempted so that a
+// retry after an "already booked" modal moves on to the next candidate.
+// reason explains which preference rule picked the slot.
+export const selectSlotByPlan = async (page, plan, { clickDelay = 2500 } = {}) => {
+	const grid = await readBookingGrid(page);
+	const pick = pickSlot(grid, plan);
+
+	if (!pick.slot) {
+		return { success: false, timeBooked: null, courtBooked: null, wasPreferredCourt: false, passed: pick.passed };
+	}
+
+	const click = await clickSlot(page, pick.slot, { clickDelay, modalSelector: BUTTON_SELECTOR });
+	if (!click.success) {
+		return { success: false, error: click.error, timeBooked: null, courtBooked: null, wasPreferredCourt: false, passed: pick.passed };
+	}
+
+	return {
+		success: true,
+		timeBooked: pick.slot.time,
+		courtBooked: pick.slot.area,
+		wasPreferredCourt: pick.isPreferred,
+		requiredSecondClick: click.requiredSecondClick,
+		className: click.className,
+		slot: pick.slot,
+		reason: pick.reason,
+		passed: pick.passed
+	};
+};
+
+// Clicks the first available slot in priorityTimes order, preferring the
+// configured court.
+export const selectSlotByPriority = (page, { priorityTimes, preferred_court, clickDelay = 2500 }) =>
+	selectSlotByPlan(page, priorityPlan(priorityTimes, preferred_court), { clickDelay });
+
+// Clicks the available slot at targetTime, on the given area if one is named.
+// court picks the area by number ("2") or name as isArea does.
+export const selectSlotByTime = async (page, targetTime, { area, court, clickDelay = 2500 } = {}) => {
+	const grid = await readBookingGrid(page);
+	const [slot] = findSlots(grid, { time: targetTime, area, status: 'available' })
+		.filter(slot => !court || isArea(grid, slot, court));
+
+	if (!slot) {
+		const where = area || (court ? `court ${court}` : null);
+		return {
+			success: false,
+			error: `No available slot found for ${targetTime}${where ? ` on ${where}` : ''}`
+		};
+	}
+
+	const click = await clickSlot(page, slot, { clickDelay, modalSelector: BUTTON_SELECTOR });
+	if (!click.success) {
+		return { success: false, error: click.error };
+	}
+
+	return {
+		success: true,
+		timeBooked: targetTime,
+		courtBooked: slot.area,
+		requiredSecondClick: click.requiredSecondClick,
+		slot
+	};
+};
+
+// Clicks the modal's success button if its label matches text
+export const clickModalButton = (page, text) => page.evaluate((text, selector) => {
+	const button = document.querySelector(selector);
+	if (button && button.textContent.trim().includes(text)) {
+		console.log(`Found ${text} button:`, button.className);
+		// Visual feedback for anyone watching the live URL
+		button.style.border = '3px solid green';
+		button.click();
+		return {
+			success: true,
+			className: button.className
+		};
+	}
+	return {
+		success: false,
+		error: `${text} button not found or not clickable`,
+		buttonFound: !!button
+	};
+}, text, BUTTON_SELECTOR);
+
+// HelloClub's wording when the member has used up their bookings
+const BOOKING_LIMIT = /on the limit|limit of|booking limit/i;
+
+export const isBookingLimit = (text) => BOOKING_LIMIT.test(text || '');
+
+// After a Next click, waits until the modal shows the button for the next
+// step or an alert, whichever comes first. Returns the alert text, if any;
+// info alerts, such as the booking type's description, are not waited for.
+const waitForNextStep = async (page, buttonText, { maxAttempts = 30, interval = 100 } = {}) => {
+	for (let i = 0; i < maxAttempts; i++) {
+		const state = await page.evaluate((text, selector) => ({
+			advanced: !!document.querySelector(selector)?.textContent.trim().includes(text),
+			alert: document.querySelector('.Modal-alerts .Alert:not(.Alert--info) .Alert-message')?.textContent.trim() || '',
+		}), buttonText, BUTTON_SELECTOR);
+		if (state.advanced || state.alert) return state.alert;
+		await sleep(interval);
+	}
+	return '';
+};
+
+export const clickCancelButton = (page) => page.evaluate(() => {
+	const cancelButton = Array.from(document.querySelectorAll('button')).find(
+		button => button.textContent.trim().toLowerCase() === 'cancel'
+	);
+	if (cancelButton) {
+		cancelButton.click();
+		return true;
+	}
+	return false;
+});
+
+// Picks the booking type on the first modal step by name, e.g. "Playing with
+// visitors". The options are read off the open select box, so no class names
+// beyond .SelectBox are assumed. Returns { success, changed, options }.
+export const selectBookingMode = (page, mode) => page.evaluate(async (mode) => {
+	const clean = (text) => (text || '').replace(/\s+/g, ' ').trim();
+	const box = document.querySelector('.ModalWrapper .SelectBox');
+	const input = box?.querySelector('input');
+	if (!box || !input) {
+		return { success: false, options: [], error: 'No booking type select box in the modal' };
+	}
+	if (clean(input.value).toLowerCase() === mode.toLowerCase()) {
+		return { success: true, changed: false };
+	}
+
+	// The options are the leaf elements with text outside the input itself
+	const readOptions = () => Array.from(box.querySelectorAll('*'))
+		.filter(el => !el.closest('.InputWrapper') && clean(el.textContent) && !Array.from(el.children).some(child => clean(child.textContent)));
+
+	box.querySelector('.InputWrapper')?.click();
+	let options = [];
+	for (let i = 0; i < 20 && options.length === 0; i++) {
+		await new Promise(resolve => setTimeout(resolve, 100));
+		options = readOptions();
+	}
+
+	const option = options.find(el => clean(el.textContent).toLowerCase() === mode.toLowerCase());
+	if (!option) {
+		box.querySelector('.InputWrapper')?.click();
+		return { success: false, options: options.map(el => clean(el.textContent)), error: `Booking type "${mode}" is not offered` };
+	}
+	option.click();
+	await new Promise(resolve => setTimeout(resolve, 200));
+	if (clean(input.value).toLowerCase() !== mode.toLowerCase()) {
+		return { success: false, options: [], error: `Booking type still shows "${clean(input.value)}"` };
+	}
+	return { success: true, changed: true };
+}, mode);
+
+const PARTNER_INPUT_SELECTOR = '.ModalWrapper input[type="text"]:not([readonly])';
+
+// Adds each partner on the participants step by typing their name into the
+// member search and clicking the matching result. Returns { added, missing }.
+export const addPartners = async (page, partners, { log = console.log } = {}) => {
+	const added = [];
+	const missing = [];
+
+	for (const name of partners) {
+		const present = await page.evaluate((name) => {
+			const body = document.querySelector('.ModalWrapper .Modal-body');
+			return !!body && body.textContent.toLowerCase().includes(name.toLowerCase());
+		}, name);
+		if (present) {
+			log(`${name} is already a participant`);
+			added.push(name);
+			continue;
+		}
+
+		if (!await page.$(PARTNER_INPUT_SELECTOR)) {
+			log(`No member search in the modal, cannot add ${name}`);
+			missing.push(name);
+			continue;
+		}
+		await page.evaluate((selector) => {
+			document.querySelector(selector).value = '';
+		}, PARTNER_INPUT_SELECTOR);
+		await page.type(PARTNER_INPUT_SELECTOR, name, { delay: 15 });
+
+		// Wait for a search result naming them and click it
+		const clicked = await page.evaluate(async (name) => {
+			const clean = (text) => (text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+			for (let i = 0; i < 30; i++) {
+				const result = Array.from(document.querySelectorAll('.ModalWrapper .Modal-body *'))
+					.filter(el => el.tagName !== 'INPUT' && clean(el.textContent).includes(clean(name)))
+					.find(el => !Array.from(el.children).some(child => clean(child.textContent).includes(clean(name))));
+				if (result) {
+					result.click();
+					return true;
+				}
+				await new Promise(resolve => setTimeout(resolve, 100));
+			}
+			return false;
+		}, name);
+
+		if (clicked) {
+			log(`Added partner ${name}`);
+			added.push(name);
+		} else {
+			log(`No member called ${name} found in the member search`);
+			missing.push(name);
+		}
+	}
+
+	return { added, missing };
+};
+
+// Walks the modal through Next, Next, Confirm booking. When the modal reports
+// the slot as already booked the modal is cancelled and isSlotAlreadyBooked is
+// returned so the caller can retry with another slot; when it reports the
+// booking limit an error is thrown. With skipConfirm the walk stops before the
+// final confirmation and modalText is what would have been confirmed. mode
+// picks the booking type on the first step and partners are added on the
+// second; either failing is logged and reported but does not stop the booking.
+export const completeBookingModal = async (page, options = {}) => {
+	const { log = console.log, skipConfirm = false, modalOptions, mode = null, partners = [] } = options;
+	const details = { mode: null, partners: [], missingPartners: [] };
+
+	for (const [step, buttonText] of BUTTON_SEQUENCE.entries()) {
+		const buttonAvailable = await waitForElement(page, BUTTON_SELECTOR, { log });
+		if (!buttonAvailable) {
+			throw new Error(`${buttonText} button not found after waiting`);
+		}
+
+		if (step === 0 && mode) {
+			const selected = await selectBookingMode(page, mode);
+			if (selected.success) {
+				log(`Booking type: ${mode}${selected.changed ? '' : ' (already selected)'}`);
+				details.mode = mode;
+			} else {
+				log(`WARNING: could not select booking type "${mode}": ${selected.error}${selected.options?.length ? `. Offered: ${selected.options.join(', ')}` : ''}`);
+			}
+		}
+		if (step === 1 && partners.length > 0) {
+			const { added, missing } = await addPartners(page, partners, { log });
+			details.partners = added;
+			details.missingPartners = missing;
+			if (missing.length > 0) {
+				log(`WARNING: booking without ${missing.join(', ')}; add them on HelloClub afterwards`);
+			}
+		}
+
+		if (buttonText === 'Confirm booking' && skipConfirm) {
+			const { modalText } = await readModalState(page);
+			log("🔍 DEBUG MODE: Skipping final confirmation click - booking would have been confirmed");
+			return { isSlotAlreadyBooked: false, confirmed: false, modalText: modalText.replace(/\s+/g, ' ').trim(), ...details };
+		}
+
+		const buttonClick = await clickModalButton(page, buttonText);
+
+		if (buttonClick.success) {
+			log(`Clicked ${buttonText} button: ${buttonClick.className}`);
+		} else {
+			log(`Failed to click ${buttonText} button: ${buttonClick.error}`);
+			throw new Error(`Failed to click ${buttonText} button: ${buttonClick.error}`);
+		}
+
+		if (buttonText === 'Next') {
+			// The limit alert comes after the second Next and can take a moment
+			const alert = step === BUTTON_SEQUENCE.length - 2 ? await waitForNextStep(page, BUTTON_SEQUENCE[step + 1]) : '';
+			if (isBookingLimit(alert)) {
+				log(`Booking limit reached: ${alert}`);
+				throw new Error(`Booking limit reached: ${alert}`);
+			}
+
+			try {
+				// Wait for modal update with smart polling
+				const modalState = await waitForModalUpdate(page, { hasModal: true }, modalOptions);
+				log(`Modal state after ${buttonText}: ${JSON.stringify(modalState)}`);
+
+				if (isBookingLimit(modalState.modalText)) {
+					log(`Booking limit reached: ${modalState.modalText}`);
+					throw new Error(`Booking limit reached: ${modalState.modalText}`);
+				}
+
+				if (modalState.isAlreadyBooked) {
+					log('Detected slot is already booked, will try to cancel and retry with another slot');
+
+					if (await clickCancelButton(page)) {
+						// Wait for modal to disappear
+						await waitForModalUpdate(page, { hasModal: false }, modalOptions);
+					}
+					return { isSlotAlreadyBooked: true, confirmed: false, ...details };
+				}
+
+				// If we have a next button, consider this step successful regardless of modal state
+				if (modalState.hasNextButton) {
+					log('Next button found, continuing with booking flow');
+					continue;
+				}
+			} catch (modalError) {
+				if (isBookingLimit(modalError.message)) {
+					throw modalError;
+				}
+				// SPA session refresh detection: if slot grid is visible and modal is not, treat as session refresh and retry
+				const isSlotGridVisible = await page.evaluate(() => !!document.querySelector('.BookingGrid-cell.Slot'));
+				const isModalVisible = await page.evaluate(() => !!document.querySelector('.Modal-content'));
+				if (isSlotGridVisible && !isModalVisible) {
+					log('Detected unexpected return to slot grid (possible session refresh). Retrying booking attempt...');
+					await sleep(1000);
+					continue;
+				}
+				// If we encounter a modal error but can still see the next button, continue
+				const nextButtonVisible = await page.evaluate((selector) => !!document.querySelector(selector), BUTTON_SELECTOR);
+
+				if (nextButtonVisible) {
+					log('Modal state uncertain but Next button visible, continuing with booking flow');
+					continue;
+				}
+				throw modalError;
+			}
+		}
+
+		if (buttonText === 'Confirm booking') {
+			try {
+				await waitForModalUpdate(page, { hasModal: true }, modalOptions);
+			} catch (modalError) {
+				// Check if the booking appears successful despite modal state error
+				const bookingSuccessful = await page.evaluate(() => {
+					const modalContent = document.querySelector('.Modal-content');
+					return modalContent?.textContent?.includes('successful') ||
+						modalContent?.textContent?.includes('confirmed') ||
+						modalContent?.textContent?.includes('booked');
+				});
+
+				if (bookingSuccessful) {
+					log('Booking appears successful despite modal state uncertainty');
+				} else {
+					throw modalError;
+				}
+			}
+		}
+	}
+
+	return { isSlotAlreadyBooked: false, confirmed: true, ...details };
+};
+
+// Labels of the buttons on a booking's details modal. Matched loosely since
+// HelloClub words them differently between clubs and versions.
+const CANCEL_BOOKING_LABEL = /^(cancel|remove|delete) booking$/i;
+const CONFIRM_CANCEL_LABEL = /^yes,? (cancel|remove|delete)( it| booking)?$|^confirm cancell?ation$/i;
+const DISMISS_LABEL = /^(close|cancel|no|keep( booking)?)$/i;
+
+// Waits for a button in the modal whose label matches pattern and clicks it
+export const clickModalButtonMatching = async (page, pattern, { maxAttempts = 20, interval = 250 } = {}) => {
+	for (let i = 0; i < maxAttempts; i++) {
+		const clicked = await page.evaluate((source, flags) => {
+			const pattern = new RegExp(source, flags);
+			const button = Array.from(document.querySelectorAll('.ModalWrapper button, .Modal button'))
+				.find(button => pattern.test(button.textContent.trim()));
+			if (!button) return null;
+			const label = button.textContent.trim();
+			button.click();
+			return label;
+		}, pattern.source, pattern.flags);
+		if (clicked) return clicked;
+		await sleep(interval);
+	}
+	return null;
+};
+
+// Closes whatever modal is open without acting on it
+export const dismissModal = (page) => clickModalButtonMatching(page, DISMISS_LABEL, { maxAttempts: 1 });
+
+// Cancels one of the member's own bookings: opens it from the grid, clicks
+// "Cancel booking" and then the confirmation. modalText is what the modal
+// said before confirming, which is where fee and refund terms appear. With
+// dryRun the dialog is backed out of at the confirmation instead.
+export const cancelBooking = async (page, slot, { log = console.log, modalOptions, dryRun = false } = {}) => {
+	const click = await clickSlot(page, slot, { clickDelay: 1500, modalSelector: '.ModalWrapper .Modal' });
+	if (!click.success) {
+		return { success: false, error: click.error };
+	}
+
+	const opened = await clickModalButtonMatching(page, CANCEL_BOOKING_LABEL);
+	if (!opened) {
+		await dismissModal(page);
+		return { success: false, error: `No cancel option on ${slot.time} on ${slot.area}; is it your booking?` };
+	}
+	log(`Clicked ${opened} for ${slot.time} on ${slot.area}`);
+
+	await sleep(300);
+	const { modalText } = await readModalState(page);
+	if (dryRun) {
+		const kept = await dismissModal(page);
+		log(`Dry run: clicked ${kept || 'nothing'} instead of confirming`);
+		await waitForModalUpdate(page, { hasModal: false }, modalOptions);
+		return { success: true, dryRun: true, modalText };
+	}
+	const confirmed = await clickModalButtonMatching(page, CONFIRM_CANCEL_LABEL);
+	if (!confirmed) {
+		return { success: false, error: 'Cancellation was not confirmed: no confirm button', modalText };
+	}
+	log(`Clicked ${confirmed}`);
+
+	const after = await waitForModalUpdate(page, { hasModal: false }, modalOptions);
+	if (after.hasModal) {
+		return { success: false, error: `Cancellation did not complete: ${after.modalText}`, modalText };
+	}
+	return { success: true, modalText };
+};
@@ -0,0 +1,211 @@
+// Browser providers hand the booking flows a connected puppeteer page. The
+// flows only ever see { id, liveUrl, profileId, browser, page, close,
+// recording }, so they run unchanged on a Hyperbrowser cloud session or a
+// local Chromium.
+import { randomUUID } from "node:crypto";
+import { existsSync, mkdirSync, readdirSync } from "node:fs";
+import { homedir } from "node:os";
+import { join, resolve } from "node:path";
+import { connect, launch } from "puppeteer-core";
+
+export const PROVIDER_TYPES = ['hyperbrowser', 'local'];
+
+// Chromium is looked up in CHROME_PATH, then puppeteer's download cache, then
+// the usual system locations.
+export const findChromium = () => {
+	const candidates = [process.env.CHROME_PATH, process.env.PUPPETEER_EXECUTABLE_PATH];
+
+	const cacheDir = join(homedir(), '.cache', 'puppeteer');
+	const cached = [
+		['chrome-headless-shell', 'chrome-headless-shell-linux64', 'chrome-headless-shell'],
+		['chrome', 'chrome-linux64', 'chrome'],
+	];
+	for (const [product, folder, binary] of cached) {
+		const productDir = join(cacheDir, product);
+		if (!existsSync(productDir)) continue;
+		for (const version of readdirSync(productDir).sort().reverse()) {
+			candidates.push(join(productDir, version, folder, binary));
+		}
+	}
+
+	candidates.push(
+		'/usr/bin/chromium',
+		'/usr/bin/chromium-browser',
+		'/usr/bin/google-chrome',
+		'/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
+	);
+	return candidates.find(candidate => candidate && existsSync(candidate)) || null;
+};
+
+// Wraps a connected browser so callers can close it exactly once, whichever
+// way the run ends.
+// recording() resolves to { status, url } for a recorded session, or null.
+const createSession = ({ id, liveUrl = null, profileId = null, browser, page, stop, recording = async () => null }) => {
+	let closed = false;
+	return {
+		id,
+		liveUrl,
+		profileId,
+		browser,
+		page,
+		recording,
+		close: async () => {
+			if (closed) return;
+			closed = true;
+			try {
+				await browser.close();
+			} finally {
+				await stop?.();
+			}
+		},
+	};
+};
+
+// Sessions are recorded unless record is false; the recording can be watched
+// in Hyperbrowser once it has been processed, a little after the session ends.
+const createHyperbrowserProvider = ({ apiKey, record, log }) => {
+	let client;
+	// The SDK is only loaded when this provider is used, so the local
+	// provider keeps working without it.
+	const getClient = async () => {
+		if (!client) {
+			const { Hyperbrowser } = await import("@hyperbrowser/sdk");
+			client = new Hyperbrowser({ apiKey });
+		}
+		return client;
+	};
+
+	return {
+		type: 'hyperbrowser',
+
+		createProfile: async () => {
+			const profile = await (await getClient()).profiles.create();
+			return profile.id;
+		},
+
+		openSession: async ({ profileId = null, persistChanges = true } = {}) => {
+			const client = await getClient();
+			// Create session with profile if available
+			const sessionConfig = profileId ? {
+				profile: {
+					id: profileId,
+					persistChanges // Set to true to update the profile with any changes
+				}
+			} : {};
+			if (record) {
+				sessionConfig.enableWebRecording = true;
+			}
+
+			const session = await client.sessions.create(sessionConfig);
+			log(`Session created: ${session.id}`);
+
+			let browser;
+			try {
+				browser = await connect({ browserWSEndpoint: session.wsEndpoint });
+			} catch (error) {
+				await client.sessions.stop(session.id);
+				throw error;
+			}
+			const [page] = await browser.pages();
+
+			return createSession({
+				id: session.id,
+				liveUrl: session.liveUrl,
+				profileId,
+				browser,
+				page,
+				stop: () => client.sessions.stop(session.id),
+				recording: async () => {
+					if (!record) return null;
+					const { status, recordingUrl } = await client.sessions.getRecordingURL(session.id);
+					return { status, url: recordingUrl || null };
+				},
+			});
+		},
+	};
+};
+
+// A locally launched Chromium. Profiles are user-data-dirs under profilesDir,
+// so cookies and the HelloClub login survive between runs just like a
+// Hyperbrowser profile.
+const createLocalProvider = ({ executablePath, profilesDir, headless, log }) => {
+	const profilePath = (profileId) => resolve(profilesDir, profileId);
+
+	return {
+		type: 'local',
+
+		createProfile: async () => {
+			const profileId = randomUUID();
+			mkdirSync(profilePath(profileId), { recursive: true });
+			return profileId;
+		},
+
+		openSession: async ({ profileId = null } = {}) => {
+			const chromiumPath = executablePath || findChromium();
+			if (!chromiumPath) {
+				throw new Error("No local Chromium found - set CHROME_PATH to use the local browser provider");
+			}
+
+			const userDataDir = profileId ? profilePath(profileId) : undefined;
+			if (userDataDir) {
+				mkdirSync(userDataDir, { recursive: true });
+			}
+
+			const browser = await launch({
+				executablePath: chromiumPath,
+				headless,
+				userDataDir,
+				defaultViewport: { width: 1280, height: 900 },
+				args: ['--no-sandbox', '--disable-dev-shm-usage'],
+			});
+			log(`Local browser launched: ${chromiumPath}${userDataDir ? ` (profile ${userDataDir})` : ''}`);
+			const [page] = await browser.pages();
+
+			return createSession({
+				id: `local-${browser.process()?.pid ?? randomUUID()}`,
+				profileId,
+				browser,
+				page,
+			});
+		},
+	};
+};
+
+// Picks the provider from options.type, falling back to BROWSER_PROVIDER and
+// then Hyperbrowser.
+export const createBrowserProvider = (options = {}) => {
+	const {
+		type = process.env.BROWSER_PROVIDER || 'hyperbrowser',
+		apiKey = process.env.HYPERBROWSER_API_KEY,
+		executablePath = process.env.CHROME_PATH,
+		profilesDir = process.env.LOCAL_PROFILES_DIR || '.profiles',
+		headless = process.env.HEADLESS !== 'false',
+		record = process.env.HYPERBROWSER_RECORDING !== 'false',
+		log = console.log,
+	} = options;
+
+	switch (type) {
+		case 'hyperbrowser':
+			return createHyperbrowserProvider({ apiKey, record, log });
+		case 'local':
+			return createLocalProvider({ executablePath, profilesDir, headless, log });
+		default:
+			throw new Error(`Unknown browser provider "${type}" - expected one of ${PROVIDER_TYPES.join(', ')}`);
+	}
+};
+
+// Looks up a closed session's recording and logs where it is. Null when the
+// session was not recorded or the lookup fails.
+export const sessionRecording = async (session, log = console.log) => {
+	if (!session) return null;
+	try {
+		const recording = await session.recording();
+		if (recording) {
+			log(`Session recording (${recording.status}): ${recording.url || 'not ready yet'}`);
+		}
+		return recording;
+	} catch (error) {
+		log(`Could not look up the session recording: ${error.message}`);
+		return null;
+	}
+};
@@ -0,0 +1,152 @@
+// An iCalendar (.ics) file of the member's bookings that a calendar app can
+// subscribe to. Every booking becomes one event whose UID is made from the
+// facility, date, time and area, so writing the same booking again replaces
+// its event rather than adding a second one. Times are club (UK) local time.
+// Each event also notes the account that holds the booking
+// (X-HELLOCLUB-ACCOUNT, DEFAULT for the one without a suffix), so one
+// account's bookings can be rewritten without touching another's.
+import { readFileSync, writeFileSync } from "node:fs";
+import { CLUB_TIME_ZONE as TIME_ZONE, addDays } from "./dates.js";
+import { slotEndTime } from "./facilities.js";
+
+const VTIMEZONE = [
+	'BEGIN:VTIMEZONE',
+	`TZID:${TIME_ZONE}`,
+	'BEGIN:DAYLIGHT',
+	'TZOFFSETFROM:+0000',
+	'TZOFFSETTO:+0100',
+	'TZNAME:BST',
+	'DTSTART:19700329T010000',
+	'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU',
+	'END:DAYLIGHT',
+	'BEGIN:STANDARD',
+	'TZOFFSETFROM:+0100',
+	'TZOFFSETTO:+0000',
+	'TZNAME:GMT',
+	'DTSTART:19701025T020000',
+	'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU',
+	'END:STANDARD',
+	'END:VTIMEZONE',
+];
+
+const escapeText = (value) => String(value).replace(/[\\;,]/g, match => `\\${match}`).replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 characters continue on the next line after a space
+const fold = (line) => line.length <= 75 ? line : [line.slice(0, 75), ...(line.slice(75).match(/.{1,74}/g) || [])].join('\r\n ');
+
+const localDateTime = (date, time) => `${date.replace(/-/g, '')}T${time.replace(':', '')}00`;
+
+const stamp = (now) => now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+export const bookingUid = ({ facility, date, time, area }) =>
+	`${facility}-${date}-${time.replace(':', '')}-${area.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}@helloclub-booker`;
+
+// The VEVENT lines for one booking: { facility, date, time, endTime, area,
+// members, mode, account }, plus clubName for the location if known
+export const bookingEvent = (booking, { clubName, now = new Date() } = {}) => {
+	const description = [
+		booking.members?.length ? `Players: ${booking.members.join(', ')}` : null,
+		booking.mode ? `Booking type: ${booking.mode}` : null,
+	].filter(Boolean).join('\n');
+	return [
+		'BEGIN:VEVENT',
+		`UID:${bookingUid(booking)}`,
+		`DTSTAMP:${stamp(now)}`,
+		`DTSTART;TZID=${TIME_ZONE}:${localDateTime(booking.date, booking.time)}`,
+		// A slot running past midnight ends the next day
+		`DTEND;TZID=${TIME_ZONE}:${localDateTime(booking.endTime <= booking.time ? addDays(booking.date, 1) : booking.date, booking.endTime)}`,
+		`SUMMARY:${escapeText(`${booking.area}${clubName ? ` at ${clubName}` : ''}`)}`,
+		clubName ? `LOCATION:${escapeText(clubName)}` : null,
+		description ? `DESCRIPTION:${escapeText(description)}` : null,
+		`X-HELLOCLUB-ACCOUNT:${escapeText(booking.account || 'DEFAULT')}`,
+		'END:VEVENT',
+	].filter(Boolean);
+};
+
+// A whole calendar from VEVENT blocks, each an array of lines
+const calendarText = (events, { name }) => [
+	'BEGIN:VCALENDAR',
+	'VERSION:2.0',
+	'PRODID:-//helloclub-booker//Bookings//EN',
+	'CALSCALE:GREGORIAN',
+	`X-WR-CALNAME:${escapeText(name)}`,
+	`X-WR-TIMEZONE:${TIME_ZONE}`,
+	...VTIMEZONE,
+	...events.flat(),
+	'END:VCALENDAR',
+].map(fold).join('\r\n') + '\r\n';
+
+export const toICalendar = (bookings, { name = 'Court bookings', clubName, now = new Date() } = {}) =>
+	calendarText(bookings.map(booking => bookingEvent(booking, { clubName, now })), { name });
+
+const UID_PATTERN = /^(.+)-(\d{4}-\d{2}-\d{2})-\d{4}-.*@helloclub-booker$/;
+
+// The VEVENT blocks of an existing calendar as { uid, facility, date,
+// account, lines }, unfolded. facility and date come from the UID and are
+// null for events this tool did not write; events written before accounts
+// were noted belong to DEFAULT.
+export const parseEvents = (text) => {
+	const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+	const events = [];
+	let current = null;
+	for (const line of lines) {
+		if (line === 'BEGIN:VEVENT') {
+			current = [line];
+		} else if (current) {
+			current.push(line);
+			if (line === 'END:VEVENT') {
+				const uid = current.find(other => other.startsWith('UID:'))?.slice(4) || null;
+				const [, facility = null, date = null] = UID_PATTERN.exec(uid || '') || [];
+				const account = current.find(other => other.startsWith('X-HELLOCLUB-ACCOUNT:'))?.slice(20) || 'DEFAULT';
+				events.push({ uid, facility, date, account, lines: current });
+				current = null;
+			}
+		}
+	}
+	return events;
+};
+
+// Writes bookings to the calendar file. With merge the events already in the
+// file are kept, except those for the same bookings and those replace(event)
+// picks out, which are dropped; without it the file holds exactly these
+// bookings.
+export const writeCalendar = (file, bookings, { merge = true, replace = () => false, name, clubName, now = new Date() } = {}) => {
+	let existing = [];
+	if (merge) {
+		try {
+			existing = parseEvents(readFileSync(file, 'utf8'));
+		} catch (error) {
+			if (error.code !== 'ENOENT') throw error;
+		}
+	}
+	const uids = new Set(bookings.map(bookingUid));
+	const events = [
+		...existing.filter(event => !uids.has(event.uid) && !replace(event)).map(event => event.lines),
+		...bookings.map(booking => bookingEvent(booking, { clubName, now })),
+	];
+	writeFileSync(file, calendarText(events, { name: name || 'Court bookings' }));
+	return events.length;
+};
+
+// Adds confirmed bookings of facility, as { date, time, area, members, mode },
+// made by account (the credentials label, null for the default) to the
+// calendar file named by file (CALENDAR_FILE by default). Does nothing
+// without a file, and a calendar that cannot be written is logged rather than
+// failing the booking that was just made.
+export const recordBookings = (bookings, { facility, account = null, file = process.env.CALENDAR_FILE, clubName, log = console.log }) => {
+	if (!file || bookings.length === 0) return false;
+	try {
+		writeCalendar(file, bookings.map(booking => ({
+			facility: facility.slug,
+			endTime: slotEndTime(facility, booking.time),
+			members: [],
+			account,
+			...booking,
+		})), { clubName });
+		log(`Added ${bookings.length} booking(s) to the calendar at ${file}`);
+		return true;
+	} catch (error) {
+		log(`Could not update the calendar at ${file}: ${error.message}`);
+		return false;
+	}
+};
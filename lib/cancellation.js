@@ -0,0 +1,67 @@
+// Cancelling reservations the member already holds, told apart by the
+// account name among the players. Once cancelled the slot should come back
+// as free, or at least stop listing the account.
+import { cancelBooking } from "./booking-flow.js";
+import { bookingsUrl } from "./facilities.js";
+import { isArea, isBookedBy, readBookingGrid } from "./grid.js";
+import { accountNameOn } from "./verification.js";
+
+const FEE_TERMS = /fee|refund|credit|charge|£|\$|€/i;
+
+// accountName's booking at time on the loaded grid. court narrows it to one
+// area and is needed when there are several. Returns { slot, error }.
+export const findOwnBooking = (grid, { time, court, accountName, areaLabel = 'court' }) => {
+	const own = grid.slots.filter(slot => isBookedBy(slot, accountName) && slot.time === time);
+	const matches = court ? own.filter(slot => isArea(grid, slot, court)) : own;
+	if (matches.length === 0) {
+		return { error: `No booking of yours at ${time}${court ? ` on ${areaLabel} ${court}` : ''}` };
+	}
+	if (matches.length > 1) {
+		return { error: `You have ${matches.length} bookings at ${time} (${matches.map(slot => slot.area).join(', ')}); give a ${areaLabel}` };
+	}
+	return { slot: matches[0] };
+};
+
+// The sentences of a cancellation dialog that mention fees or refunds
+export const feeTerms = (modalText = '') => modalText
+	.split(/(?<=[.!?])\s+|\n+/)
+	.map(sentence => sentence.replace(/\s+/g, ' ').trim())
+	.filter(sentence => FEE_TERMS.test(sentence));
+
+// Cancels the member's booking at time on date and reloads the grid to check
+// the slot was released. With dryRun the dialog is opened and read but the
+// booking kept. Returns { success, error, date, time, area, dryRun, fees }.
+export const cancelOwnBooking = async (page, { baseUrl, facility, date, time, court, dryRun = false, log = console.log }) => {
+	const load = async () => {
+		await page.goto(bookingsUrl(baseUrl, facility, date));
+		await page.waitForSelector('.BookingGrid-cell.Slot', { visible: true, timeout: 30000 });
+		return readBookingGrid(page);
+	};
+
+	const grid = await load();
+	const accountName = await accountNameOn(page);
+	const found = findOwnBooking(grid, { time, court, accountName, areaLabel: facility.areaLabel });
+	if (found.error) {
+		return { success: false, error: `${found.error} on ${date}`, date, time, dryRun };
+	}
+	const { slot } = found;
+
+	const result = await cancelBooking(page, slot, { log, dryRun });
+	const fees = feeTerms(result.modalText);
+	fees.forEach(sentence => log(`Cancellation terms: ${sentence}`));
+	const details = { date, time, area: slot.area, dryRun, fees };
+	if (!result.success) {
+		return { success: false, error: result.error, ...details };
+	}
+	if (dryRun) {
+		log(`Dry run: kept the booking at ${time} on ${slot.area} on ${date}`);
+		return { success: true, ...details };
+	}
+
+	const after = (await load()).slots.find(other => other.areaIndex === slot.areaIndex && other.row === slot.row);
+	if (after && isBookedBy(after, accountName)) {
+		return { success: false, error: `The booking at ${time} on ${slot.area} is still shown as yours after cancelling`, ...details };
+	}
+	log(`Cancelled ${date} ${time} on ${slot.area}; the slot is now ${after?.status || 'gone from the grid'}`);
+	return { success: true, ...details };
+};
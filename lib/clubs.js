@@ -0,0 +1,97 @@
+// Which HelloClub clubs the scripts can book at. Every club on the platform
+// has its own host but the same pages, so a club is just a base URL, the
+// facilities it exposes and where its members' credentials live.
+//
+// Clubs come from CLUBS_CONFIG (a JSON string, handy on Pipedream) or
+// CLUBS_FILE (a path); see clubs.example.json. Without either there is one
+// club, Harborough CSC. HELLO_CLUB_BASE_URL overrides the selected club's
+// host, e.g. to point the scripts at the mock server in mock/helloclub-server.js.
+//
+// Credentials are never stored in the config: a club names an envPrefix and
+// the login email and password are read from <envPrefix>_EMAIL<suffix> and
+// <envPrefix>_PASSWORD<suffix>, where suffix selects the member (e.g. _JOANNA).
+import { readFileSync } from "node:fs";
+
+export const DEFAULT_BASE_URL = "https://harboroughcsc.helloclub.com";
+
+export const DEFAULT_CLUBS = {
+	default: 'harborough',
+	clubs: {
+		harborough: {
+			name: 'Harborough CSC',
+			baseUrl: DEFAULT_BASE_URL,
+			envPrefix: 'HELLO_CLUB',
+			defaultFacility: 'padel',
+			facilities: { 'cricket-nets': {} },
+		},
+	},
+};
+
+const validateClubs = (config) => {
+	const errors = [];
+	if (!config.clubs || typeof config.clubs !== 'object' || Object.keys(config.clubs).length === 0) {
+		errors.push('clubs must name at least one club');
+	}
+	for (const [id, club] of Object.entries(config.clubs || {})) {
+		if (!/^https?:\/\/[^/]+/.test(club.baseUrl || '')) {
+			errors.push(`clubs.${id}.baseUrl must be an http(s) URL`);
+		}
+		if (club.envPrefix !== undefined && !/^[A-Z][A-Z0-9_]*$/.test(club.envPrefix)) {
+			errors.push(`clubs.${id}.envPrefix must be an environment variable prefix such as HELLO_CLUB`);
+		}
+		if (club.facilities !== undefined && (typeof club.facilities !== 'object' || Array.isArray(club.facilities))) {
+			errors.push(`clubs.${id}.facilities must map facility slugs to their settings`);
+		}
+	}
+	if (config.default && !config.clubs?.[config.default]) {
+		errors.push(`default club "${config.default}" is not one of the clubs`);
+	}
+	if (errors.length > 0) {
+		throw new Error(`Invalid club configuration:\n- ${errors.join('\n- ')}`);
+	}
+	return config;
+};
+
+export const loadClubs = ({ json = process.env.CLUBS_CONFIG, file = process.env.CLUBS_FILE } = {}) => {
+	let source;
+	if (json && json.trim()) {
+		source = json;
+	} else if (file) {
+		source = readFileSync(file, 'utf8');
+	} else {
+		return DEFAULT_CLUBS;
+	}
+
+	let parsed;
+	try {
+		parsed = JSON.parse(source);
+	} catch (error) {
+		throw new Error(`Invalid club configuration: ${error.message}`);
+	}
+	return validateClubs(parsed);
+};
+
+// Resolves a club by id (falling back to CLUB, then the configured default,
+// then the only club there is).
+export const getClub = (id, { clubs = loadClubs() } = {}) => {
+	const clubId = id || process.env.CLUB || clubs.default || Object.keys(clubs.clubs)[0];
+	const club = clubs.clubs[clubId];
+	if (!club) {
+		throw new Error(`Unknown club "${clubId}". Configured clubs: ${Object.keys(clubs.clubs).join(', ')}`);
+	}
+
+	return {
+		id: clubId,
+		name: club.name || clubId,
+		envPrefix: 'HELLO_CLUB',
+		defaultFacility: 'padel',
+		...club,
+		facilities: club.facilities || {},
+		baseUrl: (process.env.HELLO_CLUB_BASE_URL || club.baseUrl).replace(/\/+$/, ''),
+	};
+};
+
+export const getCredentials = (club, suffix = '') => ({
+	email: process.env[`${club.envPrefix}_EMAIL${suffix}`],
+	password: process.env[`${club.envPrefix}_PASSWORD${suffix}`],
+});
@@ -0,0 +1,127 @@
+// Splits the slots a booking plan wants between several accounts so they
+// work together instead of racing each other. Every slot an account goes for
+// is claimed first, and a claimed slot is never handed to anyone else.
+//
+// Strategies:
+//   per-court     the first account takes the best slot, the others take the
+//                 same time on other courts
+//   back-to-back  the first account takes the best slot, the others take the
+//                 following (or preceding) slots on the same court
+//   spread        each account takes the best slot nobody else has
+//   one           only one booking is wanted; the other accounts are
+//                 fallbacks, tried in order if the one before them fails
+//
+// Each account picks from its own plan (its accounts.<LABEL> preferences),
+// so per-court only puts an account beside the first one at a time its own
+// plan lists. back-to-back follows the first account's court and time
+// whatever the others' plans say, as that is the point of it.
+import { slotEndTime } from "./facilities.js";
+import { pickSlot } from "./preferences.js";
+
+export const STRATEGIES = ['per-court', 'back-to-back', 'spread', 'one'];
+
+export const slotKey = (slot) => `${slot.time}|${slot.area}`;
+
+export const createClaims = () => {
+	const owners = new Map();
+	return {
+		// True when the slot is now the account's; false when someone else has it
+		claim(slot, account) {
+			const owner = owners.get(slotKey(slot));
+			if (owner && owner !== account) return false;
+			owners.set(slotKey(slot), account);
+			return true;
+		},
+		release(slot, account) {
+			if (owners.get(slotKey(slot)) === account) owners.delete(slotKey(slot));
+		},
+		owner: (slot) => owners.get(slotKey(slot)) || null,
+		entries: () => Array.from(owners, ([key, account]) => ({ key, account })),
+	};
+};
+
+const minutes = (time) => {
+	const [hours, mins] = time.split(':').map(Number);
+	return hours * 60 + mins;
+};
+
+const isFree = (slot, claims) => slot.status === 'available' && !slot.attempted && !claims.owner(slot);
+
+// The plan's pick among slots nobody has claimed
+const pickUnclaimed = (grid, plan, claims) => pickSlot({
+	...grid,
+	slots: grid.slots.map(slot => (claims.owner(slot) ? { ...slot, attempted: true } : slot)),
+}, plan);
+
+// The slot the strategy wants for the account at position index, given the
+// slot the first account has (the anchor)
+const pickBesideAnchor = (grid, plan, { strategy, index, anchor, claims, facility }) => {
+	const candidate = plan.candidates.find(candidate => candidate.time === anchor.time);
+	if (strategy === 'per-court' && candidate) {
+		const sameTime = grid.slots.filter(slot => slot.time === anchor.time && isFree(slot, claims));
+		const ranked = pickSlot({ ...grid, slots: sameTime }, { ...plan, candidates: [candidate] });
+		if (ranked.slot) {
+			return { slot: ranked.slot, reason: `per-court: same time as ${anchor.account} (${anchor.time}), ${ranked.slot.area}` };
+		}
+	}
+
+	if (strategy === 'back-to-back') {
+		const length = facility?.slotMinutes || 60;
+		const wanted = [minutes(anchor.time) + index * length, minutes(anchor.time) - index * length];
+		for (const start of wanted) {
+			const slot = grid.slots.find(slot => slot.time && minutes(slot.time) === start && slot.area === anchor.area && isFree(slot, claims));
+			if (slot) {
+				const relation = start > minutes(anchor.time) ? 'after' : 'before';
+				return { slot, reason: `back-to-back: ${slot.time}-${slotEndTime({ slotMinutes: length }, slot.time)} on ${slot.area}, ${relation} ${anchor.account}'s ${anchor.time}` };
+			}
+		}
+	}
+
+	return null;
+};
+
+// Picks and claims a slot for one account. anchor is the first account's
+// claim ({ account, time, area }) or null for the first account itself.
+export const pickForAccount = (grid, plan, { account, index = 0, strategy = 'spread', anchor = null, claims, facility }) => {
+	let pick = anchor && index > 0 ? pickBesideAnchor(grid, plan, { strategy, index, anchor, claims, facility }) : null;
+
+	if (!pick) {
+		const fallback = pickUnclaimed(grid, plan, claims);
+		if (!fallback.slot) {
+			return { slot: null, reason: 'no unclaimed slot left in the plan', passed: fallback.passed };
+		}
+		const besideAnchor = anchor && index > 0 && (strategy === 'per-court' || strategy === 'back-to-back');
+		pick = {
+			slot: fallback.slot,
+			reason: besideAnchor ? `${fallback.reason} (no ${strategy} slot next to ${anchor.account}'s)` : fallback.reason,
+			passed: fallback.passed,
+		};
+	}
+
+	if (!claims.claim(pick.slot, account)) {
+		// Cannot happen within one process, but never hand out a claimed slot
+		return { slot: null, reason: `${slotKey(pick.slot)} is claimed by ${claims.owner(pick.slot)}` };
+	}
+	return pick;
+};
+
+// First-pass assignment for every account in order. With the "one" strategy
+// only the first account gets a slot; the rest wait as fallbacks. plans maps
+// an account to its own plan; accounts without one use plan.
+export const assignSlots = (grid, plan, accounts, { strategy = 'spread', claims = createClaims(), facility, plans = {} } = {}) => {
+	if (!STRATEGIES.includes(strategy)) {
+		throw new Error(`Unknown strategy "${strategy}". Expected one of: ${STRATEGIES.join(', ')}`);
+	}
+
+	let anchor = null;
+	return accounts.map((account, index) => {
+		if (strategy === 'one' && index > 0) {
+			return { account, slot: null, reason: 'fallback: only one booking wanted' };
+		}
+		const pick = pickForAccount(grid, plans[account] || plan, { account, index, strategy, anchor, claims, facility });
+		if (index === 0 && pick.slot) {
+			anchor = { account, time: pick.slot.time, area: pick.slot.area };
+		}
+		return { account, ...pick };
+	});
+};
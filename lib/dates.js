@@ -0,0 +1,99 @@
+// Dates as the club sees them. HelloClub's grid, its release times and the
+// times in its emails are all Europe/London wall-clock time, but the scripts
+// run on Pipedream (UTC) or wherever someone's laptop is, so nothing here
+// reads the machine's own timezone. Dates are plain YYYY-MM-DD strings and
+// calendar arithmetic on them is done in UTC, where no day is 23 or 25 hours.
+export const CLUB_TIME_ZONE = 'Europe/London';
+
+export const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// Offset of timeZone from UTC at instant, in milliseconds
+const timeZoneOffset = (instant, timeZone) => {
+	const parts = Object.fromEntries(new Intl.DateTimeFormat('en-GB', {
+		timeZone,
+		hourCycle: 'h23',
+		year: 'numeric', month: '2-digit', day: '2-digit',
+		hour: '2-digit', minute: '2-digit', second: '2-digit',
+	}).formatToParts(instant).map(part => [part.type, part.value]));
+	const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+	return asUtc - (instant.getTime() - instant.getMilliseconds());
+};
+
+const toUtc = (date) => {
+	const match = DATE_PATTERN.exec(date);
+	if (!match) {
+		throw new Error(`Invalid date "${date}": expected YYYY-MM-DD`);
+	}
+	return new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+};
+
+const fromUtc = (instant) => instant.toISOString().split('T')[0];
+
+// The YYYY-MM-DD date at instant in timeZone
+export const zonedDate = (instant, timeZone = CLUB_TIME_ZONE) =>
+	new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(instant);
+
+// The instant at which the wall clock in timeZone reads date and time
+export const zonedTimeToInstant = (date, time, timeZone = CLUB_TIME_ZONE) => {
+	const [year, month, day] = date.split('-').map(Number);
+	const [hours, minutes, seconds = 0] = time.split(':').map(Number);
+	const wallClock = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+	const guess = new Date(wallClock - timeZoneOffset(new Date(wallClock), timeZone));
+	return new Date(wallClock - timeZoneOffset(guess, timeZone));
+};
+
+export const addDays = (date, days) => {
+	const instant = toUtc(date);
+	instant.setUTCDate(instant.getUTCDate() + days);
+	return fromUtc(instant);
+};
+
+// Today's date at the club
+export const clubToday = ({ now = new Date(), timeZone = CLUB_TIME_ZONE } = {}) => zonedDate(now, timeZone);
+
+// The club date daysAhead days after instant, i.e. the date whose slots open then
+export const bookingDateFor = (instant = new Date(), daysAhead = 14, timeZone = CLUB_TIME_ZONE) =>
+	addDays(zonedDate(instant, timeZone), daysAhead);
+
+// count consecutive club dates, starting start days from today
+export const datesAhead = (count, { start = 0, now = new Date(), timeZone = CLUB_TIME_ZONE } = {}) => {
+	const today = clubToday({ now, timeZone });
+	return Array.from({ length: count }, (_, offset) => addDays(today, start + offset));
+};
+
+export const dayOfWeek = (date) => DAY_NAMES[toUtc(date).getUTCDay()];
+
+export const isWeekend = (date) => ['saturday', 'sunday'].includes(dayOfWeek(date));
+
+// The date of "26 April" as meant by someone writing at now: this year's,
+// unless that is more than graceDays ago, in which case next year's (a
+// December email about a January slot). month is a name or its number
+// (4 for April). A weekday name ("Saturday" or "Sat"), when given, must
+// match and settles which year is meant.
+export const resolveDayMonth = (day, month, { weekday = null, now = new Date(), graceDays = 7, timeZone = CLUB_TIME_ZONE } = {}) => {
+	const monthIndex = /^\d+$/.test(String(month))
+		? (Number(month) >= 1 && Number(month) <= 12 ? Number(month) - 1 : -1)
+		: MONTH_NAMES.findIndex(name => name.startsWith(String(month).toLowerCase().slice(0, 3)));
+	const dayNumber = Number(day);
+	if (monthIndex === -1 || !Number.isInteger(dayNumber) || dayNumber < 1 || dayNumber > 31) {
+		throw new Error(`Invalid date "${day} ${month}"`);
+	}
+
+	const today = clubToday({ now, timeZone });
+	const thisYear = Number(today.slice(0, 4));
+	const candidates = [thisYear, thisYear + 1]
+		.map(year => `${year}-${String(monthIndex + 1).padStart(2, '0')}-${String(dayNumber).padStart(2, '0')}`)
+		// 31 June, and 29 February outside leap years, are not dates
+		.filter(date => addDays(date, 0) === date)
+		.filter(date => !weekday || dayOfWeek(date).startsWith(String(weekday).toLowerCase().slice(0, 3)));
+
+	const date = candidates.find(date => date >= addDays(today, -graceDays));
+	if (!date) {
+		throw new Error(`No ${weekday ? `${weekday} ` : ''}${day} ${month} within a year of ${today}`);
+	}
+	return date;
+};
@@ -0,0 +1,52 @@
+// What can be booked. A facility is the slug HelloClub uses in its booking
+// URLs (/bookings/<slug>/<date>); the entries below add how its areas are
+// referred to, how long a slot lasts and how many can play in one booking
+// (maxPlayers, null when its games are not open to join). Any other slug the
+// club exposes works too, with generic defaults, and a club's configuration
+// can override any of these for its own facilities (see lib/clubs.js).
+import { zonedDate } from "./dates.js";
+
+export const DEFAULT_FACILITY = 'padel';
+
+export const FACILITIES = {
+	padel: { name: 'Padel', areaLabel: 'court', slotMinutes: 60, maxPlayers: 4 },
+	'cricket-nets': { name: 'Cricket', areaLabel: 'net', slotMinutes: 60, maxPlayers: null },
+};
+
+const titleCase = (slug) => slug.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+
+export const getFacility = (slug, club) => {
+	slug = slug || process.env.FACILITY || club?.defaultFacility || DEFAULT_FACILITY;
+	const normalised = String(slug).trim().toLowerCase();
+	if (!/^[a-z0-9][a-z0-9-]*$/.test(normalised)) {
+		throw new Error(`Invalid facility "${slug}": expected a HelloClub booking slug such as padel or cricket-nets`);
+	}
+	return {
+		slug: normalised,
+		name: titleCase(normalised),
+		areaLabel: 'court',
+		slotMinutes: 60,
+		maxPlayers: null,
+		...FACILITIES[normalised],
+		...club?.facilities?.[normalised],
+	};
+};
+
+// The slugs of every facility the club is set up for, its default first
+export const clubFacilities = (club) => Array.from(new Set([club?.defaultFacility || DEFAULT_FACILITY, ...Object.keys(club?.facilities || {})]));
+
+// date is the club's YYYY-MM-DD date, or an instant whose club date is meant
+export const bookingsUrl = (baseUrl, facility, date = '') => {
+	const day = date instanceof Date ? zonedDate(date) : date;
+	if (day && !/^\d{4}-\d{2}-\d{2}$/.test(day)) {
+		throw new Error(`Invalid booking date "${date}": expected YYYY-MM-DD`);
+	}
+	return `${baseUrl}/bookings/${facility.slug}/${day}`;
+};
+
+// The time a slot starting at time ends, e.g. 19:00 -> 20:00
+export const slotEndTime = (facility, time) => {
+	const [hours, minutes] = time.split(':').map(Number);
+	const end = hours * 60 + minutes + facility.slotMinutes;
+	return `${String(Math.floor(end / 60) % 24).padStart(2, '0')}:${String(end % 60).padStart(2, '0')}`;
+};
@@ -0,0 +1,143 @@
+// One parser for the HelloClub booking grid. The page holds a header grid with
+// one .BookingGridArea-name per area and a body grid with one
+// .BookingGrid-column per area, each a stack of .BookingGrid-cell.Slot cells.
+// The model returned here is what every booking flow selects slots from:
+//
+// {
+//   areas: [{ index, name, number }],
+//   times: ['08:00', ...],
+//   slots: [{ areaIndex, area, row, time, status, isPeak, members,
+//             peopleCount, hasWaitingList, onWaitingList, attempted }]
+// }
+//
+// status is 'available', 'booked' (someone's booking is shown on it) or
+// 'disabled' (closed, past or otherwise not bookable). row is the cell's
+// position in its column and, with areaIndex, locates the cell again.
+// hasWaitingList is true when a booked slot offers its waiting list and
+// onWaitingList when the member is already on it.
+
+// Runs inside the page, so it must not reference anything outside itself.
+export function parseBookingGrid() {
+	const clean = (text) => (text || '').replace(/\s+/g, ' ').trim();
+	const areaNumber = (name) => name.match(/(\d+)/)?.[1] ?? null;
+
+	const areaNames = Array.from(document.querySelectorAll('.BookingGrid'))
+		.map(grid => Array.from(grid.querySelectorAll('.BookingGridArea-name')).map(el => clean(el.textContent)))
+		.find(names => names.length > 0) || [];
+
+	const bodyGrid = Array.from(document.querySelectorAll('.BookingGrid'))
+		.find(grid => grid.querySelector('.BookingGrid-cell.Slot'));
+	const columns = bodyGrid
+		? Array.from(bodyGrid.querySelectorAll('.BookingGrid-column')).filter(column => column.querySelector('.BookingGrid-cell.Slot'))
+		: [];
+
+	const areas = columns.map((column, index) => {
+		const name = areaNames[index] || `Area ${index + 1}`;
+		return { index, name, number: areaNumber(name) };
+	});
+
+	const slots = [];
+	columns.forEach((column, areaIndex) => {
+		Array.from(column.children)
+			.filter(cell => cell.classList.contains('Slot'))
+			.forEach((cell, row) => {
+				const time = cell.querySelector('.Slot-text')?.textContent?.match(/\d{1,2}:\d{2}/)?.[0] ?? null;
+				const members = Array.from(cell.querySelectorAll('.SlotMember-name')).map(el => clean(el.textContent));
+				const peopleText = cell.querySelector('.SlotPeopleNumber')?.textContent;
+				const isBooked = !!cell.querySelector('.SlotBooking') || members.length > 0 || !!peopleText;
+				const waitingListButton = cell.querySelector('.ButtonWaitingList');
+
+				let status = 'disabled';
+				if (cell.classList.contains('available')) {
+					status = 'available';
+				} else if (isBooked) {
+					status = 'booked';
+				}
+
+				slots.push({
+					areaIndex,
+					area: areas[areaIndex].name,
+					row,
+					time: time && time.padStart(5, '0'),
+					status,
+					isPeak: cell.classList.contains('peak'),
+					members,
+					peopleCount: peopleText ? parseInt(peopleText, 10) : members.length,
+					hasWaitingList: !!waitingListButton,
+					onWaitingList: !!waitingListButton && (waitingListButton.classList.contains('ButtonWaitingList--active') || clean(waitingListButton.textContent) === 'alarm_on'),
+					attempted: cell.getAttribute('data-booking-attempted') === 'true',
+				});
+			});
+	});
+
+	const times = Array.from(new Set(slots.map(slot => slot.time).filter(Boolean))).sort();
+
+	return { areas, times, slots };
+}
+
+export const readBookingGrid = (page) => page.evaluate(parseBookingGrid);
+
+export const findSlots = (grid, { time, area, areaIndex, status } = {}) => grid.slots.filter(slot =>
+	(time === undefined || slot.time === time) &&
+	(area === undefined || slot.area === area) &&
+	(areaIndex === undefined || slot.areaIndex === areaIndex) &&
+	(status === undefined || slot.status === status));
+
+const sameName = (a, b) => a.replace(/\s+/g, ' ').trim().toLowerCase() === b.replace(/\s+/g, ' ').trim().toLowerCase();
+
+// Whether the slot is booked with accountName, the name in the user menu,
+// among its players. The missing waiting list button is no guide on its own:
+// HelloClub leaves it off every booking that has already started, whoever
+// made it.
+export const isBookedBy = (slot, accountName) =>
+	slot.status === 'booked' && !!accountName && slot.members.some(name => sameName(name, accountName));
+
+// True when the slot's area is the given court. Accepts a court number
+// ("2", matching "Padel Court 2 (Near)") or a full area name.
+export const isArea = (grid, slot, court) => {
+	if (court === undefined || court === null || court === '') return false;
+	const area = grid.areas[slot.areaIndex];
+	return String(court) === area.number || String(court) === area.name;
+};
+
+// Clicks the cell at slot.areaIndex/slot.row and marks it as attempted. If no
+// booking modal has appeared after clickDelay the cell is clicked again.
+export const clickSlot = (page, slot, { clickDelay = 2500, modalSelector } = {}) => page.evaluate(async (locator, clickDelay, modalSelector) => {
+	const bodyGrid = Array.from(document.querySelectorAll('.BookingGrid'))
+		.find(grid => grid.querySelector('.BookingGrid-cell.Slot'));
+	const column = Array.from(bodyGrid?.querySelectorAll('.BookingGrid-column') || [])
+		.filter(column => column.querySelector('.BookingGrid-cell.Slot'))[locator.areaIndex];
+	const cell = Array.from(column?.children || []).filter(child => child.classList.contains('Slot'))[locator.row];
+
+	if (!cell) {
+		return { success: false, error: `Slot ${locator.time} on ${locator.area} is no longer on the grid` };
+	}
+
+	cell.setAttribute('data-booking-attempted', 'true');
+	cell.click();
+	await new Promise(resolve => setTimeout(resolve, clickDelay));
+
+	const modalVisible = !!document.querySelector(modalSelector);
+	if (!modalVisible) {
+		cell.click();
+	}
+
+	return { success: true, requiredSecondClick: !modalVisible, className: cell.className };
+}, { areaIndex: slot.areaIndex, row: slot.row, time: slot.time, area: slot.area }, clickDelay, modalSelector);
+
+// Clicks the element matching selector inside the slot's cell, e.g. the
+// waiting list button on a booked slot
+export const clickInSlot = (page, slot, selector) => page.evaluate((locator, selector) => {
+	const bodyGrid = Array.from(document.querySelectorAll('.BookingGrid'))
+		.find(grid => grid.querySelector('.BookingGrid-cell.Slot'));
+	const column = Array.from(bodyGrid?.querySelectorAll('.BookingGrid-column') || [])
+		.filter(column => column.querySelector('.BookingGrid-cell.Slot'))[locator.areaIndex];
+	const cell = Array.from(column?.children || []).filter(child => child.classList.contains('Slot'))[locator.row];
+	const target = cell?.querySelector(selector);
+
+	if (!target) {
+		return { success: false, error: `No ${selector} on ${locator.time} on ${locator.area}` };
+	}
+	target.click();
+	return { success: true };
+}, { areaIndex: slot.areaIndex, row: slot.row, time: slot.time, area: slot.area }, selector);
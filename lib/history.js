@@ -0,0 +1,93 @@
+// A local record of what the grids looked like and how booking runs went,
+// for analytics.js to learn from. Every grid a script reads and every run it
+// finishes is appended as one JSON line to HISTORY_FILE:
+//
+//   { type: 'grid', at, source, account, club, facility, date, slots: [{ time, area, status, people }] }
+//   { type: 'run', at, source, account, club, facility, date, event, slots: [{ time, area }], error }
+//
+// at is when it was seen, source the script that saw it, status 'free',
+// 'booked' or 'disabled' as in the availability report, and event the
+// notification event (booked, failed, waiting-list, skipped or dry-run).
+// Nothing is kept without a file, and a file that cannot be written is logged
+// rather than failing the run.
+import { appendFileSync, readFileSync } from "node:fs";
+import { availabilityCells } from "./availability.js";
+import { readBookingGrid } from "./grid.js";
+import { eventFor } from "./notifications.js";
+
+// The slots a run booked, or tried to
+const runSlots = (result) => {
+	if (result.slots?.length > 0) return result.slots.map(({ time, area }) => ({ time, area: area || null }));
+	if (result.timeBooked) return [{ time: result.timeBooked, area: result.courtBooked || null }];
+	return [];
+};
+
+export const gridRecord = (grid, date) => ({
+	type: 'grid',
+	date,
+	slots: availabilityCells(grid, date).map(({ time, area, status, people }) => ({ time, area, status, people })),
+});
+
+export const runRecord = (result) => ({
+	type: 'run',
+	...(result.facility && { facility: result.facility }),
+	date: result.date || null,
+	event: eventFor(result),
+	slots: runSlots(result),
+	error: result.success ? null : result.error || null,
+});
+
+// source names the script; account is the credentials label (null for the
+// account without a suffix) and facility the one being booked, which a
+// record may override.
+export const createHistory = ({ file = process.env.HISTORY_FILE, source, account = null, club = null, facility = null, now = () => new Date(), log = console.log } = {}) => {
+	const append = (record, overrides = {}) => {
+		if (!file) return false;
+		const entry = { at: now().toISOString(), source, account, club, facility: facility?.slug ?? null, ...overrides, ...record };
+		try {
+			appendFileSync(file, `${JSON.stringify(entry)}\n`);
+			return true;
+		} catch (error) {
+			log(`Could not add to the history file ${file}: ${error.message}`);
+			return false;
+		}
+	};
+
+	return {
+		file,
+		recordGrid: (grid, date, overrides) => append(gridRecord(grid, date), overrides),
+		// Reads the grid on the page first; never throws
+		recordPage: async (page, date, overrides) => {
+			if (!file) return false;
+			try {
+				return append(gridRecord(await readBookingGrid(page), date), overrides);
+			} catch (error) {
+				log(`Could not read the grid for the history: ${error.message}`);
+				return false;
+			}
+		},
+		recordRun: (result, overrides) => append(runRecord(result), overrides),
+	};
+};
+
+// Every record in the file, skipping lines that do not parse (a run killed
+// mid-write leaves half a line). A missing file has no records.
+export const readHistory = (file) => {
+	let source;
+	try {
+		source = readFileSync(file, 'utf8');
+	} catch (error) {
+		if (error.code === 'ENOENT') return [];
+		throw error;
+	}
+	const records = [];
+	for (const line of source.split('\n')) {
+		if (!line.trim()) continue;
+		try {
+			records.push(JSON.parse(line));
+		} catch (error) {
+			// Half-written line
+		}
+	}
+	return records;
+};
@@ -0,0 +1,106 @@
+// Per-run logging. Each run makes its own logger, so a warm Pipedream worker
+// no longer hands one run the lines of the runs before it. Lines are JSON,
+// one per entry: { time, level, runId, script, account, message, ...fields }.
+//
+// A logger is still a function, log(message), so it can be passed to
+// everything in lib/ that takes a log callback; log.debug, log.info,
+// log.warn and log.error pick the level. LOG_LEVEL (default info) drops the
+// levels below it. log.child({ account }) logs under the same run with other
+// context, and log.lines holds every line the run logged, for its result
+// (unless keepLines is off, for runs that go on for days).
+//
+// Emails, passwords, API keys and live browser URLs are redacted before
+// anything is written: values of *PASSWORD*, *API_KEY*, *SECRET* and *TOKEN*
+// environment variables wherever they appear, plus anything that looks like
+// an email address, a "password: ..." pair or a Hyperbrowser URL.
+import { randomUUID } from "node:crypto";
+
+export const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const SECRET_ENV = /PASSWORD|API_KEY|SECRET|TOKEN/i;
+const EMAIL = /[\w.+-]+@[\w-]+(\.[\w-]+)+/g;
+const LIVE_URL = /https?:\/\/[^\s"'<>]*hyperbrowser[^\s"'<>]*/gi;
+const SECRET_PARAM = /([?&](?:token|key|api_?key|secret|password)=)[^&\s"'<>]+/gi;
+const SECRET_PAIR = /\b(password|passwd|api[_-]?key|secret|token)(["']?\s*[:=]\s*["']?)[^\s"',;&]+/gi;
+
+export const newRunId = () => randomUUID().slice(0, 8);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Builds a function that redacts the given secret values and the patterns above
+export const createRedactor = (secrets = []) => {
+	const values = [...new Set(secrets.filter(value => value && value.length >= 4))]
+		.sort((a, b) => b.length - a.length);
+	const known = values.length > 0 ? new RegExp(values.map(escapeRegExp).join('|'), 'g') : null;
+
+	const redactText = (text) => {
+		let redacted = known ? text.replace(known, '[redacted]') : text;
+		return redacted
+			.replace(LIVE_URL, '[live URL]')
+			.replace(SECRET_PARAM, '$1[redacted]')
+			.replace(SECRET_PAIR, '$1$2[redacted]')
+			.replace(EMAIL, '[email]');
+	};
+	const redact = (value) => {
+		if (typeof value === 'string') return redactText(value);
+		if (Array.isArray(value)) return value.map(redact);
+		if (value && typeof value === 'object') {
+			return Object.fromEntries(Object.entries(value).map(([key, inner]) => [key, redact(inner)]));
+		}
+		return value;
+	};
+	return redact;
+};
+
+// The secret values in the environment, by variable name
+export const environmentSecrets = (env = process.env) => Object.entries(env)
+	.filter(([name]) => SECRET_ENV.test(name))
+	.map(([, value]) => value);
+
+const messageText = (message) => message instanceof Error ? message.message : String(message);
+
+export const createLogger = ({
+	script,
+	account = null,
+	runId = newRunId(),
+	level = process.env.LOG_LEVEL || 'info',
+	secrets = environmentSecrets(),
+	write = (line) => console.log(line),
+	now = () => new Date(),
+	keepLines = true,
+} = {}) => {
+	if (!LEVELS.includes(level)) {
+		throw new Error(`Unknown LOG_LEVEL "${level}". Expected one of: ${LEVELS.join(', ')}`);
+	}
+	const threshold = LEVELS.indexOf(level);
+	const redact = createRedactor(secrets);
+	const lines = [];
+
+	const make = (context) => {
+		const emit = (entryLevel, message, fields = {}) => {
+			if (LEVELS.indexOf(entryLevel) < threshold) return;
+			const entry = redact({
+				time: now().toISOString(),
+				level: entryLevel,
+				runId,
+				...context,
+				message: messageText(message),
+				...fields,
+			});
+			const line = JSON.stringify(entry);
+			if (keepLines) lines.push(line);
+			write(line);
+		};
+
+		const log = (message, fields) => emit('info', message, fields);
+		for (const entryLevel of LEVELS) {
+			log[entryLevel] = (message, fields) => emit(entryLevel, message, fields);
+		}
+		log.child = (extra) => make({ ...context, ...extra });
+		log.runId = runId;
+		log.lines = lines;
+		return log;
+	};
+
+	return make({ script, account });
+};
@@ -0,0 +1,49 @@
+// Shown once a member is logged in
+const LOGGED_IN_SELECTOR = '.UserMenu-toggle-details';
+
+// Logs in to the club with the HelloClub login form, unless the browser
+// profile already holds a session.
+//
+// The live login is an Angular app: it shows a spinner and does not always
+// navigate, so a plain waitForNavigation can hang until it times out. The
+// login waits for a navigation, the user menu or settleTimeout, whichever
+// comes first, and then reloads the page to pick up the session.
+export const loginIfNeeded = async (page, { baseUrl, club, credentials, useProfile = false, settleTimeout = 6000, log = () => {} }) => {
+	if (useProfile) {
+		log("Using profile, skipping login");
+		return;
+	}
+
+	// Navigate to the website
+	log(`Navigating to ${club.name}...`);
+	await page.goto(baseUrl);
+
+	// Wait for the first form and email input to be present
+	await page.waitForSelector('form');
+	const emailInput = await page.evaluate(() => {
+		const form = document.querySelector('form');
+		const emailInput = form.querySelector('input[type="email"]');
+		return emailInput ? true : false;
+	});
+
+	if (!emailInput) {
+		throw new Error("Could not find email input field in the form");
+	}
+	if (!credentials.email || !credentials.password) {
+		throw new Error(`Missing credentials for ${club.name}: check the ${club.envPrefix}_EMAIL and ${club.envPrefix}_PASSWORD variables for this user suffix`);
+	}
+
+	await page.type('form input[type="email"]', credentials.email, { delay: 15 });
+	await page.type('form input[type="password"]', credentials.password, { delay: 15 });
+
+	await page.waitForSelector('button.firstActionButton');
+	await page.click('button.firstActionButton');
+
+	// Wait for login to complete
+	const settled = await Promise.race([
+		page.waitForNavigation({ timeout: settleTimeout }).then(() => 'navigated'),
+		page.waitForSelector(LOGGED_IN_SELECTOR, { timeout: settleTimeout }).then(() => 'logged in'),
+	].map(wait => wait.catch(() => null)));
+	log(settled ? `Login ${settled}, refreshing the page...` : 'Login did not navigate, refreshing the page...');
+	await page.reload({ waitUntil: 'networkidle0' });
+};
@@ -0,0 +1,251 @@
+// Notifications: a short message after each run saying what was booked, or
+// why not. They come from NOTIFICATIONS_CONFIG (a JSON string, also the
+// Pipedream "notifications" prop) or NOTIFICATIONS_FILE (a path); see
+// notifications.example.json. Without either nothing is sent.
+//
+// channels names where messages go, each with a type:
+//   webhook  POSTs the message as JSON to url (extra headers optional)
+//   smtp     emails it: host, port, secure, user, from, to; the password is
+//            read from the environment variable passwordEnv (SMTP_PASSWORD)
+//            and only sent over TLS unless allowInsecureAuth is true
+//   file     appends it as a JSON line to path, or prints it when path is "-"
+// default picks the channels and events for every account and
+// accounts.<LABEL> overrides them for one (DEFAULT is the account without a
+// suffix). Events are booked, failed, waiting-list, skipped and dry-run.
+//
+// A channel that fails is logged and never fails the run. Messages are
+// redacted as log lines are (see lib/logger.js) before any channel sees
+// them, and leave out the run's artifact paths.
+import { appendFileSync, readFileSync } from "node:fs";
+import { createRedactor, environmentSecrets } from "./logger.js";
+import { sendMail } from "./smtp.js";
+
+export const EVENTS = ['booked', 'failed', 'waiting-list', 'skipped', 'dry-run'];
+
+// What the config means when it does not say
+const DEFAULT_RULE = { channels: null, events: ['booked', 'failed', 'waiting-list'] };
+
+// Modal text can be a whole page of terms, so failures quote the start of it
+const MAX_MODAL_TEXT = 500;
+
+export const CHANNELS = {
+	webhook: {
+		validate: (channel) => /^https?:\/\//.test(channel.url || '') ? [] : ['url must be an http(s) URL'],
+		send: async (channel, message) => {
+			const response = await fetch(channel.url, {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json', ...channel.headers },
+				body: JSON.stringify(message),
+			});
+			if (!response.ok) {
+				throw new Error(`Webhook answered ${response.status} ${response.statusText}`);
+			}
+		},
+	},
+	smtp: {
+		validate: (channel) => [
+			...(channel.host ? [] : ['host is required']),
+			...(channel.from ? [] : ['from is required']),
+			...([].concat(channel.to || []).length > 0 ? [] : ['to must name at least one address']),
+		],
+		send: (channel, message) => sendMail({
+			host: channel.host,
+			port: Number(channel.port) || undefined,
+			secure: channel.secure,
+			user: channel.user,
+			password: process.env[channel.passwordEnv || 'SMTP_PASSWORD'],
+			allowInsecureAuth: channel.allowInsecureAuth === true,
+			from: channel.from,
+			to: channel.to,
+			subject: message.subject,
+			text: message.text,
+		}),
+	},
+	file: {
+		validate: (channel) => channel.path ? [] : ['path is required ("-" for stdout)'],
+		send: async (channel, message) => {
+			if (channel.path === '-') {
+				console.log(`${message.subject}\n${message.text}`);
+			} else {
+				appendFileSync(channel.path, `${JSON.stringify(message)}\n`);
+			}
+		},
+	},
+};
+
+const validateRule = (rule, path, channels, errors) => {
+	if (rule.channels !== undefined) {
+		if (!Array.isArray(rule.channels)) {
+			errors.push(`${path}channels must be a list of channel names`);
+		} else {
+			rule.channels.filter(name => !channels[name]).forEach(name => errors.push(`${path}channels: "${name}" is not one of the channels`));
+		}
+	}
+	if (rule.events !== undefined) {
+		if (!Array.isArray(rule.events)) {
+			errors.push(`${path}events must be a list of events`);
+		} else {
+			rule.events.filter(event => !EVENTS.includes(event)).forEach(event => errors.push(`${path}events: "${event}" is not one of ${EVENTS.join(', ')}`));
+		}
+	}
+};
+
+const validateNotifications = (config) => {
+	const errors = [];
+	const channels = config.channels || {};
+	if (typeof channels !== 'object' || Array.isArray(channels) || Object.keys(channels).length === 0) {
+		errors.push('channels must name at least one channel');
+	}
+	for (const [name, channel] of Object.entries(channels)) {
+		const type = CHANNELS[channel?.type];
+		if (!type) {
+			errors.push(`channels.${name}.type must be one of ${Object.keys(CHANNELS).join(', ')}`);
+			continue;
+		}
+		type.validate(channel).forEach(error => errors.push(`channels.${name}.${error}`));
+	}
+	validateRule(config.default || {}, 'default.', channels, errors);
+	for (const [account, rule] of Object.entries(config.accounts || {})) {
+		validateRule(rule, `accounts.${account}.`, channels, errors);
+	}
+	if (errors.length > 0) {
+		throw new Error(`Invalid notification configuration:\n- ${errors.join('\n- ')}`);
+	}
+	return config;
+};
+
+// Returns the notification config, or null when none is set
+export const loadNotifications = ({ json = process.env.NOTIFICATIONS_CONFIG, file = process.env.NOTIFICATIONS_FILE } = {}) => {
+	let source;
+	if (json && json.trim()) {
+		source = json;
+	} else if (file) {
+		source = readFileSync(file, 'utf8');
+	} else {
+		return null;
+	}
+
+	let parsed;
+	try {
+		parsed = JSON.parse(source);
+	} catch (error) {
+		throw new Error(`Invalid notification configuration: ${error.message}`);
+	}
+	return validateNotifications(parsed);
+};
+
+// The channel names an account's event goes to. Without channels in the
+// rules every channel is used.
+export const channelsFor = (config, account, event) => {
+	const rule = { ...DEFAULT_RULE, ...config.default, ...config.accounts?.[account || 'DEFAULT'] };
+	if (!rule.events.includes(event)) return [];
+	return rule.channels || Object.keys(config.channels);
+};
+
+// Which event a run's result is
+export const eventFor = (result) => {
+	if (result.debug) return 'dry-run';
+	if (result.skipped) return 'skipped';
+	if (result.success) return 'booked';
+	if (result.waitingLists?.length > 0) return 'waiting-list';
+	return 'failed';
+};
+
+const oneLine = (text) => (text || '').replace(/\s+/g, ' ').trim();
+
+const clip = (text) => text.length > MAX_MODAL_TEXT ? `${text.slice(0, MAX_MODAL_TEXT)}...` : text;
+
+// "18:00 on Court 1", or every slot of a block
+const describeSlots = (result) => result.slots?.length > 1
+	? result.slots.map(({ time, area }) => `${time} on ${area}`).join(', ')
+	: `${result.timeBooked} on ${result.courtBooked}`;
+
+// Builds { event, account, subject, text, result } for one run. result is
+// what the script returned; club and facility are display names.
+export const buildNotification = (result, { account = null, club = null, facility = null, event = eventFor(result) } = {}) => {
+	const where = [club, facility].filter(Boolean).join(' ');
+	const prefix = `${where ? `${where} ` : ''}${result.date || ''}`.trim();
+	const lines = [];
+	let summary;
+
+	if (event === 'booked') {
+		summary = `booked ${describeSlots(result)}`;
+		lines.push(`Booked ${describeSlots(result)} on ${result.date}.`);
+	} else if (event === 'dry-run') {
+		summary = `dry run would book ${describeSlots(result)}`;
+		lines.push(`Dry run: would book ${describeSlots(result)} on ${result.date}. Nothing was confirmed.`);
+	} else if (event === 'waiting-list') {
+		summary = `on ${result.waitingLists.length} waiting list(s)`;
+		lines.push(`Nothing preferred was free on ${result.date} (${result.error}). Joined the waiting list for:`);
+		result.waitingLists.forEach(({ time, area }) => lines.push(`- ${time} on ${area}`));
+	} else if (event === 'skipped') {
+		summary = 'skipped';
+		lines.push(`Not booking ${result.date}: ${result.error}.`);
+	} else {
+		summary = result.unverified ? 'booking not verified' : 'booking failed';
+		lines.push(`Booking${result.date ? ` for ${result.date}` : ''} failed: ${result.error}`);
+	}
+
+	if (result.reason && (event === 'booked' || event === 'dry-run')) {
+		lines.push(`Why: ${result.reason}`);
+	}
+	if (result.partners?.length > 0) {
+		lines.push(`Playing with: ${result.partners.join(', ')}`);
+	}
+	if (result.missingPartners?.length > 0) {
+		lines.push(`Could not add: ${result.missingPartners.join(', ')}`);
+	}
+	if (result.missed?.length > 0 && (event === 'booked' || event === 'dry-run')) {
+		lines.push('Could not book:');
+		result.missed.forEach(({ date, time, area, error }) => lines.push(`- ${time}${area ? ` on ${area}` : ''} on ${date}: ${error}`));
+	}
+	if (result.passedOver?.length > 0) {
+		lines.push('Preferences skipped:');
+		result.passedOver.forEach(({ time, reason }) => lines.push(`- ${time}: ${reason}`));
+	}
+
+	const modalText = oneLine(result.evidence?.modalText || result.modalText);
+	if (modalText && event !== 'booked') {
+		lines.push(`${event === 'dry-run' ? 'Confirm step' : 'Last modal text'}: ${clip(modalText)}`);
+	}
+	if (account) {
+		lines.push(`Account: ${account}`);
+	}
+
+	return {
+		event,
+		account,
+		subject: `${prefix ? `${prefix}: ` : ''}${summary}`,
+		text: lines.join('\n'),
+		result: Object.fromEntries(Object.entries(result).filter(([key]) => !['logs', 'notifications', 'artifacts'].includes(key))),
+	};
+};
+
+// Sends a run's result to the channels configured for its account and event.
+// config is a JSON string, a parsed config or null to read the environment.
+// secrets are the values to redact besides the usual patterns. Returns
+// [{ channel, success, error }] and never throws.
+export const notify = async (result, { config = null, account = null, club = null, facility = null, secrets = environmentSecrets(), log = console.log } = {}) => {
+	let notifications;
+	try {
+		notifications = typeof config === 'object' && config !== null ? validateNotifications(config) : loadNotifications(config ? { json: config } : {});
+	} catch (error) {
+		log(`Notifications not sent: ${error.message}`);
+		return [{ channel: null, success: false, error: error.message }];
+	}
+	if (!notifications) return [];
+
+	const message = createRedactor(secrets)(buildNotification(result, { account, club, facility }));
+	const names = channelsFor(notifications, account, message.event);
+	return Promise.all(names.map(async (name) => {
+		const channel = notifications.channels[name];
+		try {
+			await CHANNELS[channel.type].send(channel, message);
+			log(`Sent ${message.event} notification to ${name}`);
+			return { channel: name, success: true };
+		} catch (error) {
+			log(`Could not send ${message.event} notification to ${name}: ${error.message}`);
+			return { channel: name, success: false, error: error.message };
+		}
+	}));
+};
@@ -0,0 +1,97 @@
+// Open games: bookings other members have made that still have room, such as
+// a friend's "playing with other members" game with two of four places
+// taken. The grid lists who is playing (.SlotMember-name, .SlotPeopleNumber)
+// and only offers the waiting list button on upcoming bookings that are not
+// the member's own; games we already play in are the ones listing the
+// account name.
+import { clickModalButtonMatching, dismissModal, waitForModalUpdate } from "./booking-flow.js";
+import { clickSlot, isArea, isBookedBy } from "./grid.js";
+import { verifyBookings } from "./verification.js";
+
+const JOIN_GAME_LABEL = /^join( (the )?(game|booking))?$/i;
+
+const sameName = (a, b) => a.replace(/\s+/g, ' ').trim().toLowerCase() === b.replace(/\s+/g, ' ').trim().toLowerCase();
+
+// Games on the grid with at least one of friends playing and a place left,
+// in plan order: time choice first, then the most friends, then court
+// ranking. Times accountName is already playing at are left out.
+export const findOpenGames = (grid, plan, { friends, maxPlayers, accountName }) => {
+	if (!maxPlayers || friends.length === 0) return [];
+
+	const busy = new Set(grid.slots.filter(slot => isBookedBy(slot, accountName)).map(slot => slot.time));
+	const courtRank = (slot, courts) => {
+		const index = courts.findIndex(court => isArea(grid, slot, court));
+		return index === -1 ? courts.length : index;
+	};
+
+	const games = [];
+	for (const candidate of plan.candidates) {
+		if (busy.has(candidate.time)) continue;
+
+		const found = grid.slots
+			.filter(slot => slot.time === candidate.time && slot.status === 'booked' && slot.hasWaitingList)
+			.map(slot => ({
+				slot,
+				friends: slot.members.filter(name => friends.some(friend => sameName(friend, name))),
+				players: Math.max(slot.peopleCount || 0, slot.members.length),
+			}))
+			.filter(game => game.friends.length > 0 && game.players < maxPlayers)
+			.sort((a, b) => b.friends.length - a.friends.length || courtRank(a.slot, candidate.courts) - courtRank(b.slot, candidate.courts));
+
+		games.push(...found.map(({ slot, friends, players }) => ({
+			date: plan.date,
+			time: slot.time,
+			area: slot.area,
+			friends,
+			spaces: maxPlayers - players,
+			rank: candidate.rank,
+			slot,
+			reason: `${plan.ruleName} rule: ${slot.time} is time choice #${candidate.rank}; ${friends.join(', ')} playing, ${maxPlayers - players} of ${maxPlayers} places left`,
+		})));
+	}
+	return games;
+};
+
+// Orders games found over several dates: best time choice, then most
+// friends, then soonest
+export const rankOpenGames = (games) => [...games].sort((a, b) =>
+	a.rank - b.rank || b.friends.length - a.friends.length || a.date.localeCompare(b.date));
+
+// Opens the game on the loaded grid and clicks Join, then reloads the grid
+// until it lists accountName among the players (see verifyBookings). Returns
+// { success, error }, with unverified and evidence when the join did not show.
+export const joinGame = async (page, game, { baseUrl, facility, accountName, attempts, interval, log = console.log }) => {
+	const click = await clickSlot(page, game.slot, { clickDelay: 1500, modalSelector: '.ModalWrapper .Modal' });
+	if (!click.success) {
+		return { success: false, error: click.error };
+	}
+
+	const joined = await clickModalButtonMatching(page, JOIN_GAME_LABEL);
+	if (!joined) {
+		const { modalText } = await waitForModalUpdate(page, {}, { maxAttempts: 1 });
+		await dismissModal(page);
+		return { success: false, error: `No join option on ${game.time} on ${game.area}: ${modalText.replace(/\s+/g, ' ').trim()}` };
+	}
+	log(`Clicked ${joined} for ${game.time} on ${game.area}`);
+
+	const after = await waitForModalUpdate(page, { hasModal: false });
+	if (after.hasModal) {
+		await dismissModal(page);
+		return { success: false, error: after.modalText.replace(/\s+/g, ' ').trim() };
+	}
+
+	const verification = await verifyBookings(page, {
+		baseUrl,
+		facility,
+		date: game.date,
+		slots: [{ time: game.time, area: game.area }],
+		accountName,
+		attempts,
+		interval,
+		log,
+	});
+	if (!verification.verified) {
+		return { success: false, unverified: true, error: verification.error, evidence: verification.evidence };
+	}
+	return { success: true };
+};
@@ -0,0 +1,234 @@
+// Booking preferences: which times and courts to try, per day of the week.
+// They come from a JSON file (PREFERENCES_FILE) or a JSON string (the
+// Pipedream "preferences" prop), so changing Tuesday's time no longer means
+// editing code. See preferences.example.json for the format.
+//
+// Rules are looked up most specific first: the day name ("tuesday"), then
+// "weekend"/"weekday", then "default". Each rule may set:
+//   times         ordered list of start times to try
+//   courts        court ranking used for every time (court numbers or area names)
+//   courtsByTime  court ranking for particular times, overriding courts
+//   earliest      drop times before this
+//   latest        drop times after this
+//   block         book this many consecutive slots on one court (default 1)
+//   mode          booking type to pick on the first modal step, by name
+//   partners      names of the members playing too, added as participants
+// earliest, latest and skipDates may also be set at the top level, as may
+// friends: the members whose open games join-games.js looks for.
+// facilities.<slug> holds overrides for one facility (so cricket nets can
+// have different times from padel) and accounts.<LABEL> per-account
+// overrides, merged in that order over the top level. accounts.DEFAULT is
+// the account without a suffix.
+import { readFileSync } from "node:fs";
+import { DAY_NAMES, dayOfWeek, isWeekend } from "./dates.js";
+import { isArea } from "./grid.js";
+
+const RULE_NAMES = [...DAY_NAMES, 'weekday', 'weekend', 'default'];
+const TIME_PATTERN = /^\d{2}:\d{2}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// The lists the scripts used before preferences existed
+export const DEFAULT_PREFERENCES = {
+	rules: {
+		weekday: { times: ['12:00', '13:00', '14:00', '11:00', '15:00', '16:00', '19:00', '17:00', '20:00'] },
+		weekend: { times: ['16:00', '17:00', '15:00', '14:00', '18:00', '19:00', '20:00'] },
+	},
+	skipDates: [],
+	friends: [],
+	facilities: {},
+	accounts: {},
+};
+
+const validateRule = (rule, where, errors) => {
+	for (const key of Object.keys(rule)) {
+		if (!['times', 'courts', 'courtsByTime', 'earliest', 'latest', 'block', 'mode', 'partners'].includes(key)) {
+			errors.push(`${where}: unknown setting "${key}"`);
+		}
+	}
+	if (rule.times !== undefined) {
+		if (!Array.isArray(rule.times)) {
+			errors.push(`${where}.times must be a list of HH:MM times`);
+		} else {
+			rule.times.filter(time => !TIME_PATTERN.test(time))
+				.forEach(time => errors.push(`${where}.times: "${time}" is not an HH:MM time`));
+		}
+	}
+	if (rule.courts !== undefined && !Array.isArray(rule.courts)) {
+		errors.push(`${where}.courts must be a list`);
+	}
+	for (const [time, courts] of Object.entries(rule.courtsByTime || {})) {
+		if (!TIME_PATTERN.test(time)) errors.push(`${where}.courtsByTime: "${time}" is not an HH:MM time`);
+		if (!Array.isArray(courts)) errors.push(`${where}.courtsByTime.${time} must be a list`);
+	}
+	for (const bound of ['earliest', 'latest']) {
+		if (rule[bound] !== undefined && !TIME_PATTERN.test(rule[bound])) {
+			errors.push(`${where}.${bound}: "${rule[bound]}" is not an HH:MM time`);
+		}
+	}
+	if (rule.block !== undefined && !(Number.isInteger(rule.block) && rule.block >= 1)) {
+		errors.push(`${where}.block must be a whole number of slots, 1 or more`);
+	}
+	if (rule.mode !== undefined && (typeof rule.mode !== 'string' || !rule.mode.trim())) {
+		errors.push(`${where}.mode must be the name of a booking type`);
+	}
+	if (rule.partners !== undefined && !(Array.isArray(rule.partners) && rule.partners.every(name => typeof name === 'string' && name.trim()))) {
+		errors.push(`${where}.partners must be a list of member names`);
+	}
+};
+
+const validateSection = (section, where, errors) => {
+	for (const [name, rule] of Object.entries(section.rules || {})) {
+		if (!RULE_NAMES.includes(name)) {
+			errors.push(`${where}rules: unknown rule "${name}" (expected a day name, weekday, weekend or default)`);
+			continue;
+		}
+		validateRule(rule, `${where}rules.${name}`, errors);
+	}
+	validateRule({ earliest: section.earliest, latest: section.latest }, where.replace(/\.$/, '') || 'preferences', errors);
+	if (section.friends !== undefined && !(Array.isArray(section.friends) && section.friends.every(name => typeof name === 'string' && name.trim()))) {
+		errors.push(`${where}friends must be a list of member names`);
+	}
+	if (section.skipDates !== undefined) {
+		if (!Array.isArray(section.skipDates)) {
+			errors.push(`${where}skipDates must be a list of YYYY-MM-DD dates`);
+		} else {
+			section.skipDates.filter(date => !DATE_PATTERN.test(date))
+				.forEach(date => errors.push(`${where}skipDates: "${date}" is not a YYYY-MM-DD date`));
+		}
+	}
+};
+
+export const validatePreferences = (preferences) => {
+	const errors = [];
+	validateSection(preferences, '', errors);
+	for (const [facility, overrides] of Object.entries(preferences.facilities || {})) {
+		validateSection(overrides, `facilities.${facility}.`, errors);
+	}
+	for (const [account, overrides] of Object.entries(preferences.accounts || {})) {
+		validateSection(overrides, `accounts.${account}.`, errors);
+	}
+	if (errors.length > 0) {
+		throw new Error(`Invalid preferences:\n- ${errors.join('\n- ')}`);
+	}
+	return preferences;
+};
+
+// Reads preferences from a JSON string or, failing that, a file path. With
+// neither, or when they set no rules, the built-in weekday/weekend lists are
+// used.
+export const loadPreferences = ({ json, file } = {}) => {
+	let source;
+	if (json && json.trim()) {
+		source = json;
+	} else if (file) {
+		source = readFileSync(file, 'utf8');
+	} else {
+		return DEFAULT_PREFERENCES;
+	}
+
+	let parsed;
+	try {
+		parsed = JSON.parse(source);
+	} catch (error) {
+		throw new Error(`Invalid preferences: ${error.message}`);
+	}
+	return validatePreferences({ ...DEFAULT_PREFERENCES, ...parsed });
+};
+
+// Folds one overrides section into the merged preferences
+const applyOverrides = (merged, overrides) => {
+	overrides = overrides || {};
+	const rules = { ...merged.rules };
+	for (const [name, rule] of Object.entries(overrides.rules || {})) {
+		rules[name] = { ...rules[name], ...rule };
+	}
+	return {
+		rules,
+		earliest: overrides.earliest ?? merged.earliest,
+		latest: overrides.latest ?? merged.latest,
+		skipDates: [...(merged.skipDates || []), ...(overrides.skipDates || [])],
+		friends: overrides.friends ?? merged.friends ?? [],
+	};
+};
+
+// Turns the preferences into the ordered list of times (each with its court
+// ranking) to try on date, a YYYY-MM-DD club date. facility is the booking
+// slug and account the credentials label (null or 'DEFAULT' for the account
+// without a suffix). preferredCourt is used as the ranking when no rule
+// ranks courts.
+export const planForDate = (preferences, date, { facility, account, preferredCourt } = {}) => {
+	const merged = applyOverrides(
+		applyOverrides(preferences, facility && preferences.facilities?.[facility]),
+		preferences.accounts?.[account || 'DEFAULT'],
+	);
+	const dayName = dayOfWeek(date);
+
+	const plan = { date, dayName, isWeekend: isWeekend(date), facility: facility || null, account: account || null, ruleName: null, blockSize: 1, mode: null, partners: [], friends: merged.friends, candidates: [], excluded: [] };
+
+	if (merged.skipDates.includes(date)) {
+		return { ...plan, skipped: true, skipReason: `${date} is listed in skipDates` };
+	}
+
+	const ruleName = [dayName, plan.isWeekend ? 'weekend' : 'weekday', 'default'].find(name => merged.rules[name]?.times);
+	if (!ruleName) {
+		return { ...plan, skipped: true, skipReason: `no rule lists times for ${dayName}` };
+	}
+
+	const rule = merged.rules[ruleName];
+	const earliest = rule.earliest ?? merged.earliest;
+	const latest = rule.latest ?? merged.latest;
+	const defaultCourts = rule.courts || (preferredCourt ? [String(preferredCourt)] : []);
+
+	rule.times.forEach((time, index) => {
+		if (earliest && time < earliest) {
+			plan.excluded.push({ time, reason: `before earliest ${earliest}` });
+			return;
+		}
+		if (latest && time > latest) {
+			plan.excluded.push({ time, reason: `after latest ${latest}` });
+			return;
+		}
+		plan.candidates.push({
+			time,
+			rank: index + 1,
+			courts: (rule.courtsByTime?.[time] || defaultCourts).map(String),
+			courtsRule: rule.courtsByTime?.[time] ? `courtsByTime ${time}` : (rule.courts ? 'courts' : 'preferred court'),
+		});
+	});
+
+	return { ...plan, ruleName, blockSize: rule.block ?? 1, mode: rule.mode || null, partners: rule.partners || [], skipped: false };
+};
+
+const courtRank = (grid, slot, courts) => {
+	const index = courts.findIndex(court => isArea(grid, slot, court));
+	return index === -1 ? courts.length : index;
+};
+
+// Picks the first candidate time with a free slot, choosing the best ranked
+// court. Returns { slot, reason, passed } where reason says which rule
+// picked the slot and passed lists the earlier choices that were not free.
+export const pickSlot = (grid, plan) => {
+	const passed = [];
+	for (const candidate of plan.candidates) {
+		const free = grid.slots.filter(slot => slot.time === candidate.time && slot.status === 'available' && !slot.attempted);
+		if (free.length === 0) {
+			passed.push({ time: candidate.time, reason: 'no court free' });
+			continue;
+		}
+
+		const ranked = [...free].sort((a, b) => courtRank(grid, a, candidate.courts) - courtRank(grid, b, candidate.courts));
+		const slot = ranked[0];
+		const rank = courtRank(grid, slot, candidate.courts);
+		const courtReason = rank < candidate.courts.length
+			? `${slot.area} is court choice #${rank + 1} (${candidate.courtsRule})`
+			: `${slot.area} is the first free court${candidate.courts.length ? ' (no ranked court free)' : ''}`;
+
+		return {
+			slot,
+			isPreferred: rank === 0 && candidate.courts.length > 0,
+			reason: `${plan.ruleName} rule: ${candidate.time} is time choice #${candidate.rank}; ${courtReason}`,
+			passed,
+		};
+	}
+	return { slot: null, isPreferred: false, reason: null, passed };
+};
@@ -0,0 +1,223 @@
+// Release emails. When a booking is cancelled HelloClub emails members
+// "Padel court available for Saturday 26 April at 19:00", and a member on a
+// waiting list is emailed when the slot is offered to them. The body says
+// more than the subject: which court, for how long, and sometimes several
+// slots at once. parseReleaseEmail reads both and returns one event per
+// released slot:
+//
+//   { type, facility, date, time, duration, area, court }
+//
+// type is 'release' or 'waiting-list-offer'. facility is the slug of the
+// club facility the slot belongs to, date the club's YYYY-MM-DD and time the
+// HH:MM start. duration is in minutes, or null when the email does not say.
+// area is the court or net as the email names it ("Court 2 (Near)") and
+// court its number, which isArea in lib/grid.js matches against the grid;
+// both are null when the email names no court.
+//
+// Body lines without a date or a facility of their own take them from the
+// lines before, so a list under "Saturday 26 April" gives one event per line.
+// A court named on a line with no time ("Net 3 is now available.") is the
+// court of the facility's slots that name none, wherever they are given.
+// Dates are "26 April" or day first, "26/04" or "26/04/2025".
+import { resolveDayMonth } from "./dates.js";
+
+export const RELEASE_TYPES = ['release', 'waiting-list-offer'];
+
+const WAITING_LIST_OFFER = /waiting ?list|wait ?list|offered to you|your turn/i;
+const RELEASE = /available|released|become free|now free|cancell?ed|opened up|freed up/i;
+
+const WEEKDAY = '(?:mon|tue|tues|wed|wednes|thu|thur|thurs|fri|sat|satur|sun)(?:day)?';
+const MONTH = '(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*';
+const DATE = new RegExp(`(?:\\b(${WEEKDAY}),?\\s+)?\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?(${MONTH})\\b(?:,?\\s+\\d{4})?`, 'i');
+const NUMERIC_DATE = new RegExp(`(?:\\b(${WEEKDAY}),?\\s+)?\\b(\\d{1,2})/(\\d{1,2})(?:/(?:\\d{4}|\\d{2}))?\\b`, 'i');
+const TIME = '\\b(\\d{1,2})(?:[:.](\\d{2})\\s*(am|pm)?|\\s*(am|pm))\\b';
+const TIME_RANGE = new RegExp(`${TIME}\\s*(?:-|–|to|until|till)\\s*${TIME}`, 'gi');
+// "for 90 minutes", "for 1 hour 30 mins", "(2 hours)", but not "book within 30 minutes"
+const DURATION = /(?:\bfor\s+|\()(\d+(?:\.\d+)?|an|one)\s*(hours?|hrs?|minutes?|mins?)\b(?:\s*(?:and\s+)?(\d+)\s*(?:minutes?|mins?)\b)?/gi;
+const LIST_ITEM = /^\s*(?:[-*•]|\d+[.)])\s/;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// "7pm", "19.00", "7:30 pm" -> "19:30", or null when it is not a time
+const clockTime = (hours, minutes = '00', meridiem) => {
+	let hour = Number(hours);
+	if (meridiem) {
+		if (hour < 1 || hour > 12) return null;
+		hour = hour % 12 + (meridiem.toLowerCase() === 'pm' ? 12 : 0);
+	}
+	if (hour > 23 || Number(minutes) > 59) return null;
+	return `${String(hour).padStart(2, '0')}:${minutes}`;
+};
+
+const timeFrom = (match, offset = 0) => clockTime(match[offset + 1], match[offset + 2], match[offset + 3] || match[offset + 4]);
+
+const minutesOf = (time) => {
+	const [hours, minutes] = time.split(':').map(Number);
+	return hours * 60 + minutes;
+};
+
+// HTML bodies keep their line structure, and lose their tags and entities
+const bodyText = (body) => String(body || '')
+	.replace(/<(br|\/p|\/div|\/li|\/tr|\/h\d)[^>]*>/gi, '\n')
+	.replace(/<li[^>]*>/gi, '\n- ')
+	.replace(/<[^>]+>/g, ' ')
+	.replace(/&nbsp;/g, ' ')
+	.replace(/&amp;/g, '&')
+	.replace(/&#39;|&rsquo;/g, "'");
+
+// The facility a line names, by name or slug, or by an area label ("net")
+// that only one of them uses
+const facilityIn = (line, facilities) => {
+	const byName = [...facilities]
+		.sort((a, b) => b.name.length - a.name.length)
+		.find(facility => [facility.name, facility.slug.replace(/-/g, ' ')]
+			.some(name => new RegExp(`\\b${escapeRegExp(name).replace(/\\? /g, '[\\s-]')}\\b`, 'i').test(line)));
+	if (byName) return byName;
+	const byLabel = facilities.filter(facility => new RegExp(`\\b${escapeRegExp(facility.areaLabel)}s?\\s*\\d`, 'i').test(line));
+	return byLabel.length === 1 ? byLabel[0] : null;
+};
+
+// The courts a line names: "Court 2 (Near)", "nets 1 and 3"
+const areasIn = (line, facility, facilities) => {
+	const labels = [...new Set([facility?.areaLabel, ...facilities.map(other => other.areaLabel)].filter(Boolean))];
+	const pattern = new RegExp(`\\b(${labels.map(escapeRegExp).join('|')})s?\\s+(\\d+(?![:.\\d])(?:\\s*(?:,|and|&)\\s*\\d+(?![:.\\d]))*)(?:\\s*\\(([^)]*)\\))?`, 'i');
+	const match = pattern.exec(line);
+	if (!match) return [];
+	const label = match[1].charAt(0).toUpperCase() + match[1].slice(1).toLowerCase();
+	const numbers = match[2].split(/\s*(?:,|and|&)\s*/);
+	return numbers.map(number => ({
+		area: `${label} ${number}${numbers.length === 1 && match[3] ? ` (${match[3].trim()})` : ''}`,
+		court: number,
+	}));
+};
+
+// Minutes the line says the slot lasts
+const durationIn = (line) => {
+	const [match] = line.matchAll(DURATION);
+	if (!match) return null;
+	const [, amount, unit, extraMinutes = 0] = match;
+	const count = /^(an|one)$/i.test(amount) ? 1 : Number(amount);
+	return Math.round(count * (/^h/i.test(unit) ? 60 : 1) + Number(extraMinutes)) || null;
+};
+
+// The start times a line gives, with a duration when it gives a range
+const timesIn = (line) => {
+	const times = [];
+	const rest = line.replace(TIME_RANGE, (...match) => {
+		const start = timeFrom(match);
+		const end = timeFrom(match, 4);
+		if (start && end) {
+			times.push({ time: start, duration: (minutesOf(end) - minutesOf(start) + 24 * 60) % (24 * 60) || null });
+		}
+		return ' ';
+	});
+	for (const match of rest.matchAll(new RegExp(TIME, 'gi'))) {
+		const time = timeFrom(match);
+		if (time) times.push({ time, duration: null });
+	}
+	return times;
+};
+
+const emailType = (text) => WAITING_LIST_OFFER.test(text) ? 'waiting-list-offer' : RELEASE.test(text) ? 'release' : null;
+
+// Events found twice (the subject and the body usually both give the slot)
+// are kept once, and one that names no court gives way to those that do
+const dedupe = (events) => {
+	const slotKey = (event) => `${event.facility}|${event.date}|${event.time}`;
+	const withCourt = new Set(events.filter(event => event.court).map(slotKey));
+	const seen = new Map();
+	for (const event of events) {
+		if (!event.court && withCourt.has(slotKey(event))) continue;
+		const key = `${slotKey(event)}|${event.court}`;
+		const earlier = seen.get(key);
+		if (earlier) {
+			earlier.duration ??= event.duration;
+			earlier.area ??= event.area;
+			continue;
+		}
+		seen.set(key, { ...event });
+	}
+	for (const event of seen.values()) {
+		const sameSlot = events.find(other => slotKey(other) === slotKey(event) && other.duration);
+		event.duration ??= sameSlot?.duration ?? null;
+	}
+	return [...seen.values()];
+};
+
+// email is { subject, body } (body as text or HTML). facilities are the
+// club's facility objects (see lib/facilities.js); slots in emails that name
+// none of them belong to defaultFacility. Returns [] for emails that are not
+// about a released slot.
+export const parseReleaseEmail = ({ subject = '', body = '' }, { facilities, defaultFacility = facilities[0], now = new Date(), log = () => {} } = {}) => {
+	const lines = [subject, ...bodyText(body).split(/\r?\n/)].map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean);
+	// The subject says what kind of email it is, unless it is too vague
+	const type = emailType(subject) || emailType(lines.join('\n'));
+	if (!type) {
+		log('Not a release or waiting list email');
+		return [];
+	}
+
+	const events = [];
+	// Courts named on lines without a time, per facility slug
+	const namedCourts = new Map();
+	let date = null;
+	let facility = null;
+	lines.forEach((line) => {
+		facility = facilityIn(line, facilities) || facility;
+
+		const dateMatch = DATE.exec(line) || NUMERIC_DATE.exec(line);
+		if (dateMatch) {
+			const [, weekday, day, month] = dateMatch;
+			try {
+				date = resolveDayMonth(day, month, { weekday, now });
+			} catch (error) {
+				log(`Skipping "${line}": ${error.message}`);
+				date = null;
+				return;
+			}
+		}
+
+		// Dates and durations are taken out first so "26 April" or "1.5
+		// hours" are not read as times
+		const remainder = line.replace(DATE, ' ').replace(NUMERIC_DATE, ' ').replace(DURATION, ' ');
+		const times = timesIn(remainder);
+		const lineFacility = facility || defaultFacility;
+		const areas = areasIn(line, lineFacility, facilities);
+		if (times.length === 0) {
+			if (areas.length > 0) {
+				namedCourts.set(lineFacility.slug, [...(namedCourts.get(lineFacility.slug) || []), ...areas]);
+			}
+			return;
+		}
+		if (!date) return;
+
+		// A time alone in a footer ("Sent at 10:32") is not a slot
+		const aboutASlot = RELEASE.test(line) || WAITING_LIST_OFFER.test(line) || areas.length > 0 || facilityIn(line, facilities) || LIST_ITEM.test(line);
+		if (!aboutASlot) return;
+
+		const duration = durationIn(line);
+		for (const { time, duration: rangeDuration } of times) {
+			for (const { area, court } of areas.length > 0 ? areas : [{ area: null, court: null }]) {
+				events.push({ type, facility: lineFacility.slug, date, time, duration: rangeDuration ?? duration, area, court });
+			}
+		}
+	});
+
+	return dedupe(events.flatMap(event => event.court || !namedCourts.has(event.facility)
+		? [event]
+		: namedCourts.get(event.facility).map(({ area, court }) => ({ ...event, area, court }))));
+};
+
+// The start times an event covers on a facility's grid: one for a single
+// slot, consecutive ones when the duration spans several
+export const releasedSlotTimes = (event, facility) => {
+	const count = event.duration ? Math.max(1, Math.round(event.duration / facility.slotMinutes)) : 1;
+	return Array.from({ length: count }, (_, index) => {
+		const minutes = (minutesOf(event.time) + index * facility.slotMinutes) % (24 * 60);
+		return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+	});
+};
+
+export const describeRelease = (event) =>
+	`${event.type === 'waiting-list-offer' ? 'Waiting list offer' : 'Release'}: ${event.facility} ${event.date} at ${event.time}` +
+	`${event.area ? ` on ${event.area}` : ''}${event.duration ? ` for ${event.duration} minutes` : ''}`;
@@ -0,0 +1,99 @@
+// Lands the booking on the moment new slots are released. Everything slow
+// (browser session, login, loading the grid for the new date) happens
+// beforehand; then we wait for the release instant by the club server's
+// clock, measured from its Date response headers, and fire the selection.
+import { CLUB_TIME_ZONE, zonedDate, zonedTimeToInstant } from "./dates.js";
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Accepts an ISO instant ("2025-04-19T23:00:00Z") or a club wall-clock time
+// ("00:00", "07:59:58"). A wall-clock time means its next occurrence, or
+// today's if that was less than an hour ago so a late trigger still fires.
+export const parseReleaseAt = (value, { now = new Date(), timeZone = CLUB_TIME_ZONE } = {}) => {
+	const text = String(value).trim();
+	if (/^\d{1,2}:\d{2}(:\d{2})?$/.test(text)) {
+		const today = zonedTimeToInstant(zonedDate(now, timeZone), text, timeZone);
+		if (today.getTime() > now.getTime() - 60 * 60 * 1000) {
+			return today;
+		}
+		const tomorrow = new Date(today.getTime() + 24 * 60 * 60 * 1000);
+		return zonedTimeToInstant(zonedDate(tomorrow, timeZone), text, timeZone);
+	}
+
+	const instant = new Date(text);
+	if (!/\d{4}-\d{2}-\d{2}T/.test(text) || isNaN(instant.getTime())) {
+		throw new Error(`Invalid release time "${value}": expected HH:MM[:SS] club time or an ISO date-time`);
+	}
+	return instant;
+};
+
+// Estimates serverClock - localClock from the Date header. The header only
+// has whole seconds, so each sample bounds the offset to a window; samples
+// taken at different points within a second narrow the intersection.
+export const measureClockOffset = async (url, { samples = 5, spacingMs = 230, fetchImpl = fetch, now = Date.now } = {}) => {
+	let lower = -Infinity;
+	let upper = Infinity;
+	let taken = 0;
+
+	for (let i = 0; i < samples; i++) {
+		if (i > 0) await sleep(spacingMs);
+		const sent = now();
+		const response = await fetchImpl(url, { method: 'HEAD', redirect: 'manual' });
+		const received = now();
+		const serverSecond = Date.parse(response.headers.get('date'));
+		if (isNaN(serverSecond)) continue;
+
+		// The server read its clock somewhere between sent and received, and
+		// its clock then read between serverSecond and serverSecond + 1s.
+		lower = Math.max(lower, serverSecond - received);
+		upper = Math.min(upper, serverSecond + 1000 - sent);
+		taken++;
+	}
+
+	if (taken === 0) {
+		throw new Error(`No Date header from ${url}; cannot measure the server clock`);
+	}
+	if (lower > upper) {
+		// The clocks moved while sampling; fall back to the widest estimate
+		[lower, upper] = [upper, lower];
+	}
+	return { offsetMs: Math.round((lower + upper) / 2), uncertaintyMs: Math.round((upper - lower) / 2), samples: taken };
+};
+
+// Resolves when the server clock (local clock + offsetMs) reaches instant
+export const waitUntil = async (instant, { offsetMs = 0, now = Date.now } = {}) => {
+	const target = instant.getTime() - offsetMs;
+	let remaining = target - now();
+	while (remaining > 0) {
+		// Long sleeps in steps so a suspended timer cannot overshoot by much
+		await sleep(Math.min(remaining, 1000));
+		remaining = target - now();
+	}
+};
+
+// Runs prepare() straight away, then fire() at releaseAt by the clock of the
+// server at clockUrl. Refuses to wait longer than maxWaitMs, since the
+// browser session is billed while it waits.
+export const runAtRelease = async ({ releaseAt, clockUrl, prepare, fire, log = () => {}, maxWaitMs = 10 * 60 * 1000, measure = measureClockOffset }) => {
+	const lead = releaseAt.getTime() - Date.now();
+	if (lead > maxWaitMs) {
+		throw new Error(`Release time ${releaseAt.toISOString()} is ${Math.round(lead / 1000)}s away, more than the ${Math.round(maxWaitMs / 1000)}s we are prepared to wait`);
+	}
+
+	log(`Preparing for release at ${releaseAt.toISOString()} (${Math.round(lead / 1000)}s away)`);
+	const prepared = await prepare();
+
+	const clock = await measure(clockUrl);
+	log(`Server clock is ${clock.offsetMs >= 0 ? 'ahead' : 'behind'} by ${Math.abs(clock.offsetMs)}ms (±${clock.uncertaintyMs}ms over ${clock.samples} samples)`);
+
+	const remaining = releaseAt.getTime() - (Date.now() + clock.offsetMs);
+	if (remaining > 0) {
+		log(`Ready; waiting ${(remaining / 1000).toFixed(1)}s for the release`);
+	} else {
+		log(`Release time passed ${(-remaining / 1000).toFixed(1)}s ago while preparing; firing now`);
+	}
+	await waitUntil(releaseAt, { offsetMs: clock.offsetMs });
+
+	log('Release time reached by the server clock; firing');
+	return fire(prepared);
+};
@@ -0,0 +1,132 @@
+// Just enough SMTP to send a plain text email: EHLO, STARTTLS when the server
+// offers it, AUTH PLAIN, then one message. secure connects over TLS from the
+// start (port 465); otherwise the connection is upgraded with STARTTLS.
+// The password is only sent over TLS: a server that does not offer STARTTLS
+// (or a reply stripped of it on the way) fails the send, unless
+// allowInsecureAuth says a cleartext login is fine (a local test server).
+import net from "node:net";
+import tls from "node:tls";
+import { once } from "node:events";
+
+// A connection that reads one (possibly multi-line) reply at a time
+const openConnection = async ({ host, port, secure, timeout }) => {
+	let socket = secure ? tls.connect({ host, port, servername: host }) : net.connect({ host, port });
+	let buffer = '';
+	let lines = [];
+	let failure = null;
+	const replies = [];
+	const waiting = [];
+
+	const settle = () => {
+		while (waiting.length > 0 && (replies.length > 0 || failure)) {
+			const { resolve, reject } = waiting.shift();
+			if (replies.length > 0) resolve(replies.shift());
+			else reject(failure);
+		}
+	};
+	const onData = (chunk) => {
+		buffer += chunk.toString('utf8');
+		let end;
+		while ((end = buffer.indexOf('\n')) !== -1) {
+			const line = buffer.slice(0, end).replace(/\r$/, '');
+			buffer = buffer.slice(end + 1);
+			lines.push(line);
+			if (!/^\d{3}-/.test(line)) {
+				replies.push({ code: Number(line.slice(0, 3)), text: lines.map(other => other.slice(4)).join('\n') });
+				lines = [];
+			}
+		}
+		settle();
+	};
+	const onError = (error) => {
+		failure = error;
+		settle();
+	};
+	const watch = () => {
+		socket.on('data', onData);
+		socket.on('error', onError);
+		socket.on('close', () => onError(failure || new Error('SMTP connection closed')));
+		socket.setTimeout(timeout, () => socket.destroy(new Error(`SMTP server did not answer within ${timeout}ms`)));
+	};
+
+	watch();
+	await once(socket, secure ? 'secureConnect' : 'connect');
+
+	const read = () => new Promise((resolve, reject) => {
+		waiting.push({ resolve, reject });
+		settle();
+	});
+
+	return {
+		read,
+		// Sends a command and checks the reply code starts with expected
+		send: async (line, expected, label = line.split(' ')[0]) => {
+			socket.write(`${line}\r\n`);
+			const reply = await read();
+			if (!String(reply.code).startsWith(String(expected))) {
+				throw new Error(`SMTP ${label} failed: ${reply.code} ${reply.text}`);
+			}
+			return reply;
+		},
+		startTls: async () => {
+			socket.removeAllListeners('data');
+			socket.removeAllListeners('error');
+			socket.removeAllListeners('close');
+			socket.setTimeout(0);
+			socket = tls.connect({ socket, servername: host });
+			watch();
+			await once(socket, 'secureConnect');
+		},
+		close: () => socket.end(),
+	};
+};
+
+// Encodes a header value that is not plain ASCII
+const encodeHeader = (value) => /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+
+export const formatMessage = ({ from, to, subject, text, date = new Date() }) => [
+	`From: ${from}`,
+	`To: ${to.join(', ')}`,
+	`Subject: ${encodeHeader(subject)}`,
+	`Date: ${date.toUTCString()}`,
+	'MIME-Version: 1.0',
+	'Content-Type: text/plain; charset=utf-8',
+	'Content-Transfer-Encoding: 8bit',
+	'',
+	// Lines starting with a dot would otherwise end the message early
+	...text.split(/\r?\n/).map(line => line.startsWith('.') ? `.${line}` : line),
+].join('\r\n');
+
+export const sendMail = async ({ host, port = 587, secure = port === 465, user, password, from, to, subject, text, name = 'localhost', allowInsecureAuth = false, timeout = 15000 }) => {
+	const recipients = [].concat(to);
+	const connection = await openConnection({ host, port, secure, timeout });
+	try {
+		const greeting = await connection.read();
+		if (greeting.code !== 220) {
+			throw new Error(`SMTP server refused the connection: ${greeting.code} ${greeting.text}`);
+		}
+		let hello = await connection.send(`EHLO ${name}`, 250);
+		let encrypted = secure;
+		if (!secure && /^STARTTLS$/im.test(hello.text)) {
+			await connection.send('STARTTLS', 220);
+			await connection.startTls();
+			hello = await connection.send(`EHLO ${name}`, 250);
+			encrypted = true;
+		}
+		if (user && !encrypted && !allowInsecureAuth) {
+			throw new Error(`SMTP server ${host} did not offer STARTTLS: not sending the password unencrypted`);
+		}
+		if (user) {
+			await connection.send(`AUTH PLAIN ${Buffer.from(`\0${user}\0${password || ''}`).toString('base64')}`, 235, 'AUTH');
+		}
+		await connection.send(`MAIL FROM:<${from.replace(/^.*<|>.*$/g, '')}>`, 250, 'MAIL FROM');
+		for (const recipient of recipients) {
+			await connection.send(`RCPT TO:<${recipient.replace(/^.*<|>.*$/g, '')}>`, 25, 'RCPT TO');
+		}
+		await connection.send('DATA', 354);
+		await connection.send(`${formatMessage({ from, to: recipients, subject, text })}\r\n.`, 250, 'message');
+		await connection.send('QUIT', 221).catch(() => {});
+	} finally {
+		connection.close();
+	}
+};
@@ -0,0 +1,83 @@
+// The member's upcoming bookings, collected from the booking grids: the
+// booked slots listing the account name among the players. The grid shows
+// who is playing but not the booking type, so each own booking is opened to
+// read that from its details and closed again.
+import { dismissModal } from "./booking-flow.js";
+import { bookingsUrl, getFacility, slotEndTime } from "./facilities.js";
+import { clickSlot, isBookedBy, readBookingGrid } from "./grid.js";
+import { accountNameOn } from "./verification.js";
+
+// Runs inside the page, so it must not reference anything outside itself.
+// Reads the labelled groups of a booking's details modal.
+export function parseBookingDetails() {
+	const clean = (text) => (text || '').replace(/\s+/g, ' ').trim();
+	const field = (pattern) => {
+		const group = Array.from(document.querySelectorAll('.ModalWrapper .Group, .Modal .Group'))
+			.find(group => pattern.test(clean(group.querySelector('label')?.textContent)));
+		return clean(group?.querySelector('p')?.textContent) || null;
+	};
+	return { mode: field(/^(booking )?type$/i) };
+}
+
+// Opens the booking on the loaded grid and reads its details. Returns
+// { mode }, with mode null when the details could not be read.
+export const readBookingDetails = async (page, slot) => {
+	const click = await clickSlot(page, slot, { clickDelay: 1500, modalSelector: '.ModalWrapper .Modal' });
+	if (!click.success) {
+		return { mode: null };
+	}
+	const details = await page.evaluate(parseBookingDetails);
+	await dismissModal(page);
+	return details;
+};
+
+// Loads each facility's grid for each date and collects the member's own
+// bookings as [{ facility, date, time, endTime, area, members, mode }], in
+// date and time order. Facilities whose grid does not load are skipped.
+export const listUpcomingBookings = async (page, { baseUrl, club, facilities, dates, details = true, log = console.log }) => {
+	const bookings = [];
+	let accountName = null;
+	for (const slug of facilities) {
+		const facility = getFacility(slug, club);
+		for (const date of dates) {
+			try {
+				await page.goto(bookingsUrl(baseUrl, facility, date));
+				await page.waitForSelector('.BookingGrid-cell.Slot', { visible: true, timeout: 30000 });
+			} catch (error) {
+				log(`Could not load the ${facility.slug} grid for ${date}, skipping ${facility.slug}: ${error.message}`);
+				break;
+			}
+			accountName = accountName || await accountNameOn(page);
+			const own = (await readBookingGrid(page)).slots.filter(slot => isBookedBy(slot, accountName));
+			log(`${facility.slug} ${date}: ${own.length} booking(s)`);
+			for (const slot of own) {
+				const { mode } = details ? await readBookingDetails(page, slot) : { mode: null };
+				bookings.push({
+					facility: facility.slug,
+					date,
+					time: slot.time,
+					endTime: slotEndTime(facility, slot.time),
+					area: slot.area,
+					members: slot.members,
+					mode,
+				});
+			}
+		}
+	}
+	return bookings.sort((a, b) => a.date.localeCompare(b.date) || a.time.localeCompare(b.time) || a.area.localeCompare(b.area));
+};
+
+// A plain text table of bookings for the terminal
+export const formatBookingsTable = (bookings) => {
+	const columns = [
+		['Date', booking => booking.date],
+		['Time', booking => `${booking.time}-${booking.endTime}`],
+		['Facility', booking => booking.facility],
+		['Area', booking => booking.area],
+		['Members', booking => booking.members.join(', ')],
+		['Type', booking => booking.mode || ''],
+	];
+	const rows = [columns.map(([title]) => title), ...bookings.map(booking => columns.map(([, value]) => value(booking)))];
+	const widths = columns.map((_, index) => Math.max(...rows.map(row => row[index].length)));
+	return rows.map(row => row.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd()).join('\n');
+};
@@ -0,0 +1,80 @@
+// Checking that a confirmed booking really exists. Clicking Confirm booking
+// proves nothing by itself: the confirmation can spin forever or fail after
+// the modal has been left behind. So once the modal has closed the grid is
+// loaded again and each booked slot must list the account holder, as named
+// in the user menu, among its players.
+import { waitForModalUpdate } from "./booking-flow.js";
+import { bookingsUrl } from "./facilities.js";
+import { isBookedBy, readBookingGrid } from "./grid.js";
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Runs inside the page, so it must not reference anything outside itself.
+// The user menu shows the member's name followed by the club in a <small>.
+export function readAccountName() {
+	const details = document.querySelector('.UserMenu-toggle-details');
+	if (!details) return null;
+	const copy = details.cloneNode(true);
+	copy.querySelectorAll('small').forEach(el => el.remove());
+	return copy.textContent.replace(/\s+/g, ' ').trim() || null;
+}
+
+// The account holder's name on the loaded page. Bookings can only be told
+// apart as ours by it, so a page that does not show it is an error.
+export const accountNameOn = async (page) => {
+	const name = await page.evaluate(readAccountName);
+	if (!name) {
+		throw new Error('Could not read the account name from the user menu');
+	}
+	return name;
+};
+
+// Whether each of slots ({ time, area }) on the grid is booked by
+// accountName. Without a name nothing is verified: a booked slot with no
+// waiting list button may well be someone else's.
+// Returns [{ time, area, status, members, verified }].
+export const checkBookedSlots = (grid, slots, accountName) => slots.map(({ time, area }) => {
+	const slot = grid.slots.find(other => other.time === time && other.area === area);
+	if (!slot) {
+		return { time, area, status: 'missing', members: [], verified: false };
+	}
+	return { time, area, status: slot.status, members: slot.members, verified: isBookedBy(slot, accountName) };
+});
+
+// Waits for the booking modal to close, then reloads the grid for date until
+// every slot shows the account holder, trying attempts times. Returns
+// { verified, error, evidence }, where evidence holds what was seen: the
+// modal text if it never closed, the account name and each slot's players.
+// accountName defaults to the name in the user menu; a page without one
+// verifies nothing.
+export const verifyBookings = async (page, { baseUrl, facility, date, slots, accountName = null, attempts = 3, interval = 2000, log = console.log }) => {
+	const modal = await waitForModalUpdate(page, { hasModal: false });
+	const modalText = modal.hasModal ? modal.modalText.replace(/\s+/g, ' ').trim() : null;
+	if (modalText) {
+		log(`The booking modal is still open after confirming: ${modalText}`);
+	}
+
+	let checked = [];
+	let name = accountName;
+	for (let attempt = 1; attempt <= attempts; attempt++) {
+		await page.goto(bookingsUrl(baseUrl, facility, date));
+		await page.waitForSelector('.BookingGrid-cell.Slot', { visible: true, timeout: 30000 });
+		name = accountName || await page.evaluate(readAccountName);
+		checked = checkBookedSlots(await readBookingGrid(page), slots, name);
+		if (checked.every(slot => slot.verified)) {
+			log(`Verified on the grid: ${checked.map(slot => `${slot.time} on ${slot.area}`).join(', ')} booked by ${name}`);
+			return { verified: true, evidence: { modalText, accountName: name, slots: checked } };
+		}
+		if (attempt < attempts) {
+			await sleep(interval);
+		}
+	}
+
+	const missing = checked.filter(slot => !slot.verified)
+		.map(slot => `${slot.time} on ${slot.area} is ${slot.status}${slot.members.length ? ` (${slot.members.join(', ')})` : ''}`);
+	const error = name
+		? `Booking could not be verified: ${missing.join('; ')}, not showing ${name}${modalText ? `. The modal said: ${modalText}` : ''}`
+		: `Booking could not be verified: the account name is not shown in the user menu${modalText ? `. The modal said: ${modalText}` : ''}`;
+	log(error);
+	return { verified: false, error, evidence: { modalText, accountName: name, slots: checked } };
+};
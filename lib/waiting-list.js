@@ -0,0 +1,123 @@
+// Waiting lists: every slot someone else has booked carries an alarm button
+// (.ButtonWaitingList) that puts the member on its waiting list, so HelloClub
+// tells them if the booking is cancelled. When none of the preferred slots is
+// free the bookers can join the waiting lists of the best N instead.
+import { clickCancelButton, clickModalButtonMatching, waitForModalUpdate } from "./booking-flow.js";
+import { bookingsUrl } from "./facilities.js";
+import { clickInSlot, isArea, readBookingGrid } from "./grid.js";
+
+// Matched loosely, as with the cancel buttons
+const JOIN_LABEL = /^(join|add me to)( the)? waiting ?list$/i;
+const LEAVE_LABEL = /^(leave|remove me from)( the)? waiting ?list$/i;
+
+const courtRank = (grid, slot, courts) => {
+	const index = courts.findIndex(court => isArea(grid, slot, court));
+	return index === -1 ? courts.length : index;
+};
+
+// The best count booked slots in plan order that have a waiting list the
+// member is not on yet. Returns [{ slot, reason }].
+export const pickWaitingListSlots = (grid, plan, { count = 1 } = {}) => {
+	const picks = [];
+	for (const candidate of plan.candidates) {
+		const slots = grid.slots
+			.filter(slot => slot.time === candidate.time && slot.status === 'booked' && slot.hasWaitingList && !slot.onWaitingList)
+			.sort((a, b) => courtRank(grid, a, candidate.courts) - courtRank(grid, b, candidate.courts));
+		for (const slot of slots) {
+			if (picks.length >= count) return picks;
+			picks.push({ slot, reason: `${plan.ruleName} rule: ${candidate.time} is time choice #${candidate.rank}, booked by ${slot.members.join(', ') || 'someone else'}` });
+		}
+	}
+	return picks;
+};
+
+// Opens the slot's waiting list and clicks the button matching label.
+// Returns { success, error }.
+const toggleWaitingList = async (page, slot, label, { log }) => {
+	const click = await clickInSlot(page, slot, '.ButtonWaitingList');
+	if (!click.success) {
+		return { success: false, error: click.error };
+	}
+
+	const clicked = await clickModalButtonMatching(page, label);
+	if (!clicked) {
+		await clickCancelButton(page);
+		return { success: false, error: `No "${label.source}" button for ${slot.time} on ${slot.area}` };
+	}
+	log(`Clicked ${clicked} for ${slot.time} on ${slot.area}`);
+
+	const after = await waitForModalUpdate(page, { hasModal: false });
+	if (after.hasModal) {
+		await clickCancelButton(page);
+		return { success: false, error: after.modalText.replace(/\s+/g, ' ').trim() };
+	}
+	return { success: true };
+};
+
+export const joinWaitingList = (page, slot, { log = console.log } = {}) => toggleWaitingList(page, slot, JOIN_LABEL, { log });
+
+export const leaveWaitingList = (page, slot, { log = console.log } = {}) => toggleWaitingList(page, slot, LEAVE_LABEL, { log });
+
+// Joins the waiting lists of the best count booked slots on the loaded grid.
+// Returns the ones joined as [{ date, time, area, reason }]. With dryRun they
+// are only picked and returned, not joined.
+export const joinBestWaitingLists = async (page, plan, { count = 1, dryRun = false, log = console.log } = {}) => {
+	const picks = pickWaitingListSlots(await readBookingGrid(page), plan, { count });
+	if (picks.length === 0) {
+		log('No booked preferred slots with a waiting list to join');
+	}
+
+	const joined = [];
+	for (const { slot, reason } of picks) {
+		if (dryRun) {
+			log(`Dry run: would join the waiting list for ${slot.time} on ${slot.area} (${reason})`);
+			joined.push({ date: plan.date, time: slot.time, area: slot.area, reason });
+			continue;
+		}
+		const result = await joinWaitingList(page, slot, { log });
+		if (result.success) {
+			log(`Joined the waiting list for ${slot.time} on ${slot.area} (${reason})`);
+			joined.push({ date: plan.date, time: slot.time, area: slot.area, reason });
+		} else {
+			log(`Could not join the waiting list for ${slot.time} on ${slot.area}: ${result.error}`);
+		}
+	}
+	return joined;
+};
+
+// Loads the grid for each date and lists the slots whose waiting list the
+// member is on, as [{ date, time, area, members }].
+export const listWaitingLists = async (page, { baseUrl, facility, dates, log = console.log }) => {
+	const entries = [];
+	for (const date of dates) {
+		await page.goto(bookingsUrl(baseUrl, facility, date));
+		await page.waitForSelector('.BookingGrid-cell.Slot', { visible: true, timeout: 30000 });
+		const grid = await readBookingGrid(page);
+		const onList = grid.slots.filter(slot => slot.onWaitingList);
+		log(`${date}: on ${onList.length} waiting list(s)`);
+		entries.push(...onList.map(({ time, area, members }) => ({ date, time, area, members })));
+	}
+	return entries;
+};
+
+// Leaves the waiting list for time on the given date. court narrows it to
+// one area; without it every waiting list at that time is left.
+export const leaveWaitingLists = async (page, { baseUrl, facility, date, time, court, log = console.log }) => {
+	await page.goto(bookingsUrl(baseUrl, facility, date));
+	await page.waitForSelector('.BookingGrid-cell.Slot', { visible: true, timeout: 30000 });
+	const grid = await readBookingGrid(page);
+	const slots = grid.slots.filter(slot => slot.onWaitingList && slot.time === time && (!court || isArea(grid, slot, court)));
+	if (slots.length === 0) {
+		return { success: false, error: `Not on a waiting list for ${time} on ${date}${court ? ` (${facility.areaLabel} ${court})` : ''}`, left: [] };
+	}
+
+	const left = [];
+	for (const slot of slots) {
+		const result = await leaveWaitingList(page, slot, { log });
+		if (!result.success) {
+			return { success: false, error: result.error, left };
+		}
+		left.push({ date, time: slot.time, area: slot.area });
+	}
+	return { success: true, left };
+};
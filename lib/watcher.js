@@ -0,0 +1,202 @@
+// Watching for cancellations. Release emails are slow and sometimes never
+// come, so watch.js keeps one logged-in session instead and re-reads the grid
+// for every date in range each interval, booking a slot the moment one the
+// preferences want turns available.
+//
+// quietHours ("23:00-07:00", club time) pause polling overnight. maxPerDay
+// caps the bookings held on any one date, counting those already on the
+// grid under the account name, so a freed-up Saturday slot is left alone
+// when Saturday is booked. A slot that fails to book maxSlotFailures times
+// is given up on for the rest of the watch, so a broken modal is not
+// retried on every poll.
+import { BUTTON_SELECTOR, completeBookingModal, isBookingLimit } from "./booking-flow.js";
+import { CLUB_TIME_ZONE, addDays, zonedDate, zonedTimeToInstant } from "./dates.js";
+import { bookingsUrl } from "./facilities.js";
+import { clickSlot, isBookedBy, readBookingGrid } from "./grid.js";
+import { pickSlot } from "./preferences.js";
+import { accountNameOn, verifyBookings } from "./verification.js";
+
+const QUIET_HOURS_PATTERN = /^(\d{2}:\d{2})\s*-\s*(\d{2}:\d{2})$/;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// "23:00-07:00" -> { start: '23:00', end: '07:00' }; empty means none
+export const parseQuietHours = (value) => {
+	if (!value || !String(value).trim()) return null;
+	const match = QUIET_HOURS_PATTERN.exec(String(value).trim());
+	if (!match || match[1] === match[2]) {
+		throw new Error(`Invalid quiet hours "${value}": expected HH:MM-HH:MM club time, e.g. 23:00-07:00`);
+	}
+	return { start: match[1], end: match[2] };
+};
+
+const clockTime = (instant, timeZone) => new Intl.DateTimeFormat('en-GB', { timeZone, hourCycle: 'h23', hour: '2-digit', minute: '2-digit' }).format(instant);
+
+// Whether now falls in the quiet hours, which may run past midnight
+export const isQuietTime = (quietHours, now = new Date(), timeZone = CLUB_TIME_ZONE) => {
+	if (!quietHours) return false;
+	const time = clockTime(now, timeZone);
+	const { start, end } = quietHours;
+	return start < end ? time >= start && time < end : time >= start || time < end;
+};
+
+// Milliseconds from now until the quiet hours end
+export const quietTimeLeft = (quietHours, now = new Date(), timeZone = CLUB_TIME_ZONE) => {
+	const today = zonedDate(now, timeZone);
+	let end = zonedTimeToInstant(today, quietHours.end, timeZone);
+	if (end <= now) {
+		end = zonedTimeToInstant(addDays(today, 1), quietHours.end, timeZone);
+	}
+	return end.getTime() - now.getTime();
+};
+
+// Books the slot the watcher picked on the loaded grid: the modal through to
+// Confirm booking, then the reloaded grid to check it took. Returns a result
+// in the shape the booking scripts return.
+export const bookPickedSlot = async (page, pick, { baseUrl, facility, date, plan, accountName, dryRun = false, log = console.log }) => {
+	const { slot } = pick;
+	const attempt = { timeBooked: slot.time, courtBooked: slot.area, reason: pick.reason, facility: facility.slug, date };
+
+	const click = await clickSlot(page, slot, { modalSelector: BUTTON_SELECTOR });
+	if (!click.success) {
+		return { success: false, error: click.error, ...attempt };
+	}
+
+	const booking = await completeBookingModal(page, { log, skipConfirm: dryRun, mode: plan.mode, partners: plan.partners });
+	if (booking.isSlotAlreadyBooked) {
+		return { success: false, error: `${slot.time} on ${slot.area} was booked by someone else first`, ...attempt };
+	}
+	if (dryRun) {
+		return { success: true, debug: true, message: "Debug mode - booking not confirmed", modalText: booking.modalText, ...attempt };
+	}
+
+	const verification = await verifyBookings(page, { baseUrl, facility, date, slots: [{ time: slot.time, area: slot.area }], accountName, log });
+	if (!verification.verified) {
+		return { success: false, unverified: true, error: verification.error, evidence: verification.evidence, ...attempt };
+	}
+	return { success: true, mode: booking.mode, partners: booking.partners, missingPartners: booking.missingPartners, ...attempt };
+};
+
+// dates() gives the dates to watch on each poll, so the range moves on at
+// midnight, and planFor(date) the preferences for one (see planForDate).
+// accountName defaults to the name in the user menu.
+// onGrid(grid, date) sees every grid read, onBooking(result) hears about
+// every attempt, booked or not, and recover(error) gets the chance to log in
+// again after a poll fails; maxFailures polls failing in a row end the watch.
+export const createWatcher = ({
+	page,
+	baseUrl,
+	facility,
+	dates,
+	planFor,
+	interval = 60 * 1000,
+	quietHours = null,
+	maxPerDay = 1,
+	maxSlotFailures = 2,
+	accountName = null,
+	dryRun = false,
+	maxFailures = 5,
+	book = bookPickedSlot,
+	onGrid = async () => {},
+	onBooking = async () => {},
+	recover = async () => {},
+	log = console.log,
+	now = () => new Date(),
+	wait = sleep,
+}) => {
+	// What the watcher itself booked, as { date, time, area }
+	const booked = [];
+	// Failed attempts per "date time area"
+	const slotFailures = new Map();
+	let stopped = false;
+
+	const slotKey = (date, slot) => `${date} ${slot.time} ${slot.area}`;
+	const heldOn = (grid, date, name) => Math.max(grid.slots.filter(slot => isBookedBy(slot, name)).length, booked.filter(entry => entry.date === date).length);
+	const givenUp = (date, slot) => (slotFailures.get(slotKey(date, slot)) || 0) >= maxSlotFailures;
+
+	// Checks every date once and returns the attempts it made
+	const poll = async () => {
+		const attempts = [];
+		for (const date of dates()) {
+			if (stopped) break;
+			const plan = planFor(date);
+			if (plan.skipped) continue;
+
+			await page.goto(bookingsUrl(baseUrl, facility, date));
+			await page.waitForSelector('.BookingGrid-cell.Slot', { visible: true, timeout: 30000 });
+			const grid = await readBookingGrid(page);
+			await onGrid(grid, date);
+			const name = accountName || await accountNameOn(page);
+			if (heldOn(grid, date, name) >= maxPerDay) continue;
+
+			const pick = pickSlot({ ...grid, slots: grid.slots.filter(slot => !givenUp(date, slot)) }, plan);
+			if (!pick.slot) continue;
+
+			log(`${date}: ${pick.slot.time} on ${pick.slot.area} is free (${pick.reason}), booking it`);
+			let result;
+			try {
+				result = await book(page, pick, { baseUrl, facility, date, plan, accountName: name, dryRun, log });
+			} catch (error) {
+				result = { success: false, error: error.message, timeBooked: pick.slot.time, courtBooked: pick.slot.area, facility: facility.slug, date };
+			}
+			attempts.push(result);
+
+			if (result.success) {
+				booked.push({ date, time: pick.slot.time, area: pick.slot.area });
+				log(`${dryRun ? 'Would have booked' : 'Booked'} ${pick.slot.time} on ${pick.slot.area} for ${date}`);
+			} else {
+				const key = slotKey(date, pick.slot);
+				slotFailures.set(key, (slotFailures.get(key) || 0) + 1);
+				log(`Could not book ${pick.slot.time} on ${pick.slot.area} for ${date}: ${result.error}`);
+				if (givenUp(date, pick.slot)) {
+					log(`Giving up on ${pick.slot.time} on ${pick.slot.area} for ${date} after ${maxSlotFailures} failed attempts`);
+				}
+			}
+			await onBooking(result);
+
+			// The club will not take any more, whatever frees up
+			if (isBookingLimit(result.error)) {
+				log('Booking limit reached, stopping the watch');
+				stopped = true;
+			}
+		}
+		return attempts;
+	};
+
+	// Polls until stopped, sleeping through the quiet hours. Returns what was
+	// booked.
+	const run = async ({ maxPolls = Infinity } = {}) => {
+		let polls = 0;
+		let failures = 0;
+		let quiet = false;
+		log(`Watching every ${Math.round(interval / 1000)}s${quietHours ? `, quiet from ${quietHours.start} to ${quietHours.end}` : ''}, at most ${maxPerDay} booking(s) a day`);
+
+		while (!stopped && polls < maxPolls) {
+			if (isQuietTime(quietHours, now())) {
+				if (!quiet) log(`Quiet hours until ${quietHours.end}, pausing`);
+				quiet = true;
+				await wait(Math.min(quietTimeLeft(quietHours, now()), interval));
+				continue;
+			}
+			if (quiet) log('Quiet hours over, watching again');
+			quiet = false;
+
+			polls++;
+			try {
+				await poll();
+				failures = 0;
+			} catch (error) {
+				failures++;
+				log(`Poll ${polls} failed (${failures} in a row): ${error.message}`);
+				if (failures >= maxFailures) {
+					throw new Error(`Giving up after ${failures} failed polls in a row: ${error.message}`);
+				}
+				await recover(error);
+			}
+			if (!stopped && polls < maxPolls) await wait(interval);
+		}
+		return booked;
+	};
+
+	return { poll, run, stop: () => { stopped = true; }, booked };
+};
@@ -0,0 +1,696 @@
+#!/usr/bin/env node
+// A small stand-in for harboroughcsc.helloclub.com. It serves the login form,
+// the booking grids and the multi-step booking modal using the same markup
+// as the live site, so the entry points can be run end to end against it by
+// pointing HELLO_CLUB_BASE_URL at http://localhost:<port>. Clicking one of
+// your own bookings opens its details with a two-step "Cancel booking", the
+// alarm button on anyone else's opens its waiting list, and anyone else's
+// open game with room left can be joined.
+//
+// With state.spaLogin the login form posts in the background and leaves a
+// spinner up, like the live Angular login, instead of redirecting.
+//
+// Failure scenarios are queued and consumed one per booking modal opened:
+//   already-booked  first Next shows "This court already has a booking or event at this time"
+//   limit           second Next shows "You are on the limit of bookings"
+//   spinner         Confirm booking spins forever and never books
+//   bounce          first Next drops back to the grid
+import { createServer } from "node:http";
+import { fileURLToPath } from "node:url";
+
+export const SCENARIOS = ['already-booked', 'limit', 'spinner', 'bounce'];
+
+export const DEFAULT_FACILITIES = {
+	padel: {
+		name: 'Padel',
+		maxPlayers: 4,
+		areas: ['Padel Court 1 (far)', 'Padel Court 2 (Near)'],
+		times: ['08:00', '09:00', '10:00', '11:00', '12:00', '13:00', '14:00', '15:00', '16:00', '17:00', '18:00', '19:00', '20:00'],
+	},
+	'cricket-nets': {
+		name: 'Cricket Nets',
+		areas: ['Cricket Net1', 'Cricket Net2', 'Cricket Net3', 'Cricket Net4'],
+		times: ['09:00', '10:00', '11:00', '12:00', '13:00', '14:00', '15:00', '16:00', '17:00', '18:00', '19:00', '20:00'],
+	},
+};
+
+// The booking types offered on the first modal step, default first
+export const BOOKING_MODES = [
+	{ name: 'Playing with other members only', description: 'Playing with up to 3 other members, no visitors' },
+	{ name: 'Playing with visitors', description: 'Playing with members and up to 2 visitors, visitor fees apply' },
+	{ name: 'Coaching', description: 'A lesson with one of the club coaches' },
+];
+
+const escapeHtml = (value) => String(value)
+	.replace(/&/g, '&amp;')
+	.replace(/</g, '&lt;')
+	.replace(/>/g, '&gt;')
+	.replace(/"/g, '&quot;');
+
+const addHour = (time) => {
+	const [hours, minutes] = time.split(':').map(Number);
+	return `${String(hours + 1).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+};
+
+const formatLongDate = (date) => new Date(`${date}T12:00:00Z`).toLocaleDateString('en-GB', {
+	weekday: 'long',
+	day: 'numeric',
+	month: 'long',
+	timeZone: 'UTC',
+});
+
+const page = (title, body) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+	<meta charset="utf-8">
+	<title>${escapeHtml(title)} | Mock Club | Hello Club</title>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+
+const loginPage = (error, { spa = false } = {}) => page('Login', `
+	<div class="LoginPage">
+		<form method="post" action="/login">
+			${error ? `<p class="Alert-message">${escapeHtml(error)}</p>` : ''}
+			<input type="email" name="email" placeholder="Email">
+			<input type="password" name="password" placeholder="Password">
+			<button type="submit" class="Button Button--success firstActionButton">Log in</button>
+		</form>
+	</div>${spa ? `
+	<script>
+		document.querySelector('form').addEventListener('submit', (event) => {
+			event.preventDefault();
+			document.querySelector('.LoginPage').insertAdjacentHTML('beforeend', '<div class="Spinner"></div>');
+			fetch('/login', { method: 'POST', headers: { 'X-Requested-With': 'XMLHttpRequest' }, body: new URLSearchParams(new FormData(event.target)) });
+		});
+	</script>` : ''}`);
+
+const userMenu = (member) => `
+	<a class="UserMenu-toggle NavBar-item"><div class="UserMenu-toggle-details"> ${escapeHtml(member.name)} <small>Mock Club</small></div></a>`;
+
+const homePage = (member) => page('Home', `${userMenu(member)}
+	<p>Welcome back, ${escapeHtml(member.name)}</p>`);
+
+const waitingListButton = (slot) => (slot.waiting
+	? '<div class="Button Button--circle Button--success ButtonWaitingList ButtonWaitingList--active"><i class="Icon">alarm_on</i></div>'
+	: '<div class="Button Button--circle Button--success ButtonWaitingList"><i class="Icon">alarm</i></div>');
+
+const slotCell = (slot) => {
+	if (slot.booking) {
+		const members = slot.booking.members.map(name => `
+				<div class="SlotMember"><span class="SlotMember-name">${escapeHtml(name)}</span></div>`).join('');
+		return `
+			<booking-grid-slot class="BookingGrid-cell Slot disabled" data-time="${slot.time}"${slot.booking.open ? ' data-open="true"' : ''}${slot.own && slot.booking.mode ? ` data-mode="${escapeHtml(slot.booking.mode)}"` : ''}>
+				<div class="SlotWrapper">
+					<booking-grid-slot-booking>
+						<div class="SlotOverlay SlotBooking">
+							<booking-grid-slot-people>
+								<div class="SlotPeople">
+									<div class="SlotPeopleNumber">${slot.booking.members.length}</div>
+									<div class="SlotMembers">${members}
+									</div>
+								</div>
+							</booking-grid-slot-people>
+							<span class="Slot-text">${slot.time}</span>
+							${slot.own ? '' : waitingListButton(slot)}
+						</div>
+					</booking-grid-slot-booking>
+				</div>
+			</booking-grid-slot>`;
+	}
+	return `
+			<booking-grid-slot class="BookingGrid-cell Slot available" data-time="${slot.time}">
+				<div class="SlotWrapper">
+					<span class="Slot-text">
+						${slot.time}
+						<br>
+					</span>
+				</div>
+			</booking-grid-slot>`;
+};
+
+// Client side of the booking modal. Runs in the browser, so it only uses
+// what the grid page provides.
+const modalScript = (facilitySlug, facilityName, date, longDate, memberName, maxPlayers) => `
+(() => {
+	const me = ${JSON.stringify(memberName)};
+	const facility = ${JSON.stringify(facilitySlug)};
+	const facilityName = ${JSON.stringify(facilityName)};
+	const date = ${JSON.stringify(date)};
+	const longDate = ${JSON.stringify(longDate)};
+	const maxPlayers = ${JSON.stringify(maxPlayers || null)};
+	const steps = [
+		{ name: 'selectMode', label: 'Next' },
+		{ name: 'selectMembers', label: 'Next' },
+		{ name: 'confirmBooking', label: 'Confirm booking' },
+	];
+	const addHour = ${addHour.toString()};
+	const modes = ${JSON.stringify(BOOKING_MODES)};
+
+	const post = (url, body, method = 'POST') => fetch(url, {
+		method,
+		headers: { 'Content-Type': 'application/json' },
+		body: JSON.stringify(body),
+	}).then(response => response.json());
+
+	const closeModal = () => document.querySelector('.ModalWrapper')?.remove();
+
+	const showAlert = (text, type = 'danger') => {
+		document.querySelector('.Modal-alerts').innerHTML =
+			'<div class="Alert Alert--' + type + '"><div class="AlertContents"><div class="Alert-message"><p>' + text + '</p></div></div></div>';
+	};
+
+	const openModal = async (slot) => {
+		closeModal();
+		const time = slot.dataset.time;
+		const area = slot.closest('.BookingGrid-column').dataset.area;
+		const { scenario } = await post('/api/bookings/start', { facility, date, time, area });
+		let step = 0;
+		let mode = modes[0];
+		const partners = [];
+
+		document.body.insertAdjacentHTML('beforeend', \`
+			<div class="modal-wrapper ModalWrapper">
+				<div class="Modal Modal--fixed">
+					<div class="Modal-header success"><h1>New \${facilityName} booking</h1></div>
+					<div class="Modal-body">
+						<div class="Group"><p><strong>\${longDate}</strong>, <strong>\${time} – \${addHour(time)}</strong>, <strong>\${area}</strong><br><em>1 hour</em></p></div>
+						<div class="Group Modal-step"><label class="Label">Booking type</label>
+							<div class="SelectBox"><div class="InputWrapper is-clickable"><div class="Caret"></div><input readonly class="Input" type="text" value="\${mode.name}"></div></div>
+						</div>
+					</div>
+					<div class="Modal-alerts"></div>
+					<div class="Modal-footer">
+						<div class="ButtonBar"><div class="ButtonGroup ButtonGroup--primary">
+							<button class="Button ng-animate-disabled">Cancel</button>
+							<button class="Button Button--success ng-animate-disabled">Next</button>
+						</div></div>
+					</div>
+				</div>
+			</div>\`);
+
+		const wrapper = document.querySelector('.ModalWrapper');
+		const [cancelButton, confirmButton] = wrapper.querySelectorAll('.ButtonGroup button');
+		cancelButton.addEventListener('click', closeModal);
+		showAlert(mode.description, 'info');
+
+		// Booking type select box: the input toggles the options below it
+		wrapper.querySelector('.SelectBox .InputWrapper').addEventListener('click', () => {
+			const box = wrapper.querySelector('.SelectBox');
+			if (box.querySelector('.SelectBox-options')) {
+				box.querySelector('.SelectBox-options').remove();
+				return;
+			}
+			box.insertAdjacentHTML('beforeend', '<div class="SelectBox-options">' +
+				modes.map(option => '<div class="SelectBox-option">' + option.name + '</div>').join('') + '</div>');
+			box.querySelectorAll('.SelectBox-option').forEach((element, index) => element.addEventListener('click', () => {
+				mode = modes[index];
+				box.querySelector('input').value = mode.name;
+				box.querySelector('.SelectBox-options').remove();
+				showAlert(mode.description, 'info');
+			}));
+		});
+
+		// Participants step: type a name, click the result to add them
+		const renderMembers = () => {
+			wrapper.querySelector('.SelectedMembers').innerHTML = ['You', ...partners]
+				.map(name => '<div class="SelectedMember"><span class="SelectedMember-name">' + name + '</span></div>').join('');
+		};
+		const wireMemberSearch = () => {
+			const input = wrapper.querySelector('.MemberSelector input');
+			const results = wrapper.querySelector('.MemberSelector-results');
+			input.addEventListener('input', async () => {
+				const { members } = await fetch('/api/members?q=' + encodeURIComponent(input.value)).then(response => response.json());
+				results.innerHTML = members
+					.filter(name => name !== me && !partners.includes(name))
+					.map(name => '<div class="MemberSelector-result">' + name + '</div>').join('');
+				results.querySelectorAll('.MemberSelector-result').forEach(result => result.addEventListener('click', () => {
+					partners.push(result.textContent);
+					input.value = '';
+					results.innerHTML = '';
+					renderMembers();
+				}));
+			});
+		};
+
+		confirmButton.addEventListener('click', async () => {
+			if (step === 0 && scenario === 'already-booked') {
+				showAlert('This court already has a booking or event at this time');
+				return;
+			}
+			if (step === 0 && scenario === 'bounce') {
+				closeModal();
+				return;
+			}
+			if (step === 1 && scenario === 'limit') {
+				showAlert('You are on the limit of bookings you can make for this activity');
+				return;
+			}
+			if (steps[step].name === 'confirmBooking') {
+				confirmButton.insertAdjacentHTML('beforeend', '<spinner class="SpinnerComponent"><div class="Spinner"></div></spinner>');
+				if (scenario === 'spinner') {
+					return;
+				}
+				const result = await post('/api/bookings', { facility, date, time, area, mode: mode.name, partners });
+				if (!result.success) {
+					confirmButton.querySelector('spinner')?.remove();
+					showAlert(result.error);
+					return;
+				}
+				closeModal();
+				slot.className = 'BookingGrid-cell Slot disabled';
+				slot.querySelector('.SlotWrapper').innerHTML = '<div class="SlotMembers">' +
+					result.booking.members.map(name => '<div class="SlotMember"><span class="SlotMember-name">' + name + '</span></div>').join('') +
+					'</div><span class="Slot-text">' + time + '</span>';
+				document.body.insertAdjacentHTML('beforeend', '<div class="Toast">Booking confirmed</div>');
+				return;
+			}
+
+			step++;
+			wrapper.querySelector('.Modal-alerts').innerHTML = '';
+			wrapper.querySelector('.Modal-step').innerHTML = steps[step].name === 'selectMembers'
+				? '<label class="Label">Members</label><div class="SelectedMembers"></div>' +
+					'<div class="MemberSelector"><input class="Input" type="text" placeholder="Search members"><div class="MemberSelector-results"></div></div>'
+				: '<p>Please confirm your booking</p>';
+			if (steps[step].name === 'selectMembers') {
+				renderMembers();
+				wireMemberSearch();
+			}
+			confirmButton.textContent = steps[step].label;
+		});
+	};
+
+	// Your own bookings open their details, with the option to cancel
+	const openDetails = (slot) => {
+		closeModal();
+		const time = slot.dataset.time;
+		const area = slot.closest('.BookingGrid-column').dataset.area;
+		const players = Array.from(slot.querySelectorAll('.SlotMember-name')).map(el => el.textContent.trim());
+		const mode = slot.dataset.mode ? '<div class="Group"><label class="Label">Booking type</label><p>' + slot.dataset.mode + '</p></div>' : '';
+
+		document.body.insertAdjacentHTML('beforeend', \`
+			<div class="modal-wrapper ModalWrapper">
+				<div class="Modal Modal--fixed">
+					<div class="Modal-header"><h1>\${facilityName} booking</h1></div>
+					<div class="Modal-body">
+						<div class="Group"><p><strong>\${longDate}</strong>, <strong>\${time} – \${addHour(time)}</strong>, <strong>\${area}</strong></p></div>
+						\${mode}
+						<div class="Group"><label class="Label">Players</label><p>\${players.join(', ')}</p></div>
+					</div>
+					<div class="Modal-alerts"></div>
+					<div class="Modal-footer">
+						<div class="ButtonBar"><div class="ButtonGroup ButtonGroup--primary">
+							<button class="Button ng-animate-disabled">Close</button>
+							<button class="Button Button--danger ng-animate-disabled">Cancel booking</button>
+						</div></div>
+					</div>
+				</div>
+			</div>\`);
+
+		const wrapper = document.querySelector('.ModalWrapper');
+		const [closeButton, cancelBookingButton] = wrapper.querySelectorAll('.ButtonGroup button');
+		closeButton.addEventListener('click', closeModal);
+
+		let confirming = false;
+		cancelBookingButton.addEventListener('click', async () => {
+			if (!confirming) {
+				confirming = true;
+				showAlert('Cancelling less than 24 hours before the start incurs a £2.00 fee. Court fees paid with credit are refunded to your account.', 'warning');
+				closeButton.textContent = 'Keep booking';
+				cancelBookingButton.textContent = 'Yes, cancel booking';
+				return;
+			}
+			const result = await post('/api/bookings', { facility, date, time, area }, 'DELETE');
+			if (!result.success) {
+				showAlert(result.error);
+				return;
+			}
+			closeModal();
+			slot.className = 'BookingGrid-cell Slot available';
+			slot.querySelector('.SlotWrapper').innerHTML = '<span class="Slot-text">' + time + '<br></span>';
+			document.body.insertAdjacentHTML('beforeend', '<div class="Toast">Booking cancelled</div>');
+		});
+	};
+
+	// Someone else's booking: its players, and a way in if it is an open game
+	// with room left
+	const openGame = (slot) => {
+		closeModal();
+		const time = slot.dataset.time;
+		const area = slot.closest('.BookingGrid-column').dataset.area;
+		const players = Array.from(slot.querySelectorAll('.SlotMember-name')).map(el => el.textContent.trim());
+		const joinable = slot.dataset.open === 'true' && maxPlayers && players.length < maxPlayers;
+		const note = slot.dataset.open !== 'true'
+			? 'This booking is not open to other members.'
+			: (joinable ? (maxPlayers - players.length) + ' space(s) left in this game.' : 'This game is full.');
+
+		document.body.insertAdjacentHTML('beforeend', \`
+			<div class="modal-wrapper ModalWrapper">
+				<div class="Modal Modal--fixed">
+					<div class="Modal-header"><h1>\${facilityName} booking</h1></div>
+					<div class="Modal-body">
+						<div class="Group"><p><strong>\${longDate}</strong>, <strong>\${time} – \${addHour(time)}</strong>, <strong>\${area}</strong></p></div>
+						<div class="Group"><label class="Label">Players</label><p>\${players.join(', ')}</p><p>\${note}</p></div>
+					</div>
+					<div class="Modal-alerts"></div>
+					<div class="Modal-footer">
+						<div class="ButtonBar"><div class="ButtonGroup ButtonGroup--primary">
+							<button class="Button ng-animate-disabled">Close</button>
+							\${joinable ? '<button class="Button Button--success ng-animate-disabled">Join game</button>' : ''}
+						</div></div>
+					</div>
+				</div>
+			</div>\`);
+
+		const wrapper = document.querySelector('.ModalWrapper');
+		const [closeButton, joinButton] = wrapper.querySelectorAll('.ButtonGroup button');
+		closeButton.addEventListener('click', closeModal);
+		joinButton?.addEventListener('click', async () => {
+			const result = await post('/api/bookings/join', { facility, date, time, area });
+			if (!result.success) {
+				showAlert(result.error);
+				return;
+			}
+			closeModal();
+			slot.querySelector('.SlotMembers').insertAdjacentHTML('beforeend', '<div class="SlotMember"><span class="SlotMember-name">' + me + '</span></div>');
+			slot.querySelector('.SlotPeopleNumber').textContent = result.booking.members.length;
+			slot.querySelector('.ButtonWaitingList')?.remove();
+			document.body.insertAdjacentHTML('beforeend', '<div class="Toast">You joined the game</div>');
+		});
+	};
+
+	// The alarm button on someone else's booking joins or leaves its waiting list
+	const openWaitingList = (slot) => {
+		closeModal();
+		const time = slot.dataset.time;
+		const area = slot.closest('.BookingGrid-column').dataset.area;
+		const button = slot.querySelector('.ButtonWaitingList');
+		const joined = button.classList.contains('ButtonWaitingList--active');
+
+		document.body.insertAdjacentHTML('beforeend', \`
+			<div class="modal-wrapper ModalWrapper">
+				<div class="Modal Modal--fixed">
+					<div class="Modal-header"><h1>Waiting list</h1></div>
+					<div class="Modal-body">
+						<div class="Group"><p><strong>\${longDate}</strong>, <strong>\${time} – \${addHour(time)}</strong>, <strong>\${area}</strong></p></div>
+						<p>\${joined ? 'You are on the waiting list for this slot.' : 'Get notified when this slot becomes available.'}</p>
+					</div>
+					<div class="Modal-alerts"></div>
+					<div class="Modal-footer">
+						<div class="ButtonBar"><div class="ButtonGroup ButtonGroup--primary">
+							<button class="Button ng-animate-disabled">Close</button>
+							<button class="Button Button--success ng-animate-disabled">\${joined ? 'Leave waiting list' : 'Join waiting list'}</button>
+						</div></div>
+					</div>
+				</div>
+			</div>\`);
+
+		const wrapper = document.querySelector('.ModalWrapper');
+		const [closeButton, actionButton] = wrapper.querySelectorAll('.ButtonGroup button');
+		closeButton.addEventListener('click', closeModal);
+		actionButton.addEventListener('click', async () => {
+			const result = await post('/api/waiting-list', { facility, date, time, area }, joined ? 'DELETE' : 'POST');
+			if (!result.success) {
+				showAlert(result.error);
+				return;
+			}
+			closeModal();
+			button.classList.toggle('ButtonWaitingList--active', !joined);
+			button.querySelector('.Icon').textContent = joined ? 'alarm' : 'alarm_on';
+			document.body.insertAdjacentHTML('beforeend', '<div class="Toast">' + (joined ? 'Removed from the waiting list' : 'Added to the waiting list') + '</div>');
+		});
+	};
+
+	document.addEventListener('click', (event) => {
+		if (event.target.closest && event.target.closest('.ButtonWaitingList')) {
+			openWaitingList(event.target.closest('.BookingGrid-cell.Slot'));
+			return;
+		}
+		const slot = event.target.closest && event.target.closest('.BookingGrid-cell.Slot');
+		if (!slot) return;
+		if (slot.classList.contains('available')) {
+			openModal(slot);
+		} else if (Array.from(slot.querySelectorAll('.SlotMember-name')).some(el => el.textContent.trim() === me)) {
+			openDetails(slot);
+		} else if (slot.querySelector('.SlotBooking')) {
+			openGame(slot);
+		}
+	});
+})();
+`;
+
+const gridPage = ({ facility, facilitySlug, date, slotsFor, member }) => {
+	const headers = facility.areas.map(area => `
+			<div class="BookingGrid-column"><div class="BookingGrid-cell BookingGridArea">
+				<span class="BookingGridArea-name">${escapeHtml(area)}</span>
+			</div></div>`).join('');
+	const columns = facility.areas.map(area => `
+		<div class="BookingGrid-column" data-area="${escapeHtml(area)}">${slotsFor(area).map(slotCell).join('')}
+		</div>`).join('');
+
+	return page(`Bookings ${facility.name}`, `${userMenu(member)}
+	<div class="BookingGridHeader" data-facility="${escapeHtml(facilitySlug)}" data-date="${date}">
+		<div class="BookingGrid">${headers}
+		</div>
+	</div>
+	<div class="BookingGridBody">
+		<div class="BookingGrid">${columns}
+		</div>
+	</div>
+	<script>${modalScript(facilitySlug, facility.name, date, formatLongDate(date), member.name, facility.maxPlayers)}</script>`);
+};
+
+const readBody = (request) => new Promise((resolve, reject) => {
+	let body = '';
+	request.on('data', chunk => { body += chunk; });
+	request.on('end', () => resolve(body));
+	request.on('error', reject);
+});
+
+const parseCookies = (header = '') => Object.fromEntries(header.split(';')
+	.map(part => part.trim().split('='))
+	.filter(([name]) => name)
+	.map(([name, ...value]) => [name, decodeURIComponent(value.join('='))]));
+
+// options.members maps login emails to { password, name }; when omitted any
+// email/password pair logs in. options.directory lists more member names for
+// the participants search. options.bookings seeds the grid with
+// { facility, date, time, area, members, open } entries, open marking games
+// other members may join. options.spaLogin starts the server with the
+// background login.
+export const createMockHelloClub = (options = {}) => {
+	const facilities = options.facilities || DEFAULT_FACILITIES;
+	const seedBookings = () => (options.bookings || []).map(booking => ({ ...booking, members: [...(booking.members || [])] }));
+	const state = {
+		bookings: seedBookings(),
+		scenarios: [...(options.scenarios || [])],
+		requests: [],
+		cancellations: [],
+		waitingLists: [],
+		spaLogin: !!options.spaLogin,
+	};
+
+	const findMember = (email) => {
+		if (!email) return null;
+		if (!options.members) return { email, name: email.split('@')[0] };
+		const member = options.members[email];
+		return member ? { email, name: member.name } : null;
+	};
+
+	const findBooking = ({ facility, date, time, area }) => state.bookings.find(booking =>
+		booking.facility === facility && booking.date === date && booking.time === time && booking.area === area);
+
+	const findWaiting = ({ facility, date, time, area }, email) => state.waitingLists.find(entry =>
+		entry.facility === facility && entry.date === date && entry.time === time && entry.area === area && entry.email === email);
+
+	const send = (response, status, body, headers = {}) => {
+		response.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8', ...headers });
+		response.end(body);
+	};
+
+	const sendJson = (response, status, body) => send(response, status, JSON.stringify(body), { 'Content-Type': 'application/json' });
+
+	const redirect = (response, location, headers = {}) => send(response, 302, '', { Location: location, ...headers });
+
+	const handle = async (request, response) => {
+		const url = new URL(request.url, 'http://localhost');
+		const member = findMember(parseCookies(request.headers.cookie).session);
+		state.requests.push({ method: request.method, path: url.pathname, at: Date.now() });
+
+		if (request.method === 'GET' && url.pathname === '/') {
+			return send(response, 200, member ? homePage(member) : loginPage(null, { spa: state.spaLogin }));
+		}
+
+		if (request.method === 'POST' && url.pathname === '/login') {
+			const form = new URLSearchParams(await readBody(request));
+			const email = form.get('email');
+			const known = options.members ? options.members[email] : { password: form.get('password') };
+			const background = request.headers['x-requested-with'] === 'XMLHttpRequest';
+			if (!email || !known || known.password !== form.get('password')) {
+				return background
+					? sendJson(response, 401, { success: false, error: 'Invalid email or password' })
+					: send(response, 401, loginPage('Invalid email or password'));
+			}
+			if (background) {
+				return send(response, 200, JSON.stringify({ success: true }), {
+					'Content-Type': 'application/json',
+					'Set-Cookie': `session=${encodeURIComponent(email)}; Path=/; HttpOnly`,
+				});
+			}
+			return redirect(response, '/', { 'Set-Cookie': `session=${encodeURIComponent(email)}; Path=/; HttpOnly` });
+		}
+
+		const gridMatch = url.pathname.match(/^\/bookings\/([\w-]+)\/(\d{4}-\d{2}-\d{2})$/);
+		if (request.method === 'GET' && gridMatch) {
+			if (!member) return redirect(response, '/');
+			const [, facilitySlug, date] = gridMatch;
+			const facility = facilities[facilitySlug];
+			if (!facility) return send(response, 404, page('Not found', '<p>Unknown booking area</p>'));
+
+			const slotsFor = (area) => facility.times.map(time => {
+				const booking = findBooking({ facility: facilitySlug, date, time, area });
+				return {
+					time,
+					booking,
+					own: !!booking && (booking.email === member.email || booking.members.includes(member.name)),
+					waiting: !!findWaiting({ facility: facilitySlug, date, time, area }, member.email),
+				};
+			});
+			return send(response, 200, gridPage({ facility, facilitySlug, date, slotsFor, member }));
+		}
+
+		if (request.method === 'POST' && url.pathname === '/api/bookings/start') {
+			if (!member) return sendJson(response, 401, { success: false, error: 'Not logged in' });
+			return sendJson(response, 200, { scenario: state.scenarios.shift() || null });
+		}
+
+		if (request.method === 'POST' && url.pathname === '/api/bookings') {
+			if (!member) return sendJson(response, 401, { success: false, error: 'Not logged in' });
+			const { facility, date, time, area, mode, partners = [] } = JSON.parse(await readBody(request));
+			const slot = { facility, date, time, area };
+			if (findBooking(slot)) {
+				return sendJson(response, 409, { success: false, error: 'This court already has a booking or event at this time' });
+			}
+			const booking = { ...slot, members: [member.name, ...partners], email: member.email, mode: mode || BOOKING_MODES[0].name };
+			state.bookings.push(booking);
+			return sendJson(response, 201, { success: true, booking });
+		}
+
+		if (request.method === 'POST' && url.pathname === '/api/bookings/join') {
+			if (!member) return sendJson(response, 401, { success: false, error: 'Not logged in' });
+			const slot = JSON.parse(await readBody(request));
+			const booking = findBooking(slot);
+			const maxPlayers = facilities[slot.facility]?.maxPlayers;
+			if (!booking) {
+				return sendJson(response, 404, { success: false, error: 'Booking not found' });
+			}
+			if (booking.members.includes(member.name)) {
+				return sendJson(response, 409, { success: false, error: 'You are already playing in this game' });
+			}
+			if (!booking.open) {
+				return sendJson(response, 409, { success: false, error: 'This booking is not open to other members' });
+			}
+			if (!maxPlayers || booking.members.length >= maxPlayers) {
+				return sendJson(response, 409, { success: false, error: 'This game is full' });
+			}
+			booking.members.push(member.name);
+			return sendJson(response, 200, { success: true, booking });
+		}
+
+		if (request.method === 'DELETE' && url.pathname === '/api/bookings') {
+			if (!member) return sendJson(response, 401, { success: false, error: 'Not logged in' });
+			const booking = findBooking(JSON.parse(await readBody(request)));
+			if (!booking) {
+				return sendJson(response, 404, { success: false, error: 'Booking not found' });
+			}
+			if (booking.email !== member.email) {
+				return sendJson(response, 403, { success: false, error: 'You can only cancel your own bookings' });
+			}
+			state.bookings = state.bookings.filter(other => other !== booking);
+			state.cancellations.push({ ...booking, at: Date.now() });
+			return sendJson(response, 200, { success: true, booking });
+		}
+
+		if (request.method === 'GET' && url.pathname === '/api/members') {
+			if (!member) return sendJson(response, 401, { success: false, error: 'Not logged in' });
+			const query = (url.searchParams.get('q') || '').trim().toLowerCase();
+			const names = [...Object.values(options.members || {}).map(known => known.name), ...(options.directory || [])];
+			return sendJson(response, 200, { members: query ? names.filter(name => name.toLowerCase().includes(query)) : [] });
+		}
+
+		if (url.pathname === '/api/waiting-list' && (request.method === 'POST' || request.method === 'DELETE')) {
+			if (!member) return sendJson(response, 401, { success: false, error: 'Not logged in' });
+			const { facility, date, time, area } = JSON.parse(await readBody(request));
+			const slot = { facility, date, time, area };
+			const entry = findWaiting(slot, member.email);
+			if (request.method === 'DELETE') {
+				if (!entry) return sendJson(response, 404, { success: false, error: 'You are not on the waiting list for this slot' });
+				state.waitingLists = state.waitingLists.filter(other => other !== entry);
+				return sendJson(response, 200, { success: true });
+			}
+			if (!findBooking(slot)) {
+				return sendJson(response, 409, { success: false, error: 'This slot is free, book it instead' });
+			}
+			if (!entry) state.waitingLists.push({ ...slot, email: member.email, name: member.name });
+			return sendJson(response, 201, { success: true });
+		}
+
+		// Control endpoints for tests and manual runs
+		if (url.pathname === '/__mock/state' && request.method === 'GET') {
+			return sendJson(response, 200, state);
+		}
+		if (url.pathname === '/__mock/scenarios' && request.method === 'POST') {
+			const scenarios = JSON.parse(await readBody(request) || '[]');
+			const unknown = scenarios.filter(scenario => !SCENARIOS.includes(scenario));
+			if (unknown.length > 0) {
+				return sendJson(response, 400, { success: false, error: `Unknown scenarios: ${unknown.join(', ')}` });
+			}
+			state.scenarios.push(...scenarios);
+			return sendJson(response, 200, { scenarios: state.scenarios });
+		}
+		if (url.pathname === '/__mock/reset' && request.method === 'POST') {
+			state.bookings = seedBookings();
+			state.scenarios = [...(options.scenarios || [])];
+			state.requests = [];
+			state.cancellations = [];
+			state.waitingLists = [];
+			state.spaLogin = !!options.spaLogin;
+			return sendJson(response, 200, { success: true });
+		}
+
+		return send(response, 404, page('Not found', '<p>Not found</p>'));
+	};
+
+	const server = createServer((request, response) => {
+		handle(request, response).catch(error => {
+			sendJson(response, 500, { success: false, error: error.message });
+		});
+	});
+
+	return {
+		state,
+		server,
+		get url() {
+			const address = server.address();
+			return address ? `http://localhost:${address.port}` : null;
+		},
+		listen: (port = 0) => new Promise(resolve => server.listen(port, '127.0.0.1', resolve)),
+		close: () => new Promise(resolve => {
+			server.closeAllConnections?.();
+			server.close(() => resolve());
+		}),
+	};
+};
+
+// node mock/helloclub-server.js [port] [scenario...]
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+	const [port = 4010, ...scenarios] = process.argv.slice(2);
+	const mock = createMockHelloClub({ scenarios });
+	await mock.listen(Number(port));
+	console.log(`Mock HelloClub listening on ${mock.url}`);
+	if (scenarios.length > 0) {
+		console.log(`Queued scenarios: ${scenarios.join(', ')}`);
+	}
+}
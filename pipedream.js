@@ -1,255 +1,298 @@
-import { Hyperbrowser } from "@hyperbrowser/sdk";
-import { connect } from "puppeteer-core";
-
-// Initialize logs array for better tracking
-let logs = [];
-const log = (message) => {
-	const timestamp = new Date().toISOString();
-	const formattedMessage = `${timestamp}: ${message}`;
-	console.log(formattedMessage);
-	logs.push(formattedMessage);
-};
-
-// Dynamically select credentials based on USER_SUFFIX
-const suffix = process.env.USER_SUFFIX || "";
-const EMAIL = process.env[`HELLO_CLUB_EMAIL${suffix}`];
-const PASSWORD = process.env[`HELLO_CLUB_PASSWORD${suffix}`];
-const API_KEY = process.env[`HYPERBROWSER_API_KEY${suffix}`];
-
-const waitForElement = async (page, selector, options = {}) => {
-	const defaultOptions = {
-		visible: true,
-		timeout: 5000,
-		polling: 100
-	};
-	const mergedOptions = { ...defaultOptions, ...options };
-
-	try {
-		await page.waitForSelector(selector, mergedOptions);
-		return true;
-	} catch (error) {
-		log(`Timeout waiting for element: ${selector}`);
-		return false;
-	}
-};
-
-const waitForModalUpdate = async (page, expectedState = {}) => {
-	const maxAttempts = 20; // Increased from 10
-	const interval = 500; // Increased from 200
-
-	for (let i = 0; i < maxAttempts; i++) {
-		const modalState = await page.evaluate(() => {
-			const modalContent = document.querySelector('.Modal-content');
-			const nextButton = document.querySelector('button.Button.Button--success.ng-animate-disabled');
-			return {
-				hasModal: !!modalContent || !!nextButton,
-				modalText: modalContent?.textContent || '',
-				isAlreadyBooked: modalContent?.textContent?.includes('This court already has a booking or event at this time') || false,
-				hasNextButton: !!nextButton
-			};
-		});
-
-		// If we're looking for a modal and found one, or looking for no modal and found none
-		if (expectedState.hasModal !== undefined && modalState.hasModal === expectedState.hasModal) {
-			return modalState;
-		}
-
-		// If we're checking for already booked status
-		if (expectedState.isAlreadyBooked !== undefined && modalState.isAlreadyBooked === expectedState.isAlreadyBooked) {
-			return modalState;
-		}
-
-		// If we found a next button when we're looking for a modal
-		if (expectedState.hasModal === true && modalState.hasNextButton) {
-			return modalState;
-		}
-
-		await new Promise(resolve => setTimeout(resolve, interval));
-	}
-
-	// Instead of throwing, return the current state
-	const finalState = await page.evaluate(() => {
-		const modalContent = document.querySelector('.Modal-content');
-		const nextButton = document.querySelector('button.Button.Button--success.ng-animate-disabled');
-		return {
-			hasModal: !!modalContent || !!nextButton,
-			modalText: modalContent?.textContent || '',
-			isAlreadyBooked: modalContent?.textContent?.includes('This court already has a booking or event at this time') || false,
-			hasNextButton: !!nextButton
-		};
-	});
-
-	return finalState;
-};
-
-async function handleLoginIfNeeded(page, useProfile) {
-	if (useProfile) {
-		log("Using profile, skipping login");
-		return;
-	}
-
-	// Navigate to the website
-	log("Navigating to Harborough CSC...");
-	await page.goto("https://harboroughcsc.helloclub.com");
-
-	// Wait for the first form and email input to be present
-	await page.waitForSelector('form');
-	const emailInput = await page.evaluate(() => {
-		const form = document.querySelector('form');
-		const emailInput = form.querySelector('input[type="email"]');
-		return emailInput ? true : false;
-	});
-
-	if (emailInput) {
-		await page.type('form input[type="email"]', EMAIL, { delay: 15 });
-		await page.type('form input[type="password"]', PASSWORD, { delay: 15 });
-
-		await page.waitForSelector('button.firstActionButton');
-		await page.click('button.firstActionButton');
-	} else {
-		throw new Error("Could not find email input field in the form");
-	}
-
-	// Wait for login to complete
-	await page.waitForNavigation();
-}
-
-const main = async (props) => {
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { createArtifacts } from "./lib/artifacts.js";
+import { createBrowserProvider, sessionRecording } from "./lib/browser-provider.js";
+import { getClub, getCredentials } from "./lib/clubs.js";
+import { bookingDateFor } from "./lib/dates.js";
+import { loginIfNeeded } from "./lib/login.js";
+import { bookingsUrl, getFacility } from "./lib/facilities.js";
+import {
+	BUTTON_SELECTOR,
+	completeBookingModal,
+	getAvailableSlots,
+	readModalText,
+	selectSlotByPlan,
+} from "./lib/booking-flow.js";
+import { bookBlock } from "./lib/blocks.js";
+import { recordBookings } from "./lib/calendar.js";
+import { createHistory } from "./lib/history.js";
+import { createLogger } from "./lib/logger.js";
+import { notify } from "./lib/notifications.js";
+import { joinBestWaitingLists } from "./lib/waiting-list.js";
+import { verifyBookings } from "./lib/verification.js";
+import { loadPreferences, planForDate } from "./lib/preferences.js";
+import { parseReleaseAt, runAtRelease } from "./lib/release-scheduler.js";
+
+// How long to let the grid render after the release reload, and how many
+// more reloads to try if the slots are not open yet
+const RELEASE_SETTLE_MS = 500;
+const RELEASE_RELOADS = 3;
+
+
+// run carries the run's logger and artifacts, and gets the browser session
+// once one is open
+const book = async (props, run) => {
+	const { log, artifacts } = run;
 	log("Starting session");
 	let session;
-	let browser;
 	let clickResult;
 	let formattedDate;
+	const passedOver = [];  // Preferred times not booked, with why
+	const passOver = ({ time, reason }) => {
+		if (!passedOver.some(other => other.time === time)) passedOver.push({ time, reason });
+	};
 
 	// Use user_suffix from props, fallback to empty string
 	const suffix = props.user_suffix || "";
-	const EMAIL = process.env[`HELLO_CLUB_EMAIL${suffix}`];
-	const PASSWORD = process.env[`HELLO_CLUB_PASSWORD${suffix}`];
 	const API_KEY = process.env[`HYPERBROWSER_API_KEY${suffix}`];
 
-	// Define the padel bookings base URL
-	const BOOKINGS_URL = 'https://harboroughcsc.helloclub.com/bookings/padel/';
-	//const BOOKINGS_URL = 'https://harboroughcsc.helloclub.com/bookings/cricket-nets/';
+	// Define the bookings base URL for the chosen club and facility
+	const club = getClub(props.club);
+	const credentials = getCredentials(club, suffix);
+	const baseUrl = club.baseUrl;
+	const facility = getFacility(props.facility, club);
+	const BOOKINGS_URL = bookingsUrl(baseUrl, facility);
 
 	// Configuration object using passed props
 	const appConfig = {
 		debug_mode: props.debug_mode ?? false,
 		preferred_court: props.preferred_court ?? "1",  // Default to Court 1 if not specified
-		use_delay: props.use_delay ?? false,  // Default to no delay
-		profile_id: props.profile_id || null // Get profile ID from prop only
+		release_at: props.release_at || null,  // When the slots open; null books straight away
+		block_size: Number(props.block_size) || null,  // Consecutive slots to book; null uses the preferences
+		waiting_list: Number(props.waiting_list) || 0,  // Waiting lists to join when nothing preferred is free
+		profile_id: props.profile_id || null, // Get profile ID from prop only
+		browser_provider: props.browser_provider || process.env.BROWSER_PROVIDER || "hyperbrowser",
+		preferences: props.preferences || "",  // JSON preferences, see preferences.example.json
+		calendar_file: props.calendar_file || process.env.CALENDAR_FILE || null,  // .ics file confirmed bookings are added to
+		account: suffix.replace(/^_/, '') || null  // Selects accounts.<LABEL> in the preferences
 	};
 
 	log(`Debug Mode: ${appConfig.debug_mode}`);
-	log(`Preferred court: ${appConfig.preferred_court}`);
-	log(`Using delay: ${appConfig.use_delay}`);
+	log(`Club: ${club.name} (${baseUrl})`);
+	log(`Facility: ${facility.slug}`);
+	log(`Preferred ${facility.areaLabel}: ${appConfig.preferred_court}`);
+	log(`Release time: ${appConfig.release_at || 'none, booking straight away'}`);
 
 	if (appConfig.profile_id) {
 		log(`Using profile: ${appConfig.profile_id}`);
 	}
 
 	if (appConfig.debug_mode) {
-		log("🔍 Running in DEBUG MODE - No actual bookings will be made");
+		log("🔍 Running in DEBUG MODE - the booking is walked through up to Confirm booking but not confirmed");
 	}
 
-	const client = new Hyperbrowser({
+	const browserProvider = createBrowserProvider({
+		type: appConfig.browser_provider,
 		apiKey: API_KEY,
+		log,
 	});
 
 	try {
-		// Skip actual booking in debug mode
-		if (appConfig.debug_mode) {
-			log("Debug mode: Simulating successful booking");
+		// Book 14 days ahead of the release, or of now when booking straight
+		// away, counting in club days
+		const releaseAt = appConfig.release_at ? parseReleaseAt(appConfig.release_at) : null;
+		formattedDate = bookingDateFor(releaseAt || new Date());
+
+		const preferences = loadPreferences({ json: appConfig.preferences, file: process.env.PREFERENCES_FILE });
+		const plan = planForDate(preferences, formattedDate, {
+			facility: facility.slug,
+			account: appConfig.account,
+			preferredCourt: appConfig.preferred_court,
+		});
+
+		if (plan.skipped) {
+			log(`Skipping ${formattedDate}: ${plan.skipReason}`);
 			return {
-				success: true,
-				debug: true,
-				message: "Debug mode - booking simulated",
-				logs: logs
+				success: false,
+				skipped: true,
+				error: plan.skipReason,
+				date: formattedDate,
+				logs: log.lines
 			};
 		}
 
-		// Create session with profile if available
-		const sessionConfig = appConfig.profile_id ? {
-			profile: {
-				id: appConfig.profile_id,
-				persistChanges: true // Set to true to update the profile with any changes
-			}
-		} : {};
-
-		session = await client.sessions.create(sessionConfig);
-		log(`Session created: ${session.id}`);
-		log(`Live URL: ${session.liveUrl}`);
-
-		browser = await connect({ browserWSEndpoint: session.wsEndpoint });
-		const [page] = await browser.pages();
+		log(`Booking for ${formattedDate} (${plan.dayName}) using the ${plan.ruleName} rule: ${plan.candidates.map(candidate => candidate.time).join(', ')}`);
+		plan.excluded.forEach(({ time, reason }) => log(`Not trying ${time}: ${reason}`));
+		plan.excluded.forEach(passOver);
 
-		// Add initial delay if enabled
-		if (appConfig.use_delay) {
-			log("Using 50-second delay before starting...");
-			await new Promise(resolve => setTimeout(resolve, 50000));
-			log("Delay completed, proceeding with booking...");
+		const blockSize = appConfig.block_size || plan.blockSize;
+		if (blockSize > 1) {
+			log(`Booking a block of ${blockSize} consecutive slots on one ${facility.areaLabel}`);
 		}
 
-		await handleLoginIfNeeded(page, !!appConfig.profile_id);
-
-		// Calculate date 14 days from now
-		const today = new Date();
-		const futureDate = new Date(today);
-		futureDate.setDate(today.getDate() + 14);
-		formattedDate = futureDate.toISOString().split('T')[0];
+		// Open a browser session, log in and load the grid for the booking date
+		const openGrid = async () => {
+			// Reuse the profile if available
+			session = await browserProvider.openSession({ profileId: appConfig.profile_id });
+			run.session = session;
+			if (session.liveUrl) {
+				log(`Live URL: ${session.liveUrl}`);
+			}
 
-		// Determine if the date is a weekend (0 = Sunday, 6 = Saturday)
-		const isWeekend = futureDate.getDay() === 0 || futureDate.getDay() === 6;
+			const { page } = session;
+			await loginIfNeeded(page, { baseUrl, club, credentials, useProfile: !!appConfig.profile_id, log });
 
-		// Define time preferences based on day type
-		const weekdayTimes = ['12:00', '13:00', '14:00', '11:00', '15:00', '16:00', '19:00', '17:00', '20:00'];
-		const weekendTimes = ['16:00', '17:00', '15:00', '14:00', '18:00', '19:00', '20:00'];
-		const priorityTimes = isWeekend ? weekendTimes : weekdayTimes;
+			// Navigate to the facility's bookings
+			await page.goto(bookingsUrl(baseUrl, facility, formattedDate));
+			const currentUrl = await page.url();
+			log('Navigated to: ' + currentUrl);
+			if (!currentUrl.includes(BOOKINGS_URL)) {
+				log(`ERROR: Not on the expected ${facility.slug} bookings page. Current URL: ${currentUrl}`);
+				throw new Error(`Navigation failed: Not on the expected ${facility.slug} bookings page.`);
+			}
+			return page;
+		};
 
-		log(`Booking for ${formattedDate} (${isWeekend ? 'weekend' : 'weekday'})`);
+		// Wait for slots to appear, then check we are still on the bookings page
+		const waitForGrid = async (page, { settleMs = 3000 } = {}) => {
+			log("Waiting for slots to appear...");
+			await page.waitForSelector('.BookingGrid-cell.Slot', { visible: true, timeout: 30000 });
+			await new Promise(resolve => setTimeout(resolve, settleMs));
+
+			const currentUrlAfterSlots = await page.url();
+			log('URL after slots loaded: ' + currentUrlAfterSlots);
+			if (!currentUrlAfterSlots.includes(BOOKINGS_URL)) {
+				log(`ERROR: Not on the expected ${facility.slug} bookings page after slots loaded. Current URL: ${currentUrlAfterSlots}`);
+				throw new Error(`Navigation failed: Not on the expected ${facility.slug} bookings page after slots loaded.`);
+			}
+		};
 
-		// Navigate to Padel bookings
-		await page.goto(`${BOOKINGS_URL}${formattedDate}`);
-		const currentUrl = await page.url();
-		log('Navigated to: ' + currentUrl);
-		if (!currentUrl.includes(BOOKINGS_URL)) {
-			log('ERROR: Not on the expected padel bookings page. Current URL: ' + currentUrl);
-			throw new Error('Navigation failed: Not on the expected padel bookings page.');
-		}
-		//await page.goto(`https://harboroughcsc.helloclub.com/bookings/cricket-nets/${formattedDate}`);
-
-		// Wait for slots to appear
-		log("Waiting for slots to appear...");
-		await page.waitForSelector('.BookingGrid-cell.Slot', { visible: true, timeout: 30000 });
-		await new Promise(resolve => setTimeout(resolve, 3000));
-
-		// Check again that we are still on the correct padel bookings page
-		const currentUrlAfterSlots = await page.url();
-		log('URL after slots loaded: ' + currentUrlAfterSlots);
-		if (!currentUrlAfterSlots.includes(BOOKINGS_URL)) {
-			log('ERROR: Not on the expected padel bookings page after slots loaded. Current URL: ' + currentUrlAfterSlots);
-			throw new Error('Navigation failed: Not on the expected padel bookings page after slots loaded.');
+		let page;
+		if (releaseAt) {
+			// Get everything ready, then reload the grid the moment the slots open
+			page = await runAtRelease({
+				releaseAt,
+				clockUrl: baseUrl,
+				log,
+				prepare: openGrid,
+				fire: async (page) => {
+					await page.reload({ waitUntil: 'domcontentloaded' });
+					return page;
+				},
+			});
+			await waitForGrid(page, { settleMs: RELEASE_SETTLE_MS });
+		} else {
+			page = await openGrid();
+			await waitForGrid(page);
 		}
+		await artifacts.step(page, 'grid');
+		await run.history.recordPage(page, formattedDate);
+
+		// With nothing preferred free, join the waiting lists of the best taken slots
+		const joinWaitingListsInstead = async (reason) => {
+			log(`${reason}; joining up to ${appConfig.waiting_list} waiting list(s) instead`);
+			const waitingLists = await joinBestWaitingLists(page, plan, { count: appConfig.waiting_list, dryRun: appConfig.debug_mode, log });
+			await session.close();
+			session = null;
+			return {
+				success: false,
+				error: reason,
+				waitingLists,
+				passedOver,
+				club: club.id,
+				facility: facility.slug,
+				date: formattedDate,
+				logs: log.lines
+			};
+		};
 
 		// Log detailed information about available slots
-		const availableSlotsInfo = await page.evaluate(() => {
-			const availableSlots = document.querySelectorAll('.BookingGrid-cell.Slot.available');
-			return Array.from(availableSlots).map(slot => ({
-				time: slot.querySelector('.Slot-text')?.textContent?.trim(),
-				className: slot.className,
-				isAvailable: slot.classList.contains('available')
-			}));
-		});
+		let availableSlotsInfo = await getAvailableSlots(page);
+
+		// The server may open the slots a moment after its clock ticks over
+		for (let reload = 1; releaseAt && availableSlotsInfo.length === 0 && reload <= RELEASE_RELOADS; reload++) {
+			log(`No slots open yet, reloading (${reload} of ${RELEASE_RELOADS})...`);
+			await new Promise(resolve => setTimeout(resolve, 1000));
+			await page.reload({ waitUntil: 'domcontentloaded' });
+			await waitForGrid(page, { settleMs: RELEASE_SETTLE_MS });
+			availableSlotsInfo = await getAvailableSlots(page);
+		}
+
 		log(`Available slots (${availableSlotsInfo.length}):`);
 		availableSlotsInfo.forEach(slot => {
-			log(`- Time: ${slot.time}, Available: ${slot.isAvailable}, Classes: ${slot.className}`);
+			log.debug(`- Time: ${slot.time}, Area: ${slot.area}${slot.isPeak ? ' (peak)' : ''}`);
 		});
 
 		// Early exit if no available slots
 		if (availableSlotsInfo.length === 0) {
 			log("No available slots found for this day");
+			if (appConfig.waiting_list > 0) {
+				return await joinWaitingListsInstead("No available slots found for this day");
+			}
 			throw new Error("No available slots found for this day");
 		}
 
+		if (blockSize > 1) {
+			const block = await bookBlock(page, plan, { size: blockSize, facility, log, skipConfirm: appConfig.debug_mode });
+			if (!block.success) {
+				await artifacts.capture(page, 'block failed');
+				await session.close();
+				session = null;
+				log(`Block booking failed: ${block.error}`);
+				return {
+					success: false,
+					error: block.error,
+					stranded: block.stranded || [],
+					date: formattedDate,
+					logs: log.lines
+				};
+			}
+
+			if (appConfig.debug_mode) {
+				await artifacts.step(page, 'confirm step');
+				await session.close();
+				session = null;
+				log("Debug mode: stopped before confirming the block, nothing was booked");
+				return {
+					success: true,
+					debug: true,
+					timeBooked: block.slots[0].time,
+					courtBooked: block.slots[0].area,
+					slots: block.slots.map(({ time, area, modalText }) => ({ time, area, modalText })),
+					reason: block.reason,
+					date: formattedDate,
+					logs: log.lines
+				};
+			}
+
+			const verification = await verifyBookings(page, { baseUrl, facility, date: formattedDate, slots: block.slots, log });
+			await (verification.verified ? artifacts.step(page, 'booked') : artifacts.capture(page, 'unverified'));
+			await session.close();
+			session = null;
+
+			if (!verification.verified) {
+				return {
+					success: false,
+					unverified: true,
+					error: verification.error,
+					evidence: verification.evidence,
+					slots: block.slots.map(({ time, area }) => ({ time, area })),
+					date: formattedDate,
+					logs: log.lines
+				};
+			}
+
+			log("Block booking completed successfully");
+			recordBookings(block.slots.map(({ time, area }) => ({ date: formattedDate, time, area, members: plan.partners, mode: plan.mode })), {
+				facility,
+				account: appConfig.account,
+				file: appConfig.calendar_file,
+				clubName: club.name,
+				log,
+			});
+			return {
+				success: true,
+				timeBooked: block.slots[0].time,
+				courtBooked: block.slots[0].area,
+				slots: block.slots.map(({ time, area }) => ({ time, area })),
+				reason: block.reason,
+				club: club.id,
+				facility: facility.slug,
+				date: formattedDate,
+				logs: log.lines
+			};
+		}
+
 		// Try to find and click slot based on priority
 		let bookingAttempts = 0;
 		const MAX_BOOKING_ATTEMPTS = 3;  // Maximum number of booking attempts
@@ -258,84 +301,15 @@ const main = async (props) => {
 			bookingAttempts++;
 			log(`Booking attempt ${bookingAttempts} of ${MAX_BOOKING_ATTEMPTS}`);
 
-			clickResult = await page.evaluate(async (config) => {
-				const { priorityTimes, preferred_court } = config;
-				// Helper function to get court number and name
-				const getCourtInfo = (slot) => {
-					const columnIndex = Array.from(slot.parentElement.children).indexOf(slot);
-					const courtHeader = document.querySelectorAll('.BookingGridArea-name')[columnIndex];
-					const courtName = courtHeader ? courtHeader.textContent.trim() : 'Unknown';
-					const courtNumber = courtName.includes('Court 1') ? "1" : "2";
-					return {
-						name: courtName,
-						number: courtNumber,
-						isPreferred: courtNumber === preferred_court
-					};
-				};
-
-				// Get all available slots that haven't been attempted yet
-				const getAvailableSlots = () => {
-					const slots = Array.from(document.querySelectorAll('.BookingGrid-cell.Slot'))
-						.filter(slot => {
-							const timeText = slot.querySelector('.Slot-text')?.textContent?.trim();
-							const isAvailable = slot.classList.contains('available');
-							// Add data attribute to track attempted slots
-							if (!slot.hasAttribute('data-booking-attempted')) {
-								slot.setAttribute('data-booking-attempted', 'false');
-							}
-							return timeText && isAvailable && slot.getAttribute('data-booking-attempted') === 'false';
-						});
-					return slots;
-				};
-
-				for (const targetTime of priorityTimes) {
-					const availableSlots = getAvailableSlots()
-						.filter(slot => {
-							const timeText = slot.querySelector('.Slot-text')?.textContent?.trim();
-							return timeText?.includes(targetTime);
-						});
-
-					if (availableSlots.length > 0) {
-						const sortedSlots = availableSlots.sort((a, b) => {
-							const courtA = getCourtInfo(a);
-							const courtB = getCourtInfo(b);
-							return courtB.isPreferred - courtA.isPreferred;
-						});
-
-						const slot = sortedSlots[0];
-						// Mark this slot as attempted
-						slot.setAttribute('data-booking-attempted', 'true');
-						const courtInfo = getCourtInfo(slot);
-						console.log(`Found ${targetTime} slot on ${courtInfo.name} (${courtInfo.isPreferred ? 'preferred' : 'alternative'} court):`, slot.className);
-
-						slot.click();
-						console.log('First click done, checking for modal...');
-
-						await new Promise(resolve => setTimeout(resolve, 2500));
-
-						const modalVisible = !!document.querySelector('button.Button.Button--success.ng-animate-disabled');
-
-						if (!modalVisible) {
-							console.log('Modal not visible after first click, clicking again');
-							slot.click();
-						}
-
-						return {
-							success: true,
-							timeBooked: targetTime,
-							courtBooked: courtInfo.name,
-							wasPreferredCourt: courtInfo.isPreferred,
-							requiredSecondClick: !modalVisible,
-							className: slot.className
-						};
-					}
-				}
-
-				return { success: false, timeBooked: null, courtBooked: null, wasPreferredCourt: false };
-			}, { priorityTimes, preferred_court: appConfig.preferred_court });
+			clickResult = await selectSlotByPlan(page, plan);
+			clickResult.passed?.forEach(({ time, reason }) => log(`Passed over ${time}: ${reason}`));
+			clickResult.passed?.forEach(passOver);
 
 			if (!clickResult.success) {
 				log('No more available slots found at preferred times');
+				if (appConfig.waiting_list > 0) {
+					return await joinWaitingListsInstead('No more available slots found at preferred times');
+				}
 				throw new Error('No more available slots found at preferred times');
 			}
 
@@ -343,153 +317,97 @@ const main = async (props) => {
 			if (clickResult.requiredSecondClick) {
 				log('Required second click due to no modal visible after first click');
 			}
+			log(`Why this slot: ${clickResult.reason}`);
 
 			// Reduced wait time after clicks
 			await new Promise(resolve => setTimeout(resolve, clickResult.requiredSecondClick ? 1500 : 1000));
 
 			log("Waiting for Next button in modal...");
-			await page.waitForSelector('button.Button.Button--success.ng-animate-disabled', {
+			await page.waitForSelector(BUTTON_SELECTOR, {
 				visible: true,
 				timeout: 5000
 			});
+			await artifacts.step(page, 'booking modal');
 
-			let isSlotAlreadyBooked = false;
-
-			for (const buttonText of ['Next', 'Next', 'Confirm booking']) {
-				const buttonSelector = 'button.Button.Button--success.ng-animate-disabled';
-
-				// Wait for button to be available
-				const buttonAvailable = await waitForElement(page, buttonSelector);
-				if (!buttonAvailable) {
-					throw new Error(`${buttonText} button not found after waiting`);
-				}
-
-				const buttonClick = await page.evaluate((text, selector) => {
-					const button = document.querySelector(selector);
-					if (button && button.textContent.trim().includes(text)) {
-						console.log(`Found ${text} button:`, button.className);
-						button.click();
-						return {
-							success: true,
-							className: button.className
-						};
-					}
-					return {
-						success: false,
-						error: `${text} button not found or not clickable`,
-						buttonFound: !!button
-					};
-				}, buttonText, buttonSelector);
-
-				if (buttonClick.success) {
-					log(`Clicked ${buttonText} button: ${buttonClick.className}`);
-				} else {
-					log(`Failed to click ${buttonText} button: ${buttonClick.error}`);
-					throw new Error(`Failed to click ${buttonText} button: ${buttonClick.error}`);
-				}
-
-				if (buttonText === 'Next') {
-					try {
-						// Wait for modal update with smart polling
-						const modalState = await waitForModalUpdate(page, { hasModal: true });
-						log(`Modal state after ${buttonText}: ${JSON.stringify(modalState)}`);
-
-						if (modalState.isAlreadyBooked) {
-							log('Detected slot is already booked, will try to cancel and retry with another slot');
-							isSlotAlreadyBooked = true;
-
-							// Click the Cancel button with verification
-							const cancelClicked = await page.evaluate(() => {
-								const cancelButton = Array.from(document.querySelectorAll('button')).find(
-									button => button.textContent.trim().toLowerCase() === 'cancel'
-								);
-								if (cancelButton) {
-									cancelButton.click();
-									return true;
-								}
-								return false;
-							});
-
-							if (cancelClicked) {
-								// Wait for modal to disappear
-								await waitForModalUpdate(page, { hasModal: false });
-							}
-							break;
-						}
-
-						// If we have a next button, consider this step successful regardless of modal state
-						if (modalState.hasNextButton) {
-							log('Next button found, continuing with booking flow');
-							continue;
-						}
-					} catch (modalError) {
-						// SPA session refresh detection: if slot grid is visible and modal is not, treat as session refresh and retry
-						const isSlotGridVisible = await page.evaluate(() => !!document.querySelector('.BookingGrid-cell.Slot'));
-						const isModalVisible = await page.evaluate(() => !!document.querySelector('.Modal-content'));
-						if (isSlotGridVisible && !isModalVisible) {
-							log('Detected unexpected return to slot grid (possible session refresh). Retrying booking attempt...');
-							// Short delay to allow UI to settle
-							await new Promise(resolve => setTimeout(resolve, 1000));
-							continue;
-						}
-						// If we encounter a modal error but can still see the next button, continue
-						const nextButtonVisible = await page.evaluate(() => {
-							return !!document.querySelector('button.Button.Button--success.ng-animate-disabled');
-						});
-
-						if (nextButtonVisible) {
-							log('Modal state uncertain but Next button visible, continuing with booking flow');
-							continue;
-						}
-						throw modalError;
-					}
-				}
-
-				if (buttonText === 'Confirm booking') {
-					try {
-						await waitForModalUpdate(page, { hasModal: true });
-					} catch (modalError) {
-						// Check if the booking appears successful despite modal state error
-						const bookingSuccessful = await page.evaluate(() => {
-							const modalContent = document.querySelector('.Modal-content');
-							return modalContent?.textContent?.includes('successful') ||
-								modalContent?.textContent?.includes('confirmed') ||
-								modalContent?.textContent?.includes('booked');
-						});
-
-						if (bookingSuccessful) {
-							log('Booking appears successful despite modal state uncertainty');
-						} else {
-							throw modalError;
-						}
-					}
-					break;
-				}
-			}
+			const booking = await completeBookingModal(page, { log, skipConfirm: appConfig.debug_mode, mode: plan.mode, partners: plan.partners });
 
 			// If the slot was already booked, continue to the next attempt
-			if (isSlotAlreadyBooked) {
+			if (booking.isSlotAlreadyBooked) {
+				passOver({ time: clickResult.timeBooked, reason: `${clickResult.courtBooked} was already booked when we tried` });
 				log(`Booking attempt ${bookingAttempts} failed due to slot being already booked, trying next available slot...`);
 				continue;
 			}
 
-			// If we reach here, booking was successful
-			log("Booking confirmed, cleaning up...");
+			if (appConfig.debug_mode) {
+				await artifacts.step(page, 'confirm step');
+				await session.close();
+				session = null;
+				log("Debug mode: stopped before confirming, nothing was booked");
+				return {
+					success: true,
+					debug: true,
+					message: "Debug mode - booking not confirmed",
+					timeBooked: clickResult.timeBooked,
+					courtBooked: clickResult.courtBooked,
+					reason: clickResult.reason,
+					modalText: booking.modalText,
+					mode: booking.mode,
+					partners: booking.partners,
+					passedOver,
+					date: formattedDate,
+					logs: log.lines
+				};
+			}
 
-			// Add delay to see the final state
-			await new Promise(resolve => setTimeout(resolve, 1000));
+			// Only a booking that shows up on the reloaded grid counts
+			log("Booking confirmed, checking the grid...");
+			const verification = await verifyBookings(page, {
+				baseUrl,
+				facility,
+				date: formattedDate,
+				slots: [{ time: clickResult.timeBooked, area: clickResult.courtBooked }],
+				log,
+			});
+			await (verification.verified ? artifacts.step(page, 'booked') : artifacts.capture(page, 'unverified'));
 
-			await browser.close();
-			browser = null;
-			await client.sessions.stop(session.id);
+			await session.close();
 			session = null;
 
+			if (!verification.verified) {
+				return {
+					success: false,
+					unverified: true,
+					error: verification.error,
+					evidence: verification.evidence,
+					timeBooked: clickResult.timeBooked,
+					courtBooked: clickResult.courtBooked,
+					passedOver,
+					date: formattedDate,
+					logs: log.lines
+				};
+			}
+
 			log("Booking completed successfully");
+			recordBookings([{ date: formattedDate, time: clickResult.timeBooked, area: clickResult.courtBooked, members: booking.partners, mode: booking.mode }], {
+				facility,
+				account: appConfig.account,
+				file: appConfig.calendar_file,
+				clubName: club.name,
+				log,
+			});
 			return {
 				success: true,
 				timeBooked: clickResult.timeBooked,
+				courtBooked: clickResult.courtBooked,
+				reason: clickResult.reason,
+				mode: booking.mode,
+				partners: booking.partners,
+				missingPartners: booking.missingPartners,
+				passedOver,
+				club: club.id,
+				facility: facility.slug,
 				date: formattedDate,
-				logs: logs
+				logs: log.lines
 			};
 		}
 
@@ -497,49 +415,113 @@ const main = async (props) => {
 		throw new Error(`Failed to book after ${MAX_BOOKING_ATTEMPTS} attempts - all attempted slots were already booked`);
 
 	} catch (error) {
-		log(`Encountered an error: ${error}`);
+		log.error(`Encountered an error: ${error}`);
 
-		if (browser) {
-			await browser.close();
-		}
+		// Whatever the modal said last is often the real reason
+		let modalText = null;
 		if (session) {
-			await client.sessions.stop(session.id);
+			await artifacts.capture(session.page, 'error');
+			modalText = await readModalText(session.page);
+			await session.close();
 		}
 
 		return {
 			success: false,
 			error: error.message,
 			timeBooked: clickResult?.timeBooked || null,
+			modalText,
+			passedOver,
 			date: formattedDate,
-			logs: logs
+			logs: log.lines
 		};
 	}
 };
 
+// Books, then tells whoever the notifications config says. Every run logs
+// under its own run ID and keeps its artifacts in a folder named after it.
+const main = async (props) => {
+	const account = (props.user_suffix || "").replace(/^_/, '') || null;
+	const log = createLogger({ script: "pipedream", account });
+	const artifacts = createArtifacts({
+		dir: props.artifacts_dir || process.env.ARTIFACTS_DIR || join(tmpdir(), "run-artifacts"),
+		runId: log.runId,
+		everyStep: props.artifacts_every_step ?? process.env.ARTIFACTS_EVERY_STEP === "true",
+		log,
+	});
+	const club = getClub(props.club);
+	const facility = getFacility(props.facility, club);
+	const history = createHistory({
+		file: props.history_file || process.env.HISTORY_FILE || null,
+		source: "pipedream",
+		account,
+		club: club.id,
+		facility,
+		log,
+	});
+	const run = { log, artifacts, history, session: null };
+	const result = await book(props, run);
+	result.artifacts = artifacts.saved;
+	result.recording = await sessionRecording(run.session, log);
+	history.recordRun(result);
+	result.notifications = await notify(result, {
+		config: props.notifications,
+		account,
+		club: club.name,
+		facility: facility.name,
+		log,
+	});
+	return result;
+};
+
 // Export the main function for Pipedream
 export default {
 	name: "Padel Court Booking",
-	description: "Automated booking system for Harborough CSC Padel courts",
+	description: "Automated booking system for padel courts, cricket nets and other facilities at HelloClub clubs",
 	version: "0.1.0",
 	props: {
 		debug_mode: {
 			type: "boolean",
 			label: "Debug Mode",
-			description: "If enabled, will simulate the booking process without making actual bookings",
+			description: "If enabled, logs in and goes through the booking up to Confirm booking without confirming, and reports the slot and modal text that would have been booked",
 			default: false,
 		},
+		club: {
+			type: "string",
+			label: "Club",
+			description: "Club to book at, from the CLUBS_CONFIG environment variable. Leave empty for the default club.",
+			optional: true,
+			default: "",
+		},
+		facility: {
+			type: "string",
+			label: "Facility",
+			description: "HelloClub booking area to book, as it appears in the bookings URL (e.g. padel or cricket-nets)",
+			default: "padel",
+		},
 		preferred_court: {
 			type: "string",
 			label: "Preferred Court",
-			description: "Preferred court number (1 or 2). Will try this court first if available.",
+			description: "Preferred court or net number (e.g. 1 or 2), or the full area name. Will try this one first if available.",
 			default: "2",
-			options: ["1", "2"]
 		},
-		use_delay: {
-			type: "boolean",
-			label: "Use 50s Delay",
-			description: "If enabled, adds a 50-second delay before starting the booking process",
-			default: false,
+		release_at: {
+			type: "string",
+			label: "Release Time",
+			description: "When the slots 14 days ahead open, as UK time (e.g. 00:00 or 07:59:59) or an ISO date-time. The session is logged in and on the grid beforehand, and the booking fires at this moment by the club server's clock. Trigger the workflow a minute or two earlier. Leave empty to book straight away.",
+			optional: true,
+			default: "",
+		},
+		block_size: {
+			type: "integer",
+			label: "Block Size",
+			description: "Book this many consecutive slots on the same court (e.g. 2 for two hours). If any of them cannot be booked the others are cancelled again. Leave empty to use the preferences (1 unless a rule sets block).",
+			optional: true,
+		},
+		waiting_list: {
+			type: "integer",
+			label: "Waiting Lists to Join",
+			description: "When none of the preferred slots is free, join the waiting lists of this many of the best taken ones instead. Leave empty or 0 to give up as before.",
+			optional: true,
 		},
 		profile_id: {
 			type: "string",
@@ -555,15 +537,66 @@ export default {
 			optional: true,
 			default: "",
 		},
+		preferences: {
+			type: "string",
+			label: "Booking Preferences (JSON)",
+			description: "Times, court rankings and skip dates per day of the week; see preferences.example.json. Leave empty for the built-in weekday/weekend times.",
+			optional: true,
+			default: "",
+		},
+		calendar_file: {
+			type: "string",
+			label: "Calendar File",
+			description: "Path of an .ics file to add confirmed bookings to (e.g. /tmp/bookings.ics, to upload or serve for calendar subscriptions). Leave empty to use CALENDAR_FILE, or for no calendar.",
+			optional: true,
+			default: "",
+		},
+		history_file: {
+			type: "string",
+			label: "History File",
+			description: "Path of a JSON lines file the grid and the result of each run are added to, for npm run analytics (e.g. /tmp/history.jsonl). Leave empty to use HISTORY_FILE, or to keep no history.",
+			optional: true,
+			default: "",
+		},
+		artifacts_dir: {
+			type: "string",
+			label: "Artifacts Directory",
+			description: "Where failed runs save a screenshot, the page HTML and the modal text, in a folder per run. Leave empty to use ARTIFACTS_DIR, or /tmp/run-artifacts.",
+			optional: true,
+			default: "",
+		},
+		artifacts_every_step: {
+			type: "boolean",
+			label: "Capture Every Step",
+			description: "If enabled, also saves the grid, the booking modal and the result of runs that go fine. Leave unset to use ARTIFACTS_EVERY_STEP",
+			optional: true,
+		},
+		notifications: {
+			type: "string",
+			label: "Notifications (JSON)",
+			description: "Where to send a message after each run (webhook, email or log) and for which accounts and events; see notifications.example.json. Leave empty to use NOTIFICATIONS_CONFIG, or for no notifications.",
+			optional: true,
+			default: "",
+		},
 	},
 	async run({ steps, $ }) {
 		// Pass the props to main function
 		return await main({
 			debug_mode: this.debug_mode,
+			club: this.club,
+			facility: this.facility,
 			preferred_court: this.preferred_court,
-			use_delay: this.use_delay,
+			release_at: this.release_at,
+			block_size: this.block_size,
+			waiting_list: this.waiting_list,
 			profile_id: this.profile_id,
 			user_suffix: this.user_suffix,
+			preferences: this.preferences,
+			calendar_file: this.calendar_file,
+			history_file: this.history_file,
+			notifications: this.notifications,
+			artifacts_dir: this.artifacts_dir,
+			artifacts_every_step: this.artifacts_every_step,
 		});
 	},
 };
\ No newline at end of file
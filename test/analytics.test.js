@@ -0,0 +1,113 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+	accountSuccess,
+	analyseHistory,
+	countCancellations,
+	formatAnalytics,
+	formatMinutes,
+	median,
+	releaseInstant,
+	timeDemand,
+} from "../lib/analytics.js";
+import { DEFAULT_PREFERENCES } from "../lib/preferences.js";
+
+const COURTS = ['Padel Court 1 (far)', 'Padel Court 2 (Near)'];
+
+// A grid record with each time's statuses in court order
+const gridAt = (at, date, times, facility = 'padel') => ({
+	type: 'grid',
+	at,
+	source: 'watch',
+	account: null,
+	club: 'harborough',
+	facility,
+	date,
+	slots: Object.entries(times).flatMap(([time, statuses]) => statuses.map((status, index) => ({ time, area: COURTS[index], status, people: status === 'booked' ? 4 : 0 }))),
+});
+
+const runOf = (account, event) => ({ type: 'run', at: '2025-04-04T23:00:10Z', source: 'pipedream', account, club: 'harborough', facility: 'padel', date: '2025-04-19', event, slots: [], error: null });
+
+// 2025-04-19 (a Saturday) opens at midnight BST on 5 April, 23:00 UTC on the 4th
+const records = [
+	gridAt('2025-04-04T23:00:30Z', '2025-04-19', { '17:00': ['free', 'booked'], '18:00': ['free', 'free'] }),
+	gridAt('2025-04-04T23:05:00Z', '2025-04-19', { '17:00': ['free', 'booked'], '18:00': ['booked', 'booked'] }),
+	gridAt('2025-04-06T10:00:00Z', '2025-04-19', { '17:00': ['booked', 'booked'], '18:00': ['free', 'booked'] }),
+	// A Tuesday first seen days after its release, already full
+	gridAt('2025-04-20T12:00:00Z', '2025-04-22', { '12:00': ['booked', 'booked'] }),
+	gridAt('2025-04-20T12:00:00Z', '2025-04-22', { '12:00': ['booked', 'booked'] }, 'cricket-nets'),
+	runOf(null, 'booked'),
+	runOf(null, 'failed'),
+	runOf('JOANNA', 'booked'),
+	runOf('JOANNA', 'waiting-list'),
+	runOf(null, 'dry-run'),
+	runOf('JOANNA', 'skipped'),
+];
+
+describe('demand analytics', () => {
+	test('finds the release from the date and the release time', () => {
+		assert.equal(releaseInstant('2025-04-19').toISOString(), '2025-04-04T23:00:00.000Z');
+		assert.equal(releaseInstant('2025-01-20', { releaseTime: '07:30' }).toISOString(), '2025-01-06T07:30:00.000Z');
+	});
+
+	test('measures how fast each time sells out, per rule', () => {
+		const demand = timeDemand(records, { preferences: DEFAULT_PREFERENCES, facility: 'padel' });
+		assert.deepEqual(demand.map(group => `${group.facility} ${group.rule}`), ['padel weekday', 'padel weekend']);
+		const [weekday, weekend] = demand;
+		assert.deepEqual(weekend.times, DEFAULT_PREFERENCES.rules.weekend.times);
+		assert.deepEqual(weekend.rows, [
+			{ time: '18:00', dates: 1, soldOut: 1, cancellations: 1, rank: 5, medianMinutes: 5 },
+			{ time: '17:00', dates: 1, soldOut: 1, cancellations: 0, rank: 2, medianMinutes: 35 * 60 },
+		]);
+		// Already full when first seen a fortnight on, so how fast is unknown
+		assert.deepEqual(weekday.rows, [{ time: '12:00', dates: 1, soldOut: 0, cancellations: 0, rank: 1, medianMinutes: null }]);
+	});
+
+	test('groups by the rules the preferences actually use', () => {
+		const preferences = { ...DEFAULT_PREFERENCES, rules: { ...DEFAULT_PREFERENCES.rules, saturday: { times: ['18:00', '19:00'] } } };
+		const demand = timeDemand(records, { preferences, facility: 'padel' });
+		assert.deepEqual(demand.map(group => group.rule), ['saturday', 'weekday']);
+		const [saturday] = demand;
+		assert.deepEqual(saturday.rows.map(row => [row.time, row.rank]), [['18:00', 1], ['17:00', null]]);
+	});
+
+	test('counts courts that free up again', () => {
+		const grids = [{ courts: { a: 'booked', b: 'free' } }, { courts: { a: 'free', b: 'booked' } }, { courts: { a: 'booked', b: 'free' } }, { courts: { a: 'disabled', b: 'disabled' } }];
+		assert.equal(countCancellations(grids), 2);
+	});
+
+	test('works out each account\'s success rate, leaving out skipped and dry runs', () => {
+		assert.deepEqual(accountSuccess(records), [
+			{ account: 'DEFAULT', runs: 2, booked: 1, waitingList: 0, failed: 1, successRate: 0.5 },
+			{ account: 'JOANNA', runs: 2, booked: 1, waitingList: 1, failed: 0, successRate: 0.5 },
+		]);
+		assert.deepEqual(accountSuccess(records, { facility: 'cricket-nets' }), []);
+	});
+
+	test('formats durations and medians', () => {
+		assert.equal(formatMinutes(null), '-');
+		assert.equal(formatMinutes(7.4), '7m');
+		assert.equal(formatMinutes(95), '1h 35m');
+		assert.equal(formatMinutes(3000), '2d 2h');
+		assert.equal(median([]), null);
+		assert.equal(median([9, 1, 5]), 5);
+		assert.equal(median([1, 2, 4, 10]), 3);
+	});
+
+	test('prints a table per facility and rule, and one for the accounts', () => {
+		const text = formatAnalytics(analyseHistory(records, { preferences: DEFAULT_PREFERENCES, facility: 'padel' }));
+		const lines = text.split('\n');
+		assert.equal(lines[0], '4 grid(s) and 6 run(s) in the history');
+		assert.ok(lines.includes('padel, weekend rule (tries 16:00, 17:00, 15:00, 14:00, 18:00, 19:00, 20:00)'));
+		const header = lines.indexOf('Time   Rank  Dates  Sold out  Median to sell out  Cancellations', lines.indexOf('padel, weekend rule (tries 16:00, 17:00, 15:00, 14:00, 18:00, 19:00, 20:00)'));
+		assert.deepEqual(lines.slice(header + 1, header + 3), [
+			'18:00  5     1      1         5m                  1',
+			'17:00  2     1      1         1d 11h              0',
+		]);
+		assert.deepEqual(lines.slice(-3), [
+			'Account  Runs  Booked  Waiting list  Failed  Success',
+			'DEFAULT  2     1       0             1       50%',
+			'JOANNA   2     1       1             0       50%',
+		]);
+	});
+});
@@ -0,0 +1,70 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { existsSync, mkdtempSync, readFileSync, readdirSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { createArtifacts } from "../lib/artifacts.js";
+
+const quiet = () => {};
+
+// Stands in for a puppeteer page showing a booking modal
+const fakePage = ({ modalText = 'Please confirm your booking', screenshot = true } = {}) => ({
+	screenshot: async ({ path }) => {
+		if (!screenshot) throw new Error('Target closed');
+		writeFileSync(path, 'png');
+	},
+	content: async () => '<html><body><div class="Modal">Please confirm your booking</div></body></html>',
+	evaluate: async () => ({ hasModal: !!modalText, modalText, isAlreadyBooked: false, hasNextButton: false }),
+});
+
+describe('artifacts', () => {
+	test('saves a screenshot, the HTML and the modal text under the run ID', async () => {
+		const dir = mkdtempSync(join(tmpdir(), 'artifacts-'));
+		try {
+			const artifacts = createArtifacts({ dir, runId: 'run-1', log: quiet });
+			const entry = await artifacts.capture(fakePage(), 'Booking modal');
+			assert.deepEqual(entry, {
+				label: 'Booking modal',
+				screenshot: join(dir, 'run-1', '01-booking-modal.png'),
+				html: join(dir, 'run-1', '01-booking-modal.html'),
+				modalText: join(dir, 'run-1', '01-booking-modal.txt'),
+			});
+			assert.match(readFileSync(entry.html, 'utf8'), /class="Modal"/);
+			assert.equal(readFileSync(entry.modalText, 'utf8'), 'Please confirm your booking\n');
+			assert.deepEqual(artifacts.saved, [entry]);
+		} finally {
+			rmSync(dir, { recursive: true, force: true });
+		}
+	});
+
+	test('keeps what it can when the page half works', async () => {
+		const dir = mkdtempSync(join(tmpdir(), 'artifacts-'));
+		try {
+			const messages = [];
+			const artifacts = createArtifacts({ dir, runId: 'run-1', log: message => messages.push(message) });
+			await artifacts.capture(fakePage(), 'grid');
+			const entry = await artifacts.capture(fakePage({ modalText: '', screenshot: false }), 'error');
+			assert.equal(entry.screenshot, null);
+			assert.equal(entry.modalText, null);
+			assert.equal(entry.html, join(dir, 'run-1', '02-error.html'));
+			assert.ok(messages.includes('Could not save a screenshot: Target closed'));
+			assert.equal(await artifacts.capture(null, 'error'), null);
+		} finally {
+			rmSync(dir, { recursive: true, force: true });
+		}
+	});
+
+	test('only captures steps when asked to', async () => {
+		const dir = mkdtempSync(join(tmpdir(), 'artifacts-'));
+		try {
+			assert.equal(await createArtifacts({ dir, runId: 'quiet', log: quiet }).step(fakePage(), 'grid'), null);
+			assert.equal(existsSync(join(dir, 'quiet')), false);
+
+			const artifacts = createArtifacts({ dir, runId: 'steps', everyStep: true, log: quiet });
+			await artifacts.step(fakePage(), 'grid');
+			assert.deepEqual(readdirSync(join(dir, 'steps')).sort(), ['01-grid.html', '01-grid.png', '01-grid.txt']);
+		} finally {
+			rmSync(dir, { recursive: true, force: true });
+		}
+	});
+});
@@ -0,0 +1,115 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+	availabilityCells,
+	formatAvailabilityCsv,
+	formatAvailabilityJson,
+	formatAvailabilityTable,
+	readAvailability,
+} from "../lib/availability.js";
+import { getFacility } from "../lib/facilities.js";
+
+const quiet = () => {};
+
+const slot = (areaIndex, time, status, peopleCount = 0) => ({
+	areaIndex,
+	area: ['Padel Court 1 (far)', 'Padel Court 2 (Near)'][areaIndex],
+	row: 0,
+	time,
+	status,
+	members: [],
+	peopleCount,
+	attempted: false,
+});
+
+const grid = {
+	areas: [
+		{ index: 0, name: 'Padel Court 1 (far)', number: '1' },
+		{ index: 1, name: 'Padel Court 2 (Near)', number: '2' },
+	],
+	slots: [
+		slot(0, '08:00', 'disabled'), slot(0, '09:00', 'booked', 3),
+		slot(1, '08:00', 'available'), slot(1, '09:00', 'available'),
+	],
+};
+
+const cells = [
+	...availabilityCells(grid, '2025-04-19'),
+	...availabilityCells({ ...grid, slots: [slot(0, '08:00', 'available'), slot(1, '08:00', 'booked', 4)] }, '2025-04-20'),
+].sort((a, b) => a.date.localeCompare(b.date) || a.time.localeCompare(b.time));
+
+describe('availability report', () => {
+	test('turns grid slots into free, booked and disabled cells', () => {
+		assert.deepEqual(availabilityCells(grid, '2025-04-19'), [
+			{ date: '2025-04-19', time: '08:00', area: 'Padel Court 1 (far)', status: 'disabled', people: 0 },
+			{ date: '2025-04-19', time: '09:00', area: 'Padel Court 1 (far)', status: 'booked', people: 3 },
+			{ date: '2025-04-19', time: '08:00', area: 'Padel Court 2 (Near)', status: 'free', people: 0 },
+			{ date: '2025-04-19', time: '09:00', area: 'Padel Court 2 (Near)', status: 'free', people: 0 },
+		]);
+	});
+
+	test('lays the cells out as a table with a row per date and time', () => {
+		assert.deepEqual(formatAvailabilityTable(cells).split('\n'), [
+			'Date        Time   Padel Court 1 (far)  Padel Court 2 (Near)',
+			'2025-04-19  08:00  disabled             free',
+			'2025-04-19  09:00  booked (3)           free',
+			'',
+			'2025-04-20  08:00  free                 booked (4)',
+		]);
+	});
+
+	test('writes the same matrix as CSV', () => {
+		assert.equal(formatAvailabilityCsv(cells), [
+			'date,time,Padel Court 1 (far),Padel Court 2 (Near)',
+			'2025-04-19,08:00,disabled,free',
+			'2025-04-19,09:00,booked (3),free',
+			'2025-04-20,08:00,free,booked (4)',
+		].join('\n'));
+		assert.equal(formatAvailabilityCsv([{ ...cells[0], area: 'Net 1, indoor' }]).split('\n')[0], 'date,time,"Net 1, indoor"');
+	});
+
+	test('nests dates, times and courts in the JSON', () => {
+		const report = JSON.parse(formatAvailabilityJson(cells, { facility: getFacility('padel') }));
+		assert.equal(report.facility, 'padel');
+		assert.deepEqual(report.areas, ['Padel Court 1 (far)', 'Padel Court 2 (Near)']);
+		assert.deepEqual(report.dates.map(day => day.date), ['2025-04-19', '2025-04-20']);
+		assert.deepEqual(report.dates[0].times[1], {
+			time: '09:00',
+			courts: {
+				'Padel Court 1 (far)': { status: 'booked', people: 3 },
+				'Padel Court 2 (Near)': { status: 'free', people: 0 },
+			},
+		});
+	});
+
+	test('walks every date and skips grids that do not load', async () => {
+		const visited = [];
+		let current;
+		const page = {
+			goto: async (url) => {
+				current = url;
+				visited.push(url);
+			},
+			waitForSelector: async () => {
+				if (current.endsWith('2025-04-20')) throw new Error('Timed out');
+			},
+			evaluate: async () => grid,
+		};
+		const seen = [];
+		const found = await readAvailability(page, {
+			baseUrl: 'https://club.example',
+			facility: getFacility('padel'),
+			dates: ['2025-04-19', '2025-04-20', '2025-04-21'],
+			onGrid: (read, date) => seen.push(date),
+			log: quiet,
+		});
+		assert.deepEqual(visited, [
+			'https://club.example/bookings/padel/2025-04-19',
+			'https://club.example/bookings/padel/2025-04-20',
+			'https://club.example/bookings/padel/2025-04-21',
+		]);
+		assert.deepEqual([...new Set(found.map(cell => cell.date))], ['2025-04-19', '2025-04-21']);
+		assert.deepEqual(seen, ['2025-04-19', '2025-04-21']);
+		assert.deepEqual(found.filter(cell => cell.date === '2025-04-19').map(cell => cell.time), ['08:00', '08:00', '09:00', '09:00']);
+	});
+});
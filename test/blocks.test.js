@@ -0,0 +1,70 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { pickBlock } from "../lib/blocks.js";
+import { loadPreferences, planForDate } from "../lib/preferences.js";
+
+const slot = (areaIndex, time, status = 'available') => ({
+	areaIndex,
+	area: ['Padel Court 1 (far)', 'Padel Court 2 (Near)'][areaIndex],
+	time,
+	status,
+	attempted: false,
+});
+
+const grid = {
+	areas: [
+		{ index: 0, name: 'Padel Court 1 (far)', number: '1' },
+		{ index: 1, name: 'Padel Court 2 (Near)', number: '2' },
+	],
+	slots: [
+		slot(0, '16:00'), slot(1, '16:00'),
+		slot(0, '17:00', 'booked'), slot(1, '17:00'),
+		slot(0, '18:00'), slot(1, '18:00', 'booked'),
+		slot(0, '19:00'), slot(1, '19:00'),
+	],
+};
+
+const preferences = loadPreferences({
+	json: JSON.stringify({
+		rules: {
+			weekend: { times: ['16:00', '18:00'], courts: ['1', '2'], block: 2 },
+			weekday: { times: ['17:00', '18:00'], courts: ['2'] },
+		},
+	}),
+});
+
+describe('block bookings', () => {
+	test('plans carry the block size from the rule', () => {
+		assert.equal(planForDate(preferences, '2025-04-19').blockSize, 2);
+		assert.equal(planForDate(preferences, '2025-04-16').blockSize, 1);
+	});
+
+	test('takes the first time with a whole block free, even off the top court', () => {
+		const pick = pickBlock(grid, planForDate(preferences, '2025-04-19'), { size: 2 });
+		assert.deepEqual(pick.slots.map(({ time, area }) => `${time} ${area}`), ['16:00 Padel Court 2 (Near)', '17:00 Padel Court 2 (Near)']);
+		assert.equal(pick.reason, 'weekend rule: block of 2 from 16:00 (time choice #1) to 18:00; Padel Court 2 (Near) is court choice #2 (courts)');
+		assert.deepEqual(pick.passed, []);
+	});
+
+	test('falls back to the next candidate time', () => {
+		const taken = { ...grid, slots: grid.slots.map(slot => (slot.time === '17:00' ? { ...slot, attempted: true } : slot)) };
+		const pick = pickBlock(taken, planForDate(preferences, '2025-04-19'), { size: 2 });
+		assert.deepEqual(pick.slots.map(({ time, area }) => `${time} ${area}`), ['18:00 Padel Court 1 (far)', '19:00 Padel Court 1 (far)']);
+		assert.deepEqual(pick.passed, [{ time: '16:00', reason: 'no 2 consecutive free slots from 16:00' }]);
+	});
+
+	test('follows the facility slot length and runs out cleanly', () => {
+		const plan = planForDate(preferences, '2025-04-19');
+		assert.equal(pickBlock(grid, plan, { size: 2, facility: { slotMinutes: 30 } }).slots, null);
+		const pick = pickBlock(grid, plan, { size: 4 });
+		assert.equal(pick.slots, null);
+		assert.equal(pick.passed.length, 2);
+	});
+
+	test('rejects a block that is not a whole number of slots', () => {
+		assert.throws(
+			() => loadPreferences({ json: JSON.stringify({ rules: { monday: { times: ['19:00'], block: 1.5 } } }) }),
+			/rules\.monday\.block must be a whole number of slots/,
+		);
+	});
+});
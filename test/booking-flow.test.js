@@ -0,0 +1,148 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+	completeBookingModal,
+	getAvailableSlots,
+	isBookingLimit,
+	selectSlotByPriority,
+	selectSlotByTime,
+	waitForModalUpdate,
+} from "../lib/booking-flow.js";
+import {
+	browserUnavailable,
+	getSimulatorState,
+	installBookingSimulator,
+	launchBrowser,
+	openFixture,
+} from "./helpers/browser.js";
+
+const quiet = () => {};
+const fastModal = { maxAttempts: 4, interval: 50 };
+const skip = await browserUnavailable();
+
+describe('booking limit', () => {
+	test('recognises the limit messages', () => {
+		assert.equal(isBookingLimit('You are on the limit of bookings you can make for this activity'), true);
+		assert.equal(isBookingLimit('Booking limit reached'), true);
+		assert.equal(isBookingLimit('Playing with up to 3 other members, no visitors'), false);
+		assert.equal(isBookingLimit(undefined), false);
+	});
+});
+
+describe('booking flow against saved snapshots', { skip }, () => {
+	let browser;
+
+	before(async () => {
+		browser = await launchBrowser();
+	});
+
+	after(async () => {
+		await browser?.close();
+	});
+
+	test('lists every available cricket net slot', async () => {
+		const page = await openFixture(browser, 'cricket.html');
+		const slots = await getAvailableSlots(page);
+		assert.equal(slots.length, 48);
+		assert.ok(slots.every(slot => slot.isAvailable));
+		assert.ok(slots.some(slot => slot.time === '12:00'));
+	});
+
+	test('picks the highest priority time that is free', async () => {
+		const page = await openFixture(browser, 'cricket.html');
+		await installBookingSimulator(page);
+		const result = await selectSlotByPriority(page, {
+			priorityTimes: ['07:00', '12:00', '13:00'],
+			preferred_court: '1',
+			clickDelay: 0,
+		});
+		assert.equal(result.success, true);
+		assert.equal(result.timeBooked, '12:00');
+		assert.equal(result.courtBooked, 'Cricket Net1');
+		assert.equal(result.wasPreferredCourt, true);
+		assert.equal(result.requiredSecondClick, false);
+	});
+
+	test('reports no slot when every preferred time is taken', async () => {
+		const page = await openFixture(browser, 'padel.html');
+		const result = await selectSlotByPriority(page, {
+			priorityTimes: ['16:00', '17:00', '15:00', '14:00', '18:00', '19:00', '20:00'],
+			preferred_court: '2',
+			clickDelay: 0,
+		});
+		assert.equal(result.success, false);
+	});
+
+	test('does not pick the same slot twice across attempts', async () => {
+		const page = await openFixture(browser, 'padel.html');
+		const config = { priorityTimes: ['08:00'], preferred_court: '2', clickDelay: 0 };
+		assert.equal((await selectSlotByPriority(page, config)).success, true);
+		assert.equal((await selectSlotByPriority(page, config)).success, false);
+	});
+
+	test('clicks a released slot by time', async () => {
+		const page = await openFixture(browser, 'padel.html');
+		const result = await selectSlotByTime(page, '08:00', { clickDelay: 0 });
+		assert.equal(result.success, true);
+		assert.equal(result.courtBooked, 'Padel Court 2 (Near)');
+		assert.equal((await selectSlotByTime(page, '19:00', { clickDelay: 0 })).success, false);
+	});
+
+	test('clicks a released slot on the court the email names', async () => {
+		const page = await openFixture(browser, 'padel.html');
+		const elsewhere = await selectSlotByTime(page, '08:00', { court: '3', clickDelay: 0 });
+		assert.equal(elsewhere.success, false);
+		assert.match(elsewhere.error, /on court 3/);
+		const result = await selectSlotByTime(page, '08:00', { court: '2', clickDelay: 0 });
+		assert.equal(result.courtBooked, 'Padel Court 2 (Near)');
+	});
+
+	test('reads the open booking modal', async () => {
+		const page = await openFixture(browser, 'padel-with-modal.html');
+		const modalState = await waitForModalUpdate(page, { hasModal: true }, fastModal);
+		assert.equal(modalState.hasModal, true);
+		assert.equal(modalState.hasNextButton, true);
+		assert.equal(modalState.isAlreadyBooked, false);
+		assert.match(modalState.modalText, /Padel Court 2 \(Near\)/);
+	});
+
+	test('walks the modal through to Confirm booking', async () => {
+		const page = await openFixture(browser, 'cricket.html');
+		await installBookingSimulator(page);
+		await selectSlotByPriority(page, { priorityTimes: ['16:00'], preferred_court: '1', clickDelay: 0 });
+
+		const result = await completeBookingModal(page, { log: quiet, modalOptions: fastModal });
+		assert.deepEqual(result, { isSlotAlreadyBooked: false, confirmed: true, mode: null, partners: [], missingPartners: [] });
+		assert.deepEqual((await getSimulatorState(page)).confirmed, ['16:00']);
+	});
+
+	test('stops before Confirm booking when asked to', async () => {
+		const page = await openFixture(browser, 'cricket.html');
+		await installBookingSimulator(page);
+		await selectSlotByPriority(page, { priorityTimes: ['16:00'], preferred_court: '1', clickDelay: 0 });
+
+		const result = await completeBookingModal(page, { log: quiet, skipConfirm: true, modalOptions: fastModal });
+		assert.equal(result.confirmed, false);
+		assert.match(result.modalText, /Confirm booking/);
+		assert.deepEqual((await getSimulatorState(page)).confirmed, []);
+	});
+
+	test('throws when the booking limit is reached', async () => {
+		const page = await openFixture(browser, 'cricket.html');
+		await installBookingSimulator(page, { limit: true });
+		await selectSlotByPriority(page, { priorityTimes: ['16:00'], preferred_court: '1', clickDelay: 0 });
+
+		await assert.rejects(completeBookingModal(page, { log: quiet, skipConfirm: true, modalOptions: fastModal }), /^Error: Booking limit reached: You are on the limit/);
+		assert.deepEqual((await getSimulatorState(page)).confirmed, []);
+	});
+
+	test('cancels the modal when the court is already booked', async () => {
+		const page = await openFixture(browser, 'cricket.html');
+		await installBookingSimulator(page, { alreadyBooked: true });
+		await selectSlotByPriority(page, { priorityTimes: ['16:00'], preferred_court: '1', clickDelay: 0 });
+
+		const result = await completeBookingModal(page, { log: quiet, modalOptions: fastModal });
+		assert.equal(result.isSlotAlreadyBooked, true);
+		assert.equal((await getSimulatorState(page)).cancelled, 1);
+	});
+});
@@ -0,0 +1,60 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { existsSync, mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { createBrowserProvider, sessionRecording } from "../lib/browser-provider.js";
+import { browserUnavailable } from "./helpers/browser.js";
+
+const quiet = () => {};
+const skipBrowser = await browserUnavailable();
+
+describe('createBrowserProvider', () => {
+	test('rejects unknown provider types', () => {
+		assert.throws(() => createBrowserProvider({ type: 'firefox', log: quiet }), /Unknown browser provider "firefox"/);
+	});
+
+	test('local profiles are user-data-dirs under profilesDir', async () => {
+		const profilesDir = mkdtempSync(join(tmpdir(), 'profiles-'));
+		try {
+			const provider = createBrowserProvider({ type: 'local', profilesDir, log: quiet });
+			const profileId = await provider.createProfile();
+			assert.ok(existsSync(join(profilesDir, profileId)));
+		} finally {
+			rmSync(profilesDir, { recursive: true, force: true });
+		}
+	});
+
+	test('local sessions open a page and close once', { skip: skipBrowser }, async () => {
+		const profilesDir = mkdtempSync(join(tmpdir(), 'profiles-'));
+		try {
+			const provider = createBrowserProvider({ type: 'local', profilesDir, log: quiet });
+			const session = await provider.openSession({ profileId: 'member' });
+			assert.equal(session.liveUrl, null);
+			assert.equal(session.profileId, 'member');
+			assert.equal(await session.page.evaluate(() => 1 + 1), 2);
+			await session.close();
+			await session.close();
+			assert.equal(session.browser.connected, false);
+		} finally {
+			rmSync(profilesDir, { recursive: true, force: true });
+		}
+	});
+});
+
+describe('sessionRecording', () => {
+	test('reports the recording of a recorded session', async () => {
+		const messages = [];
+		const session = { recording: async () => ({ status: 'completed', url: 'https://recordings.example.com/session-1' }) };
+		assert.deepEqual(await sessionRecording(session, message => messages.push(message)), { status: 'completed', url: 'https://recordings.example.com/session-1' });
+		assert.deepEqual(messages, ['Session recording (completed): https://recordings.example.com/session-1']);
+	});
+
+	test('gives null without a session, a recording or a working lookup', async () => {
+		assert.equal(await sessionRecording(null, quiet), null);
+		assert.equal(await sessionRecording({ recording: async () => null }, quiet), null);
+		const messages = [];
+		assert.equal(await sessionRecording({ recording: async () => { throw new Error('Not found'); } }, message => messages.push(message)), null);
+		assert.deepEqual(messages, ['Could not look up the session recording: Not found']);
+	});
+});
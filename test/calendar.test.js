@@ -0,0 +1,108 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { bookingUid, parseEvents, recordBookings, toICalendar, writeCalendar } from "../lib/calendar.js";
+import { getFacility } from "../lib/facilities.js";
+
+const booking = {
+	facility: 'padel',
+	date: '2025-04-19',
+	time: '18:00',
+	endTime: '19:00',
+	area: 'Padel Court 2 (Near)',
+	members: ['Alan Sankey', 'Kirstie Mitchell'],
+	mode: 'Playing with other members only',
+};
+
+describe('calendar', () => {
+	test('writes one event per booking in UK local time', () => {
+		const text = toICalendar([booking], { clubName: 'Harborough CSC', now: new Date('2025-04-10T12:00:00Z') });
+		assert.match(text, /^BEGIN:VCALENDAR\r\n/);
+		assert.match(text, /\r\nUID:padel-2025-04-19-1800-padel-court-2-near@helloclub-booker\r\n/);
+		assert.match(text, /\r\nDTSTAMP:20250410T120000Z\r\n/);
+		assert.match(text, /\r\nDTSTART;TZID=Europe\/London:20250419T180000\r\nDTEND;TZID=Europe\/London:20250419T190000\r\n/);
+		assert.match(text, /\r\nSUMMARY:Padel Court 2 \(Near\) at Harborough CSC\r\n/);
+		assert.match(text, /\r\nDESCRIPTION:Players: Alan Sankey\\, Kirstie Mitchell\\nBooking type: Playing/);
+		assert.ok(text.split('\r\n').every(line => line.length <= 75));
+	});
+
+	test('ends a slot running past midnight the next day', () => {
+		const text = toICalendar([{ ...booking, date: '2025-04-30', time: '23:00', endTime: '00:00' }], { now: new Date('2025-04-10T12:00:00Z') });
+		assert.match(text, /\r\nDTSTART;TZID=Europe\/London:20250430T230000\r\nDTEND;TZID=Europe\/London:20250501T000000\r\n/);
+	});
+
+	test('reads events back, unfolding long lines', () => {
+		const events = parseEvents(toICalendar([booking, { ...booking, time: '19:00', endTime: '20:00' }]));
+		assert.deepEqual(events.map(event => event.uid), [bookingUid(booking), bookingUid({ ...booking, time: '19:00' })]);
+		assert.ok(events[0].lines.some(line => line.startsWith('DESCRIPTION:') && line.includes('Booking type: Playing with other members only')));
+	});
+
+	test('merges into an existing file, replacing the same booking', () => {
+		const dir = mkdtempSync(join(tmpdir(), 'calendar-'));
+		const file = join(dir, 'bookings.ics');
+		try {
+			writeCalendar(file, [booking]);
+			assert.equal(writeCalendar(file, [{ ...booking, members: ['Alan Sankey'] }, { ...booking, date: '2025-04-20' }]), 2);
+			const events = parseEvents(readFileSync(file, 'utf8'));
+			assert.equal(events.length, 2);
+			assert.ok(events.some(event => event.lines.includes('DESCRIPTION:Players: Alan Sankey\\nBooking type: Playing with other members only')));
+
+			assert.equal(writeCalendar(file, [], { merge: false }), 0);
+			assert.deepEqual(parseEvents(readFileSync(file, 'utf8')), []);
+		} finally {
+			rmSync(dir, { recursive: true, force: true });
+		}
+	});
+
+	test('rewrites one account\'s bookings without touching the others', () => {
+		const dir = mkdtempSync(join(tmpdir(), 'calendar-'));
+		const file = join(dir, 'bookings.ics');
+		try {
+			writeCalendar(file, [
+				booking,
+				{ ...booking, time: '19:00', endTime: '20:00', account: 'JOANNA' },
+				{ ...booking, facility: 'cricket-nets', area: 'Cricket Net1' },
+				{ ...booking, date: '2025-05-30' },
+			]);
+			const events = parseEvents(readFileSync(file, 'utf8'));
+			assert.deepEqual(events.map(({ facility, date, account }) => [facility, date, account]), [
+				['padel', '2025-04-19', 'DEFAULT'],
+				['padel', '2025-04-19', 'JOANNA'],
+				['cricket-nets', '2025-04-19', 'DEFAULT'],
+				['padel', '2025-05-30', 'DEFAULT'],
+			]);
+
+			// The default account's padel bookings up to 1 May, now only at 20:00
+			writeCalendar(file, [{ ...booking, time: '20:00', endTime: '21:00' }], {
+				replace: event => event.account === 'DEFAULT' && event.facility === 'padel' && event.date <= '2025-05-01',
+			});
+			assert.deepEqual(parseEvents(readFileSync(file, 'utf8')).map(event => event.uid), [
+				bookingUid({ ...booking, time: '19:00' }),
+				bookingUid({ ...booking, facility: 'cricket-nets', area: 'Cricket Net1' }),
+				bookingUid({ ...booking, date: '2025-05-30' }),
+				bookingUid({ ...booking, time: '20:00' }),
+			]);
+		} finally {
+			rmSync(dir, { recursive: true, force: true });
+		}
+	});
+
+	test('records confirmed bookings only when a file is set', () => {
+		const dir = mkdtempSync(join(tmpdir(), 'calendar-'));
+		const file = join(dir, 'bookings.ics');
+		const lines = [];
+		try {
+			const confirmed = [{ date: '2025-04-19', time: '09:00', area: 'Cricket Net2' }];
+			assert.equal(recordBookings(confirmed, { facility: getFacility('cricket-nets'), file: '', log: line => lines.push(line) }), false);
+			assert.equal(recordBookings(confirmed, { facility: getFacility('cricket-nets'), account: 'JOANNA', file, log: line => lines.push(line) }), true);
+			assert.equal(parseEvents(readFileSync(file, 'utf8'))[0].account, 'JOANNA');
+			assert.match(readFileSync(file, 'utf8'), /UID:cricket-nets-2025-04-19-0900-cricket-net2@helloclub-booker\r\nDTSTAMP:\d+T\d+Z\r\nDTSTART;TZID=Europe\/London:20250419T090000\r\nDTEND;TZID=Europe\/London:20250419T100000/);
+			assert.equal(recordBookings(confirmed, { facility: getFacility('cricket-nets'), file: join(dir, 'missing', 'bookings.ics'), log: line => lines.push(line) }), false);
+			assert.match(lines.at(-1), /^Could not update the calendar/);
+		} finally {
+			rmSync(dir, { recursive: true, force: true });
+		}
+	});
+});
@@ -0,0 +1,58 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { feeTerms, findOwnBooking } from "../lib/cancellation.js";
+
+const slot = (areaIndex, time, status, extra = {}) => ({
+	areaIndex,
+	area: ['Padel Court 1 (far)', 'Padel Court 2 (Near)'][areaIndex],
+	time,
+	status,
+	members: status === 'booked' ? ['Alan Sankey'] : [],
+	hasWaitingList: status === 'booked',
+	onWaitingList: false,
+	attempted: false,
+	...extra,
+});
+
+const own = { members: ['Test Member'], hasWaitingList: false };
+
+const grid = {
+	areas: [
+		{ index: 0, name: 'Padel Court 1 (far)', number: '1' },
+		{ index: 1, name: 'Padel Court 2 (Near)', number: '2' },
+	],
+	slots: [
+		slot(0, '17:00', 'booked', own), slot(1, '17:00', 'booked'),
+		slot(0, '18:00', 'booked', own), slot(1, '18:00', 'booked', own),
+		// Today's bookings that have started show no waiting list, whoever made them
+		slot(0, '19:00', 'available'), slot(1, '19:00', 'booked', { hasWaitingList: false }),
+	],
+};
+
+const accountName = 'Test Member';
+
+describe('cancellation', () => {
+	test('finds the member\'s own booking and ignores other people\'s', () => {
+		assert.equal(findOwnBooking(grid, { accountName, time: '17:00' }).slot.area, 'Padel Court 1 (far)');
+		assert.equal(findOwnBooking(grid, { accountName, time: '17:00', court: '2' }).error, 'No booking of yours at 17:00 on court 2');
+		assert.equal(findOwnBooking(grid, { accountName, time: '19:00' }).error, 'No booking of yours at 19:00');
+		assert.equal(findOwnBooking(grid, { accountName: 'alan  sankey', time: '19:00' }).slot.area, 'Padel Court 2 (Near)');
+		assert.equal(findOwnBooking(grid, { accountName: null, time: '17:00' }).error, 'No booking of yours at 17:00');
+	});
+
+	test('needs a court when there are several bookings at the time', () => {
+		assert.match(findOwnBooking(grid, { accountName, time: '18:00' }).error, /2 bookings at 18:00 .*; give a court/);
+		assert.equal(findOwnBooking(grid, { accountName, time: '18:00', court: '2' }).slot.area, 'Padel Court 2 (Near)');
+		assert.match(findOwnBooking(grid, { accountName, time: '18:00', areaLabel: 'net' }).error, /give a net$/);
+	});
+
+	test('picks the fee and refund sentences out of the dialog', () => {
+		const modalText = 'Cancel booking\nAre you sure?  Cancelling less than 24 hours before the start incurs a £2.00 fee. Court fees paid with credit are refunded to your account.\nKeep booking Yes, cancel booking';
+		assert.deepEqual(feeTerms(modalText), [
+			'Cancelling less than 24 hours before the start incurs a £2.00 fee.',
+			'Court fees paid with credit are refunded to your account.',
+		]);
+		assert.deepEqual(feeTerms('Cancel booking\nAre you sure?'), []);
+		assert.deepEqual(feeTerms(), []);
+	});
+});
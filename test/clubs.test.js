@@ -0,0 +1,75 @@
+import { afterEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_BASE_URL, getClub, getCredentials, loadClubs } from "../lib/clubs.js";
+import { getFacility } from "../lib/facilities.js";
+
+const clubs = loadClubs({
+	json: JSON.stringify({
+		default: 'harborough',
+		clubs: {
+			harborough: { name: 'Harborough CSC', baseUrl: DEFAULT_BASE_URL },
+			market: {
+				name: 'Market Tennis Club',
+				baseUrl: 'https://market.helloclub.com/',
+				envPrefix: 'MARKET_TENNIS',
+				defaultFacility: 'tennis',
+				facilities: { padel: { slotMinutes: 90 } },
+			},
+		},
+	}),
+});
+
+describe('club configuration', () => {
+	const env = { ...process.env };
+
+	afterEach(() => {
+		process.env = { ...env };
+	});
+
+	test('without a config the only club is Harborough', () => {
+		delete process.env.HELLO_CLUB_BASE_URL;
+		delete process.env.CLUB;
+		const club = getClub(undefined, { clubs: loadClubs({ json: '', file: '' }) });
+		assert.equal(club.id, 'harborough');
+		assert.equal(club.baseUrl, DEFAULT_BASE_URL);
+		assert.equal(club.envPrefix, 'HELLO_CLUB');
+	});
+
+	test('selects clubs by id, CLUB or the configured default', () => {
+		delete process.env.CLUB;
+		assert.equal(getClub(undefined, { clubs }).id, 'harborough');
+		process.env.CLUB = 'market';
+		assert.equal(getClub(undefined, { clubs }).id, 'market');
+		assert.equal(getClub('harborough', { clubs }).name, 'Harborough CSC');
+		assert.throws(() => getClub('nowhere', { clubs }), /Unknown club "nowhere". Configured clubs: harborough, market/);
+	});
+
+	test('HELLO_CLUB_BASE_URL overrides the selected club host', () => {
+		delete process.env.HELLO_CLUB_BASE_URL;
+		assert.equal(getClub('market', { clubs }).baseUrl, 'https://market.helloclub.com');
+		process.env.HELLO_CLUB_BASE_URL = 'http://127.0.0.1:4000/';
+		assert.equal(getClub('market', { clubs }).baseUrl, 'http://127.0.0.1:4000');
+	});
+
+	test('reads credentials from the club env prefix and user suffix', () => {
+		process.env.MARKET_TENNIS_EMAIL_JOANNA = 'joanna@example.com';
+		process.env.MARKET_TENNIS_PASSWORD_JOANNA = 'secret';
+		assert.deepEqual(getCredentials(getClub('market', { clubs }), '_JOANNA'), { email: 'joanna@example.com', password: 'secret' });
+	});
+
+	test('club facilities override the built-in ones', () => {
+		delete process.env.FACILITY;
+		const market = getClub('market', { clubs });
+		assert.equal(getFacility(undefined, market).slug, 'tennis');
+		assert.equal(getFacility('padel', market).slotMinutes, 90);
+		assert.equal(getFacility('padel', getClub('harborough', { clubs })).slotMinutes, 60);
+	});
+
+	test('rejects invalid configurations', () => {
+		assert.throws(() => loadClubs({ json: '{"clubs":{}}' }), /at least one club/);
+		assert.throws(
+			() => loadClubs({ json: JSON.stringify({ default: 'b', clubs: { a: { baseUrl: 'ftp://x', envPrefix: 'lower' } } }) }),
+			/a\.baseUrl must be an http\(s\) URL[\s\S]*envPrefix[\s\S]*default club "b"/,
+		);
+	});
+});
@@ -0,0 +1,92 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { assignSlots, createClaims, pickForAccount } from "../lib/coordinator.js";
+import { getFacility } from "../lib/facilities.js";
+
+const areas = ['Padel Court 1 (far)', 'Padel Court 2 (Near)'];
+const times = ['16:00', '17:00', '18:00', '19:00'];
+
+// Both courts free at every time except those listed as booked
+const makeGrid = (booked = []) => ({
+	areas: areas.map((name, index) => ({ index, name, number: String(index + 1) })),
+	times,
+	slots: areas.flatMap((area, areaIndex) => times.map((time, row) => ({
+		areaIndex,
+		area,
+		row,
+		time,
+		status: booked.includes(`${time}|${area}`) ? 'booked' : 'available',
+		attempted: false,
+	}))),
+});
+
+const plan = {
+	ruleName: 'weekend',
+	candidates: ['17:00', '16:00', '18:00'].map((time, index) => ({ time, rank: index + 1, courts: ['2', '1'], courtsRule: 'courts' })),
+};
+
+const summary = (assignments) => assignments.map(({ account, slot }) => (slot ? `${account} ${slot.time} ${slot.area}` : `${account} -`));
+
+describe('coordinated booking', () => {
+	test('per-court puts the accounts on different courts at the same time', () => {
+		const assignments = assignSlots(makeGrid(), plan, ['STEFAN', 'JOANNA'], { strategy: 'per-court' });
+		assert.deepEqual(summary(assignments), ['STEFAN 17:00 Padel Court 2 (Near)', 'JOANNA 17:00 Padel Court 1 (far)']);
+		assert.match(assignments[1].reason, /per-court: same time as STEFAN/);
+	});
+
+	test('per-court falls back to the plan when the other court is taken', () => {
+		const assignments = assignSlots(makeGrid(['17:00|Padel Court 1 (far)']), plan, ['STEFAN', 'JOANNA'], { strategy: 'per-court' });
+		assert.deepEqual(summary(assignments), ['STEFAN 17:00 Padel Court 2 (Near)', 'JOANNA 16:00 Padel Court 2 (Near)']);
+		assert.match(assignments[1].reason, /no per-court slot next to STEFAN's/);
+	});
+
+	test('back-to-back books the following hours on the same court', () => {
+		const assignments = assignSlots(makeGrid(), plan, ['A', 'B', 'C'], { strategy: 'back-to-back', facility: getFacility('padel') });
+		assert.deepEqual(summary(assignments), ['A 17:00 Padel Court 2 (Near)', 'B 18:00 Padel Court 2 (Near)', 'C 19:00 Padel Court 2 (Near)']);
+		assert.match(assignments[1].reason, /back-to-back: 18:00-19:00 on Padel Court 2 \(Near\), after A's 17:00/);
+	});
+
+	test('back-to-back takes the hour before when the one after is gone', () => {
+		const assignments = assignSlots(makeGrid(['18:00|Padel Court 2 (Near)']), plan, ['A', 'B'], { strategy: 'back-to-back' });
+		assert.deepEqual(summary(assignments), ['A 17:00 Padel Court 2 (Near)', 'B 16:00 Padel Court 2 (Near)']);
+	});
+
+	test('spread gives each account the best slot nobody else has', () => {
+		const assignments = assignSlots(makeGrid(), plan, ['A', 'B', 'C'], { strategy: 'spread' });
+		assert.deepEqual(summary(assignments), ['A 17:00 Padel Court 2 (Near)', 'B 17:00 Padel Court 1 (far)', 'C 16:00 Padel Court 2 (Near)']);
+	});
+
+	test('one only assigns the first account', () => {
+		assert.deepEqual(summary(assignSlots(makeGrid(), plan, ['A', 'B'], { strategy: 'one' })), ['A 17:00 Padel Court 2 (Near)', 'B -']);
+	});
+
+	test('each account picks from its own plan', () => {
+		const late = { ...plan, candidates: [{ time: '19:00', rank: 1, courts: ['1'], courtsRule: 'courts' }] };
+		const plans = { JOANNA: late };
+		assert.deepEqual(summary(assignSlots(makeGrid(), plan, ['STEFAN', 'JOANNA'], { strategy: 'spread', plans })), [
+			'STEFAN 17:00 Padel Court 2 (Near)',
+			'JOANNA 19:00 Padel Court 1 (far)',
+		]);
+		// per-court only holds to STEFAN's time when JOANNA's plan has it
+		const perCourt = assignSlots(makeGrid(), plan, ['STEFAN', 'JOANNA'], { strategy: 'per-court', plans });
+		assert.deepEqual(summary(perCourt), ['STEFAN 17:00 Padel Court 2 (Near)', 'JOANNA 19:00 Padel Court 1 (far)']);
+		assert.match(perCourt[1].reason, /no per-court slot next to STEFAN's/);
+	});
+
+	test('a claimed slot is never handed to another account', () => {
+		const claims = createClaims();
+		const grid = makeGrid();
+		assignSlots(grid, plan, ['A', 'B'], { strategy: 'per-court', claims });
+
+		// A re-picks after an "already booked" modal and must avoid B's slot too
+		const repick = pickForAccount(grid, plan, { account: 'A', claims });
+		assert.equal(`${repick.slot.time} ${repick.slot.area}`, '16:00 Padel Court 2 (Near)');
+		assert.equal(claims.claim(repick.slot, 'B'), false);
+		assert.equal(claims.entries().length, 3);
+		assert.ok(new Set(claims.entries().map(entry => entry.key)).size === 3);
+	});
+
+	test('rejects unknown strategies', () => {
+		assert.throws(() => assignSlots(makeGrid(), plan, ['A'], { strategy: 'chaos' }), /Unknown strategy "chaos"/);
+	});
+});
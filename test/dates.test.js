@@ -0,0 +1,86 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+	addDays,
+	bookingDateFor,
+	clubToday,
+	datesAhead,
+	dayOfWeek,
+	isWeekend,
+	resolveDayMonth,
+	zonedTimeToInstant,
+} from "../lib/dates.js";
+
+describe('club dates', () => {
+	test('converts UK wall-clock times across daylight saving', () => {
+		assert.equal(zonedTimeToInstant('2025-01-15', '00:00').toISOString(), '2025-01-15T00:00:00.000Z');
+		assert.equal(zonedTimeToInstant('2025-07-01', '00:00').toISOString(), '2025-06-30T23:00:00.000Z');
+		assert.equal(zonedTimeToInstant('2025-03-30', '07:59:59').toISOString(), '2025-03-30T06:59:59.000Z');
+		// The night the clocks go back, midnight is still BST
+		assert.equal(zonedTimeToInstant('2025-10-26', '00:00').toISOString(), '2025-10-25T23:00:00.000Z');
+		assert.equal(zonedTimeToInstant('2025-10-27', '00:00').toISOString(), '2025-10-27T00:00:00.000Z');
+	});
+
+	test('today is the date on the clubhouse wall', () => {
+		// 23:30 UTC in summer is already tomorrow in London
+		assert.equal(clubToday({ now: new Date('2025-07-01T23:30:00Z') }), '2025-07-02');
+		assert.equal(clubToday({ now: new Date('2025-12-31T23:30:00Z') }), '2025-12-31');
+		// Either side of the clocks going forward at 01:00 UTC on 30 March
+		assert.equal(clubToday({ now: new Date('2025-03-29T23:59:00Z') }), '2025-03-29');
+		assert.equal(clubToday({ now: new Date('2025-03-30T23:30:00Z') }), '2025-03-31');
+	});
+
+	test('books 14 days after the UK date of the release', () => {
+		// Midnight in London during BST is still the previous day in UTC
+		assert.equal(bookingDateFor(new Date('2025-07-01T23:00:00Z')), '2025-07-16');
+		assert.equal(bookingDateFor(new Date('2025-12-25T00:00:00Z')), '2026-01-08');
+		// A late evening run in BST
+		assert.equal(bookingDateFor(new Date('2025-06-14T23:15:00Z')), '2025-06-29');
+		// Fourteen days that span a change of the clocks are still fourteen dates
+		assert.equal(bookingDateFor(new Date('2025-03-20T00:00:00Z')), '2025-04-03');
+		assert.equal(bookingDateFor(new Date('2025-10-20T23:30:00Z')), '2025-11-04');
+	});
+
+	test('counts club dates over month, year and DST boundaries', () => {
+		assert.equal(addDays('2025-12-30', 3), '2026-01-02');
+		assert.equal(addDays('2024-02-28', 1), '2024-02-29');
+		assert.equal(addDays('2025-03-29', 2), '2025-03-31');
+		assert.equal(addDays('2025-10-27', -2), '2025-10-25');
+		assert.throws(() => addDays('26/04/2025', 1), /Invalid date "26\/04\/2025"/);
+
+		const now = new Date('2025-10-25T23:30:00Z'); // 00:30 on the 26th in London
+		assert.deepEqual(datesAhead(3, { now }), ['2025-10-26', '2025-10-27', '2025-10-28']);
+		assert.deepEqual(datesAhead(2, { start: 1, now: new Date('2025-12-31T12:00:00Z') }), ['2026-01-01', '2026-01-02']);
+	});
+
+	test('knows the weekend from the date alone', () => {
+		assert.equal(dayOfWeek('2025-04-26'), 'saturday');
+		assert.equal(isWeekend('2025-04-26'), true);
+		assert.equal(isWeekend('2025-04-27'), true);
+		assert.equal(isWeekend('2025-04-28'), false);
+		// The Sunday the clocks change is a whole day like any other
+		assert.equal(dayOfWeek('2025-10-26'), 'sunday');
+	});
+
+	test('gives dates without a year the year they were meant for', () => {
+		const april = new Date('2025-04-20T10:00:00Z');
+		assert.equal(resolveDayMonth('26', 'April', { now: april }), '2025-04-26');
+		assert.equal(resolveDayMonth(26, 'Apr', { weekday: 'Sat', now: april }), '2025-04-26');
+		// A few days late is still this year's
+		assert.equal(resolveDayMonth(15, 'April', { now: april }), '2025-04-15');
+
+		const december = new Date('2025-12-28T18:00:00Z');
+		assert.equal(resolveDayMonth(3, 'January', { now: december }), '2026-01-03');
+		assert.equal(resolveDayMonth(3, 'January', { weekday: 'Saturday', now: december }), '2026-01-03');
+
+		// In winter London is on UTC, so 23:30 on New Year's Eve is still the old year
+		assert.equal(resolveDayMonth(2, 'January', { now: new Date('2025-12-31T23:30:00Z') }), '2026-01-02');
+
+		assert.equal(resolveDayMonth(29, 'February', { now: new Date('2027-12-01T12:00:00Z') }), '2028-02-29');
+		assert.throws(() => resolveDayMonth(26, 'April', { weekday: 'Friday', now: april }), /No Friday 26 April/);
+		assert.throws(() => resolveDayMonth(31, 'June', { now: april }), /No 31 June/);
+		assert.throws(() => resolveDayMonth(3, 'Smarch', { now: april }), /Invalid date/);
+		assert.equal(resolveDayMonth('26', '04', { now: april }), '2025-04-26');
+		assert.throws(() => resolveDayMonth(26, 13, { now: april }), /Invalid date/);
+	});
+});
@@ -0,0 +1,38 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { bookingsUrl, clubFacilities, getFacility, slotEndTime } from "../lib/facilities.js";
+
+describe('facilities', () => {
+	test('known facilities carry their area naming', () => {
+		assert.deepEqual(getFacility('padel'), { slug: 'padel', name: 'Padel', areaLabel: 'court', slotMinutes: 60, maxPlayers: 4 });
+		assert.equal(getFacility('cricket-nets').areaLabel, 'net');
+	});
+
+	test('any other slug gets generic defaults', () => {
+		const facility = getFacility('Table-Tennis');
+		assert.equal(facility.slug, 'table-tennis');
+		assert.equal(facility.name, 'Table Tennis');
+		assert.equal(bookingsUrl('https://club.example', facility, '2025-04-17'), 'https://club.example/bookings/table-tennis/2025-04-17');
+	});
+
+	test('bookings URLs take the club date of an instant', () => {
+		const padel = getFacility('padel');
+		// 00:30 on 1 July in London is still 30 June in UTC
+		assert.equal(bookingsUrl('https://club.example', padel, new Date('2025-06-30T23:30:00Z')), 'https://club.example/bookings/padel/2025-07-01');
+		assert.throws(() => bookingsUrl('https://club.example', padel, '1 July'), /Invalid booking date/);
+	});
+
+	test('rejects slugs that cannot be part of a bookings URL', () => {
+		assert.throws(() => getFacility('padel/../admin'), /Invalid facility/);
+	});
+
+	test('slotEndTime adds the slot length', () => {
+		assert.equal(slotEndTime(getFacility('padel'), '19:00'), '20:00');
+		assert.equal(slotEndTime({ slotMinutes: 90 }, '20:30'), '22:00');
+	});
+
+	test('clubFacilities lists the default facility first', () => {
+		assert.deepEqual(clubFacilities({ defaultFacility: 'tennis', facilities: { padel: {}, tennis: {} } }), ['tennis', 'padel']);
+		assert.deepEqual(clubFacilities({ facilities: {} }), ['padel']);
+	});
+});
@@ -0,0 +1,98 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { pickSlotByPriority } from "../lib/booking-flow.js";
+import { findSlots, isArea, readBookingGrid } from "../lib/grid.js";
+import { readAccountName } from "../lib/verification.js";
+import { browserUnavailable, launchBrowser, openFixture } from "./helpers/browser.js";
+
+const skipBrowser = await browserUnavailable();
+
+// A hand-built grid in the shape readBookingGrid returns
+const grid = {
+	areas: [
+		{ index: 0, name: 'Padel Court 1 (far)', number: '1' },
+		{ index: 1, name: 'Padel Court 2 (Near)', number: '2' },
+	],
+	times: ['16:00', '17:00'],
+	slots: [
+		{ areaIndex: 0, area: 'Padel Court 1 (far)', row: 0, time: '16:00', status: 'available', members: [], attempted: false },
+		{ areaIndex: 1, area: 'Padel Court 2 (Near)', row: 0, time: '16:00', status: 'available', members: [], attempted: false },
+		{ areaIndex: 0, area: 'Padel Court 1 (far)', row: 1, time: '17:00', status: 'booked', members: ['Alan Sankey'], attempted: false },
+		{ areaIndex: 1, area: 'Padel Court 2 (Near)', row: 1, time: '17:00', status: 'available', members: [], attempted: true },
+	],
+};
+
+describe('grid model helpers', () => {
+	test('findSlots filters by time, area and status', () => {
+		assert.equal(findSlots(grid, { time: '16:00' }).length, 2);
+		assert.equal(findSlots(grid, { status: 'booked' })[0].members[0], 'Alan Sankey');
+		assert.equal(findSlots(grid, { area: 'Padel Court 2 (Near)', status: 'available' }).length, 2);
+	});
+
+	test('isArea matches court numbers and full names', () => {
+		const [court1, court2] = grid.slots;
+		assert.equal(isArea(grid, court2, '2'), true);
+		assert.equal(isArea(grid, court2, 'Padel Court 2 (Near)'), true);
+		assert.equal(isArea(grid, court1, '2'), false);
+		assert.equal(isArea(grid, court1, undefined), false);
+	});
+
+	test('pickSlotByPriority prefers the configured court', () => {
+		const pick = pickSlotByPriority(grid, { priorityTimes: ['16:00'], preferred_court: '2' });
+		assert.equal(pick.slot.area, 'Padel Court 2 (Near)');
+		assert.equal(pick.isPreferred, true);
+	});
+
+	test('pickSlotByPriority falls back to another court and skips attempted slots', () => {
+		const pick = pickSlotByPriority(grid, { priorityTimes: ['17:00', '16:00'], preferred_court: '3' });
+		assert.equal(pick.slot.time, '16:00');
+		assert.equal(pick.slot.area, 'Padel Court 1 (far)');
+		assert.equal(pick.isPreferred, false);
+		assert.equal(pickSlotByPriority(grid, { priorityTimes: ['17:00'], preferred_court: '2' }), null);
+	});
+});
+
+describe('readBookingGrid on saved snapshots', { skip: skipBrowser }, () => {
+	let browser;
+
+	before(async () => {
+		browser = await launchBrowser();
+	});
+
+	after(async () => {
+		await browser?.close();
+	});
+
+	test('parses the padel areas, times and bookings', async () => {
+		const parsed = await readBookingGrid(await openFixture(browser, 'padel.html'));
+		assert.deepEqual(parsed.areas.map(area => area.name), ['Padel Court 1 (far)', 'Padel Court 2 (Near)']);
+		assert.deepEqual(parsed.areas.map(area => area.number), ['1', '2']);
+		assert.ok(parsed.times.includes('08:00') && parsed.times.includes('20:00'));
+
+		const [available] = findSlots(parsed, { status: 'available' });
+		assert.equal(available.time, '08:00');
+		assert.equal(available.area, 'Padel Court 2 (Near)');
+
+		const [booked] = findSlots(parsed, { time: '09:00', area: 'Padel Court 2 (Near)' });
+		assert.equal(booked.status, 'booked');
+		assert.deepEqual(booked.members, ['Kirstie Mitchell', 'Kathryn Coleman']);
+		assert.equal(booked.peopleCount, 2);
+		assert.equal(booked.hasWaitingList, true);
+
+		const [peak] = findSlots(parsed, { time: '19:00', area: 'Padel Court 1 (far)' });
+		assert.equal(peak.isPeak, true);
+		assert.equal(findSlots(parsed, { status: 'disabled' }).every(slot => slot.members.length === 0), true);
+	});
+
+	test('reads the account holder from the user menu', async () => {
+		const page = await openFixture(browser, 'padel.html');
+		assert.equal(await page.evaluate(readAccountName), 'Stefan Richter');
+	});
+
+	test('parses all four cricket nets as available', async () => {
+		const parsed = await readBookingGrid(await openFixture(browser, 'cricket.html'));
+		assert.deepEqual(parsed.areas.map(area => area.name), ['Cricket Net1', 'Cricket Net2', 'Cricket Net3', 'Cricket Net4']);
+		assert.equal(parsed.times.length, 12);
+		assert.equal(findSlots(parsed, { status: 'available' }).length, 48);
+	});
+});
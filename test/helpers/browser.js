@@ -0,0 +1,110 @@
+// Loads the saved HelloClub snapshots in test/fixtures into a local headless
+// Chromium so the booking code can run without Hyperbrowser or the live site.
+import { readFileSync } from "node:fs";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { launch } from "puppeteer-core";
+import { findChromium } from "../../lib/browser-provider.js";
+
+const FIXTURES_DIR = fileURLToPath(new URL("../fixtures/", import.meta.url));
+
+export const FIXTURE_URL = 'https://harboroughcsc.helloclub.com/bookings/padel/2025-04-17';
+
+export const readFixture = (name) => readFileSync(join(FIXTURES_DIR, name), 'utf8');
+
+export const launchBrowser = () => launch({
+	executablePath: findChromium(),
+	headless: true,
+	args: ['--no-sandbox', '--disable-dev-shm-usage'],
+});
+
+// Browser tests skip themselves when Chromium is missing or cannot start
+// (e.g. a cached build without its system libraries).
+export const browserUnavailable = async () => {
+	if (!findChromium()) return 'no Chromium found (set CHROME_PATH)';
+	try {
+		const browser = await launchBrowser();
+		await browser.close();
+		return false;
+	} catch (error) {
+		return `Chromium failed to start: ${error.message.split('\n')[0]}`;
+	}
+};
+
+// Serves a fixture as if it were the live page at url. Every other request
+// (scripts, fonts, avatars) is aborted so the snapshot stays static.
+export const openFixture = async (browser, name, { url = FIXTURE_URL } = {}) => {
+	const html = readFixture(name);
+	const page = await browser.newPage();
+	await page.setRequestInterception(true);
+	page.on('request', request => {
+		if (request.isNavigationRequest() && request.url() === url) {
+			request.respond({ status: 200, contentType: 'text/html', body: html });
+		} else {
+			request.abort();
+		}
+	});
+	await page.goto(url, { waitUntil: 'domcontentloaded' });
+	return page;
+};
+
+// The snapshots have no Angular behind them, so clicking does nothing. This
+// wires up just enough of the booking modal for the button loop: clicking an
+// available slot opens modal.html, the success button steps through Next,
+// Next and Confirm booking, and Cancel closes the modal. With alreadyBooked
+// the first Next shows HelloClub's "already has a booking" alert instead.
+export const installBookingSimulator = (page, { alreadyBooked = false, limit = false } = {}) => page.evaluate((modalHtml, alreadyBooked, limit) => {
+	const steps = ['Next', 'Next', 'Confirm booking'];
+	const state = { step: 0, confirmed: [], cancelled: 0 };
+	window.__bookingSimulator = state;
+
+	const closeModal = () => document.querySelector('.ModalWrapper')?.remove();
+
+	const setButtonLabel = (button, label) => {
+		const textNode = Array.from(button.childNodes).find(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim());
+		textNode.textContent = label;
+	};
+
+	const openModal = (slot) => {
+		closeModal();
+		state.step = 0;
+		document.body.insertAdjacentHTML('beforeend', modalHtml);
+		const wrapper = document.querySelector('.ModalWrapper');
+		const confirmButton = wrapper.querySelector('button.Button--success');
+		const cancelButton = Array.from(wrapper.querySelectorAll('button'))
+			.find(button => button.textContent.trim() === 'Cancel');
+
+		cancelButton.addEventListener('click', () => {
+			state.cancelled++;
+			closeModal();
+		});
+
+		confirmButton.addEventListener('click', () => {
+			if (alreadyBooked) {
+				wrapper.querySelector('.Alert-message').innerHTML =
+					'<p>This court already has a booking or event at this time</p>';
+				return;
+			}
+			if (limit && state.step === 1) {
+				wrapper.querySelector('.Alert').className = 'Alert Alert--danger';
+				wrapper.querySelector('.Alert-message').innerHTML =
+					'<p>You are on the limit of bookings you can make for this activity</p>';
+				return;
+			}
+			state.step++;
+			if (state.step < steps.length) {
+				setButtonLabel(confirmButton, steps[state.step]);
+				return;
+			}
+			state.confirmed.push(slot.querySelector('.Slot-text')?.textContent?.trim());
+			slot.classList.remove('available');
+			closeModal();
+		});
+	};
+
+	document.querySelectorAll('.BookingGrid-cell.Slot.available').forEach(slot => {
+		slot.addEventListener('click', () => openModal(slot));
+	});
+}, readFixture('modal.html'), alreadyBooked, limit);
+
+export const getSimulatorState = (page) => page.evaluate(() => window.__bookingSimulator);
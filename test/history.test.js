@@ -0,0 +1,119 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { appendFileSync, mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { getFacility } from "../lib/facilities.js";
+import { createHistory, readHistory, runRecord } from "../lib/history.js";
+
+const quiet = () => {};
+
+const grid = {
+	areas: [
+		{ index: 0, name: 'Padel Court 1 (far)', number: '1' },
+		{ index: 1, name: 'Padel Court 2 (Near)', number: '2' },
+	],
+	slots: [
+		{ areaIndex: 0, area: 'Padel Court 1 (far)', row: 0, time: '18:00', status: 'booked', members: [], peopleCount: 4, attempted: false },
+		{ areaIndex: 1, area: 'Padel Court 2 (Near)', row: 0, time: '18:00', status: 'available', members: [], peopleCount: 0, attempted: false },
+	],
+};
+
+const historyIn = (dir, options = {}) => createHistory({
+	file: join(dir, 'history.jsonl'),
+	source: 'index',
+	club: 'harborough',
+	facility: getFacility('padel'),
+	now: () => new Date('2025-04-04T23:00:05Z'),
+	log: quiet,
+	...options,
+});
+
+describe('history', () => {
+	test('appends grids and runs as JSON lines', () => {
+		const dir = mkdtempSync(join(tmpdir(), 'history-'));
+		try {
+			const history = historyIn(dir);
+			assert.equal(history.recordGrid(grid, '2025-04-19'), true);
+			history.recordRun({ success: true, timeBooked: '18:00', courtBooked: 'Padel Court 2 (Near)', facility: 'padel', date: '2025-04-19' }, { account: 'JOANNA' });
+			assert.deepEqual(readHistory(history.file), [
+				{
+					at: '2025-04-04T23:00:05.000Z',
+					source: 'index',
+					account: null,
+					club: 'harborough',
+					facility: 'padel',
+					type: 'grid',
+					date: '2025-04-19',
+					slots: [
+						{ time: '18:00', area: 'Padel Court 1 (far)', status: 'booked', people: 4 },
+						{ time: '18:00', area: 'Padel Court 2 (Near)', status: 'free', people: 0 },
+					],
+				},
+				{
+					at: '2025-04-04T23:00:05.000Z',
+					source: 'index',
+					account: 'JOANNA',
+					club: 'harborough',
+					facility: 'padel',
+					type: 'run',
+					date: '2025-04-19',
+					event: 'booked',
+					slots: [{ time: '18:00', area: 'Padel Court 2 (Near)' }],
+					error: null,
+				},
+			]);
+		} finally {
+			rmSync(dir, { recursive: true, force: true });
+		}
+	});
+
+	test('keeps nothing without a file and never fails the run', async () => {
+		const history = createHistory({ file: null, source: 'index', log: quiet });
+		assert.equal(history.recordGrid(grid, '2025-04-19'), false);
+		assert.equal(await history.recordPage({ evaluate: async () => { throw new Error('should not read'); } }, '2025-04-19'), false);
+
+		const logged = [];
+		const broken = createHistory({ file: join(tmpdir(), 'no-such-dir', 'history.jsonl'), source: 'index', log: line => logged.push(line) });
+		assert.equal(broken.recordRun({ success: false, error: 'Timed out' }), false);
+		assert.match(logged[0], /Could not add to the history file/);
+		assert.equal(await broken.recordPage({ evaluate: async () => { throw new Error('Detached frame'); } }, '2025-04-19'), false);
+		assert.match(logged[1], /Could not read the grid for the history: Detached frame/);
+	});
+
+	test('reads the grid off the page', async () => {
+		const dir = mkdtempSync(join(tmpdir(), 'history-'));
+		try {
+			const history = historyIn(dir, { source: 'court-released' });
+			await history.recordPage({ evaluate: async () => grid }, '2025-04-19', { facility: 'cricket-nets' });
+			const [record] = readHistory(history.file);
+			assert.equal(record.source, 'court-released');
+			assert.equal(record.facility, 'cricket-nets');
+			assert.equal(record.slots.length, 2);
+		} finally {
+			rmSync(dir, { recursive: true, force: true });
+		}
+	});
+
+	test('records how a run ended and which slots it went for', () => {
+		assert.deepEqual(runRecord({ success: false, skipped: true, error: 'holiday', date: '2025-04-19' }), { type: 'run', date: '2025-04-19', event: 'skipped', slots: [], error: 'holiday' });
+		assert.equal(runRecord({ success: true, debug: true, timeBooked: '18:00' }).event, 'dry-run');
+		assert.equal(runRecord({ success: false, error: 'Nothing free', waitingLists: [{ time: '18:00' }] }).event, 'waiting-list');
+		assert.deepEqual(runRecord({ success: true, slots: [{ time: '18:00', area: 'Net 1', date: '2025-04-19' }, { time: '19:00', area: 'Net 1' }] }).slots, [
+			{ time: '18:00', area: 'Net 1' },
+			{ time: '19:00', area: 'Net 1' },
+		]);
+	});
+
+	test('skips half-written lines and reads a missing file as empty', () => {
+		const dir = mkdtempSync(join(tmpdir(), 'history-'));
+		try {
+			const file = join(dir, 'history.jsonl');
+			assert.deepEqual(readHistory(file), []);
+			appendFileSync(file, '{"type":"run","event":"booked"}\n{"type":"grid","da');
+			assert.deepEqual(readHistory(file), [{ type: 'run', event: 'booked' }]);
+		} finally {
+			rmSync(dir, { recursive: true, force: true });
+		}
+	});
+});
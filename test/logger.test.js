@@ -0,0 +1,82 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { createLogger, createRedactor, environmentSecrets } from "../lib/logger.js";
+
+const capture = (options = {}) => {
+	const written = [];
+	const log = createLogger({
+		script: 'pipedream',
+		runId: 'run-1',
+		secrets: [],
+		write: (line) => written.push(line),
+		now: () => new Date('2025-04-05T07:00:00Z'),
+		...options,
+	});
+	return { log, written };
+};
+
+describe('logger', () => {
+	test('writes one JSON line per entry with the run context', () => {
+		const { log, written } = capture({ account: 'JOANNA' });
+		log('Starting session');
+		log.warn('No slots open yet', { reload: 1 });
+		assert.deepEqual(written.map(line => JSON.parse(line)), [
+			{ time: '2025-04-05T07:00:00.000Z', level: 'info', runId: 'run-1', script: 'pipedream', account: 'JOANNA', message: 'Starting session' },
+			{ time: '2025-04-05T07:00:00.000Z', level: 'warn', runId: 'run-1', script: 'pipedream', account: 'JOANNA', message: 'No slots open yet', reload: 1 },
+		]);
+		assert.deepEqual(log.lines, written);
+	});
+
+	test('drops levels below LOG_LEVEL', () => {
+		const { log, written } = capture({ level: 'warn' });
+		log.debug('- Time: 18:00');
+		log.info('Booking attempt 1 of 3');
+		log.error(new Error('No available slots found for this day'));
+		assert.equal(written.length, 1);
+		assert.equal(JSON.parse(written[0]).message, 'No available slots found for this day');
+		assert.throws(() => capture({ level: 'verbose' }), /Unknown LOG_LEVEL "verbose"/);
+	});
+
+	test('starts every run afresh and shares lines with child loggers', () => {
+		const first = capture();
+		first.log('First run');
+		const second = capture({ runId: 'run-2' });
+		second.log.child({ account: 'JOANNA' })('Assigned 18:00 on Court 1');
+		assert.equal(first.log.lines.length, 1);
+		assert.equal(second.log.lines.length, 1);
+		assert.deepEqual(JSON.parse(second.log.lines[0]), {
+			time: '2025-04-05T07:00:00.000Z', level: 'info', runId: 'run-2', script: 'pipedream', account: 'JOANNA', message: 'Assigned 18:00 on Court 1',
+		});
+	});
+
+	test('writes without keeping lines for long runs', () => {
+		const { log, written } = capture({ script: 'watch', keepLines: false });
+		log('Watching every 60s');
+		assert.equal(written.length, 1);
+		assert.deepEqual(log.lines, []);
+	});
+
+	test('redacts emails, passwords, API keys and live URLs', () => {
+		const redact = createRedactor(['hb_1234567890abcdef', 'hunter22']);
+		assert.equal(redact('Logging in as stefan.richter+padel@example.co.uk'), 'Logging in as [email]');
+		assert.equal(redact('Typed hunter22 into the form'), 'Typed [redacted] into the form');
+		assert.equal(redact('Using key hb_1234567890abcdef'), 'Using key [redacted]');
+		assert.equal(redact('Live URL: https://app.hyperbrowser.ai/live?token=abc.def'), 'Live URL: [live URL]');
+		assert.equal(redact('GET https://example.com/hook?token=abc123&x=1'), 'GET https://example.com/hook?token=[redacted]&x=1');
+		assert.equal(redact('{"password":"letmein"} api_key=xyz'), '{"password":"[redacted]"} api_key=[redacted]');
+		assert.deepEqual(redact({ members: ['joanna@example.com'], count: 2 }), { members: ['[email]'], count: 2 });
+	});
+
+	test('finds secrets in the environment by name', () => {
+		assert.deepEqual(environmentSecrets({
+			HELLO_CLUB_EMAIL: 'me@example.com',
+			HELLO_CLUB_PASSWORD_JOANNA: 'secret',
+			HYPERBROWSER_API_KEY: 'hb_key',
+			SMTP_PASSWORD: 'smtp',
+			FACILITY: 'padel',
+		}), ['secret', 'hb_key', 'smtp']);
+		const { log, written } = capture({ secrets: ['s3cr3t-pass'] });
+		log('Password typed: s3cr3t-pass');
+		assert.equal(JSON.parse(written[0]).message, 'Password typed: [redacted]');
+	});
+});
@@ -0,0 +1,50 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { loginIfNeeded } from "../lib/login.js";
+
+const club = { name: 'Mock Club', envPrefix: 'HELLO_CLUB' };
+const credentials = { email: 'member@example.com', password: 'secret' };
+const timeout = (ms) => new Promise((resolve, reject) => setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms));
+
+// Stands in for a puppeteer page on the login form. With navigates the
+// login redirects; without it the login spins and never leaves the page,
+// like the live Angular one.
+const loginPage = ({ navigates }) => {
+	const calls = [];
+	return {
+		calls,
+		goto: async (url) => calls.push(`goto ${url}`),
+		waitForSelector: async (selector, { timeout: ms } = {}) => {
+			if (selector.startsWith('.UserMenu')) return timeout(ms);
+		},
+		evaluate: async () => true,
+		type: async (selector, text) => calls.push(`type ${selector} ${text}`),
+		click: async (selector) => calls.push(`click ${selector}`),
+		waitForNavigation: async ({ timeout: ms }) => (navigates ? calls.push('navigated') : timeout(ms)),
+		reload: async () => calls.push('reload'),
+	};
+};
+
+describe('login', () => {
+	test('logs in and reloads after a redirect', async () => {
+		const page = loginPage({ navigates: true });
+		const logged = [];
+		await loginIfNeeded(page, { baseUrl: 'https://club.example.com', club, credentials, settleTimeout: 1000, log: line => logged.push(line) });
+		assert.deepEqual(page.calls.slice(-3), ['click button.firstActionButton', 'navigated', 'reload']);
+		assert.match(logged.join('\n'), /Login navigated/);
+	});
+
+	test('does not hang when the login never navigates', async () => {
+		const page = loginPage({ navigates: false });
+		const logged = [];
+		await loginIfNeeded(page, { baseUrl: 'https://club.example.com', club, credentials, settleTimeout: 20, log: line => logged.push(line) });
+		assert.deepEqual(page.calls.slice(-2), ['click button.firstActionButton', 'reload']);
+		assert.match(logged.join('\n'), /Login did not navigate, refreshing the page/);
+	});
+
+	test('skips the form with a browser profile', async () => {
+		const page = loginPage({ navigates: true });
+		await loginIfNeeded(page, { baseUrl: 'https://club.example.com', club, credentials, useProfile: true });
+		assert.deepEqual(page.calls, []);
+	});
+});
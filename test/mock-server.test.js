@@ -0,0 +1,435 @@
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { addDays, bookingDateFor, clubToday } from "../lib/dates.js";
+import { DEFAULT_FACILITIES, createMockHelloClub } from "../mock/helloclub-server.js";
+import { browserUnavailable } from "./helpers/browser.js";
+
+const skipBrowser = await browserUnavailable();
+
+const login = async (baseUrl, email = 'member@example.com', password = 'secret') => {
+	const response = await fetch(`${baseUrl}/login`, {
+		method: 'POST',
+		body: new URLSearchParams({ email, password }),
+		redirect: 'manual',
+	});
+	return { response, cookie: response.headers.get('set-cookie')?.split(';')[0] };
+};
+
+const postJson = (url, cookie, body) => fetch(url, {
+	method: 'POST',
+	headers: { 'Content-Type': 'application/json', cookie },
+	body: JSON.stringify(body),
+});
+
+describe('mock HelloClub server', () => {
+	let mock;
+
+	before(async () => {
+		mock = createMockHelloClub({
+			members: { 'member@example.com': { password: 'secret', name: 'Test Member' } },
+			bookings: [
+				{ facility: 'padel', date: '2025-04-17', time: '09:00', area: 'Padel Court 1 (far)', members: ['Kirstie Mitchell', 'Kathryn Coleman'] },
+				{ facility: 'padel', date: '2025-04-18', time: '10:00', area: 'Padel Court 2 (Near)', members: ['Kirstie Mitchell'], open: true },
+			],
+		});
+		await mock.listen();
+	});
+
+	after(() => mock.close());
+
+	beforeEach(() => fetch(`${mock.url}/__mock/reset`, { method: 'POST' }));
+
+	test('serves the login form to anonymous visitors', async () => {
+		const html = await (await fetch(mock.url)).text();
+		assert.match(html, /<form[^>]*>/);
+		assert.match(html, /input type="email"/);
+		assert.match(html, /firstActionButton/);
+	});
+
+	test('rejects a wrong password', async () => {
+		const { response } = await login(mock.url, 'member@example.com', 'wrong');
+		assert.equal(response.status, 401);
+	});
+
+	test('logs in in the background without navigating when asked to', async () => {
+		mock.state.spaLogin = true;
+		assert.match(await (await fetch(mock.url)).text(), /X-Requested-With/);
+		const response = await fetch(`${mock.url}/login`, {
+			method: 'POST',
+			headers: { 'X-Requested-With': 'XMLHttpRequest' },
+			body: new URLSearchParams({ email: 'member@example.com', password: 'secret' }),
+			redirect: 'manual',
+		});
+		assert.equal(response.status, 200);
+		const cookie = response.headers.get('set-cookie').split(';')[0];
+		assert.match(await (await fetch(mock.url, { headers: { cookie } })).text(), /UserMenu-toggle-details">\s*Test Member/);
+	});
+
+	test('sends anonymous visitors from the grid back to login', async () => {
+		const response = await fetch(`${mock.url}/bookings/padel/2025-04-17`, { redirect: 'manual' });
+		assert.equal(response.status, 302);
+		assert.equal(response.headers.get('location'), '/');
+	});
+
+	test('renders the padel grid with booked and available slots', async () => {
+		const { cookie } = await login(mock.url);
+		const html = await (await fetch(`${mock.url}/bookings/padel/2025-04-17`, { headers: { cookie } })).text();
+		assert.match(html, /BookingGridArea-name">Padel Court 2 \(Near\)/);
+		assert.equal(html.match(/class="BookingGrid-cell Slot available"/g).length, 25);
+		assert.match(html, /SlotMember-name">Kirstie Mitchell/);
+		assert.match(html, /SlotPeopleNumber">2/);
+		assert.match(html, /ButtonWaitingList/);
+	});
+
+	test('renders cricket nets and 404s unknown facilities', async () => {
+		const { cookie } = await login(mock.url);
+		const cricket = await (await fetch(`${mock.url}/bookings/cricket-nets/2025-04-17`, { headers: { cookie } })).text();
+		assert.equal(cricket.match(/class="BookingGrid-cell Slot available"/g).length, 48);
+		const unknown = await fetch(`${mock.url}/bookings/squash/2025-04-17`, { headers: { cookie } });
+		assert.equal(unknown.status, 404);
+	});
+
+	test('hands out queued scenarios one modal at a time', async () => {
+		const { cookie } = await login(mock.url);
+		const queued = await postJson(`${mock.url}/__mock/scenarios`, cookie, ['already-booked', 'limit']);
+		assert.deepEqual((await queued.json()).scenarios, ['already-booked', 'limit']);
+
+		const start = () => postJson(`${mock.url}/api/bookings/start`, cookie, {}).then(response => response.json());
+		assert.equal((await start()).scenario, 'already-booked');
+		assert.equal((await start()).scenario, 'limit');
+		assert.equal((await start()).scenario, null);
+	});
+
+	test('rejects unknown scenarios', async () => {
+		const response = await postJson(`${mock.url}/__mock/scenarios`, '', ['meteor-strike']);
+		assert.equal(response.status, 400);
+	});
+
+	test('records bookings and refuses double bookings', async () => {
+		const { cookie } = await login(mock.url);
+		const slot = { facility: 'padel', date: '2025-04-17', time: '16:00', area: 'Padel Court 2 (Near)' };
+
+		const created = await postJson(`${mock.url}/api/bookings`, cookie, slot);
+		assert.equal(created.status, 201);
+		assert.deepEqual((await created.json()).booking.members, ['Test Member']);
+
+		const duplicate = await postJson(`${mock.url}/api/bookings`, cookie, slot);
+		assert.equal(duplicate.status, 409);
+		assert.match((await duplicate.json()).error, /already has a booking or event at this time/);
+	});
+
+	test('records the booking type and partners', async () => {
+		const { cookie } = await login(mock.url);
+		const search = await (await fetch(`${mock.url}/api/members?q=test`, { headers: { cookie } })).json();
+		assert.deepEqual(search.members, ['Test Member']);
+
+		const slot = { facility: 'padel', date: '2025-04-17', time: '18:00', area: 'Padel Court 1 (far)' };
+		const created = await postJson(`${mock.url}/api/bookings`, cookie, { ...slot, mode: 'Playing with visitors', partners: ['Joanna Smith'] });
+		const { booking } = await created.json();
+		assert.equal(booking.mode, 'Playing with visitors');
+		assert.deepEqual(booking.members, ['Test Member', 'Joanna Smith']);
+
+		// Only shown on our own bookings, for their details
+		const html = await (await fetch(`${mock.url}/bookings/padel/2025-04-17`, { headers: { cookie } })).text();
+		assert.match(html, /data-time="18:00" data-mode="Playing with visitors"/);
+	});
+
+	test('lets members join open games until they are full', async () => {
+		const { cookie } = await login(mock.url);
+		const open = { facility: 'padel', date: '2025-04-18', time: '10:00', area: 'Padel Court 2 (Near)' };
+		const closed = { facility: 'padel', date: '2025-04-17', time: '09:00', area: 'Padel Court 1 (far)' };
+
+		assert.equal((await postJson(`${mock.url}/api/bookings/join`, cookie, closed)).status, 409);
+		const joined = await postJson(`${mock.url}/api/bookings/join`, cookie, open);
+		assert.deepEqual((await joined.json()).booking.members, ['Kirstie Mitchell', 'Test Member']);
+		assert.match((await (await postJson(`${mock.url}/api/bookings/join`, cookie, open)).json()).error, /already playing/);
+
+		// Once in, the game is ours: no waiting list button on it
+		const html = await (await fetch(`${mock.url}/bookings/padel/2025-04-18`, { headers: { cookie } })).text();
+		assert.match(html, /SlotMember-name">Test Member/);
+		assert.doesNotMatch(html, /class="Button Button--circle Button--success ButtonWaitingList/);
+	});
+
+	test('joins and leaves waiting lists on taken slots only', async () => {
+		const { cookie } = await login(mock.url);
+		const send = (method, body) => fetch(`${mock.url}/api/waiting-list`, {
+			method,
+			headers: { 'Content-Type': 'application/json', cookie },
+			body: JSON.stringify(body),
+		});
+		const taken = { facility: 'padel', date: '2025-04-17', time: '09:00', area: 'Padel Court 1 (far)' };
+
+		assert.equal((await send('POST', { ...taken, time: '10:00' })).status, 409);
+		assert.equal((await send('POST', taken)).status, 201);
+		const html = await (await fetch(`${mock.url}/bookings/padel/2025-04-17`, { headers: { cookie } })).text();
+		assert.match(html, /ButtonWaitingList ButtonWaitingList--active"><i class="Icon">alarm_on/);
+		assert.equal(mock.state.waitingLists.length, 1);
+
+		assert.equal((await send('DELETE', taken)).status, 200);
+		assert.equal((await send('DELETE', taken)).status, 404);
+		assert.equal(mock.state.waitingLists.length, 0);
+	});
+
+	test('cancels only the member\'s own bookings', async () => {
+		const { cookie } = await login(mock.url);
+		const remove = (body) => fetch(`${mock.url}/api/bookings`, {
+			method: 'DELETE',
+			headers: { 'Content-Type': 'application/json', cookie },
+			body: JSON.stringify(body),
+		});
+		const slot = { facility: 'padel', date: '2025-04-17', time: '16:00', area: 'Padel Court 2 (Near)' };
+		const seeded = mock.state.bookings.length;
+		await postJson(`${mock.url}/api/bookings`, cookie, slot);
+
+		assert.equal((await remove({ ...slot, time: '09:00', area: 'Padel Court 1 (far)' })).status, 403);
+		assert.equal((await remove(slot)).status, 200);
+		assert.equal((await remove(slot)).status, 404);
+		assert.equal(mock.state.bookings.length, seeded);
+		assert.equal(mock.state.cancellations.length, 1);
+	});
+});
+
+describe('entry points against the mock server', { skip: skipBrowser }, () => {
+	let mock;
+	const env = { ...process.env };
+
+	before(async () => {
+		mock = createMockHelloClub();
+		await mock.listen();
+		Object.assign(process.env, {
+			BROWSER_PROVIDER: 'local',
+			HELLO_CLUB_BASE_URL: mock.url,
+			HELLO_CLUB_EMAIL: 'member@example.com',
+			HELLO_CLUB_PASSWORD: 'secret',
+			HELLO_CLUB_EMAIL_JOANNA: 'joanna@example.com',
+			HELLO_CLUB_PASSWORD_JOANNA: 'secret',
+		});
+	});
+
+	after(async () => {
+		process.env = env;
+		await mock.close();
+	});
+
+	test('pipedream.js retries after an already-booked modal', async () => {
+		mock.state.scenarios.push('already-booked');
+		const { default: component } = await import("../pipedream.js");
+		const result = await component.run.call(
+			{ debug_mode: false, preferred_court: '2', profile_id: '', user_suffix: '' },
+			{ steps: {}, $: {} },
+		);
+		assert.equal(result.success, true, result.error);
+		assert.equal(mock.state.bookings.length, 1);
+		assert.equal(mock.state.bookings[0].time, result.timeBooked);
+	});
+
+	test('pipedream.js reports a confirmation that never lands as unverified', async () => {
+		mock.state.scenarios.push('spinner');
+		const { default: component } = await import("../pipedream.js");
+		const bookingsBefore = mock.state.bookings.length;
+		const result = await component.run.call(
+			{ debug_mode: false, preferred_court: '2', profile_id: '', user_suffix: '' },
+			{ steps: {}, $: {} },
+		);
+		assert.equal(result.success, false);
+		assert.equal(result.unverified, true);
+		assert.match(result.error, /^Booking could not be verified: .* is available/);
+		assert.match(result.evidence.modalText, /Confirm booking/);
+		assert.equal(mock.state.bookings.length, bookingsBefore);
+	});
+
+	test('pipedream.js debug mode stops at Confirm booking', async () => {
+		const { default: component } = await import("../pipedream.js");
+		const bookingsBefore = mock.state.bookings.length;
+		const result = await component.run.call(
+			{ debug_mode: true, preferred_court: '2', profile_id: '', user_suffix: '' },
+			{ steps: {}, $: {} },
+		);
+		assert.equal(result.success, true, result.error);
+		assert.equal(result.debug, true);
+		assert.ok(result.modalText.includes(`${result.timeBooked} – `) && result.modalText.includes(result.courtBooked), result.modalText);
+		assert.match(result.modalText, /Please confirm your booking/);
+		assert.equal(mock.state.bookings.length, bookingsBefore);
+	});
+
+	test('pipedream.js debug mode still reports the booking limit', async () => {
+		mock.state.scenarios.push('limit');
+		const { default: component } = await import("../pipedream.js");
+		const result = await component.run.call(
+			{ debug_mode: true, preferred_court: '2', profile_id: '', user_suffix: '' },
+			{ steps: {}, $: {} },
+		);
+		assert.equal(result.success, false);
+		assert.match(result.error, /^Booking limit reached: You are on the limit/);
+	});
+
+	test('pipedream.js notifies a failure with the last modal text and saves artifacts', async () => {
+		mock.state.scenarios.push('limit');
+		const dir = mkdtempSync(join(tmpdir(), 'notifications-'));
+		const file = join(dir, 'notifications.log');
+		try {
+			const { default: component } = await import("../pipedream.js");
+			const result = await component.run.call(
+				{ debug_mode: false, preferred_court: '2', profile_id: '', user_suffix: '', notifications: JSON.stringify({ channels: { log: { type: 'file', path: file } } }), artifacts_dir: dir },
+				{ steps: {}, $: {} },
+			);
+			assert.equal(result.success, false);
+			assert.deepEqual(result.notifications, [{ channel: 'log', success: true }]);
+			const message = JSON.parse(readFileSync(file, 'utf8'));
+			assert.equal(message.event, 'failed');
+			assert.match(message.text, /failed: Booking limit reached/);
+			assert.match(message.text, /\nLast modal text: .*You are on the limit/);
+			assert.deepEqual(result.artifacts.map(entry => entry.label), ['error']);
+			assert.match(readFileSync(result.artifacts[0].html, 'utf8'), /BookingGrid/);
+			assert.match(readFileSync(result.artifacts[0].modalText, 'utf8'), /You are on the limit/);
+			assert.equal(result.recording, null);
+		} finally {
+			rmSync(dir, { recursive: true, force: true });
+		}
+	});
+
+	test('pipedream.js waits for the release time before selecting', async () => {
+		const { default: component } = await import("../pipedream.js");
+		const releaseAt = new Date(Date.now() + 15000);
+		const requestsBefore = mock.state.requests.length;
+		const result = await component.run.call(
+			{ debug_mode: false, preferred_court: '1', release_at: releaseAt.toISOString(), profile_id: '', user_suffix: '' },
+			{ steps: {}, $: {} },
+		);
+		assert.equal(result.success, true, result.error);
+		assert.ok(result.logs.some(line => line.includes('Release time reached')));
+		const firstBookingRequest = mock.state.requests.slice(requestsBefore).find(request => request.path === '/api/bookings/start');
+		assert.ok(firstBookingRequest.at >= releaseAt.getTime());
+	});
+
+	test('pipedream.js books a two-hour block on one court', async () => {
+		const { default: component } = await import("../pipedream.js");
+		const bookingsBefore = mock.state.bookings.length;
+		const result = await component.run.call(
+			{ debug_mode: false, preferred_court: '1', block_size: 2, profile_id: '', user_suffix: '' },
+			{ steps: {}, $: {} },
+		);
+		assert.equal(result.success, true, result.error);
+		assert.equal(result.slots.length, 2);
+
+		const [first, second] = mock.state.bookings.slice(bookingsBefore);
+		assert.equal(first.area, second.area);
+		assert.equal(Number(second.time.slice(0, 2)) - Number(first.time.slice(0, 2)), 1);
+	});
+
+	test('pipedream.js rolls back half a block', async () => {
+		mock.state.scenarios.push(null, 'already-booked');
+		const { default: component } = await import("../pipedream.js");
+		const result = await component.run.call(
+			{ debug_mode: false, preferred_court: '2', block_size: 2, profile_id: '', user_suffix: '' },
+			{ steps: {}, $: {} },
+		);
+		assert.equal(mock.state.cancellations.length >= 1, true);
+		assert.ok(result.logs.some(line => line.includes('Rolled back')));
+	});
+
+	test('pipedream.js joins waiting lists when every slot is taken', async () => {
+		const { default: component } = await import("../pipedream.js");
+		const date = bookingDateFor();
+		const bookingsBefore = mock.state.bookings;
+		mock.state.bookings = DEFAULT_FACILITIES.padel.times.flatMap(time => DEFAULT_FACILITIES.padel.areas
+			.map(area => ({ facility: 'padel', date, time, area, members: ['Someone Else'], email: 'else@example.com' })));
+		try {
+			const result = await component.run.call(
+				{ debug_mode: false, preferred_court: '2', waiting_list: 2, profile_id: '', user_suffix: '' },
+				{ steps: {}, $: {} },
+			);
+			assert.equal(result.success, false);
+			assert.equal(result.waitingLists.length, 2);
+			assert.equal(mock.state.waitingLists.length, 2);
+		} finally {
+			mock.state.bookings = bookingsBefore;
+		}
+	});
+
+	test('join-games.js joins a friend\'s open game', async () => {
+		const { default: component } = await import("../join-games.js");
+		const date = addDays(clubToday(), 3);
+		mock.state.bookings.push({ facility: 'padel', date, time: '19:00', area: 'Padel Court 1 (far)', members: ['Kirstie Mitchell'], email: 'kirstie@example.com', open: true });
+		const result = await component.run.call(
+			{ debug_mode: false, friends: ['Kirstie Mitchell'], days: 4, max_games: 1, preferences: JSON.stringify({ rules: { default: { times: ['19:00'] } } }), profile_id: '', user_suffix: '' },
+			{ steps: {}, $: {} },
+		);
+		assert.equal(result.success, true, result.error);
+		assert.deepEqual(result.joined.map(game => `${game.date} ${game.time}`), [`${date} 19:00`]);
+		assert.ok(mock.state.bookings.at(-1).members.includes('member'));
+	});
+
+	test('cancel-pipedream.js reports the fee and releases the slot', async () => {
+		const { default: component } = await import("../cancel-pipedream.js");
+		const date = addDays(clubToday(), 5);
+		mock.state.bookings.push({ facility: 'padel', date, time: '20:00', area: 'Padel Court 2 (Near)', members: ['member'], email: 'member@example.com' });
+		const props = { date, time: '20:00', court: '', facility: 'padel', profile_id: '', user_suffix: '' };
+
+		const dryRun = await component.run.call({ ...props, debug_mode: true }, { steps: {}, $: {} });
+		assert.equal(dryRun.success, true, dryRun.error);
+		assert.ok(dryRun.fees.some(sentence => sentence.includes('£2.00 fee')));
+		assert.ok(mock.state.bookings.some(booking => booking.date === date && booking.time === '20:00'));
+
+		const result = await component.run.call({ ...props, debug_mode: false }, { steps: {}, $: {} });
+		assert.equal(result.success, true, result.error);
+		assert.equal(result.area, 'Padel Court 2 (Near)');
+		assert.ok(!mock.state.bookings.some(booking => booking.date === date && booking.time === '20:00'));
+	});
+
+	test('pipedream.js logs in when the login does not navigate', async () => {
+		mock.state.spaLogin = true;
+		try {
+			const { default: component } = await import("../pipedream.js");
+			const result = await component.run.call(
+				{ debug_mode: true, preferred_court: '2', profile_id: '', user_suffix: '' },
+				{ steps: {}, $: {} },
+			);
+			assert.equal(result.success, true, result.error);
+			assert.ok(result.logs.some(line => line.includes('Login did not navigate')));
+		} finally {
+			mock.state.spaLogin = false;
+		}
+	});
+
+	test('court-released.js books the court the email released', async () => {
+		const { default: component } = await import("../court-released.js");
+		const date = addDays(clubToday(), 6);
+		const day = new Date(`${date}T12:00:00Z`).toLocaleDateString('en-GB', { weekday: 'long', day: 'numeric', month: 'long', timeZone: 'UTC' });
+		const bookingsBefore = mock.state.bookings.length;
+		const result = await component.run.call(
+			{ debug_mode: false, club: '', facility: 'padel', profile_id: '' },
+			{
+				steps: { trigger: { event: {
+					parsedHeaders: { subject: `Padel court available for ${day} at 18:00` },
+					body: { text: `Padel Court 1 (far) is now available on ${day} at 18:00.` },
+				} } },
+				$: {},
+			},
+		);
+		assert.equal(result.success, true, result.error);
+		assert.equal(result.courtBooked, 'Padel Court 1 (far)');
+		assert.deepEqual(result.released.map(slot => slot.court), ['1']);
+		const [booking] = mock.state.bookings.slice(bookingsBefore);
+		assert.equal(`${booking.date} ${booking.time} ${booking.area}`, `${date} 18:00 Padel Court 1 (far)`);
+	});
+
+	test('coordinate.js books one court each for two accounts', async () => {
+		const { default: component } = await import("../coordinate.js");
+		const bookingsBefore = mock.state.bookings.length;
+		const result = await component.run.call(
+			{ debug_mode: false, accounts: ['', '_JOANNA'], strategy: 'per-court', preferred_court: '2', profile_ids: [] },
+			{ steps: {}, $: {} },
+		);
+		assert.equal(result.success, true, result.error);
+		assert.equal(result.bookings.length, 2);
+
+		const [first, second] = mock.state.bookings.slice(bookingsBefore);
+		assert.equal(first.time, second.time);
+		assert.notEqual(first.area, second.area);
+		assert.deepEqual(new Set([...first.members, ...second.members]), new Set(['member', 'joanna']));
+	});
+});
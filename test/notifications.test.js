@@ -0,0 +1,194 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { mkdtempSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { buildNotification, channelsFor, eventFor, loadNotifications, notify } from "../lib/notifications.js";
+
+const config = {
+	channels: {
+		hook: { type: 'webhook', url: 'https://hooks.example.com/padel' },
+		log: { type: 'file', path: '-' },
+	},
+	default: { channels: ['log'], events: ['booked', 'failed'] },
+	accounts: { JOANNA: { channels: ['hook'] } },
+};
+
+const booked = {
+	success: true,
+	timeBooked: '18:00',
+	courtBooked: 'Padel Court 2 (Near)',
+	reason: 'weekend rule: 18:00 is time choice #2',
+	partners: ['Joanna Smith'],
+	passedOver: [{ time: '17:00', reason: 'no court free' }],
+	date: '2025-04-19',
+	logs: ['2025-04-05T00:00:00.000Z: Starting session'],
+};
+
+describe('notifications', () => {
+	test('loads nothing without a config', () => {
+		assert.equal(loadNotifications({ json: '', file: undefined }), null);
+	});
+
+	test('rejects unknown channel types, channel names and events', () => {
+		assert.throws(() => loadNotifications({ json: JSON.stringify({
+			channels: { pager: { type: 'pager' }, mail: { type: 'smtp', host: 'smtp.example.com' } },
+			default: { channels: ['sms'], events: ['cancelled'] },
+		}) }), (error) => {
+			assert.match(error.message, /channels\.pager\.type must be one of webhook, smtp, file/);
+			assert.match(error.message, /channels\.mail\.from is required/);
+			assert.match(error.message, /channels\.mail\.to must name at least one address/);
+			assert.match(error.message, /default\.channels: "sms" is not one of the channels/);
+			assert.match(error.message, /default\.events: "cancelled" is not one of/);
+			return true;
+		});
+	});
+
+	test('picks channels per account and event', () => {
+		assert.deepEqual(channelsFor(config, null, 'booked'), ['log']);
+		assert.deepEqual(channelsFor(config, 'JOANNA', 'failed'), ['hook']);
+		assert.deepEqual(channelsFor(config, null, 'dry-run'), []);
+		assert.deepEqual(channelsFor({ channels: config.channels }, null, 'waiting-list'), ['hook', 'log']);
+	});
+
+	test('tells the events apart', () => {
+		assert.equal(eventFor(booked), 'booked');
+		assert.equal(eventFor({ success: true, debug: true }), 'dry-run');
+		assert.equal(eventFor({ success: false, skipped: true }), 'skipped');
+		assert.equal(eventFor({ success: false, waitingLists: [{ time: '18:00', area: 'Court 1' }] }), 'waiting-list');
+		assert.equal(eventFor({ success: false, waitingLists: [] }), 'failed');
+		assert.equal(eventFor({ success: false, unverified: true }), 'failed');
+	});
+
+	test('says what was booked and which preferences were skipped', () => {
+		const message = buildNotification(booked, { account: 'JOANNA', club: 'Harborough CSC', facility: 'Padel' });
+		assert.equal(message.subject, 'Harborough CSC Padel 2025-04-19: booked 18:00 on Padel Court 2 (Near)');
+		assert.equal(message.text, [
+			'Booked 18:00 on Padel Court 2 (Near) on 2025-04-19.',
+			'Why: weekend rule: 18:00 is time choice #2',
+			'Playing with: Joanna Smith',
+			'Preferences skipped:',
+			'- 17:00: no court free',
+			'Account: JOANNA',
+		].join('\n'));
+		assert.equal(message.result.logs, undefined);
+	});
+
+	test('quotes the error and the last modal text on failure', () => {
+		const message = buildNotification({
+			success: false,
+			unverified: true,
+			error: 'Booking could not be verified: 18:00 on Court 1 is not ours',
+			evidence: { modalText: 'Booking  confirmed\n  Close' },
+			date: '2025-04-19',
+		});
+		assert.equal(message.event, 'failed');
+		assert.equal(message.subject, '2025-04-19: booking not verified');
+		assert.match(message.text, /^Booking for 2025-04-19 failed: Booking could not be verified/);
+		assert.match(message.text, /\nLast modal text: Booking confirmed Close$/);
+	});
+
+	test('lists the released slots that got away', () => {
+		const message = buildNotification({
+			success: true,
+			timeBooked: '19:00',
+			courtBooked: 'Padel Court 1 (far)',
+			slots: [{ date: '2025-04-26', time: '19:00', area: 'Padel Court 1 (far)' }],
+			missed: [{ date: '2025-04-26', time: '20:00', area: 'Court 2', error: 'No available slot found for 20:00 on court 2' }],
+			date: '2025-04-26',
+		});
+		assert.equal(message.text, [
+			'Booked 19:00 on Padel Court 1 (far) on 2025-04-26.',
+			'Could not book:',
+			'- 20:00 on Court 2 on 2025-04-26: No available slot found for 20:00 on court 2',
+		].join('\n'));
+	});
+
+	test('lists the waiting lists joined', () => {
+		const message = buildNotification({
+			success: false,
+			error: 'No available slots found for this day',
+			waitingLists: [{ time: '18:00', area: 'Court 1' }],
+			date: '2025-04-19',
+		});
+		assert.equal(message.text, 'Nothing preferred was free on 2025-04-19 (No available slots found for this day). Joined the waiting list for:\n- 18:00 on Court 1');
+	});
+
+	test('appends to a file and posts to a webhook', async () => {
+		const dir = mkdtempSync(join(tmpdir(), 'notifications-'));
+		const received = [];
+		const server = createServer((request, response) => {
+			let body = '';
+			request.on('data', chunk => { body += chunk; });
+			request.on('end', () => {
+				received.push(JSON.parse(body));
+				response.end('ok');
+			});
+		});
+		await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+		try {
+			const file = join(dir, 'notifications.log');
+			const sent = await notify(booked, {
+				config: {
+					channels: {
+						hook: { type: 'webhook', url: `http://127.0.0.1:${server.address().port}/hook` },
+						log: { type: 'file', path: file },
+					},
+				},
+				log: () => {},
+			});
+			assert.deepEqual(sent, [{ channel: 'hook', success: true }, { channel: 'log', success: true }]);
+			assert.equal(received[0].event, 'booked');
+			assert.equal(received[0].result.timeBooked, '18:00');
+			assert.equal(JSON.parse(readFileSync(file, 'utf8')).subject, '2025-04-19: booked 18:00 on Padel Court 2 (Near)');
+		} finally {
+			server.close();
+			rmSync(dir, { recursive: true, force: true });
+		}
+	});
+
+	test('redacts what it sends', async () => {
+		const dir = mkdtempSync(join(tmpdir(), 'notifications-'));
+		try {
+			const file = join(dir, 'notifications.log');
+			await notify({
+				success: false,
+				unverified: true,
+				error: 'Login failed for member@example.com with hunter22',
+				evidence: { modalText: 'Booked by member@example.com', slots: [] },
+				recording: { status: 'completed', url: 'https://app.hyperbrowser.ai/recordings/abc123' },
+				artifacts: [`${dir}/run/01-unverified.png`],
+				date: '2025-04-19',
+			}, {
+				config: { channels: { log: { type: 'file', path: file } } },
+				secrets: ['hunter22'],
+				log: () => {},
+			});
+			const sent = readFileSync(file, 'utf8');
+			assert.doesNotMatch(sent, /member@example\.com|hunter22|hyperbrowser|01-unverified/);
+			const message = JSON.parse(sent);
+			assert.equal(message.result.error, 'Login failed for [email] with [redacted]');
+			assert.equal(message.result.recording.url, '[live URL]');
+			assert.equal(message.result.artifacts, undefined);
+		} finally {
+			rmSync(dir, { recursive: true, force: true });
+		}
+	});
+
+	test('reports a failing channel without throwing', async () => {
+		const messages = [];
+		const sent = await notify({ success: false, error: 'No slots' }, {
+			config: { channels: { hook: { type: 'webhook', url: 'http://127.0.0.1:1/hook' } } },
+			log: (message) => messages.push(message),
+		});
+		assert.equal(sent[0].success, false);
+		assert.match(messages[0], /^Could not send failed notification to hook: /);
+	});
+
+	test('reports a broken config without throwing', async () => {
+		const sent = await notify(booked, { config: '{"channels":', log: () => {} });
+		assert.equal(sent[0].success, false);
+		assert.match(sent[0].error, /^Invalid notification configuration/);
+	});
+});
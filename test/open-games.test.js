@@ -0,0 +1,114 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { getFacility } from "../lib/facilities.js";
+import { parseBookingGrid } from "../lib/grid.js";
+import { findOpenGames, joinGame, rankOpenGames } from "../lib/open-games.js";
+import { loadPreferences, planForDate } from "../lib/preferences.js";
+
+const slot = (areaIndex, time, members, extra = {}) => ({
+	areaIndex,
+	area: ['Padel Court 1 (far)', 'Padel Court 2 (Near)'][areaIndex],
+	time,
+	status: members.length ? 'booked' : 'available',
+	members,
+	peopleCount: members.length,
+	hasWaitingList: members.length > 0,
+	attempted: false,
+	...extra,
+});
+
+const grid = {
+	areas: [
+		{ index: 0, name: 'Padel Court 1 (far)', number: '1' },
+		{ index: 1, name: 'Padel Court 2 (Near)', number: '2' },
+	],
+	slots: [
+		slot(0, '16:00', ['Kirstie Mitchell']), slot(1, '16:00', ['Kirstie Mitchell', 'Kathryn Coleman']),
+		slot(0, '17:00', ['Kathryn Coleman', 'A', 'B', 'C']), slot(1, '17:00', ['Alan Sankey']),
+		slot(0, '18:00', ['Kirstie Mitchell']), slot(1, '18:00', ['Test Member'], { hasWaitingList: false }),
+	],
+};
+
+const preferences = loadPreferences({
+	json: JSON.stringify({
+		friends: ['Kirstie Mitchell', 'kathryn coleman'],
+		rules: { weekend: { times: ['16:00', '17:00', '18:00'], courts: ['1', '2'] } },
+		accounts: { JOANNA: { friends: ['Alan Sankey'] } },
+	}),
+});
+const plan = planForDate(preferences, '2025-04-19');
+
+describe('open games', () => {
+	test('finds friends\' games with room, most friends first', () => {
+		const games = findOpenGames(grid, plan, { friends: plan.friends, maxPlayers: 4, accountName: 'Test Member' });
+		assert.deepEqual(games.map(game => `${game.time} ${game.area} ${game.spaces}`), [
+			'16:00 Padel Court 2 (Near) 2',
+			'16:00 Padel Court 1 (far) 3',
+		]);
+		assert.equal(games[0].reason, 'weekend rule: 16:00 is time choice #1; Kirstie Mitchell, Kathryn Coleman playing, 2 of 4 places left');
+	});
+
+	test('leaves out full games and times we already play', () => {
+		const games = findOpenGames(grid, plan, { friends: ['Kathryn Coleman', 'Kirstie Mitchell'], maxPlayers: 4, accountName: 'test member' });
+		assert.equal(games.some(game => game.time === '17:00' || game.time === '18:00'), false);
+		assert.deepEqual(findOpenGames(grid, plan, { friends: plan.friends, maxPlayers: null }), []);
+	});
+
+	test('only counts bookings listing the account name as ours', () => {
+		// Bookings that have started lose the waiting list button whoever made them
+		const today = {
+			areas: grid.areas,
+			slots: [slot(0, '16:00', ['Alan Sankey'], { hasWaitingList: false }), slot(1, '16:00', ['Kirstie Mitchell'])],
+		};
+		assert.deepEqual(findOpenGames(today, plan, { friends: plan.friends, maxPlayers: 4, accountName: 'Test Member' }).map(game => game.area), ['Padel Court 2 (Near)']);
+		assert.deepEqual(findOpenGames(today, plan, { friends: plan.friends, maxPlayers: 4, accountName: 'Alan Sankey' }), []);
+	});
+
+	test('friends can be set per account', () => {
+		const joanna = planForDate(preferences, '2025-04-19', { account: 'JOANNA' });
+		assert.deepEqual(joanna.friends, ['Alan Sankey']);
+		assert.deepEqual(findOpenGames(grid, joanna, { friends: joanna.friends, maxPlayers: 4 }).map(game => game.time), ['17:00']);
+	});
+
+	// Stands in for a puppeteer page where Join gets clicked: it shows before
+	// until the grid is loaded again, and after from then on
+	const joinPage = (before, after) => {
+		let loaded = before;
+		return {
+			goto: async () => { loaded = after; },
+			waitForSelector: async () => {},
+			evaluate: async (fn, ...args) => {
+				if (fn === parseBookingGrid) return loaded;
+				if (typeof args[0] === 'object') return { success: true };
+				// clickModalButtonMatching passes a pattern, readModalState a selector
+				return args.length === 2 ? 'Join' : { hasModal: false, modalText: '', isAlreadyBooked: false, hasNextButton: false };
+			},
+		};
+	};
+	const joinOptions = { baseUrl: 'https://club.example.com', facility: getFacility('padel'), accountName: 'Test Member', attempts: 2, interval: 0, log: () => {} };
+
+	test('a join only counts once the reloaded grid lists the account name', async () => {
+		const game = { date: '2025-04-19', time: '16:00', area: 'Padel Court 1 (far)', slot: grid.slots[0] };
+		// The grid has not re-rendered yet, but the join took
+		const joined = { ...grid, slots: [slot(0, '16:00', ['Kirstie Mitchell', 'Test Member'], { hasWaitingList: false }), ...grid.slots.slice(1)] };
+		assert.deepEqual(await joinGame(joinPage(grid, joined), game, joinOptions), { success: true });
+	});
+
+	test('a game that has started is not joined just because it has no waiting list button', async () => {
+		const started = { ...grid, slots: [slot(0, '16:00', ['Kirstie Mitchell'], { hasWaitingList: false }), ...grid.slots.slice(1)] };
+		const game = { date: '2025-04-19', time: '16:00', area: 'Padel Court 1 (far)', slot: started.slots[0] };
+		const result = await joinGame(joinPage(started, started), game, joinOptions);
+		assert.equal(result.success, false);
+		assert.match(result.error, /16:00 on Padel Court 1 \(far\) is booked \(Kirstie Mitchell\), not showing Test Member/);
+	});
+
+	test('ranks games over several dates by time choice, then friends, then date', () => {
+		const ranked = rankOpenGames([
+			{ date: '2025-04-20', rank: 2, friends: ['A', 'B'] },
+			{ date: '2025-04-21', rank: 1, friends: ['A'] },
+			{ date: '2025-04-19', rank: 1, friends: ['A'] },
+			{ date: '2025-04-22', rank: 1, friends: ['A', 'B'] },
+		]);
+		assert.deepEqual(ranked.map(game => game.date), ['2025-04-22', '2025-04-19', '2025-04-21', '2025-04-20']);
+	});
+});
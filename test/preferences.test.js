@@ -0,0 +1,138 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_PREFERENCES, loadPreferences, pickSlot, planForDate } from "../lib/preferences.js";
+
+const preferences = loadPreferences({
+	json: JSON.stringify({
+		latest: '20:00',
+		skipDates: ['2025-12-25'],
+		rules: {
+			weekday: { times: ['12:00', '13:00'], courts: ['2', '1'] },
+			tuesday: { times: ['21:00', '17:00', '16:00'], courtsByTime: { '16:00': ['Padel Court 1 (far)'] }, mode: 'Playing with visitors', partners: ['Joanna Smith'] },
+			weekend: { times: ['16:00'] },
+		},
+		facilities: {
+			'cricket-nets': { rules: { weekday: { times: ['18:00'], courts: ['3'] } } },
+		},
+		accounts: {
+			JOANNA: { skipDates: ['2025-04-19'], rules: { weekday: { times: ['09:00'] } } },
+		},
+	}),
+});
+
+const slot = (areaIndex, time, status = 'available') => ({
+	areaIndex,
+	area: ['Padel Court 1 (far)', 'Padel Court 2 (Near)'][areaIndex],
+	time,
+	status,
+	attempted: false,
+});
+
+const grid = {
+	areas: [
+		{ index: 0, name: 'Padel Court 1 (far)', number: '1' },
+		{ index: 1, name: 'Padel Court 2 (Near)', number: '2' },
+	],
+	slots: [
+		slot(0, '12:00'), slot(1, '12:00'),
+		slot(0, '16:00'), slot(1, '16:00'),
+		slot(0, '17:00', 'booked'), slot(1, '17:00', 'disabled'),
+	],
+};
+
+describe('booking preferences', () => {
+	test('the most specific rule for the day wins', () => {
+		assert.equal(planForDate(preferences, '2025-04-15').ruleName, 'tuesday');
+		assert.equal(planForDate(preferences, '2025-04-16').ruleName, 'weekday');
+		assert.equal(planForDate(preferences, '2025-04-19').ruleName, 'weekend');
+	});
+
+	test('times outside the bounds are excluded with a reason', () => {
+		const plan = planForDate(preferences, '2025-04-15');
+		assert.deepEqual(plan.candidates.map(candidate => candidate.time), ['17:00', '16:00']);
+		assert.deepEqual(plan.excluded, [{ time: '21:00', reason: 'after latest 20:00' }]);
+	});
+
+	test('skip dates and account overrides', () => {
+		assert.equal(planForDate(preferences, '2025-12-25').skipped, true);
+		assert.equal(planForDate(preferences, '2025-04-19').skipped, false);
+		assert.equal(planForDate(preferences, '2025-04-19', { account: 'JOANNA' }).skipped, true);
+
+		const plan = planForDate(preferences, '2025-04-16', { account: 'JOANNA' });
+		assert.deepEqual(plan.candidates.map(candidate => candidate.time), ['09:00']);
+		assert.deepEqual(plan.candidates[0].courts, ['2', '1']);
+	});
+
+	test('accounts.DEFAULT is the account without a suffix', () => {
+		const withDefault = loadPreferences({
+			json: JSON.stringify({ rules: { weekday: { times: ['12:00'] } }, accounts: { DEFAULT: { rules: { weekday: { times: ['19:00'] } } } } }),
+		});
+		for (const account of [undefined, null, 'DEFAULT']) {
+			assert.deepEqual(planForDate(withDefault, '2025-04-16', { account }).candidates.map(candidate => candidate.time), ['19:00']);
+		}
+		assert.deepEqual(planForDate(withDefault, '2025-04-16', { account: 'JOANNA' }).candidates.map(candidate => candidate.time), ['12:00']);
+	});
+
+	test('facility overrides replace the shared rules for that facility', () => {
+		const plan = planForDate(preferences, '2025-04-16', { facility: 'cricket-nets' });
+		assert.deepEqual(plan.candidates, [{ time: '18:00', rank: 1, courts: ['3'], courtsRule: 'courts' }]);
+		assert.equal(planForDate(preferences, '2025-04-16', { facility: 'padel', account: null }).candidates[0].time, '12:00');
+	});
+
+	test('the preferred court ranks courts when no rule does', () => {
+		const plan = planForDate(preferences, '2025-04-19', { preferredCourt: '1' });
+		const pick = pickSlot(grid, plan);
+		assert.equal(pick.slot.area, 'Padel Court 1 (far)');
+		assert.equal(pick.reason, 'weekend rule: 16:00 is time choice #1; Padel Court 1 (far) is court choice #1 (preferred court)');
+	});
+
+	test('pickSlot explains the pick and the choices it passed over', () => {
+		const pick = pickSlot(grid, planForDate(preferences, '2025-04-15'));
+		assert.equal(pick.slot.time, '16:00');
+		assert.equal(pick.slot.area, 'Padel Court 1 (far)');
+		assert.equal(pick.isPreferred, true);
+		assert.deepEqual(pick.passed, [{ time: '17:00', reason: 'no court free' }]);
+		assert.equal(pick.reason, 'tuesday rule: 16:00 is time choice #3; Padel Court 1 (far) is court choice #1 (courtsByTime 16:00)');
+
+		const weekday = pickSlot(grid, planForDate(preferences, '2025-04-16'));
+		assert.equal(weekday.slot.area, 'Padel Court 2 (Near)');
+	});
+
+	test('the defaults keep the old weekday and weekend lists', () => {
+		assert.equal(loadPreferences(), DEFAULT_PREFERENCES);
+		assert.equal(planForDate(DEFAULT_PREFERENCES, '2025-04-16').candidates[0].time, '12:00');
+		assert.equal(planForDate(DEFAULT_PREFERENCES, '2025-04-19').candidates[0].time, '16:00');
+	});
+
+	test('rules carry the booking type and partners', () => {
+		const tuesday = planForDate(preferences, '2025-04-15');
+		assert.equal(tuesday.mode, 'Playing with visitors');
+		assert.deepEqual(tuesday.partners, ['Joanna Smith']);
+
+		const wednesday = planForDate(preferences, '2025-04-16');
+		assert.equal(wednesday.mode, null);
+		assert.deepEqual(wednesday.partners, []);
+	});
+
+	test('rejects invalid preferences', () => {
+		assert.throws(() => loadPreferences({ json: '{' }), /Invalid preferences/);
+		assert.throws(
+			() => loadPreferences({ json: JSON.stringify({ rules: { funday: { times: ['7pm'] } }, skipDates: ['25/12'] }) }),
+			/unknown rule "funday"[\s\S]*"25\/12" is not a YYYY-MM-DD date/,
+		);
+		assert.throws(
+			() => loadPreferences({ json: JSON.stringify({ rules: { monday: { times: ['7pm'], court: '1' } } }) }),
+			/unknown setting "court"[\s\S]*"7pm" is not an HH:MM time/,
+		);
+		assert.throws(
+			() => loadPreferences({ json: JSON.stringify({ rules: { monday: { times: ['19:00'], mode: '', partners: 'Joanna' } } }) }),
+			/mode must be the name of a booking type[\s\S]*partners must be a list of member names/,
+		);
+		assert.throws(
+			() => loadPreferences({ json: JSON.stringify({ earliest: '7am', facilities: { padel: { earliest: '7am' } }, accounts: { JOANNA: { latest: '9pm' } } }) }),
+			(error) => /- preferences\.earliest: "7am"/.test(error.message)
+				&& /- facilities\.padel\.earliest: "7am"/.test(error.message)
+				&& /- accounts\.JOANNA\.latest: "9pm"/.test(error.message),
+		);
+	});
+});
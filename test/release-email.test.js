@@ -0,0 +1,106 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { getFacility } from "../lib/facilities.js";
+import { describeRelease, parseReleaseEmail, releasedSlotTimes } from "../lib/release-email.js";
+
+const padel = getFacility('padel');
+const nets = getFacility('cricket-nets');
+const facilities = [padel, nets];
+const now = new Date('2025-04-20T10:00:00Z');
+const parse = (email, options = {}) => parseReleaseEmail(email, { facilities, now, ...options });
+
+describe('release emails', () => {
+	test('reads the classic subject', () => {
+		assert.deepEqual(parse({ subject: 'Padel court available for Saturday 26 April at 19:00' }), [
+			{ type: 'release', facility: 'padel', date: '2025-04-26', time: '19:00', duration: null, area: null, court: null },
+		]);
+	});
+
+	test('takes the court and the duration from the body', () => {
+		const events = parse({
+			subject: 'Padel court available for Saturday 26 April at 19:00',
+			body: 'Hi,\n\nPadel Court 2 (Near) has become available on Saturday 26 April from 19:00 to 20:30.\n\nSent at 10:32 on 20 April',
+		});
+		assert.deepEqual(events, [
+			{ type: 'release', facility: 'padel', date: '2025-04-26', time: '19:00', duration: 90, area: 'Court 2 (Near)', court: '2' },
+		]);
+	});
+
+	test('takes a court named on a line of its own', () => {
+		assert.deepEqual(parse({
+			subject: 'Cricket nets available for Saturday 26 April at 19:00',
+			body: 'Hi,\n\nNet 3 is now available.\n\nSent at 10:32 on 20 April',
+		}), [
+			{ type: 'release', facility: 'cricket-nets', date: '2025-04-26', time: '19:00', duration: null, area: 'Net 3', court: '3' },
+		]);
+		assert.deepEqual(parse({
+			subject: 'Court released',
+			body: 'Padel Courts 1 and 2 have been released:\n- Saturday 26 April at 19:00',
+		}).map(event => event.area), ['Court 1', 'Court 2']);
+	});
+
+	test('reads numeric dates day first', () => {
+		const expected = [{ type: 'release', facility: 'padel', date: '2025-04-26', time: '19:00', duration: null, area: null, court: null }];
+		assert.deepEqual(parse({ subject: 'Padel court available for 26/04 at 19:00' }), expected);
+		assert.deepEqual(parse({ subject: 'Padel court available for Sat 26/04/2025 at 7pm' }), expected);
+		assert.deepEqual(parse({ subject: 'Padel court available for 31/06 at 19:00' }), []);
+	});
+
+	test('lists every slot of an email releasing several', () => {
+		const events = parse({
+			subject: 'Courts available',
+			body: '<p>The following slots have been released:</p><p>Saturday 26th April</p>' +
+				'<ul><li>Court 1 at 7pm</li><li>Court 2 at 8:00 pm for 1 hour</li></ul>' +
+				'<p>Sunday 27 April</p><ul><li>Courts 1 and 3, 10:00</li></ul>',
+		});
+		assert.deepEqual(events.map(event => `${event.date} ${event.time} ${event.area} ${event.duration}`), [
+			'2025-04-26 19:00 Court 1 null',
+			'2025-04-26 20:00 Court 2 60',
+			'2025-04-27 10:00 Court 1 null',
+			'2025-04-27 10:00 Court 3 null',
+		]);
+	});
+
+	test('knows cricket nets and other facilities', () => {
+		const [net] = parse({
+			subject: 'Cricket net available for Tuesday 29 April at 18:00',
+			body: 'Net 3 is free on Tuesday 29 April at 18:00 for 2 hours',
+		});
+		assert.deepEqual(net, { type: 'release', facility: 'cricket-nets', date: '2025-04-29', time: '18:00', duration: 120, area: 'Net 3', court: '3' });
+
+		const squash = getFacility('squash');
+		const [court] = parse({ subject: 'Squash court 1 available for Wed 30 April at 12.30' }, { facilities: [padel, squash] });
+		assert.equal(court.facility, 'squash');
+		assert.equal(court.time, '12:30');
+	});
+
+	test('tells waiting list offers apart', () => {
+		const events = parse({
+			subject: 'A place on the waiting list has opened up',
+			body: 'Good news! Padel Court 1 on Friday 2 May at 20:00 is now available to you from the waiting list. Book within 30 minutes.',
+		});
+		assert.deepEqual(events, [
+			{ type: 'waiting-list-offer', facility: 'padel', date: '2025-05-02', time: '20:00', duration: null, area: 'Court 1', court: '1' },
+		]);
+		assert.equal(describeRelease(events[0]), 'Waiting list offer: padel 2025-05-02 at 20:00 on Court 1');
+	});
+
+	test('finds nothing in other emails or impossible dates', () => {
+		const logged = [];
+		const log = (line) => logged.push(line);
+		assert.deepEqual(parse({ subject: 'Your booking is confirmed', body: 'Padel Court 1 on Friday 2 May at 20:00' }, { log }), []);
+		assert.deepEqual(parse({ subject: 'Padel court available for Friday 26 April at 19:00' }, { log }), []);
+		assert.match(logged.join('\n'), /No Friday 26 April/);
+	});
+
+	test('a December email about January means next year', () => {
+		const [event] = parse({ subject: 'Padel court available for Saturday 3 January at 10:00' }, { now: new Date('2025-12-20T12:00:00Z') });
+		assert.equal(event.date, '2026-01-03');
+	});
+
+	test('covers every slot of a long release', () => {
+		assert.deepEqual(releasedSlotTimes({ time: '19:00', duration: 120 }, padel), ['19:00', '20:00']);
+		assert.deepEqual(releasedSlotTimes({ time: '23:00', duration: 90 }, { slotMinutes: 30 }), ['23:00', '23:30', '00:00']);
+		assert.deepEqual(releasedSlotTimes({ time: '19:00', duration: null }, padel), ['19:00']);
+	});
+});
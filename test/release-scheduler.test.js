@@ -0,0 +1,87 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { createMockHelloClub } from "../mock/helloclub-server.js";
+import {
+	measureClockOffset,
+	parseReleaseAt,
+	runAtRelease,
+	waitUntil,
+} from "../lib/release-scheduler.js";
+
+// A server whose clock runs offsetMs ahead of ours, answering after latencyMs
+const skewedServer = (clock, offsetMs, latencyMs) => async () => {
+	clock.now += latencyMs / 2;
+	const date = new Date(Math.floor((clock.now + offsetMs) / 1000) * 1000).toUTCString();
+	clock.now += latencyMs / 2;
+	return { headers: new Headers({ date }) };
+};
+
+describe('release scheduler', () => {
+	test('a wall-clock release time means its next occurrence', () => {
+		const now = new Date('2025-07-01T22:58:00Z'); // 23:58 in London
+		assert.equal(parseReleaseAt('00:00', { now }).toISOString(), '2025-07-01T23:00:00.000Z');
+		assert.equal(parseReleaseAt('23:30', { now }).toISOString(), '2025-07-01T22:30:00.000Z');
+		assert.equal(parseReleaseAt('2025-07-01T23:00:00Z', { now }).toISOString(), '2025-07-01T23:00:00.000Z');
+		assert.throws(() => parseReleaseAt('midnight'), /Invalid release time/);
+	});
+
+	test('measures the server clock offset to well under a second', async () => {
+		for (const offsetMs of [2345, -870, 40]) {
+			const clock = { now: 1_700_000_000_123 };
+			const result = await measureClockOffset('http://club.test', {
+				samples: 8,
+				spacingMs: 0,
+				now: () => clock.now += 137,
+				fetchImpl: skewedServer(clock, offsetMs, 60),
+			});
+			assert.ok(Math.abs(result.offsetMs - offsetMs) <= result.uncertaintyMs, `${offsetMs}: ${JSON.stringify(result)}`);
+			assert.ok(result.uncertaintyMs < 400, `${offsetMs}: ${JSON.stringify(result)}`);
+		}
+	});
+
+	test('measures the mock server clock over HTTP', async () => {
+		const mock = createMockHelloClub();
+		await mock.listen();
+		try {
+			const result = await measureClockOffset(mock.url, { samples: 3, spacingMs: 50 });
+			assert.equal(result.samples, 3);
+			assert.ok(Math.abs(result.offsetMs) <= 1000);
+		} finally {
+			await mock.close();
+		}
+	});
+
+	test('waitUntil goes by the server clock', async () => {
+		const started = Date.now();
+		await waitUntil(new Date(started + 1200), { offsetMs: 1000 });
+		const waited = Date.now() - started;
+		assert.ok(waited >= 190 && waited < 1000, `waited ${waited}ms`);
+	});
+
+	test('prepares first and fires at the release', async () => {
+		const events = [];
+		const releaseAt = new Date(Date.now() + 300);
+		const result = await runAtRelease({
+			releaseAt,
+			clockUrl: 'http://club.test',
+			measure: async () => ({ offsetMs: 0, uncertaintyMs: 5, samples: 1 }),
+			prepare: async () => {
+				events.push('prepare');
+				return 'page';
+			},
+			fire: async (page) => {
+				events.push(`fire ${page}`);
+				return Date.now();
+			},
+		});
+		assert.deepEqual(events, ['prepare', 'fire page']);
+		assert.ok(result >= releaseAt.getTime());
+	});
+
+	test('refuses to hold a session open for too long', async () => {
+		await assert.rejects(runAtRelease({
+			releaseAt: new Date(Date.now() + 60 * 60 * 1000),
+			prepare: async () => assert.fail('should not prepare'),
+		}), /more than the 600s we are prepared to wait/);
+	});
+});
@@ -0,0 +1,113 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:net";
+import { formatMessage, sendMail } from "../lib/smtp.js";
+
+// Answers like a mail server without TLS and records what it was sent
+const fakeSmtpServer = ({ rejectRecipient = false } = {}) => {
+	const session = { commands: [], data: '' };
+	const server = createServer((socket) => {
+		let buffer = '';
+		let inData = false;
+		socket.write('220 mock.example.com ESMTP\r\n');
+		socket.on('data', (chunk) => {
+			buffer += chunk.toString();
+			let end;
+			while ((end = buffer.indexOf('\r\n')) !== -1) {
+				const line = buffer.slice(0, end);
+				buffer = buffer.slice(end + 2);
+				if (inData) {
+					if (line === '.') {
+						inData = false;
+						socket.write('250 2.0.0 queued\r\n');
+					} else {
+						session.data += `${line}\n`;
+					}
+					continue;
+				}
+				session.commands.push(line);
+				if (line.startsWith('EHLO')) socket.write('250-mock.example.com\r\n250-SIZE 1000000\r\n250 AUTH PLAIN\r\n');
+				else if (line.startsWith('AUTH')) socket.write('235 2.7.0 accepted\r\n');
+				else if (line.startsWith('RCPT') && rejectRecipient) socket.write('550 5.1.1 no such user\r\n');
+				else if (line === 'DATA') { inData = true; socket.write('354 go ahead\r\n'); }
+				else if (line === 'QUIT') { socket.write('221 bye\r\n'); socket.end(); }
+				else socket.write('250 ok\r\n');
+			}
+		});
+	});
+	return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, session, port: server.address().port })));
+};
+
+describe('smtp', () => {
+	test('formats a plain text message, dot-stuffing lines', () => {
+		const text = formatMessage({
+			from: 'Bookings <bookings@example.com>',
+			to: ['me@example.com'],
+			subject: 'Booked 18:00 – Court 1',
+			text: 'Booked.\n.hidden line',
+			date: new Date('2025-04-05T00:00:00Z'),
+		});
+		assert.match(text, /^From: Bookings <bookings@example\.com>\r\nTo: me@example\.com\r\n/);
+		assert.match(text, /\r\nSubject: =\?UTF-8\?B\?[A-Za-z0-9+/=]+\?=\r\n/);
+		assert.match(text, /\r\nDate: Sat, 05 Apr 2025 00:00:00 GMT\r\n/);
+		assert.match(text, /\r\n\r\nBooked\.\r\n\.\.hidden line$/);
+	});
+
+	test('logs in and sends the message', async () => {
+		const { server, session, port } = await fakeSmtpServer();
+		try {
+			await sendMail({
+				host: '127.0.0.1',
+				port,
+				user: 'bookings@example.com',
+				password: 'secret',
+				from: 'Bookings <bookings@example.com>',
+				to: ['me@example.com', 'joanna@example.com'],
+				subject: 'Booked',
+				text: 'Booked 18:00 on Court 1.',
+				allowInsecureAuth: true,
+			});
+			assert.deepEqual(session.commands, [
+				'EHLO localhost',
+				`AUTH PLAIN ${Buffer.from('\0bookings@example.com\0secret').toString('base64')}`,
+				'MAIL FROM:<bookings@example.com>',
+				'RCPT TO:<me@example.com>',
+				'RCPT TO:<joanna@example.com>',
+				'DATA',
+				'QUIT',
+			]);
+			assert.match(session.data, /\nBooked 18:00 on Court 1\.\n$/);
+		} finally {
+			server.close();
+		}
+	});
+
+	test('will not log in without STARTTLS', async () => {
+		const { server, session, port } = await fakeSmtpServer();
+		try {
+			await assert.rejects(sendMail({
+				host: '127.0.0.1',
+				port,
+				user: 'bookings@example.com',
+				password: 'secret',
+				from: 'bookings@example.com',
+				to: 'me@example.com',
+				subject: 'Booked',
+				text: 'Booked 18:00 on Court 1.',
+			}), /did not offer STARTTLS: not sending the password unencrypted/);
+			assert.deepEqual(session.commands, ['EHLO localhost']);
+		} finally {
+			server.close();
+		}
+	});
+
+	test('fails with the server reply when a recipient is refused', async () => {
+		const { server, port } = await fakeSmtpServer({ rejectRecipient: true });
+		try {
+			await assert.rejects(sendMail({ host: '127.0.0.1', port, from: 'a@example.com', to: 'b@example.com', subject: 'x', text: 'x' }),
+				/SMTP RCPT TO failed: 550 5\.1\.1 no such user/);
+		} finally {
+			server.close();
+		}
+	});
+});
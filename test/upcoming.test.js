@@ -0,0 +1,52 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { formatBookingsTable, listUpcomingBookings } from "../lib/upcoming.js";
+import { readAccountName } from "../lib/verification.js";
+
+const slot = (areaIndex, time, members, extra = {}) => ({
+	areaIndex,
+	area: ['Padel Court 1 (far)', 'Padel Court 2 (Near)'][areaIndex],
+	row: 0,
+	time,
+	status: members.length ? 'booked' : 'available',
+	members,
+	peopleCount: members.length,
+	hasWaitingList: false,
+	onWaitingList: false,
+	attempted: false,
+	...extra,
+});
+
+describe('upcoming bookings', () => {
+	test('formats bookings as an aligned table', () => {
+		const table = formatBookingsTable([
+			{ facility: 'padel', date: '2025-04-19', time: '18:00', endTime: '19:00', area: 'Padel Court 2 (Near)', members: ['Alan Sankey', 'Kirstie Mitchell'], mode: 'Coaching' },
+			{ facility: 'cricket-nets', date: '2025-04-20', time: '09:00', endTime: '10:00', area: 'Cricket Net1', members: ['Alan Sankey'], mode: null },
+		]);
+		assert.deepEqual(table.split('\n'), [
+			'Date        Time         Facility      Area                  Members                        Type',
+			'2025-04-19  18:00-19:00  padel         Padel Court 2 (Near)  Alan Sankey, Kirstie Mitchell  Coaching',
+			'2025-04-20  09:00-10:00  cricket-nets  Cricket Net1          Alan Sankey',
+		]);
+	});
+
+	test('lists only the bookings naming the account, not others that have started today', async () => {
+		const grid = {
+			areas: [
+				{ index: 0, name: 'Padel Court 1 (far)', number: '1' },
+				{ index: 1, name: 'Padel Court 2 (Near)', number: '2' },
+			],
+			// Earlier today: no waiting list buttons on anyone's bookings
+			slots: [slot(0, '09:00', ['Alan Sankey']), slot(1, '09:00', ['Test Member', 'Kirstie Mitchell']), slot(0, '18:00', [])],
+		};
+		const page = {
+			goto: async () => {},
+			waitForSelector: async () => {},
+			evaluate: async (fn) => fn === readAccountName ? 'Test Member' : grid,
+		};
+		const bookings = await listUpcomingBookings(page, { baseUrl: 'https://club.example', facilities: ['padel'], dates: ['2025-04-19'], details: false, log: () => {} });
+		assert.deepEqual(bookings, [
+			{ facility: 'padel', date: '2025-04-19', time: '09:00', endTime: '10:00', area: 'Padel Court 2 (Near)', members: ['Test Member', 'Kirstie Mitchell'], mode: null },
+		]);
+	});
+});
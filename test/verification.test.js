@@ -0,0 +1,39 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { checkBookedSlots } from "../lib/verification.js";
+
+const grid = {
+	areas: [
+		{ index: 0, name: 'Padel Court 1 (far)', number: '1' },
+		{ index: 1, name: 'Padel Court 2 (Near)', number: '2' },
+	],
+	slots: [
+		{ areaIndex: 0, area: 'Padel Court 1 (far)', row: 0, time: '18:00', status: 'booked', members: ['Stefan  Richter', 'Alan Sankey'], hasWaitingList: false },
+		{ areaIndex: 1, area: 'Padel Court 2 (Near)', row: 0, time: '18:00', status: 'booked', members: ['Alan Sankey'], hasWaitingList: true },
+		{ areaIndex: 0, area: 'Padel Court 1 (far)', row: 1, time: '19:00', status: 'available', members: [], hasWaitingList: false },
+	],
+};
+
+describe('booking verification', () => {
+	test('needs the account holder among the players', () => {
+		const [mine, theirs, free] = checkBookedSlots(grid, [
+			{ time: '18:00', area: 'Padel Court 1 (far)' },
+			{ time: '18:00', area: 'Padel Court 2 (Near)' },
+			{ time: '19:00', area: 'Padel Court 1 (far)' },
+		], 'stefan richter');
+		assert.equal(mine.verified, true);
+		assert.deepEqual(theirs, { time: '18:00', area: 'Padel Court 2 (Near)', status: 'booked', members: ['Alan Sankey'], verified: false });
+		assert.equal(free.verified, false);
+		assert.equal(free.status, 'available');
+	});
+
+	test('verifies nothing without an account name', () => {
+		const checked = checkBookedSlots(grid, [{ time: '18:00', area: 'Padel Court 1 (far)' }, { time: '18:00', area: 'Padel Court 2 (Near)' }], null);
+		assert.deepEqual(checked.map(slot => slot.verified), [false, false]);
+	});
+
+	test('reports slots missing from the grid', () => {
+		assert.deepEqual(checkBookedSlots(grid, [{ time: '21:00', area: 'Padel Court 1 (far)' }], 'Stefan Richter'),
+			[{ time: '21:00', area: 'Padel Court 1 (far)', status: 'missing', members: [], verified: false }]);
+	});
+});
@@ -0,0 +1,50 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { pickWaitingListSlots } from "../lib/waiting-list.js";
+import { loadPreferences, planForDate } from "../lib/preferences.js";
+
+const slot = (areaIndex, time, status, extra = {}) => ({
+	areaIndex,
+	area: ['Padel Court 1 (far)', 'Padel Court 2 (Near)'][areaIndex],
+	time,
+	status,
+	members: status === 'booked' ? ['Alan Sankey'] : [],
+	hasWaitingList: status === 'booked',
+	onWaitingList: false,
+	attempted: false,
+	...extra,
+});
+
+const grid = {
+	areas: [
+		{ index: 0, name: 'Padel Court 1 (far)', number: '1' },
+		{ index: 1, name: 'Padel Court 2 (Near)', number: '2' },
+	],
+	slots: [
+		slot(0, '16:00', 'booked'), slot(1, '16:00', 'booked', { onWaitingList: true }),
+		slot(0, '17:00', 'booked'), slot(1, '17:00', 'booked'),
+		slot(0, '18:00', 'disabled'), slot(1, '18:00', 'booked', { hasWaitingList: false }),
+	],
+};
+
+const plan = planForDate(loadPreferences({
+	json: JSON.stringify({ rules: { weekend: { times: ['18:00', '16:00', '17:00'], courts: ['2', '1'] } } }),
+}), '2025-04-19');
+
+describe('waiting lists', () => {
+	test('picks the best taken slots in plan and court order', () => {
+		const picks = pickWaitingListSlots(grid, plan, { count: 3 });
+		assert.deepEqual(picks.map(({ slot }) => `${slot.time} ${slot.area}`), [
+			'16:00 Padel Court 1 (far)',
+			'17:00 Padel Court 2 (Near)',
+			'17:00 Padel Court 1 (far)',
+		]);
+		assert.equal(picks[0].reason, 'weekend rule: 16:00 is time choice #2, booked by Alan Sankey');
+	});
+
+	test('skips lists already joined and stops at count', () => {
+		assert.equal(pickWaitingListSlots(grid, plan).length, 1);
+		const joinedAll = { ...grid, slots: grid.slots.map(slot => ({ ...slot, onWaitingList: true })) };
+		assert.deepEqual(pickWaitingListSlots(joinedAll, plan, { count: 5 }), []);
+	});
+});
@@ -0,0 +1,203 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { getFacility } from "../lib/facilities.js";
+import { readAccountName } from "../lib/verification.js";
+import { createWatcher, isQuietTime, parseQuietHours, quietTimeLeft } from "../lib/watcher.js";
+
+const quiet = () => {};
+const padel = getFacility('padel');
+
+const slot = (areaIndex, time, status, extra = {}) => ({
+	areaIndex,
+	area: ['Padel Court 1 (far)', 'Padel Court 2 (Near)'][areaIndex],
+	row: 0,
+	time,
+	status,
+	members: status === 'booked' ? ['Alan Sankey'] : [],
+	hasWaitingList: status === 'booked',
+	onWaitingList: false,
+	attempted: false,
+	...extra,
+});
+
+const gridOf = (...slots) => ({
+	areas: [
+		{ index: 0, name: 'Padel Court 1 (far)', number: '1' },
+		{ index: 1, name: 'Padel Court 2 (Near)', number: '2' },
+	],
+	slots,
+});
+
+// Stands in for a puppeteer page, showing grids[date] for the date it was
+// sent to, logged in as Test Member
+const fakePage = (grids) => {
+	let date = null;
+	return {
+		goto: async (url) => {
+			date = url.split('/').pop();
+		},
+		waitForSelector: async () => {
+			if (!grids[date]) throw new Error(`Timed out waiting for the ${date} grid`);
+		},
+		evaluate: async (fn) => fn === readAccountName ? 'Test Member' : grids[date],
+	};
+};
+
+const plan = { ruleName: 'weekend', candidates: [{ time: '18:00', rank: 1, courts: ['2'], courtsRule: 'courts' }], mode: null, partners: [] };
+
+const watcherFor = (grids, options = {}) => {
+	const attempts = [];
+	const watcher = createWatcher({
+		page: fakePage(grids),
+		baseUrl: 'https://club.example',
+		facility: padel,
+		dates: () => Object.keys(grids),
+		planFor: () => plan,
+		book: async (page, pick, { date }) => ({ success: true, timeBooked: pick.slot.time, courtBooked: pick.slot.area, date }),
+		onBooking: async (result) => attempts.push(result),
+		log: quiet,
+		wait: async () => {},
+		...options,
+	});
+	return { watcher, attempts };
+};
+
+describe('quiet hours', () => {
+	test('parses HH:MM-HH:MM and nothing', () => {
+		assert.deepEqual(parseQuietHours('23:00-07:00'), { start: '23:00', end: '07:00' });
+		assert.deepEqual(parseQuietHours(' 01:00 - 05:30 '), { start: '01:00', end: '05:30' });
+		assert.equal(parseQuietHours(''), null);
+		assert.equal(parseQuietHours(undefined), null);
+		assert.throws(() => parseQuietHours('11pm-7am'), /Invalid quiet hours "11pm-7am"/);
+		assert.throws(() => parseQuietHours('07:00-07:00'), /Invalid quiet hours/);
+	});
+
+	test('run past midnight in club time', () => {
+		const night = parseQuietHours('23:00-07:00');
+		// 22:30 UTC in summer is 23:30 in London
+		assert.equal(isQuietTime(night, new Date('2025-07-01T22:30:00Z')), true);
+		assert.equal(isQuietTime(night, new Date('2025-01-15T22:30:00Z')), false);
+		assert.equal(isQuietTime(night, new Date('2025-07-02T05:59:00Z')), true);
+		assert.equal(isQuietTime(night, new Date('2025-07-02T06:00:00Z')), false);
+		assert.equal(isQuietTime(parseQuietHours('13:00-14:00'), new Date('2025-01-15T13:30:00Z')), true);
+		assert.equal(isQuietTime(null, new Date()), false);
+	});
+
+	test('knows how long is left, across the clocks changing', () => {
+		const night = parseQuietHours('23:00-07:00');
+		assert.equal(quietTimeLeft(night, new Date('2025-01-15T23:00:00Z')), 8 * 60 * 60 * 1000);
+		// 23:00 GMT on 29 March to 07:00 BST on 30 March is only seven hours
+		assert.equal(quietTimeLeft(night, new Date('2025-03-29T23:00:00Z')), 7 * 60 * 60 * 1000);
+		assert.equal(quietTimeLeft(night, new Date('2025-01-16T06:30:00Z')), 30 * 60 * 1000);
+	});
+});
+
+describe('cancellation watcher', () => {
+	test('books a preferred slot as soon as it is free', async () => {
+		const grids = {
+			'2025-04-19': gridOf(slot(0, '18:00', 'available'), slot(1, '18:00', 'available')),
+			'2025-04-20': gridOf(slot(0, '18:00', 'booked'), slot(1, '18:00', 'booked')),
+		};
+		const { watcher, attempts } = watcherFor(grids);
+		await watcher.poll();
+		assert.deepEqual(attempts, [{ success: true, timeBooked: '18:00', courtBooked: 'Padel Court 2 (Near)', date: '2025-04-19' }]);
+		assert.deepEqual(watcher.booked, [{ date: '2025-04-19', time: '18:00', area: 'Padel Court 2 (Near)' }]);
+
+		// Booked for the day now, so the other court is left alone
+		await watcher.poll();
+		assert.equal(attempts.length, 1);
+	});
+
+	test('hands every grid it reads on, booked or not', async () => {
+		const grids = {
+			'2025-04-19': gridOf(slot(1, '18:00', 'booked')),
+			'2025-04-20': gridOf(slot(1, '18:00', 'booked')),
+		};
+		const seen = [];
+		await watcherFor(grids, { onGrid: async (grid, date) => seen.push([date, grid.slots.length]) }).watcher.poll();
+		assert.deepEqual(seen, [['2025-04-19', 1], ['2025-04-20', 1]]);
+	});
+
+	test('counts bookings already on the grid against the daily cap', async () => {
+		const grids = {
+			'2025-04-19': gridOf(slot(0, '17:00', 'booked', { members: ['Test Member'], hasWaitingList: false }), slot(1, '18:00', 'available')),
+		};
+		assert.equal((await watcherFor(grids).watcher.poll()).length, 0);
+		assert.equal((await watcherFor(grids, { maxPerDay: 2 }).watcher.poll()).length, 1);
+	});
+
+	test('does not count other members\' bookings that have already started', async () => {
+		// Past bookings lose their waiting list button, whoever made them
+		const grids = {
+			'2025-04-19': gridOf(slot(0, '09:00', 'booked', { hasWaitingList: false }), slot(1, '18:00', 'available')),
+		};
+		const { watcher, attempts } = watcherFor(grids);
+		await watcher.poll();
+		assert.deepEqual(attempts.map(attempt => attempt.timeBooked), ['18:00']);
+	});
+
+	test('gives up on a slot that keeps failing and tries the next one', async () => {
+		const grids = {
+			'2025-04-19': gridOf(slot(0, '18:00', 'available'), slot(1, '18:00', 'available')),
+		};
+		const { watcher, attempts } = watcherFor(grids, {
+			book: async (page, pick, { date }) => pick.slot.area === 'Padel Court 2 (Near)'
+				? { success: false, error: 'The modal never showed Confirm booking', timeBooked: pick.slot.time, courtBooked: pick.slot.area, date }
+				: { success: true, timeBooked: pick.slot.time, courtBooked: pick.slot.area, date },
+		});
+		await watcher.poll();
+		await watcher.poll();
+		await watcher.poll();
+		assert.deepEqual(attempts.map(attempt => `${attempt.courtBooked} ${attempt.success}`), [
+			'Padel Court 2 (Near) false',
+			'Padel Court 2 (Near) false',
+			'Padel Court 1 (far) true',
+		]);
+	});
+
+	test('leaves skipped dates alone', async () => {
+		const grids = { '2025-04-19': gridOf(slot(1, '18:00', 'available')) };
+		const { watcher } = watcherFor(grids, { planFor: () => ({ skipped: true, skipReason: 'holiday' }) });
+		assert.deepEqual(await watcher.poll(), []);
+	});
+
+	test('stops at the booking limit', async () => {
+		const grids = {
+			'2025-04-19': gridOf(slot(1, '18:00', 'available')),
+			'2025-04-20': gridOf(slot(1, '18:00', 'available')),
+		};
+		const { watcher, attempts } = watcherFor(grids, {
+			book: async () => { throw new Error('Booking limit reached: You are on the limit of bookings you can make'); },
+		});
+		const booked = await watcher.run({ maxPolls: 3 });
+		assert.deepEqual(booked, []);
+		assert.equal(attempts.length, 1);
+		assert.match(attempts[0].error, /Booking limit/);
+	});
+
+	test('sleeps through the quiet hours', async () => {
+		let clock = new Date('2025-01-15T23:30:00Z').getTime();
+		const waits = [];
+		const grids = { '2025-01-16': gridOf(slot(1, '18:00', 'booked')) };
+		const { watcher } = watcherFor(grids, {
+			quietHours: parseQuietHours('23:00-07:00'),
+			interval: 60 * 60 * 1000,
+			now: () => new Date(clock),
+			wait: async (ms) => {
+				waits.push(ms / 60000);
+				clock += ms;
+			},
+		});
+		await watcher.run({ maxPolls: 1 });
+		// Hourly naps until 07:00, then the one poll
+		assert.deepEqual(waits, [60, 60, 60, 60, 60, 60, 60, 30]);
+	});
+
+	test('logs in again after a failed poll and gives up after too many', async () => {
+		const grids = { '2025-04-19': null };
+		let recovered = 0;
+		const { watcher } = watcherFor(grids, { maxFailures: 3, recover: async () => { recovered++; } });
+		await assert.rejects(watcher.run(), /Giving up after 3 failed polls in a row: Timed out waiting for the 2025-04-19 grid/);
+		assert.equal(recovered, 2);
+	});
+});
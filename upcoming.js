@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+// Lists the booker's upcoming bookings across the club's facilities and
+// writes them to an iCalendar file that a calendar app can subscribe to.
+//
+//   node upcoming.js [days] [--json] [--account <suffix>] [--ics <file>]
+//
+// days is how far ahead to look (default 14). --json prints JSON instead of
+// a table. --account reads the credentials of another member, as the
+// user_suffix does on Pipedream (e.g. --account _JOANNA). The calendar goes
+// to --ics, CALENDAR_FILE or bookings.ics, where this account's events for
+// the facilities and dates searched are replaced by the bookings found;
+// other accounts' and facilities' events are left as they are. FACILITIES
+// (comma separated) limits the facilities searched; CLUB, PROFILE_ID and
+// BROWSER_PROVIDER work as in index.js.
+import { config } from "dotenv";
+import { createBrowserProvider } from "./lib/browser-provider.js";
+import { writeCalendar } from "./lib/calendar.js";
+import { getClub, getCredentials } from "./lib/clubs.js";
+import { datesAhead } from "./lib/dates.js";
+import { clubFacilities } from "./lib/facilities.js";
+import { createLogger } from "./lib/logger.js";
+import { loginIfNeeded } from "./lib/login.js";
+import { formatBookingsTable, listUpcomingBookings } from "./lib/upcoming.js";
+
+config();
+
+const USAGE = "Usage: node upcoming.js [days] [--json] [--account <suffix>] [--ics <file>]";
+
+const args = process.argv.slice(2);
+const option = (name) => {
+	const index = args.indexOf(name);
+	return index === -1 ? undefined : args.splice(index, 2)[1];
+};
+const json = args.includes('--json');
+const suffix = option('--account') || "";
+const account = suffix.replace(/^_/, '') || null;
+const calendarFile = option('--ics') || process.env.CALENDAR_FILE || "bookings.ics";
+
+// Keep stdout for the JSON when it is asked for
+const log = createLogger({ script: "upcoming", account, write: json ? console.error : console.log });
+
+const club = getClub(process.env.CLUB);
+const facilities = process.env.FACILITIES ? process.env.FACILITIES.split(',').map(slug => slug.trim()).filter(Boolean) : clubFacilities(club);
+const profileId = process.env.PROFILE_ID || null;
+
+// Today and the next `days` days, as club dates
+const upcomingDates = (days) => datesAhead(days + 1);
+
+async function main([days = '14', ...rest]) {
+	if (!/^\d+$/.test(days) || rest.length > 0) {
+		return { success: false, error: USAGE, logs: log.lines };
+	}
+
+	const browserProvider = createBrowserProvider({
+		type: process.env.BROWSER_PROVIDER || "hyperbrowser",
+		apiKey: process.env[`HYPERBROWSER_API_KEY${suffix}`] || process.env.HYPERBROWSER_API_KEY,
+		log,
+	});
+
+	let session;
+	try {
+		session = await browserProvider.openSession({ profileId });
+		const { page } = session;
+		await loginIfNeeded(page, { baseUrl: club.baseUrl, club, credentials: getCredentials(club, suffix), useProfile: !!profileId, log });
+
+		const dates = upcomingDates(Number(days));
+		const bookings = await listUpcomingBookings(page, { baseUrl: club.baseUrl, club, facilities, dates, log });
+		writeCalendar(calendarFile, bookings.map(booking => ({ ...booking, account })), {
+			replace: event => event.account === (account || 'DEFAULT') && facilities.includes(event.facility) && dates.includes(event.date),
+			clubName: club.name,
+		});
+		log(`Wrote ${bookings.length} booking(s) to ${calendarFile}`);
+
+		console.log(json ? JSON.stringify(bookings, null, 2) : (bookings.length ? formatBookingsTable(bookings) : 'No upcoming bookings'));
+		return { success: true, bookings, logs: log.lines };
+	} catch (error) {
+		log.error(`Encountered an error: ${error}`);
+		return { success: false, error: error.message, logs: log.lines };
+	} finally {
+		await session?.close();
+	}
+}
+
+main(args.filter(arg => arg !== '--json'))
+	.then((result) => {
+		if (!result.success) {
+			console.error(result.error);
+		}
+		process.exit(result.success ? 0 : 1);
+	})
+	.catch((error) => {
+		console.error("Final error:", error);
+		process.exit(1);
+	});
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+// Lists and leaves the waiting lists the booker has joined.
+//
+//   node waiting-list.js list [days]              waiting lists over the next days (default 14)
+//   node waiting-list.js leave <date> <time> [court]
+//
+// Uses the same CLUB, FACILITY, PROFILE_ID and BROWSER_PROVIDER settings as
+// index.js.
+import { config } from "dotenv";
+import { createBrowserProvider } from "./lib/browser-provider.js";
+import { getClub, getCredentials } from "./lib/clubs.js";
+import { datesAhead } from "./lib/dates.js";
+import { getFacility } from "./lib/facilities.js";
+import { createLogger } from "./lib/logger.js";
+import { loginIfNeeded } from "./lib/login.js";
+import { leaveWaitingLists, listWaitingLists } from "./lib/waiting-list.js";
+
+config();
+
+const log = createLogger({ script: "waiting-list" });
+
+const USAGE = "Usage: node waiting-list.js list [days] | leave <date> <time> [court]";
+
+const club = getClub(process.env.CLUB);
+const facility = getFacility(process.env.FACILITY, club);
+const profileId = process.env.PROFILE_ID || null;
+
+// Today and the next `days` days, as club dates
+const upcomingDates = (days) => datesAhead(days + 1);
+
+async function main([command, ...args]) {
+	if (command === 'leave' && !(/^\d{4}-\d{2}-\d{2}$/.test(args[0] || '') && /^\d{2}:\d{2}$/.test(args[1] || ''))) {
+		return { success: false, error: `${USAGE}\nleave needs a YYYY-MM-DD date and an HH:MM time`, logs: log.lines };
+	}
+	if (command !== 'list' && command !== 'leave') {
+		return { success: false, error: USAGE, logs: log.lines };
+	}
+
+	const browserProvider = createBrowserProvider({
+		type: process.env.BROWSER_PROVIDER || "hyperbrowser",
+		apiKey: process.env.HYPERBROWSER_API_KEY,
+		log,
+	});
+
+	let session;
+	try {
+		session = await browserProvider.openSession({ profileId });
+		const { page } = session;
+		await loginIfNeeded(page, { baseUrl: club.baseUrl, club, credentials: getCredentials(club), useProfile: !!profileId, log });
+
+		if (command === 'list') {
+			const days = Number(args[0]) || 14;
+			const waitingLists = await listWaitingLists(page, { baseUrl: club.baseUrl, facility, dates: upcomingDates(days), log });
+			log(`On ${waitingLists.length} ${facility.slug} waiting list(s) over the next ${days} days:`);
+			waitingLists.forEach(({ date, time, area, members }) => {
+				log(`- ${date} ${time} on ${area}${members.length ? ` (booked by ${members.join(', ')})` : ''}`);
+			});
+			return { success: true, waitingLists, logs: log.lines };
+		}
+
+		const [date, time, court] = args;
+		const result = await leaveWaitingLists(page, { baseUrl: club.baseUrl, facility, date, time, court, log });
+		result.left.forEach(entry => log(`Left the waiting list for ${entry.date} ${entry.time} on ${entry.area}`));
+		return { ...result, logs: log.lines };
+	} catch (error) {
+		log.error(`Encountered an error: ${error}`);
+		return { success: false, error: error.message, logs: log.lines };
+	} finally {
+		await session?.close();
+	}
+}
+
+main(process.argv.slice(2))
+	.then((result) => {
+		if (!result.success) {
+			console.error(result.error);
+		}
+		process.exit(result.success ? 0 : 1);
+	})
+	.catch((error) => {
+		console.error("Final error:", error);
+		process.exit(1);
+	});
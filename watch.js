@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+// Watches the grid for cancellations and books a freed-up slot the
+// preferences want as soon as it turns available, without waiting for a
+// release email. Runs until stopped with Ctrl-C.
+//
+//   node watch.js [days]     watch today and the next days (default WATCH_DAYS, or 14)
+//
+// WATCH_INTERVAL sets the seconds between polls, WATCH_QUIET_HOURS when not
+// to poll and WATCH_MAX_PER_DAY how many bookings to hold on one date. Uses
+// the same CLUB, FACILITY, PREFERENCES_FILE, PREFERRED_COURT, PROFILE_ID,
+// BROWSER_PROVIDER and DEBUG_MODE settings as index.js, and notifies and
+// records each booking as it does. With HISTORY_FILE set every grid read is
+// added to the history for npm run analytics.
+import { config } from "dotenv";
+import { createArtifacts } from "./lib/artifacts.js";
+import { createBrowserProvider } from "./lib/browser-provider.js";
+import { recordBookings } from "./lib/calendar.js";
+import { getClub, getCredentials } from "./lib/clubs.js";
+import { datesAhead } from "./lib/dates.js";
+import { getFacility } from "./lib/facilities.js";
+import { createHistory } from "./lib/history.js";
+import { createLogger } from "./lib/logger.js";
+import { loginIfNeeded } from "./lib/login.js";
+import { notify } from "./lib/notifications.js";
+import { loadPreferences, planForDate } from "./lib/preferences.js";
+import { createWatcher, parseQuietHours } from "./lib/watcher.js";
+
+config();
+
+// A watch runs for days, so its lines are written but not kept
+const log = createLogger({ script: "watch", keepLines: false });
+
+const club = getClub(process.env.CLUB);
+const facility = getFacility(process.env.FACILITY, club);
+const profileId = process.env.PROFILE_ID || null;
+const dryRun = process.env.DEBUG_MODE === 'true';
+
+const artifacts = createArtifacts({
+	dir: process.env.ARTIFACTS_DIR || "run-artifacts",
+	runId: log.runId,
+	everyStep: process.env.ARTIFACTS_EVERY_STEP === 'true',
+	log,
+});
+
+const history = createHistory({ source: "watch", club: club.id, facility, log });
+
+async function main([daysArg]) {
+	const days = Number(daysArg) || Number(process.env.WATCH_DAYS) || 14;
+	const interval = (Number(process.env.WATCH_INTERVAL) || 60) * 1000;
+	const maxPerDay = Number(process.env.WATCH_MAX_PER_DAY) || 1;
+	const quietHours = parseQuietHours(process.env.WATCH_QUIET_HOURS);
+	const preferences = loadPreferences({ file: process.env.PREFERENCES_FILE });
+	const planOptions = { facility: facility.slug, preferredCourt: process.env.PREFERRED_COURT || "1" };
+
+	log(`Club: ${club.name} (${club.baseUrl})`);
+	log(`Facility: ${facility.slug}`);
+	log(`Watching today and the next ${days} days`);
+	if (dryRun) {
+		log("🔍 Running in DEBUG MODE - bookings are walked through up to Confirm booking but not confirmed");
+	}
+
+	const browserProvider = createBrowserProvider({
+		type: process.env.BROWSER_PROVIDER || "hyperbrowser",
+		apiKey: process.env.HYPERBROWSER_API_KEY,
+		log,
+	});
+
+	let session;
+	try {
+		session = await browserProvider.openSession({ profileId });
+		if (session.liveUrl) {
+			log(`Live URL: ${session.liveUrl}`);
+		}
+		const { page } = session;
+		const login = () => loginIfNeeded(page, { baseUrl: club.baseUrl, club, credentials: getCredentials(club), useProfile: !!profileId, log });
+		await login();
+
+		const watcher = createWatcher({
+			page,
+			baseUrl: club.baseUrl,
+			facility,
+			dates: () => datesAhead(days + 1),
+			planFor: (date) => planForDate(preferences, date, planOptions),
+			interval,
+			quietHours,
+			maxPerDay,
+			dryRun,
+			log,
+			onGrid: (grid, date) => history.recordGrid(grid, date),
+			onBooking: async (result) => {
+				history.recordRun(result);
+				if (!result.success) {
+					await artifacts.capture(page, 'booking failed');
+				} else if (!result.debug) {
+					recordBookings([{ date: result.date, time: result.timeBooked, area: result.courtBooked, members: result.partners, mode: result.mode }], {
+						facility,
+						file: process.env.CALENDAR_FILE || null,
+						clubName: club.name,
+						log,
+					});
+				}
+				result.notifications = await notify(result, { club: club.name, facility: facility.name, log });
+			},
+			// The session may have timed out; a profile's login lives in the profile
+			recover: async () => {
+				if (profileId) return;
+				try {
+					await login();
+				} catch (error) {
+					log(`Could not log in again: ${error.message}`);
+				}
+			},
+		});
+
+		// Ctrl-C finishes the current poll and stops
+		const stop = () => {
+			log("Stopping after this poll");
+			watcher.stop();
+		};
+		process.once('SIGINT', stop);
+		process.once('SIGTERM', stop);
+
+		const booked = await watcher.run();
+		log(`Watch ended, ${dryRun ? 'would have booked' : 'booked'} ${booked.length} slot(s)`);
+		booked.forEach(({ date, time, area }) => log(`- ${date} ${time} on ${area}`));
+		return { success: true, booked };
+	} catch (error) {
+		log.error(`Encountered an error: ${error}`);
+		if (session) {
+			await artifacts.capture(session.page, 'error');
+		}
+		return { success: false, error: error.message };
+	} finally {
+		await session?.close();
+	}
+}
+
+main(process.argv.slice(2))
+	.then((result) => {
+		if (!result.success) {
+			console.error(result.error);
+		}
+		process.exit(result.success ? 0 : 1);
+	})
+	.catch((error) => {
+		console.error("Final error:", error);
+		process.exit(1);
+	});